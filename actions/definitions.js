@@ -1,63 +1,156 @@
 // actions/definitions.js
 const ragActions = require('./rag_actions');
 const userDocumentsActions = require('./user_documents_actions');
+const { findArticle } = require('../engine/normative_citation_processor');
+const { parseCitation } = require('../engine/citation_normalizer');
+const { getArticleReferences } = require('../engine/normative_references');
+const { searchNorms } = require('../engine/normative_search');
+const { analyzeContract } = require('../engine/contract_analyzer');
+const { listTemplates, getTemplate, renderTemplate } = require('../engine/document_templates');
+const calculateDeadlineTool = require('../engine/tools/calculate_deadline');
+const monetaryCalculators = require('../engine/tools/monetary_calculators');
+const calculateSeveranceTool = require('../engine/tools/calculate_severance');
 
 const baseActions = [
   {
     name: 'generate_draft',
-    description: 'Genera un borrador de documento legal a partir de título y cláusulas.',
+    description: 'Genera un borrador de documento legal. Con template_id usa una plantilla de la instancia (ver list_document_templates) y sus variables; sin plantilla, concatena título y cláusulas.',
     parametersSchema: {
       type: 'object',
       properties: {
-        title: { type: 'string', description: 'Título del documento' },
-        clauses: { type: 'array', items: { type: 'string' }, description: 'Cláusulas en texto plano' }
-      },
-      required: ['title']
+        title: { type: 'string', description: 'Título del documento (sin plantilla)' },
+        clauses: { type: 'array', items: { type: 'string' }, description: 'Cláusulas en texto plano (sin plantilla)' },
+        template_id: { type: 'string', description: 'Id de la plantilla' },
+        instance_id: { type: 'string', description: 'Instancia dueña de la plantilla (por defecto general)' },
+        values: { type: 'object', description: 'Valores de las variables de la plantilla' }
+      }
     },
-    handler: async ({ title, clauses = [] }) => {
+    handler: async ({ title, clauses = [], template_id = null, instance_id = 'general', values = {} }) => {
+      if (template_id) {
+        const template = getTemplate(instance_id, template_id);
+        if (!template) return { template_id, error: 'template_not_found' };
+        try {
+          const rendered = renderTemplate(template, values);
+          return { template_id, title: rendered.title, markdown: rendered.markdown, length: rendered.markdown.length };
+        } catch (err) {
+          return { template_id, error: err.code || 'template_error', message: err.message, errors: err.details || [] };
+        }
+      }
+      if (!title) return { error: 'title_required' };
       const doc = [`# ${title}`, ...clauses.map((c,i)=>`Cláusula ${i+1}:\n${c}`)].join('\n\n');
       return { title, preview: doc.slice(0, 2000), length: doc.length };
     }
   },
+  {
+    name: 'list_document_templates',
+    description: 'Lista las plantillas de documentos disponibles para una instancia con el esquema de sus variables.',
+    parametersSchema: {
+      type: 'object',
+      properties: {
+        instance_id: { type: 'string', description: 'Instancia (por defecto general)' }
+      }
+    },
+    handler: async ({ instance_id = 'general' }) => {
+      return { instance_id, templates: listTemplates(instance_id) };
+    }
+  },
   {
     name: 'analyze_contract',
-    description: 'Análisis estático de un contrato: detecta posibles riesgos y vacíos.',
+    description: 'Análisis de un contrato: segmenta las cláusulas, detecta el tipo (arrendamiento, prestación de servicios, compraventa, trabajo), revisa cláusulas obligatorias faltantes y riesgos, con offsets para resaltar cada hallazgo.',
     parametersSchema: {
       type: 'object',
       properties: {
         text: { type: 'string', description: 'Contenido completo del contrato' },
+        contract_type: { type: 'string', enum: ['arrendamiento', 'prestacion_servicios', 'compraventa', 'trabajo'], description: 'Tipo de contrato (por defecto se detecta)' },
         focus: { type: 'array', items: { type: 'string' }, description: 'Áreas de interés' }
       },
       required: ['text']
     },
-    handler: async ({ text, focus = [] }) => {
-      const issues = [];
-      if (!/jurisdicc/i.test(text)) issues.push('No se detecta cláusula de jurisdicción.');
-      if (!/confidencial/i.test(text)) issues.push('No se detecta cláusula de confidencialidad.');
-      if (/perpetu/i.test(text)) issues.push('Duraciones "perpetuas" podrían ser impugnables.');
-      if (focus.includes('responsabilidad') && !/responsabil/i.test(text)) issues.push('Falta cláusula de limitación de responsabilidad.');
-      return { issues, score: Math.max(0, 100 - issues.length * 15) };
+    handler: async ({ text, contract_type = null, focus = [] }) => {
+      return analyzeContract(text, { contractType: contract_type, focus });
     }
   },
   {
     name: 'lookup_norms',
-    description: 'Simula búsqueda de norma aplicable por palabra clave o referencia.',
+    description: 'Busca artículos aplicables en la base normativa chilena por palabras clave (texto del artículo, nombre de la norma o materias).',
     parametersSchema: {
       type: 'object',
       properties: {
-        query: { type: 'string', description: 'Búsqueda (ej: "protección de datos", "ley 19.628")' },
-        jurisdiction: { type: 'string', description: 'País o jurisdicción' }
+        query: { type: 'string', description: 'Búsqueda (ej: "protección de datos", "indemnización por años de servicio")' },
+        jurisdiction: { type: 'string', description: 'País o jurisdicción (solo CL disponible)' },
+        clave: { type: 'string', description: 'Restringir a una norma (ej: "CCCH", "L19628")' },
+        limit: { type: 'number', description: 'Máximo de resultados (por defecto 10)' }
       },
       required: ['query']
     },
-    handler: async ({ query, jurisdiction = 'CL' }) => {
-      const hits = [
-        { id: 'art-1', ref: 'Base normativa - Protección de datos', jurisdiction },
-        { id: 'art-2', ref: 'Deber de informar y consentimiento', jurisdiction }
-      ];
-      return { query, jurisdiction, hits, note: 'Resultados simulados; integrar fuente real en siguiente iteración.' };
+    handler: async ({ query, jurisdiction = 'CL', clave = null, limit = 10 }) => {
+      if (String(jurisdiction).toUpperCase() !== 'CL') {
+        return { query, jurisdiction, hits: [], note: 'La base normativa solo contiene legislación chilena (CL).' };
+      }
+      const search = searchNorms(query, { clave, limit });
+      if (!search.available) {
+        return { query, jurisdiction, hits: [], error: 'search_index_unavailable' };
+      }
+      const hits = search.resultados.map(r => ({
+        citation: r.cita,
+        norm: r.norma,
+        article: r.nombreparte,
+        version_date: r.fecha_version,
+        excerpt: r.fragmento,
+        score: r.puntaje
+      }));
+      return { query, jurisdiction, hits };
     }
-  }
+  },
+  {
+    name: 'lookup_article_references',
+    description: 'Obtiene los artículos que un artículo cita y los artículos que lo citan (grafo de referencias de la base normativa).',
+    parametersSchema: {
+      type: 'object',
+      properties: {
+        citation: { type: 'string', description: 'Cita del artículo en formato CLAVE.ArtN (ej: "CCCH.Art1545") o en lenguaje natural' },
+        limit: { type: 'number', description: 'Máximo de referencias por dirección (por defecto 20)' }
+      },
+      required: ['citation']
+    },
+    handler: async ({ citation, limit = 20 }) => {
+      const parsed = parseCitation(citation);
+      if (!parsed) {
+        return { citation, error: 'invalid_citation' };
+      }
+      const result = findArticle(parsed.clave, parsed.articulo);
+      if (!result || !result.found) {
+        return { citation, error: result && result.reason === 'ambiguous' ? 'ambiguous_citation' : 'article_not_found', candidates: result?.candidates };
+      }
+      const references = getArticleReferences(result.clave, parsed.articulo, { limit });
+      if (!references.available) {
+        return { citation, error: 'references_index_unavailable' };
+      }
+      return {
+        citation: references.cita,
+        references: references.referencias,
+        referenced_by: references.referido_por
+      };
+    }
+  },
+  {
+    name: 'calculate_deadline',
+    description: calculateDeadlineTool.description,
+    parametersSchema: calculateDeadlineTool.parameters,
+    handler: calculateDeadlineTool
+  },
+  {
+    name: 'calculate_severance',
+    description: calculateSeveranceTool.description,
+    parametersSchema: calculateSeveranceTool.parameters,
+    handler: calculateSeveranceTool
+  },
+  ...Object.entries(monetaryCalculators).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    parametersSchema: tool.parameters,
+    handler: tool.run
+  }))
 ];
 
 // Combinar acciones base con acciones RAG y documentos de usuario
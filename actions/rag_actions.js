@@ -1,7 +1,8 @@
 // actions/rag_actions.js - Acciones específicas para RAG y búsqueda inteligente
 
 const { intelligentKnowledgeSearch } = require('../engine/enhanced_knowledge_readers');
-const { addToMemoryStore } = require('../engine/vector_store_manager');
+const { semanticRemember } = require('../engine/memory');
+const { resolveInstanceConfig } = require('../instance_manager');
 
 module.exports = [
   {
@@ -92,6 +93,10 @@ module.exports = [
           description: 'Identificador del usuario (default: "anon")',
           default: 'anon'
         },
+        instance_id: {
+          type: 'string',
+          description: 'Instancia dueña de la memoria (por defecto la configuración del servidor)'
+        },
         importance: { 
           type: 'string', 
           description: 'Nivel de importancia: low, medium, high (default: medium)',
@@ -101,16 +106,17 @@ module.exports = [
       },
       required: ['content']
     },
-    handler: async ({ content, context = 'general', user = 'anon', importance = 'medium' }) => {
+    handler: async ({ content, context = 'general', user = 'anon', instance_id = null, importance = 'medium' }) => {
       try {
-        // Obtener memory store ID de la configuración
-        const config = require('../lexcode_instances/general/config.json');
-        const memoryStoreId = config.memory_store_id;
-
-        if (!memoryStoreId || memoryStoreId === 'vs_MEMORIA_BOT_CONFIGURABLE') {
+        // Índice vectorial local de memoria de largo plazo de la instancia (engine/memory_store.js)
+        const config = resolveInstanceConfig(instance_id);
+        if (!config) {
+          return { success: false, error: 'instance_not_found' };
+        }
+        if (!config.enable_longterm_memory) {
           return {
             success: false,
-            error: 'Memory store no configurado. Ejecutar setup_vector_stores.js primero.'
+            error: 'Memoria de largo plazo desactivada (enable_longterm_memory en config.json).'
           };
         }
 
@@ -118,16 +124,16 @@ module.exports = [
 
         const metadata = {
           context,
-          user,
           importance,
           timestamp: new Date().toISOString()
         };
 
-        const fileId = await addToMemoryStore(memoryStoreId, content, metadata);
+        const result = await semanticRemember({ cfg: config, userId: user, sessionId: null, text: content, metadata });
+        if (!result.ok) throw new Error(result.reason);
 
         return {
           success: true,
-          file_id: fileId,
+          memory_id: result.id,
           message: `Información guardada en memoria vectorial con contexto: ${context}`,
           metadata
         };
@@ -4,12 +4,13 @@ const path = require('path');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { nanoid } = require('nanoid');
+const { withFileLock, writeFileAtomic } = require('../engine/atomic_file');
 
 const DATA = path.join(__dirname, 'users.store.json');
 const JWT_SECRET = process.env.AUTH_JWT_SECRET || 'change_me';
 
 function readStore(){ try { return JSON.parse(fs.readFileSync(DATA,'utf8')); } catch { return { users: [] }; } }
-function writeStore(s){ fs.writeFileSync(DATA, JSON.stringify(s,null,2)); }
+function writeStore(s){ withFileLock(DATA, ()=> writeFileAtomic(DATA, JSON.stringify(s,null,2))); }
 
 function findUserByEmail(email){ const s=readStore(); return s.users.find(u=>u.email===email); }
 function findUserById(id){ const s=readStore(); return s.users.find(u=>u.id===id); }
@@ -32,14 +33,17 @@ function authRequired(req,res,next){
   }
 }
 
+// Leer, descontar y guardar bajo bloqueo: dos cobros simultáneos al mismo usuario no se pierden
 function charge(userId,cost=1){
-  const s=readStore(); const u=s.users.find(x=>x.id===userId);
-  if(!u) return false;
-  if((u.credits||0)<cost) return false;
-  u.credits-=cost;
-  u.last_credit_update = new Date().toISOString();
-  writeStore(s);
-  return true;
+  return withFileLock(DATA, ()=>{
+    const s=readStore(); const u=s.users.find(x=>x.id===userId);
+    if(!u) return false;
+    if((u.credits||0)<cost) return false;
+    u.credits-=cost;
+    u.last_credit_update = new Date().toISOString();
+    writeFileAtomic(DATA, JSON.stringify(s,null,2));
+    return true;
+  });
 }
 
 function getUser(userId){
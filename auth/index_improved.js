@@ -11,6 +11,7 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { nanoid } = require('nanoid');
 const { AppError } = require('../middleware/errorHandler');
+const { updateJsonFile } = require('../engine/atomic_file');
 
 const DATA = path.join(__dirname, 'users.store.json');
 const JWT_SECRET = process.env.AUTH_JWT_SECRET || 'change_me_in_production';
@@ -30,11 +31,17 @@ function readStore() {
 }
 
 /**
- * Escribe el almacén de usuarios
- * @param {Object} store - Objeto con array de usuarios
+ * Lee, modifica y guarda el almacén de usuarios bajo bloqueo y con escritura atómica
+ * (otros procesos y auth/index.js escriben el mismo archivo)
+ * @param {Function} mutate - (store) => resultado; modifica store en el lugar
+ * @returns {*} Resultado de mutate
  */
-function writeStore(store) {
-  fs.writeFileSync(DATA, JSON.stringify(store, null, 2));
+function updateStore(mutate) {
+  let result;
+  updateJsonFile(DATA, { users: [] }, store => {
+    result = mutate(store);
+  });
+  return result;
 }
 
 /**
@@ -95,9 +102,9 @@ async function createUser(email, username, password) {
   };
 
   // Guardar
-  const store = readStore();
-  store.users.push(user);
-  writeStore(store);
+  updateStore(store => {
+    store.users.push(user);
+  });
 
   return {
     id: user.id,
@@ -264,17 +271,16 @@ function getUser(userId) {
  * @returns {boolean} true si se descuentan correctamente
  */
 function charge(userId, cost = 1) {
-  const store = readStore();
-  const user = store.users.find(x => x.id === userId);
-
-  if (!user) return false;
-  if ((user.credits || 0) < cost) return false;
+  return updateStore(store => {
+    const user = store.users.find(x => x.id === userId);
 
-  user.credits -= cost;
-  user.last_credit_update = new Date().toISOString();
-  writeStore(store);
+    if (!user) return false;
+    if ((user.credits || 0) < cost) return false;
 
-  return true;
+    user.credits -= cost;
+    user.last_credit_update = new Date().toISOString();
+    return true;
+  });
 }
 
 /**
@@ -284,17 +290,16 @@ function charge(userId, cost = 1) {
  * @returns {boolean} true si se añaden correctamente
  */
 function addCredits(userId, amount) {
-  const store = readStore();
-  const user = store.users.find(x => x.id === userId);
+  return updateStore(store => {
+    const user = store.users.find(x => x.id === userId);
 
-  if (!user) return false;
+    if (!user) return false;
 
-  user.credits = (user.credits || 0) + amount;
-  user.credits_total_assigned = (user.credits_total_assigned || 0) + amount;
-  user.last_credit_update = new Date().toISOString();
-  writeStore(store);
-
-  return true;
+    user.credits = (user.credits || 0) + amount;
+    user.credits_total_assigned = (user.credits_total_assigned || 0) + amount;
+    user.last_credit_update = new Date().toISOString();
+    return true;
+  });
 }
 
 module.exports = {
@@ -13,7 +13,7 @@ function addChatHistoryEndpoint(app, authRequired) {
       const userId = req.userId;
       
       // Cargar el contexto/historial del chat
-      const context = loadContext(global.bot_config, userId, chatId);
+      const context = await loadContext(global.bot_config, userId, chatId);
       
       // Convertir el contexto a formato de mensajes para el frontend
       // Filtrar mensajes de inicialización (system-init) pero mantener anexos (system-annex)
@@ -1,226 +1,135 @@
 // chat_management.js
-const fs = require('fs');
-const path = require('path');
+// Chats y sus metadatos en el backend configurado (bot_config.storage: file | prisma, ver engine/conversation_store.js)
+const { getConversationStore } = require('./engine/conversation_store');
+const { deleteInterview } = require('./engine/drafting_interview');
+const { buildCarryOver } = require('./engine/conversation_summary');
+const { deleteMemory } = require('./engine/memory');
 
 /**
- * Obtiene la ruta del archivo de metadatos de chats de un usuario
+ * Crea un nuevo chat con nombre
  */
-function getChatMetadataPath(config, userId) {
-  const base = (config?.memory?.path)
-    ? path.join(process.cwd(), config.memory.path)
-    : path.join(process.cwd(), 'lexcode_instances', 'general', 'historial');
-  
-  const userDir = path.join(base, userId);
-  
-  // Asegurar que el directorio existe
-  if (!fs.existsSync(userDir)) {
-    fs.mkdirSync(userDir, { recursive: true });
+async function createUserChat(config, userId, chatId, chatName = '', instanceId = 'general', parentChatId = null) {
+  try {
+    return await getConversationStore(config).createChat(userId, chatId, { name: chatName, instanceId, parentChatId });
+  } catch (err) {
+    console.error(`Error creando chat ${chatId} para ${userId}:`, err.message);
+    return false;
   }
-  
-  return path.join(userDir, '_chat_metadata.json');
 }
 
 /**
- * Carga los metadatos de chats de un usuario
+ * Obtiene la lista de chats de un usuario (más reciente primero)
  */
-function loadChatMetadata(config, userId) {
+async function getUserChats(config, userId) {
   try {
-    const metadataPath = getChatMetadataPath(config, userId);
-    if (fs.existsSync(metadataPath)) {
-      const content = fs.readFileSync(metadataPath, 'utf-8');
-      return JSON.parse(content || '{}');
-    }
-    return {};
+    return await getConversationStore(config).listChats(userId);
   } catch (err) {
-    console.error(`Error cargando metadatos de chats para ${userId}:`, err.message);
-    return {};
+    console.error(`Error obteniendo chats para ${userId}:`, err.message);
+    return [];
   }
 }
 
 /**
- * Guarda los metadatos de chats de un usuario
+ * Elimina un chat específico de un usuario
  */
-function saveChatMetadata(config, userId, metadata) {
+async function deleteUserChat(config, userId, chatId) {
   try {
-    const metadataPath = getChatMetadataPath(config, userId);
-    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2), 'utf-8');
-    return true;
+    const deleted = await getConversationStore(config).deleteChat(userId, chatId);
+
+    // Eliminar la entrevista de redacción del chat, si existe (en Prisma se borra con el chat)
+    if (deleted) await deleteInterview(config, userId, chatId);
+    // y su resumen en la memoria de largo plazo (los recuerdos guardados explícitamente se conservan)
+    if (deleted && config && config.enable_longterm_memory) deleteMemory(config, userId, `summary:${userId}/${chatId}`);
+
+    return deleted;
   } catch (err) {
-    console.error(`Error guardando metadatos de chats para ${userId}:`, err.message);
+    console.error(`Error eliminando chat ${chatId} para ${userId}:`, err.message);
     return false;
   }
 }
 
 /**
- * Crea un nuevo chat con nombre
+ * Renombra un chat
  */
-function createUserChat(config, userId, chatId, chatName = '', instanceId = 'general') {
+async function renameUserChat(config, userId, chatId, newName) {
   try {
-    const metadata = loadChatMetadata(config, userId);
-    
-    metadata[chatId] = {
-      name: chatName,
-      instanceId: instanceId,
-      createdAt: new Date().toISOString(),
-      lastModified: new Date().toISOString()
-    };
-    
-    saveChatMetadata(config, userId, metadata);
-    
-    // Crear archivo de historial vacío
-    const base = (config?.memory?.path)
-      ? path.join(process.cwd(), config.memory.path)
-      : path.join(process.cwd(), 'lexcode_instances', 'general', 'historial');
-    
-    const userDir = path.join(base, userId);
-    if (!fs.existsSync(userDir)) {
-      fs.mkdirSync(userDir, { recursive: true });
-    }
-    
-    const filePath = path.join(userDir, `${chatId}.json`);
-    if (!fs.existsSync(filePath)) {
-      fs.writeFileSync(filePath, '[]', 'utf-8');
-    }
-    
-    return true;
+    return await getConversationStore(config).renameChat(userId, chatId, newName);
   } catch (err) {
-    console.error(`Error creando chat ${chatId} para ${userId}:`, err.message);
+    console.error(`Error renombrando chat ${chatId} para ${userId}:`, err.message);
     return false;
   }
 }
 
 /**
- * Obtiene la lista de chats de un usuario
+ * Obtiene los ajustes de un chat (ej: normative_as_of)
  */
-function getUserChats(config, userId) {
-  try {
-    const base = (config?.memory?.path)
-      ? path.join(process.cwd(), config.memory.path)
-      : path.join(process.cwd(), 'lexcode_instances', 'general', 'historial');
-    
-    const userDir = path.join(base, userId);
-    
-    if (!fs.existsSync(userDir)) {
-      return [];
-    }
-    
-    // Cargar metadatos
-    const metadata = loadChatMetadata(config, userId);
-    
-    const files = fs.readdirSync(userDir);
-    const chats = [];
-    
-    for (const file of files) {
-      // Ignorar el archivo de metadatos y archivos _turns
-      if (file === '_chat_metadata.json') continue;
-      if (file.includes('_turns')) continue;
-      
-      if (file.endsWith('.json')) {
-        const chatId = file.replace('.json', '');
-        const filePath = path.join(userDir, file);
-        
-        try {
-          const stats = fs.statSync(filePath);
-          const content = fs.readFileSync(filePath, 'utf-8');
-          let messages = JSON.parse(content || '[]');
-          
-          // Asegurar que messages sea un array
-          if (!Array.isArray(messages)) {
-            messages = [];
-          }
-          
-          // Obtener el primer mensaje del usuario como preview
-          const firstUserMessage = messages.find(m => m.role === 'user');
-          const preview = firstUserMessage ? 
-            firstUserMessage.content.substring(0, 100) + (firstUserMessage.content.length > 100 ? '...' : '') :
-            'Chat vacío';
-          
-          // Obtener nombre desde metadatos
-          const chatMeta = metadata[chatId] || {};
-          
-          chats.push({
-            chatId,
-            name: chatMeta.name || '',
-            instanceId: chatMeta.instanceId || 'general',
-            preview,
-            messageCount: messages.length,
-            lastModified: stats.mtime,
-            created: chatMeta.createdAt || stats.birthtime || stats.mtime
-          });
-        } catch (err) {
-          console.error(`Error leyendo chat ${chatId}:`, err.message);
-        }
-      }
-    }
-    
-    // Ordenar por última modificación (más reciente primero)
-    chats.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
-    
-    return chats;
-  } catch (err) {
-    console.error(`Error obteniendo chats para ${userId}:`, err.message);
-    return [];
-  }
+async function getChatSettings(config, userId, chatId) {
+  return getConversationStore(config).getChatSettings(userId, chatId);
 }
 
 /**
- * Elimina un chat específico de un usuario
+ * Actualiza los ajustes de un chat (merge superficial; null elimina la clave)
  */
-function deleteUserChat(config, userId, chatId) {
+async function updateChatSettings(config, userId, chatId, settings = {}) {
   try {
-    const base = (config?.memory?.path)
-      ? path.join(process.cwd(), config.memory.path)
-      : path.join(process.cwd(), 'lexcode_instances', 'general', 'historial');
-    
-    const filePath = path.join(base, userId, `${chatId}.json`);
-    
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      
-      // Eliminar de metadatos
-      const metadata = loadChatMetadata(config, userId);
-      delete metadata[chatId];
-      saveChatMetadata(config, userId, metadata);
-      
-      return true;
-    }
-    
-    return false;
+    return await getConversationStore(config).updateChatSettings(userId, chatId, settings);
   } catch (err) {
-    console.error(`Error eliminando chat ${chatId} para ${userId}:`, err.message);
-    return false;
+    console.error(`Error actualizando ajustes del chat ${chatId} para ${userId}:`, err.message);
+    return null;
   }
 }
 
 /**
- * Renombra un chat
+ * Continúa un chat en uno nuevo: el chat nuevo parte con el resumen del anterior
+ * (resumen, hechos clave, artículos citados y adjuntos), sus ajustes y parentChatId en los metadatos
+ * @returns {Promise<Object>} { chatId, parentChatId, name, carryOver }
+ * @throws {Error} error.code = 'chat_not_found' | 'chat_exists' | 'chat_empty' | 'carry_over_failed' | 'create_chat_failed'
  */
-function renameUserChat(config, userId, chatId, newName) {
-  try {
-    const metadata = loadChatMetadata(config, userId);
-    
-    if (!metadata[chatId]) {
-      metadata[chatId] = {
-        createdAt: new Date().toISOString()
-      };
-    }
-    
-    metadata[chatId].name = newName;
-    metadata[chatId].lastModified = new Date().toISOString();
-    
-    saveChatMetadata(config, userId, metadata);
-    return true;
-  } catch (err) {
-    console.error(`Error renombrando chat ${chatId} para ${userId}:`, err.message);
-    return false;
+async function continueUserChat(config, userId, chatId, { newChatId, name = '' } = {}) {
+  const store = getConversationStore(config);
+  const chats = await store.listChats(userId);
+  const parent = chats.find(chat => chat.chatId === chatId);
+  if (!parent) {
+    const error = new Error(`Chat ${chatId} no encontrado`);
+    error.code = 'chat_not_found';
+    throw error;
+  }
+  // createChat reutiliza un chat existente: el resumen traído pisaría su historial y su resumen
+  if (chats.some(chat => chat.chatId === newChatId)) {
+    const error = new Error(`Ya existe un chat ${newChatId}`);
+    error.code = 'chat_exists';
+    throw error;
   }
+
+  const carryOver = await buildCarryOver(config, { userId, chatId, parentName: parent.name });
+  const chatName = name || `${parent.name || parent.preview} (continuación)`;
+
+  if (!await createUserChat(config, userId, newChatId, chatName, parent.instanceId, chatId)) {
+    const error = new Error(`No se pudo crear el chat ${newChatId}`);
+    error.code = 'create_chat_failed';
+    throw error;
+  }
+
+  // El resumen traído es el resumen inicial del chat nuevo (ver conversation_summary.js)
+  await store.saveChatSummary(userId, newChatId, {
+    text: carryOver.text,
+    turns: 0,
+    updated_at: new Date().toISOString(),
+    carried_from: chatId
+  });
+
+  const settings = await store.getChatSettings(userId, chatId);
+  if (Object.keys(settings).length > 0) await store.updateChatSettings(userId, newChatId, settings);
+
+  return { chatId: newChatId, parentChatId: chatId, name: chatName, carryOver };
 }
 
 module.exports = {
   getUserChats,
   createUserChat,
+  continueUserChat,
   deleteUserChat,
   renameUserChat,
-  loadChatMetadata,
-  saveChatMetadata
+  getChatSettings,
+  updateChatSettings
 };
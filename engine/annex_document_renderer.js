@@ -0,0 +1,167 @@
+/**
+ * Renderizado del Anexo Normativo para documentos Word y PDF
+ * Incluye el diff entre la versión aplicada y la versión actual de cada artículo:
+ * texto eliminado en rojo tachado y texto insertado en verde subrayado
+ */
+
+const { Paragraph, TextRun, HeadingLevel } = require('docx');
+
+const COLOR_ELIMINADO = 'C00000';
+const COLOR_INSERTADO = '007A33';
+
+/**
+ * Valida y normaliza el anexo recibido en el body (array de items de anexoUsuario)
+ */
+function normalizeAnnex(annex) {
+  if (!Array.isArray(annex)) return [];
+  return annex.filter(item => item && typeof item === 'object' && (item.clave || item.norma));
+}
+
+/**
+ * Línea descriptiva de la versión aplicada de un artículo
+ */
+function describeVersion(item) {
+  if (!item.as_of) {
+    return item.fecha_version ? `Versión: ${item.fecha_version}` : null;
+  }
+  let text = `Versión vigente al ${item.as_of}: ${item.fecha_version || 'sin fecha'}`;
+  if (item.es_version_actual === false && item.fecha_version_actual) {
+    text += ` (versión actual: ${item.fecha_version_actual})`;
+  }
+  return text;
+}
+
+/**
+ * Resumen del diff en una línea
+ */
+function describeDiff(diff) {
+  const resumen = diff.resumen || {};
+  return `Cambios de ${diff.desde || 'versión aplicada'} a ${diff.hasta || 'versión actual'}: ` +
+    `${resumen.palabras_eliminadas || 0} palabras eliminadas, ${resumen.palabras_insertadas || 0} palabras insertadas`;
+}
+
+/**
+ * Convierte el Anexo Normativo a párrafos de Word
+ */
+function annexToWordParagraphs(annex) {
+  const items = normalizeAnnex(annex);
+  if (items.length === 0) return [];
+
+  const paragraphs = [
+    new Paragraph({
+      children: [new TextRun({ text: 'Anexo Normativo', bold: true, size: 32 })],
+      heading: HeadingLevel.HEADING_2,
+      spacing: { before: 400, after: 200 }
+    })
+  ];
+
+  for (const item of items) {
+    paragraphs.push(new Paragraph({
+      children: [new TextRun({ text: `${item.norma || 'Norma'} - ${item.articulo || item.clave}`, bold: true, size: 26 })],
+      heading: HeadingLevel.HEADING_3,
+      spacing: { before: 250, after: 100 }
+    }));
+
+    const version = describeVersion(item);
+    if (version) {
+      paragraphs.push(new Paragraph({
+        children: [new TextRun({ text: version, italics: true, size: 22 })]
+      }));
+    }
+    if (item.url) {
+      paragraphs.push(new Paragraph({
+        children: [new TextRun({ text: item.url, size: 20, color: '1F4E79' })]
+      }));
+    }
+
+    const texto = item.texto_completo || item.texto;
+    if (texto) {
+      paragraphs.push(new Paragraph({
+        children: [new TextRun({ text: texto, size: 24 })],
+        spacing: { before: 100, after: 100 }
+      }));
+    }
+
+    if (item.diff && Array.isArray(item.diff.cambios)) {
+      paragraphs.push(new Paragraph({
+        children: [new TextRun({ text: describeDiff(item.diff), bold: true, size: 22 })],
+        spacing: { before: 100, after: 50 }
+      }));
+      paragraphs.push(new Paragraph({
+        children: item.diff.cambios.map(change => {
+          if (change.tipo === 'eliminado') {
+            return new TextRun({ text: change.texto, strike: true, color: COLOR_ELIMINADO, size: 24 });
+          }
+          if (change.tipo === 'insertado') {
+            return new TextRun({ text: change.texto, underline: {}, color: COLOR_INSERTADO, size: 24 });
+          }
+          return new TextRun({ text: change.texto, size: 24 });
+        }),
+        spacing: { before: 50, after: 100 }
+      }));
+    }
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Renderiza el Anexo Normativo en un documento PDF
+ */
+function renderAnnexToPdf(doc, annex) {
+  const items = normalizeAnnex(annex);
+  if (items.length === 0) return;
+
+  doc.moveDown(1);
+  doc.fontSize(16).font('Helvetica-Bold').fillColor('black').text('Anexo Normativo');
+  doc.moveDown(0.3);
+
+  for (const item of items) {
+    doc.moveDown(0.4);
+    doc.fontSize(13).font('Helvetica-Bold').fillColor('black')
+       .text(`${item.norma || 'Norma'} - ${item.articulo || item.clave}`);
+
+    const version = describeVersion(item);
+    if (version) {
+      doc.fontSize(10).font('Helvetica-Oblique').text(version);
+    }
+    if (item.url) {
+      doc.fontSize(9).font('Helvetica').fillColor('#1F4E79').text(item.url, { link: item.url });
+      doc.fillColor('black');
+    }
+
+    const texto = item.texto_completo || item.texto;
+    if (texto) {
+      doc.moveDown(0.2);
+      doc.fontSize(12).font('Helvetica').text(texto);
+    }
+
+    if (item.diff && Array.isArray(item.diff.cambios) && item.diff.cambios.length > 0) {
+      doc.moveDown(0.3);
+      doc.fontSize(10).font('Helvetica-Bold').text(describeDiff(item.diff));
+      doc.moveDown(0.1);
+      doc.fontSize(12).font('Helvetica');
+
+      const cambios = item.diff.cambios;
+      cambios.forEach((change, index) => {
+        const options = { continued: index < cambios.length - 1, strike: false, underline: false };
+        if (change.tipo === 'eliminado') {
+          doc.fillColor(`#${COLOR_ELIMINADO}`);
+          options.strike = true;
+        } else if (change.tipo === 'insertado') {
+          doc.fillColor(`#${COLOR_INSERTADO}`);
+          options.underline = true;
+        } else {
+          doc.fillColor('black');
+        }
+        doc.text(change.texto, options);
+      });
+      doc.fillColor('black');
+    }
+  }
+}
+
+module.exports = {
+  annexToWordParagraphs,
+  renderAnnexToPdf
+};
@@ -0,0 +1,121 @@
+// engine/answer_pipeline.test.js — Prueba de answer() completo con el proveedor fake (sin red)
+// Ejecutar con: node engine/answer_pipeline.test.js
+//
+// LLM_PROVIDER=fake reemplaza al modelo; el historial y los contadores se guardan en un directorio temporal.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'answer-pipeline-test-'));
+process.env.LLM_PROVIDER = 'fake';
+process.chdir(dir);
+
+const config = {
+  api_mode: 'chat',
+  modelo: 'gpt-4.1',
+  llm_provider: {
+    type: 'fake',
+    responses: [{ match: 'arrendamiento', content: 'El arrendamiento es un contrato en que las dos partes se obligan recíprocamente.' }]
+  },
+  memory: { path: 'historial', max_history: 20 }
+};
+global.bot_config = config;
+
+const gateway = require('./llm_gateway');
+const { getConversationStore } = require('./conversation_store');
+const { answer } = require('./index');
+const { userDocumentsManager } = require('./user_documents_manager');
+
+// Contadores y transacciones del backend de archivos también en el directorio temporal
+Object.assign(getConversationStore(config), {
+  countersDir: path.join(dir, 'users'),
+  usersPath: path.join(dir, 'users.store.json'),
+  transactionsPath: path.join(dir, 'transactions.store.json')
+});
+
+const instance = { bot_config: config, system_prompt: 'Eres un asistente jurídico de prueba.' };
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (!value) {
+    throw new Error(message || 'Se esperaba true');
+  }
+}
+
+(async () => {
+  try {
+    const provider = gateway.getProvider(config);
+
+    await test('answer: responde con el proveedor fake e informa el consumo', async () => {
+      const result = await answer('¿Qué es el arrendamiento?', 'tester', [], 'chat1', instance);
+      assertEqual(result.mode, 'chat');
+      assertTrue(result.answer.startsWith('El arrendamiento es un contrato'), result.answer);
+      assertTrue(result.usage && result.usage.total_tokens > 0, 'Uso de tokens');
+      assertEqual(provider.calls.filter(c => c.method === 'chat').length, 1, 'Llamadas al modelo');
+    });
+
+    await test('answer: guarda el turno y el contador del chat en el store', async () => {
+      const store = getConversationStore(config);
+      const mem = await store.loadContext('tester', 'chat1');
+      assertEqual(mem.filter(m => m.role === 'user').map(m => m.content), ['¿Qué es el arrendamiento?']);
+      assertEqual(await store.getInteractionCount('tester', 'chat1'), 1);
+    });
+
+    await test('answer: el turno siguiente envía el historial al modelo', async () => {
+      const result = await answer('¿Y quién paga las reparaciones?', 'tester', [], 'chat1', instance);
+      assertTrue(result.answer.includes('reparaciones'), result.answer);
+      const last = provider.calls.filter(c => c.method === 'chat').pop();
+      assertTrue(last.messages.some(m => m.role === 'user' && m.content === '¿Qué es el arrendamiento?'), 'Historial en los mensajes');
+      assertEqual(result.interactionStatus.current, 2);
+    });
+
+    await test('user_documents_manager: sin proveedor OpenAI los vector stores fallan con un error claro', async () => {
+      try {
+        await userDocumentsManager.createPersistentStore('tester');
+      } catch (e) {
+        assertTrue(/proveedor OpenAI/.test(e.message), e.message);
+        return;
+      }
+      throw new Error('Se esperaba un error');
+    });
+  } finally {
+    process.chdir(os.tmpdir());
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // ============ Resumen ============
+  console.log('\n' + '='.repeat(50));
+  console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+  console.log(`${RED}Fallidas: ${failed}${RESET}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
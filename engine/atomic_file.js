@@ -0,0 +1,213 @@
+/**
+ * ATOMIC FILE - LEGITIMUS PRO
+ * ===========================
+ *
+ * Escrituras atómicas y bloqueo por archivo para los almacenes JSON
+ * (historial de chats, contadores, usuarios y transacciones).
+ *
+ *   - writeFileAtomic: escribe en un temporal del mismo directorio y lo renombra; un lector
+ *     nunca ve un archivo a medio escribir y una caída no deja el JSON truncado
+ *   - withFileLock: sección crítica sobre <archivo>.lock (creado con 'wx'), válida entre procesos
+ *   - updateJsonFile: leer → modificar → escribir dentro del bloqueo (sin actualizaciones perdidas)
+ *
+ * Todo es síncrono a propósito: dentro de un proceso la sección crítica no puede intercalarse
+ * con otra petición, y el archivo .lock ordena a los demás procesos (PM2, scripts de administración).
+ * Las secciones críticas duran milisegundos, así que la espera sólo bloquea el event loop mientras
+ * otro proceso escribe. Un .lock de un proceso que ya no existe se descarta de inmediato, por lo que
+ * un proceso caído nunca hace fallar a los demás por timeout; mientras el proceso dueño siga vivo el
+ * bloqueo se respeta aunque sea antiguo. Sólo un .lock sin PID legible (proceso caído al crearlo) se
+ * descarta por antigüedad (STALE_LOCK_MS). Para descartarlo se renombra a un nombre único y se
+ * comprueba que sigue siendo el mismo archivo: si varios procesos lo ven abandonado a la vez, sólo
+ * uno lo elimina y ninguno borra el bloqueo nuevo que otro tomó entre medio.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCK_TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 3000;
+const RETRY_MIN_MS = 2;
+const RETRY_MAX_MS = 50;
+
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+    Atomics.wait(sleepCell, 0, 0, ms);
+}
+
+function lockError(file) {
+    const error = new Error(`No se pudo bloquear ${file} en ${LOCK_TIMEOUT_MS}ms`);
+    error.code = 'lock_timeout';
+    return error;
+}
+
+/**
+ * Escribe un archivo de forma atómica (temporal + rename)
+ * @param {string} file - Ruta destino
+ * @param {string|Buffer} data - Contenido
+ */
+function writeFileAtomic(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, typeof data === 'string' ? data : Buffer.from(data));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, file);
+    } catch (error) {
+        try { fs.unlinkSync(tmp); } catch (_) { /* el temporal ya no existe */ }
+        throw error;
+    }
+}
+
+/**
+ * El proceso dueño de un .lock sigue vivo (los bloqueos son locales a la máquina)
+ */
+function isProcessAlive(pid) {
+    if (!Number.isInteger(pid) || pid <= 0) return true;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Contenido e inodo del .lock leídos del mismo descriptor (null si ya no existe)
+ */
+function readLock(lockPath) {
+    let fd;
+    try {
+        fd = fs.openSync(lockPath, 'r');
+        const { ino, mtimeMs } = fs.fstatSync(fd);
+        return { ino, mtimeMs, content: fs.readFileSync(fd, 'utf-8') };
+    } catch (_) {
+        return null;
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+}
+
+/**
+ * Un .lock está abandonado si su proceso ya no existe; sin PID legible, por antigüedad
+ */
+function isStaleLock(lock) {
+    const owner = parseInt(lock.content, 10);
+    if (Number.isInteger(owner) && owner > 0) return !isProcessAlive(owner);
+    return Date.now() - lock.mtimeMs > STALE_LOCK_MS;
+}
+
+/**
+ * Descarta un bloqueo abandonado: lo renombra a un nombre único y sólo lo elimina si es
+ * el mismo que se juzgó abandonado; si entre medio otro proceso tomó un bloqueo nuevo, lo devuelve
+ */
+function discardStaleLock(lockPath) {
+    const lock = readLock(lockPath);
+    if (!lock || !isStaleLock(lock)) return;
+
+    const moved = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+    try {
+        fs.renameSync(lockPath, moved);
+    } catch (_) {
+        return; // otro proceso ya lo descartó
+    }
+
+    const current = readLock(moved);
+    if (current && (current.ino !== lock.ino || current.content !== lock.content)) {
+        try { fs.linkSync(moved, lockPath); } catch (_) { /* ya hay otro bloqueo en su lugar */ }
+    } else {
+        console.warn(`[AtomicFile] ⚠ Descartando bloqueo abandonado: ${lockPath}`);
+    }
+    try { fs.unlinkSync(moved); } catch (_) { /* ya no existe */ }
+}
+
+function tryAcquire(lockPath, token) {
+    try {
+        const fd = fs.openSync(lockPath, 'wx');
+        fs.writeSync(fd, token);
+        fs.closeSync(fd);
+        return true;
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+
+    discardStaleLock(lockPath);
+    return false;
+}
+
+/**
+ * Elimina el .lock sólo si sigue siendo el propio (token escrito al tomarlo)
+ */
+function releaseLock(lockPath, token) {
+    const lock = readLock(lockPath);
+    if (lock && lock.content === token) {
+        try { fs.unlinkSync(lockPath); } catch (_) { /* ya no existe */ }
+    }
+}
+
+/**
+ * Ejecuta fn con el archivo bloqueado (entre procesos)
+ * @param {string} file - Archivo protegido (el bloqueo es <file>.lock)
+ * @param {Function} fn - Sección crítica síncrona
+ * @returns {*} Resultado de fn
+ * @throws {Error} error.code = 'lock_timeout' si no se obtiene el bloqueo (p. ej. su dueño sigue vivo pero colgado)
+ */
+function withFileLock(file, fn) {
+    const lockPath = `${file}.lock`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const token = `${process.pid} ${new Date().toISOString()} ${crypto.randomBytes(4).toString('hex')}`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    let wait = RETRY_MIN_MS;
+    while (!tryAcquire(lockPath, token)) {
+        if (Date.now() > deadline) throw lockError(file);
+        sleepSync(wait + Math.floor(Math.random() * wait));
+        wait = Math.min(wait * 2, RETRY_MAX_MS);
+    }
+
+    try {
+        return fn();
+    } finally {
+        releaseLock(lockPath, token);
+    }
+}
+
+/**
+ * Lee un JSON (fallback si no existe o está vacío)
+ */
+function readJsonFile(file, fallback) {
+    if (!fs.existsSync(file)) return fallback;
+    const raw = fs.readFileSync(file, 'utf-8');
+    return raw.trim() ? JSON.parse(raw) : fallback;
+}
+
+/**
+ * Lee, modifica y reescribe un JSON dentro del bloqueo
+ * @param {string} file - Archivo JSON
+ * @param {*} fallback - Valor inicial si el archivo no existe
+ * @param {Function} mutate - (data) => nuevo valor; si devuelve undefined se guarda data (modificado en el lugar)
+ * @param {Object} options - { space } indentación de JSON.stringify (por defecto 2)
+ * @returns {*} Valor guardado
+ */
+function updateJsonFile(file, fallback, mutate, { space = 2 } = {}) {
+    return withFileLock(file, () => {
+        const current = readJsonFile(file, fallback);
+        const result = mutate(current);
+        const next = result === undefined ? current : result;
+        writeFileAtomic(file, JSON.stringify(next, null, space));
+        return next;
+    });
+}
+
+module.exports = {
+    writeFileAtomic,
+    withFileLock,
+    readJsonFile,
+    updateJsonFile
+};
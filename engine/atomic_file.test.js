@@ -0,0 +1,255 @@
+// engine/atomic_file.test.js — Prueba de estrés de escrituras atómicas y bloqueo por archivo
+// Ejecutar con: node engine/atomic_file.test.js
+//
+// Varios procesos (como instancias PM2) y muchas escrituras concurrentes dentro de un proceso
+// actualizan los mismos archivos: ningún incremento, turno ni transacción debe perderse,
+// tampoco cuando varios procesos encuentran a la vez el .lock de un proceso caído.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork, spawn, spawnSync } = require('child_process');
+
+const { writeFileAtomic, withFileLock, readJsonFile, updateJsonFile } = require('./atomic_file');
+const { FileConversationStore } = require('./conversation_store');
+
+const WORKERS = 4;
+const ITERATIONS = 100;
+
+// ============ Proceso hijo ============
+// node engine/atomic_file.test.js --worker <tipo> <dir> <id>
+if (process.argv[2] === '--worker') {
+  const [, , , kind, dir, workerId] = process.argv;
+
+  (async () => {
+    if (kind === 'counter') {
+      for (let i = 0; i < ITERATIONS; i++) {
+        updateJsonFile(path.join(dir, 'counter.json'), { count: 0 }, data => ({ count: data.count + 1 }));
+      }
+    } else if (kind === 'stale') {
+      // Vuelta por medio simula un proceso caído que dejó su .lock (sólo si el archivo está libre)
+      const file = path.join(dir, 'stale-counter.json');
+      const { pid: deadPid } = spawnSync(process.execPath, ['-e', '']);
+      for (let i = 0; i < ITERATIONS; i++) {
+        if (i % 2 === 0) {
+          try { fs.writeFileSync(`${file}.lock`, `${deadPid} ${new Date().toISOString()}`, { flag: 'wx' }); } catch (_) { /* ocupado */ }
+        }
+        updateJsonFile(file, { count: 0 }, data => ({ count: data.count + 1 }));
+      }
+    } else if (kind === 'wait') {
+      // Informa cuánto tardó en obtener un bloqueo ajeno
+      const start = Date.now();
+      withFileLock(path.join(dir, 'live.json'), () => {});
+      await new Promise(resolve => process.send({ elapsed: Date.now() - start }, resolve));
+    } else if (kind === 'store') {
+      const store = new FileConversationStore({
+        baseDir: path.join(dir, 'historial'),
+        maxHistory: 10000,
+        transactionsPath: path.join(dir, 'transactions.store.json')
+      });
+      for (let i = 0; i < ITERATIONS; i++) {
+        await store.appendTurn('user', 'chat', { question: `w${workerId}-q${i}`, answer: `w${workerId}-a${i}` });
+        await store.recordTransaction({ transaction_id: `w${workerId}-t${i}`, user_id: 'user', amount: -1 });
+      }
+    }
+  })().then(() => process.exit(0), error => {
+    console.error(error);
+    process.exit(1);
+  });
+  return;
+}
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (!value) {
+    throw new Error(message || 'Se esperaba true');
+  }
+}
+
+function runWorkers(kind, dir) {
+  const workers = [];
+  for (let i = 0; i < WORKERS; i++) {
+    workers.push(new Promise((resolve, reject) => {
+      const child = fork(__filename, ['--worker', kind, dir, String(i)], { stdio: 'inherit' });
+      child.on('error', reject);
+      child.on('exit', code => code === 0 ? resolve() : reject(new Error(`Proceso ${i} terminó con código ${code}`)));
+    }));
+  }
+  return Promise.all(workers);
+}
+
+// Archivos temporales o bloqueos que quedaron en el directorio (recursivo)
+function leftovers(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return leftovers(full);
+    return /\.(tmp|lock|stale)$/.test(entry.name) ? [full] : [];
+  });
+}
+
+(async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-file-test-'));
+
+  try {
+    // ============ writeFileAtomic / readJsonFile ============
+
+    await test('writeFileAtomic: escribe y reemplaza el contenido sin dejar temporales', () => {
+      const file = path.join(dir, 'nested', 'data.json');
+      writeFileAtomic(file, JSON.stringify({ a: 1 }));
+      writeFileAtomic(file, JSON.stringify({ a: 2 }));
+      assertEqual(readJsonFile(file, null), { a: 2 });
+      assertEqual(leftovers(path.join(dir, 'nested')), []);
+    });
+
+    await test('readJsonFile: devuelve el fallback si el archivo no existe o está vacío', () => {
+      assertEqual(readJsonFile(path.join(dir, 'missing.json'), []), []);
+      fs.writeFileSync(path.join(dir, 'empty.json'), '');
+      assertEqual(readJsonFile(path.join(dir, 'empty.json'), { x: 1 }), { x: 1 });
+    });
+
+    // ============ withFileLock ============
+
+    await test('withFileLock: libera el bloqueo aunque la sección crítica falle', () => {
+      const file = path.join(dir, 'failing.json');
+      try {
+        withFileLock(file, () => { throw new Error('fallo'); });
+      } catch (_) { /* esperado */ }
+      assertTrue(!fs.existsSync(`${file}.lock`), 'El .lock debería haberse eliminado');
+    });
+
+    await test('withFileLock: descarta un bloqueo abandonado por un proceso caído', () => {
+      const file = path.join(dir, 'stale.json');
+      fs.writeFileSync(`${file}.lock`, '99999');
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(`${file}.lock`, old, old);
+      assertEqual(withFileLock(file, () => 'ok'), 'ok');
+      assertTrue(!fs.existsSync(`${file}.lock`));
+    });
+
+    await test('withFileLock: descarta al instante el bloqueo de un proceso que ya no existe', () => {
+      const file = path.join(dir, 'dead.json');
+      const { pid } = spawnSync(process.execPath, ['-e', '']);
+      fs.writeFileSync(`${file}.lock`, `${pid} ${new Date().toISOString()}`);
+      const start = Date.now();
+      assertEqual(withFileLock(file, () => 'ok'), 'ok');
+      assertTrue(Date.now() - start < 1000, `Tardó ${Date.now() - start}ms`);
+    });
+
+    await test('withFileLock: un .lock sin PID legible se descarta por antigüedad', () => {
+      const file = path.join(dir, 'old.json');
+      fs.writeFileSync(`${file}.lock`, '');
+      const old = new Date(Date.now() - 4000);
+      fs.utimesSync(`${file}.lock`, old, old);
+      assertEqual(withFileLock(file, () => 'ok'), 'ok');
+    });
+
+    await test('withFileLock: el bloqueo antiguo de un proceso vivo se respeta hasta que termina', async () => {
+      const file = path.join(dir, 'live.json');
+      const owner = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)']);
+      const ownerExit = new Promise(resolve => owner.on('exit', resolve));
+      fs.writeFileSync(`${file}.lock`, `${owner.pid} ${new Date().toISOString()}`);
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(`${file}.lock`, old, old);
+
+      // Otro proceso espera el bloqueo; este proceso (libre para recoger al dueño) lo termina después
+      const waiter = fork(__filename, ['--worker', 'wait', dir, '0'], { stdio: 'inherit' });
+      const result = new Promise((resolve, reject) => {
+        waiter.on('message', resolve);
+        waiter.on('exit', code => reject(new Error(`El proceso que espera terminó con código ${code}`)));
+      });
+      setTimeout(() => owner.kill(), 700);
+      const { elapsed } = await result;
+      await ownerExit;
+      assertTrue(elapsed >= 500, `Se tomó el bloqueo de un proceso vivo a los ${elapsed}ms`);
+      assertTrue(!fs.existsSync(`${file}.lock`));
+    });
+
+    // ============ Estrés: varios procesos ============
+
+    await test(`updateJsonFile: ${WORKERS} procesos × ${ITERATIONS} incrementos sin actualizaciones perdidas`, async () => {
+      await runWorkers('counter', dir);
+      assertEqual(readJsonFile(path.join(dir, 'counter.json'), null), { count: WORKERS * ITERATIONS });
+    });
+
+    await test(`FileConversationStore: ${WORKERS} procesos guardan todos sus turnos y transacciones`, async () => {
+      await runWorkers('store', dir);
+      const store = new FileConversationStore({ baseDir: path.join(dir, 'historial'), transactionsPath: path.join(dir, 'transactions.store.json') });
+
+      const mem = await store.loadContext('user', 'chat');
+      assertEqual(mem.length, WORKERS * ITERATIONS * 2, 'Mensajes en el historial');
+      for (let i = 0; i < WORKERS; i++) {
+        const questions = mem.filter(m => m.role === 'user' && m.content.startsWith(`w${i}-`)).map(m => m.content);
+        // Cada proceso escribe en orden: sus preguntas deben aparecer completas y ordenadas
+        assertEqual(questions, Array.from({ length: ITERATIONS }, (_, j) => `w${i}-q${j}`), `Turnos del proceso ${i}`);
+      }
+
+      const transactions = await store.listTransactions('user');
+      assertEqual(new Set(transactions.map(t => t.transaction_id)).size, WORKERS * ITERATIONS, 'Transacciones');
+    });
+
+    await test(`withFileLock: ${WORKERS} procesos descartan bloqueos abandonados sin entrar juntos a la sección crítica`, async () => {
+      await runWorkers('stale', dir);
+      assertEqual(readJsonFile(path.join(dir, 'stale-counter.json'), null), { count: WORKERS * ITERATIONS });
+    });
+
+    // ============ Estrés: un proceso ============
+
+    await test('FileConversationStore: appendTurn concurrente en el mismo proceso', async () => {
+      const store = new FileConversationStore({ baseDir: path.join(dir, 'historial'), maxHistory: 10000 });
+      await Promise.all(Array.from({ length: 200 }, (_, i) =>
+        store.appendTurn('user', 'local', { question: `q${i}`, answer: `a${i}` })
+      ));
+      assertEqual((await store.loadContext('user', 'local')).length, 400);
+    });
+
+    await test('FileConversationStore: createChat y renameChat concurrentes no pierden metadatos', async () => {
+      const store = new FileConversationStore({ baseDir: path.join(dir, 'historial') });
+      await Promise.all(Array.from({ length: 50 }, (_, i) => store.createChat('meta', `chat${i}`, { name: `Chat ${i}` })));
+      await Promise.all(Array.from({ length: 50 }, (_, i) => store.renameChat('meta', `chat${i}`, `Renombrado ${i}`)));
+      const chats = await store.listChats('meta');
+      assertEqual(chats.length, 50);
+      assertTrue(chats.every(c => c.name.startsWith('Renombrado')), 'Todos los chats renombrados');
+    });
+
+    await test('No quedan archivos .tmp ni .lock', () => {
+      assertEqual(leftovers(dir), []);
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // ============ Resumen ============
+  console.log('\n' + '='.repeat(50));
+  console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+  console.log(`${RED}Fallidas: ${failed}${RESET}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -1,12 +1,12 @@
-const { default: OpenAI } = require("openai");
 const fs = require("fs");
 const path = require("path");
+const gateway = require("./llm_gateway");
 
-let client = null;
-
+// Vector stores y archivos son exclusivos de OpenAI: se usa el cliente del proveedor de la instancia activa
 function getClient() {
+  const client = gateway.getOpenAIClient(global.bot_config);
   if (!client) {
-    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    throw new Error("Los documentos del chat requieren un proveedor OpenAI (vector stores)");
   }
   return client;
 }
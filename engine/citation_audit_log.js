@@ -0,0 +1,141 @@
+/**
+ * CITATION AUDIT LOG - LEGITIMUS PRO
+ * ===================================
+ *
+ * Registro histórico de la auditoría de citas normativas por instancia.
+ * Cada respuesta agrega una línea JSON a lexcode_instances/<instanceId>/citation_audit.jsonl
+ * para que los administradores sigan la tasa de citas no resueltas o alucinadas en el tiempo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INSTANCES_DIR = path.join(process.cwd(), 'lexcode_instances');
+const AUDIT_FILENAME = 'citation_audit.jsonl';
+const DEFAULT_INSTANCE = 'general';
+
+function getAuditPath(instanceId = DEFAULT_INSTANCE) {
+    const safeId = String(instanceId || DEFAULT_INSTANCE).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(INSTANCES_DIR, safeId, AUDIT_FILENAME);
+}
+
+/**
+ * Registra la auditoría de citas de una respuesta
+ * @param {Object} params - { instanceId, userId, chatId, audit }
+ */
+function recordCitationAudit({ instanceId = DEFAULT_INSTANCE, userId = 'anon', chatId = 'default', audit }) {
+    if (!audit || !audit.counts || audit.counts.total === 0) return;
+
+    try {
+        const auditPath = getAuditPath(instanceId);
+        fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            userId,
+            chatId,
+            as_of: audit.as_of || null,
+            counts: audit.counts,
+            unresolved: audit.citations.unresolved.map(c => c.cita),
+            unknown_clave: audit.citations.unknown_clave.map(c => c.cita),
+            ambiguous: audit.citations.ambiguous.map(c => c.cita)
+        };
+        fs.appendFileSync(auditPath, JSON.stringify(entry) + '\n', 'utf-8');
+    } catch (error) {
+        console.error('[CitationAudit] Error registrando auditoría:', error.message);
+    }
+}
+
+/**
+ * Lee las entradas de auditoría de una instancia, filtrando por rango de fechas
+ */
+function readAuditEntries(instanceId, { from = null, to = null } = {}) {
+    const auditPath = getAuditPath(instanceId);
+    if (!fs.existsSync(auditPath)) return [];
+
+    const entries = [];
+    const lines = fs.readFileSync(auditPath, 'utf-8').split('\n');
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            const day = (entry.timestamp || '').slice(0, 10);
+            if (from && day < from) continue;
+            if (to && day > to) continue;
+            entries.push(entry);
+        } catch {
+            // Línea corrupta: ignorar
+        }
+    }
+    return entries;
+}
+
+function emptyCounts() {
+    return { answers: 0, total: 0, resolved: 0, unresolved: 0, unknown_clave: 0, ambiguous: 0 };
+}
+
+function addRates(counts) {
+    return {
+        ...counts,
+        resolution_rate: counts.total > 0 ? Number((counts.resolved / counts.total).toFixed(4)) : null,
+        hallucination_rate: counts.total > 0 ? Number((counts.unknown_clave / counts.total).toFixed(4)) : null
+    };
+}
+
+/**
+ * Estadísticas de auditoría de una instancia, totales y por día
+ * @param {string} instanceId - ID de la instancia
+ * @param {Object} options - { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', top: 10 }
+ * @returns {Object} { instanceId, totals, byDay, topUnknown, topUnresolved }
+ */
+function getCitationAuditStats(instanceId = DEFAULT_INSTANCE, { from = null, to = null, top = 10 } = {}) {
+    const entries = readAuditEntries(instanceId, { from, to });
+    const totals = emptyCounts();
+    const byDay = {};
+    const unknownFreq = {};
+    const unresolvedFreq = {};
+
+    for (const entry of entries) {
+        const day = (entry.timestamp || '').slice(0, 10);
+        if (!byDay[day]) byDay[day] = emptyCounts();
+
+        for (const bucket of [totals, byDay[day]]) {
+            bucket.answers += 1;
+            for (const key of ['total', 'resolved', 'unresolved', 'unknown_clave', 'ambiguous']) {
+                bucket[key] += (entry.counts && entry.counts[key]) || 0;
+            }
+        }
+        for (const cita of entry.unknown_clave || []) unknownFreq[cita] = (unknownFreq[cita] || 0) + 1;
+        for (const cita of entry.unresolved || []) unresolvedFreq[cita] = (unresolvedFreq[cita] || 0) + 1;
+    }
+
+    const topOf = (freq) => Object.entries(freq)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, top)
+        .map(([cita, count]) => ({ cita, count }));
+
+    return {
+        instanceId,
+        from,
+        to,
+        totals: addRates(totals),
+        byDay: Object.keys(byDay).sort().map(day => ({ day, ...addRates(byDay[day]) })),
+        topUnknown: topOf(unknownFreq),
+        topUnresolved: topOf(unresolvedFreq)
+    };
+}
+
+/**
+ * Lista las instancias que tienen registro de auditoría
+ */
+function listAuditedInstances() {
+    if (!fs.existsSync(INSTANCES_DIR)) return [];
+    return fs.readdirSync(INSTANCES_DIR)
+        .filter(dir => fs.existsSync(path.join(INSTANCES_DIR, dir, AUDIT_FILENAME)));
+}
+
+module.exports = {
+    recordCitationAudit,
+    getCitationAuditStats,
+    listAuditedInstances
+};
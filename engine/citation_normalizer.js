@@ -0,0 +1,310 @@
+/**
+ * CITATION NORMALIZER - LEGITIMUS PRO
+ * ====================================
+ *
+ * Convierte citas normativas en lenguaje natural a la notación canónica CLAVE.ArtN
+ * usada por el procesador de citas y la BD normas.sqlite.
+ *
+ * Ejemplos:
+ * - "artículo 1545 del Código Civil"     → CCCH.Art1545
+ * - "Art. 12 CC"                          → CCCH.Art12
+ * - "artículo 5 de la Ley 19.628"         → L19628.Art5
+ * - "DL 3.500 art. 17"                    → DL3500.Art17
+ * - "artículo 7 del DL 824 de 1974"       → DL824.1974.Art7
+ * - "DFL 1 de 2006, artículo 3 bis"       → DFL1.2006.Art3bis
+ * - "arts. 10, 11 y 12 del Código Civil"  → CCCH.Art10, CCCH.Art11 y CCCH.Art12
+ *
+ * Los nombres de códigos se resuelven con alias integrados y con los nombres
+ * (nombre_corto / nombre_oficial) de normative_codes_db.json.
+ *
+ * @version 1.0.0
+ * @author LEGITIMUS PRO Development Team
+ */
+
+const { listAllCodes, getCodeInfo } = require('./normative_code_manager');
+
+/**
+ * Alias integrados (en minúsculas y sin tildes) → clave
+ * Coinciden con CODIGOS_ESPECIALES del importador de normas.sqlite
+ */
+const BUILTIN_ALIASES = {
+    'codigo civil': 'CCCH',
+    'cod. civil': 'CCCH',
+    'c. civil': 'CCCH',
+    'cc': 'CCCH',
+    'codigo penal': 'CPCH',
+    'cod. penal': 'CPCH',
+    'c. penal': 'CPCH',
+    'cp': 'CPCH',
+    'codigo de comercio': 'CCOM',
+    'c. de comercio': 'CCOM',
+    'ccom': 'CCOM',
+    'codigo del trabajo': 'CTCH',
+    'c. del trabajo': 'CTCH',
+    'ct': 'CTCH',
+    'codigo tributario': 'CTRIB',
+    'ctrib': 'CTRIB',
+    'codigo sanitario': 'CSAN',
+    'codigo organico de tribunales': 'COT',
+    'cot': 'COT',
+    'codigo procesal penal': 'CPP',
+    'cpp': 'CPP',
+    'codigo de procedimiento civil': 'CPC',
+    'cpc': 'CPC',
+    'constitucion politica de la republica': 'CRCH',
+    'constitucion politica': 'CRCH',
+    'constitucion': 'CRCH',
+    'cpr': 'CRCH',
+    'ley de abandono de familia y pago de pensiones alimenticias': 'LAFP',
+    'ley de abandono de familia': 'LAFP',
+    'ley de cambio de nombres': 'LCN',
+    'ley de impuesto a la herencia': 'LIHD',
+    'ley de menores': 'LM',
+    'ley del registro civil': 'LRC'
+};
+
+const ARTICLE_SUFFIXES = 'bis|ter|quater|quinquies|sexies|septies|octies|novies|decies';
+
+// "artículo", "artículos", "art.", "arts."
+const ARTICLE_WORD = '(?:articulos?|arts?\\.?)';
+// 1545, 5°, 21 bis, 467a
+const ARTICLE_NUMBER = `\\d+(?:\\s*[°º])?(?:\\s*(?:${ARTICLE_SUFFIXES})\\b|[a-z]\\b)?`;
+// "10 y 11", "10, 11 y 12" (una cita por artículo de la lista)
+const ARTICLE_LIST = `${ARTICLE_NUMBER}(?:\\s*(?:,|\\by\\b|\\be\\b|\\bo\\b)\\s*${ARTICLE_NUMBER})*`;
+const ARTICLE_NUMBER_REGEX = new RegExp(ARTICLE_NUMBER, 'g');
+// 19.628 | 19628
+const NORM_NUMBER = '\\d{1,3}(?:\\.\\d{3})+|\\d+';
+const NUMBER_PREFIX = '(?:n(?:[°º]|o\\.|um\\.|umero)?\\s*)?';
+// "de 1974", ", de 1974", "del año 1974" (grupo con nombre propio por tipo de norma)
+const yearSuffix = (group) => `(?:\\s*,?\\s*de(?:l\\s+ano)?\\s+(?<${group}>\\d{4}))?`;
+
+let aliasCache = null;
+
+/**
+ * Reemplaza letras con tilde por su versión sin tilde, conservando el largo del texto
+ * (los índices de las coincidencias sirven sobre el texto original)
+ */
+function foldText(text) {
+    return text
+        .replace(/[À-ſ]/g, c => c.normalize('NFD')[0])
+        .toLowerCase();
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Construye el mapa de alias (integrados + normative_codes_db.json)
+ * @returns {Object} alias → clave
+ */
+function getAliases() {
+    if (aliasCache) return aliasCache;
+
+    const aliases = { ...BUILTIN_ALIASES };
+    try {
+        for (const { code } of listAllCodes()) {
+            const info = getCodeInfo(code) || {};
+            for (const name of [info.nombre_corto, info.nombre_oficial, code]) {
+                if (!name || typeof name !== 'string') continue;
+                const alias = foldText(name).replace(/\s+/g, ' ').trim();
+                if (alias.length >= 2 && !aliases[alias]) {
+                    aliases[alias] = code.toUpperCase();
+                }
+            }
+        }
+    } catch (error) {
+        console.error('[CitationNormalizer] Error cargando alias desde la BD de códigos:', error.message);
+    }
+
+    aliasCache = aliases;
+    return aliasCache;
+}
+
+/**
+ * Fuerza la reconstrucción de los alias (p. ej. tras editar normative_codes_db.json)
+ */
+function reloadAliases() {
+    aliasCache = null;
+    compiledPatterns = null;
+}
+
+/**
+ * Expresión de una norma: DFL, DL, decreto, ley numerada o alias de código
+ * Grupos: dfl/dflYear, dl/dlYear, ds/dsYear, ley, alias
+ */
+function buildNormSource() {
+    const aliasSource = Object.keys(getAliases())
+        .sort((a, b) => b.length - a.length)
+        .map(alias => escapeRegex(alias).replace(/ /g, '\\s+'))
+        .join('|');
+
+    return [
+        `(?:decreto\\s+con\\s+fuerza\\s+de\\s+ley|d\\.\\s?f\\.\\s?l\\.|dfl)\\s*${NUMBER_PREFIX}(?<dfl>\\d+)${yearSuffix('dflYear')}`,
+        `(?:decreto\\s+ley|d\\.\\s?l\\.|dl)\\s*${NUMBER_PREFIX}(?<dl>${NORM_NUMBER})${yearSuffix('dlYear')}`,
+        `(?:decreto\\s+supremo|d\\.\\s?s\\.|ds)\\s*${NUMBER_PREFIX}(?<ds>\\d+)${yearSuffix('dsYear')}`,
+        `ley\\s+${NUMBER_PREFIX}(?<ley>${NORM_NUMBER})`,
+        `(?<alias>${aliasSource})(?![a-z0-9])`
+    ].join('|');
+}
+
+let compiledPatterns = null;
+
+function getPatterns() {
+    if (compiledPatterns) return compiledPatterns;
+
+    const norm = buildNormSource();
+    compiledPatterns = [
+        // "artículo 1545 del Código Civil", "art. 5 de la Ley 19.628", "Art. 12 CC", "arts. 10 y 11 CC"
+        new RegExp(`(?<![a-z0-9])${ARTICLE_WORD}\\s*(?<art>${ARTICLE_LIST})\\s*,?\\s*(?:(?:del|de\\s+la|de\\s+el|de)\\s+)?(?:${norm})`, 'g'),
+        // "DL 3.500 art. 17", "Código Civil, artículos 1545 y 1546"
+        new RegExp(`(?<![a-z0-9])(?:${norm})\\s*,?\\s*${ARTICLE_WORD}\\s*(?<art>${ARTICLE_LIST})`, 'g')
+    ];
+    return compiledPatterns;
+}
+
+/**
+ * Normaliza el número de artículo: "5°" → "5", "21 bis" → "21bis"
+ */
+function normalizeArticle(article) {
+    return foldText(article).replace(/[°º]/g, '').replace(/\s+/g, '');
+}
+
+/**
+ * Obtiene la clave canónica a partir de los grupos de la coincidencia
+ */
+function claveFromGroups(groups) {
+    const digits = (value) => value.replace(/\D/g, '');
+
+    if (groups.dfl) return groups.dflYear ? `DFL${groups.dfl}.${groups.dflYear}` : `DFL${groups.dfl}`;
+    if (groups.dl) return groups.dlYear ? `DL${digits(groups.dl)}.${groups.dlYear}` : `DL${digits(groups.dl)}`;
+    if (groups.ds) return groups.dsYear ? `D${groups.ds}.${groups.dsYear}` : `D${groups.ds}`;
+    if (groups.ley) return `L${digits(groups.ley)}`;
+    if (groups.alias) return getAliases()[groups.alias.replace(/\s+/g, ' ')] || null;
+    return null;
+}
+
+/**
+ * Extrae citas en lenguaje natural y las convierte a notación canónica
+ * @param {string} text - Texto a analizar
+ * @returns {Array} [{ clave, articulo, canonical, raw, index, end }] (los artículos de una lista comparten raw, index y end)
+ */
+function extractProseCitations(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const folded = foldText(text);
+    const citations = [];
+    const overlaps = (start, end) => citations.some(c => start < c.end && end > c.index);
+
+    for (const pattern of getPatterns()) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(folded)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (overlaps(start, end)) continue;
+
+            const clave = claveFromGroups(match.groups);
+            if (!clave) continue;
+
+            for (const number of match.groups.art.match(ARTICLE_NUMBER_REGEX)) {
+                const articulo = normalizeArticle(number);
+                citations.push({
+                    clave,
+                    articulo,
+                    canonical: toCanonicalCitation(clave, articulo),
+                    raw: text.substring(start, end),
+                    index: start,
+                    end
+                });
+            }
+        }
+    }
+
+    return citations.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Arma la cita canónica CLAVE.ArtN
+ */
+function toCanonicalCitation(clave, articulo) {
+    return `${clave}.Art${articulo}`;
+}
+
+/**
+ * Resuelve el nombre de una norma ("Código Civil", "Código del Trabajo (DFL 1 2002)") a su clave
+ * cuando comienza con el nombre de un código conocido. No considera abreviaturas cortas (CC, CP...).
+ * @param {string} name - Nombre de la norma
+ * @returns {string|null} Clave o null si no corresponde a un código con nombre
+ */
+function resolveNormName(name) {
+    if (!name || typeof name !== 'string') return null;
+
+    const folded = foldText(name).replace(/\s+/g, ' ').trim();
+    const aliases = getAliases();
+    const candidates = Object.keys(aliases)
+        .filter(alias => alias.includes(' '))
+        .sort((a, b) => b.length - a.length);
+
+    for (const alias of candidates) {
+        if (folded === alias || (folded.startsWith(alias) && !/[a-z0-9]/.test(folded[alias.length]))) {
+            return aliases[alias];
+        }
+    }
+    return null;
+}
+
+/**
+ * Interpreta una cita canónica ("CCCH.Art1545", "DL3500.1980.Art17") o en lenguaje natural
+ * @param {string} cita - Cita a interpretar
+ * @returns {Object|null} { clave, articulo } o null si no es una cita reconocible
+ */
+function parseCitation(cita) {
+    if (!cita || typeof cita !== 'string') return null;
+
+    const canonical = cita.trim().match(/^([A-Za-z0-9.]+?)\.Art\.?\s*(\d+[a-z]*)$/i);
+    if (canonical) {
+        return { clave: canonical[1].toUpperCase(), articulo: canonical[2].toLowerCase() };
+    }
+
+    const [prose] = extractProseCitations(cita);
+    return prose ? { clave: prose.clave, articulo: prose.articulo } : null;
+}
+
+/**
+ * Reemplaza en el texto las citas en lenguaje natural por su notación canónica
+ * @param {string} text - Texto original
+ * @returns {string} Texto con citas canónicas
+ */
+function normalizeCitationsInText(text) {
+    const citations = extractProseCitations(text);
+    if (citations.length === 0) return text;
+
+    // Una lista ("arts. 10 y 11 CC") se reemplaza por "CCCH.Art10 y CCCH.Art11"
+    const groups = [];
+    for (const citation of citations) {
+        const group = groups[groups.length - 1];
+        if (group && group.index === citation.index) group.canonicals.push(citation.canonical);
+        else groups.push({ index: citation.index, end: citation.end, canonicals: [citation.canonical] });
+    }
+
+    let result = '';
+    let lastIndex = 0;
+    for (const group of groups) {
+        const last = group.canonicals.pop();
+        const replacement = group.canonicals.length ? `${group.canonicals.join(', ')} y ${last}` : last;
+        result += text.substring(lastIndex, group.index) + replacement;
+        lastIndex = group.end;
+    }
+    return result + text.substring(lastIndex);
+}
+
+module.exports = {
+    extractProseCitations,
+    normalizeCitationsInText,
+    toCanonicalCitation,
+    parseCitation,
+    resolveNormName,
+    reloadAliases,
+    ARTICLE_NUMBER
+};
@@ -0,0 +1,90 @@
+// engine/citation_normalizer.test.js — Pruebas de citas en lenguaje natural → CLAVE.ArtN
+// Ejecutar con: node engine/citation_normalizer.test.js
+
+const { extractProseCitations, normalizeCitationsInText, parseCitation } = require('./citation_normalizer');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+const canonicals = (text) => extractProseCitations(text).map(c => c.canonical);
+
+// ============ Citas simples ============
+
+test('extractProseCitations: artículo y norma en ambos órdenes', () => {
+  assertEqual(canonicals('Según el artículo 1545 del Código Civil.'), ['CCCH.Art1545']);
+  assertEqual(canonicals('El DL 3.500 art. 17 y el Código Civil, artículo 12.'), ['DL3500.Art17', 'CCCH.Art12']);
+});
+
+test('extractProseCitations: sufijos, grado y año de la norma', () => {
+  assertEqual(canonicals('art. 5° bis CC'), ['CCCH.Art5bis']);
+  assertEqual(canonicals('artículo 467a del Código Civil'), ['CCCH.Art467a']);
+  assertEqual(canonicals('artículo 7 del DL 824 de 1974'), ['DL824.1974.Art7']);
+});
+
+test('extractProseCitations: decreto supremo con y sin año usa la clave D', () => {
+  assertEqual(canonicals('artículo 3 del decreto supremo 14 de 2011'), ['D14.2011.Art3']);
+  assertEqual(canonicals('artículo 3 del decreto supremo 14'), ['D14.Art3']);
+});
+
+// ============ Listas de artículos ============
+
+test('extractProseCitations: "artículos 10 y 11" cita ambos artículos', () => {
+  assertEqual(canonicals('Según los artículos 10 y 11 del Código Civil, procede.'), ['CCCH.Art10', 'CCCH.Art11']);
+});
+
+test('extractProseCitations: "arts. 10, 11 y 12" y listas después de la norma', () => {
+  assertEqual(canonicals('Ver arts. 10, 11 y 12 de la Ley 19.628.'), ['L19628.Art10', 'L19628.Art11', 'L19628.Art12']);
+  assertEqual(canonicals('Código Civil, artículos 1545 y 1546 bis.'), ['CCCH.Art1545', 'CCCH.Art1546bis']);
+});
+
+test('extractProseCitations: los artículos de una lista comparten el tramo del texto', () => {
+  const [first, second] = extractProseCitations('Los arts. 10 y 11 CC.');
+  assertEqual([first.index, first.end, first.raw], [second.index, second.end, second.raw]);
+  assertEqual(first.raw, 'arts. 10 y 11 CC');
+});
+
+// ============ Reemplazo en el texto ============
+
+test('normalizeCitationsInText: reemplaza citas simples y listas', () => {
+  assertEqual(normalizeCitationsInText('El artículo 1545 del Código Civil.'), 'El CCCH.Art1545.');
+  assertEqual(normalizeCitationsInText('Ver arts. 10, 11 y 12 de la Ley 19.628.'), 'Ver L19628.Art10, L19628.Art11 y L19628.Art12.');
+});
+
+test('parseCitation: notación canónica y lenguaje natural', () => {
+  assertEqual(parseCitation('DL3500.1980.Art17'), { clave: 'DL3500.1980', articulo: '17' });
+  assertEqual(parseCitation('artículos 10 y 11 del Código Civil'), { clave: 'CCCH', articulo: '10' });
+  assertEqual(parseCitation('sin cita'), null);
+});
+
+// ============ Resumen ============
+console.log('\n' + '='.repeat(50));
+console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+console.log(`${RED}Fallidas: ${failed}${RESET}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
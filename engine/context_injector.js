@@ -1,5 +1,6 @@
 // context_injector.js
 // Módulo para inyectar contexto temporal, geográfico y de usuario dinámicamente
+const { offersFunctionTool } = require('./responses_adapter');
 
 /**
  * Construye un bloque de contexto temporal y geográfico DINÁMICO
@@ -55,7 +56,12 @@ function buildContextBlock(config) {
   
   contextBlock += '\n⚠️ IMPORTANTE: Esta información de contexto se actualiza automáticamente en cada consulta. Úsala para:\n';
   contextBlock += '- Saber la fecha y hora actual cuando el usuario pregunte "¿qué día es hoy?" o "¿qué hora es?"\n';
-  contextBlock += '- Calcular plazos legales desde la fecha actual\n';
+  // Solo si la herramienta se ofrece en este turno (api_mode "responses"; Chat y Assistants no la tienen)
+  if (offersFunctionTool(config, 'calculate_deadline')) {
+    contextBlock += '- Calcular plazos legales desde la fecha actual con la herramienta calculate_deadline (no calcules fechas manualmente; cita su traza y fundamentos)\n';
+  } else {
+    contextBlock += '- Calcular plazos legales desde la fecha actual\n';
+  }
   contextBlock += '- Contextualizar referencias temporales del usuario (ej: "ayer", "la semana pasada", "hace 3 días")\n';
   contextBlock += '- Buscar información actualizada cuando sea necesario\n';
   
@@ -0,0 +1,293 @@
+/**
+ * CONTRACT ANALYZER - LEGITIMUS PRO
+ * =================================
+ *
+ * Análisis estático de contratos (acción analyze_contract):
+ *   1. Segmentación en cláusulas ("PRIMERO:", "CLÁUSULA SEGUNDA", "Artículo 3", "4.") con offsets
+ *   2. Detección del tipo de contrato (arrendamiento, prestacion_servicios, compraventa, trabajo)
+ *   3. Checklist del tipo: cláusulas obligatorias y recomendadas faltantes
+ *   4. Hallazgos por cláusula (riesgos y áreas de interés) con offsets para resaltar en el frontend
+ *
+ * El checklist vive en engine/contract_checklists.json. Los patrones se buscan sobre el texto en
+ * minúsculas y sin tildes, con el mismo largo que el original: los offsets (start, end) apuntan
+ * directamente al texto recibido.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CHECKLISTS_PATH = path.join(__dirname, 'contract_checklists.json');
+const MAX_TEXT_LENGTH = 300000;
+
+const SEVERITY_PENALTY = { alta: 10, media: 5, baja: 2 };
+const MISSING_MANDATORY_PENALTY = 15;
+const MISSING_RECOMMENDED_PENALTY = 5;
+
+// Ordinales de encabezado: PRIMERO, DÉCIMO SEGUNDA, VIGÉSIMO, UNDÉCIMA...
+const ORDINAL = '(?:(?:decim[oa]|vigesim[oa])[\\s-]?)?(?:primer[oa]?|segund[oa]|tercer[oa]?|cuart[oa]|quint[oa]|sext[oa]|s[e]?ptim[oa]|octav[oa]|noven[oa])|decim[oa]|undecim[oa]|duodecim[oa]|vigesim[oa]|trigesim[oa]';
+const HEADING_PATTERNS = [
+    new RegExp(`^[ \\t]*(?:clausula[ \\t]+)?(?:${ORDINAL})(?:[ \\t]+clausula)?[ \\t]*(?:[:.\\-–—)]|$)`),
+    /^[ \t]*(?:clausula|articulo|art\.)[ \t]+(?:\d{1,3}|[ivxlc]{1,6})\b[ \t]*[°º]?[ \t]*[:.\-–—)]?/
+];
+const NUMBERED_HEADING = /^[ \t]*\d{1,2}[.)](?=[ \t]+\S)/;
+
+const ACCENTS = { á: 'a', é: 'e', í: 'i', ó: 'o', ú: 'u', ü: 'u', ñ: 'n', à: 'a', è: 'e', ì: 'i', ò: 'o', ù: 'u' };
+
+let checklistsCache = null;
+
+/**
+ * Checklists por tipo de contrato (se leen una vez)
+ */
+function loadChecklists() {
+    if (checklistsCache) return checklistsCache;
+    try {
+        checklistsCache = JSON.parse(fs.readFileSync(CHECKLISTS_PATH, 'utf-8'));
+    } catch (error) {
+        console.error('[Contratos] Error cargando contract_checklists.json:', error.message);
+        checklistsCache = { riesgos_comunes: [], tipos: {} };
+    }
+    return checklistsCache;
+}
+
+function reloadChecklists() {
+    checklistsCache = null;
+    return loadChecklists();
+}
+
+/**
+ * Minúsculas sin tildes conservando el largo (los offsets siguen siendo válidos)
+ */
+function foldText(text) {
+    let folded = '';
+    for (const char of text) {
+        const lower = char.toLowerCase();
+        const mapped = lower.length === char.length ? (ACCENTS[lower] || lower) : char;
+        folded += mapped.length === char.length ? mapped : char;
+    }
+    return folded;
+}
+
+function compilePattern(pattern, flags = 'g') {
+    try {
+        return new RegExp(pattern, flags);
+    } catch (error) {
+        console.warn(`[Contratos] ⚠ Patrón inválido en el checklist: ${pattern}`);
+        return null;
+    }
+}
+
+// ============================================================================
+// SEGMENTACIÓN
+// ============================================================================
+
+function findHeadings(text, folded, patterns) {
+    const headings = [];
+    let offset = 0;
+    for (const line of folded.split('\n')) {
+        const match = patterns.map(p => p.exec(line)).find(Boolean);
+        if (match) {
+            const leading = line.length - line.trimStart().length;
+            const start = offset + leading;
+            // Encabezado sin el texto de la cláusula ni la puntuación final: "PRIMERO", "Cláusula 3"
+            const heading = text.slice(start, offset + match.index + match[0].length).replace(/[\s:.\-–—)]+$/, '');
+            headings.push({ start, heading: heading || text.slice(start, offset + line.length).trim().slice(0, 120) });
+        }
+        offset += line.length + 1;
+    }
+    return headings;
+}
+
+function trimmedRange(text, start, end) {
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    while (start < end && /\s/.test(text[start])) start++;
+    return { start, end };
+}
+
+/**
+ * Divide un contrato en cláusulas
+ * Usa encabezados ordinales o "Cláusula/Artículo N"; si no hay, listas numeradas; si tampoco, párrafos.
+ * @returns {Array<Object>} [{ index, heading, start, end, text }] (el texto antes del primer encabezado es la comparecencia)
+ */
+function segmentClauses(text) {
+    const source = String(text || '');
+    const folded = foldText(source);
+
+    let headings = findHeadings(source, folded, HEADING_PATTERNS);
+    if (headings.length < 2) headings = findHeadings(source, folded, [NUMBERED_HEADING]);
+
+    const ranges = [];
+    if (headings.length >= 2) {
+        if (source.slice(0, headings[0].start).trim()) {
+            ranges.push({ heading: 'Comparecencia', ...trimmedRange(source, 0, headings[0].start) });
+        }
+        headings.forEach((h, i) => {
+            const end = i + 1 < headings.length ? headings[i + 1].start : source.length;
+            ranges.push({ heading: h.heading, ...trimmedRange(source, h.start, end) });
+        });
+    } else {
+        // Sin encabezados: un segmento por párrafo
+        const paragraph = /\S[\s\S]*?(?=\n[ \t]*\n|$)/g;
+        let match;
+        while ((match = paragraph.exec(source)) !== null) {
+            ranges.push({ heading: null, ...trimmedRange(source, match.index, match.index + match[0].length) });
+        }
+    }
+
+    return ranges
+        .filter(r => r.end > r.start)
+        .map((r, index) => ({ index, heading: r.heading, start: r.start, end: r.end, text: source.slice(r.start, r.end) }));
+}
+
+// ============================================================================
+// ANÁLISIS
+// ============================================================================
+
+/**
+ * Tipo de contrato por cantidad de términos de detección (null si ninguno coincide)
+ */
+function detectContractType(folded, tipos) {
+    let best = null;
+    for (const [type, checklist] of Object.entries(tipos)) {
+        let hits = 0;
+        for (const term of checklist.deteccion || []) {
+            const pattern = compilePattern(term);
+            if (pattern) hits += (folded.match(pattern) || []).length;
+        }
+        if (hits > 0 && (!best || hits > best.hits)) best = { type, hits };
+    }
+    return best;
+}
+
+function clauseAt(clauses, offset) {
+    const clause = clauses.find(c => offset >= c.start && offset < c.end);
+    return clause ? clause.index : null;
+}
+
+/**
+ * Analiza un contrato
+ * @param {string} text - Texto completo del contrato
+ * @param {Object} options
+ *   - contractType {string} Fuerza el tipo (arrendamiento, prestacion_servicios, compraventa, trabajo)
+ *   - focus {Array<string>} Áreas de interés: se indica la cláusula que las trata o que faltan
+ *   - checklists {Object} Reemplaza el checklist de engine/contract_checklists.json (mismo formato)
+ * @returns {Object} { contract_type, contract_type_name, detection, clauses, checklist, missing_clauses, findings, issues, score }
+ */
+function analyzeContract(text, { contractType = null, focus = [], checklists = null } = {}) {
+    const source = String(text || '').slice(0, MAX_TEXT_LENGTH);
+    const folded = foldText(source);
+    const config = checklists || loadChecklists();
+    const tipos = config.tipos || {};
+
+    const clauses = segmentClauses(source);
+
+    let detection;
+    let type = contractType && tipos[contractType] ? contractType : null;
+    if (type) {
+        detection = { source: 'parameter', hits: null };
+    } else {
+        const detected = detectContractType(folded, tipos);
+        type = detected ? detected.type : null;
+        detection = detected ? { source: 'keywords', hits: detected.hits } : { source: 'none', hits: 0 };
+    }
+    const checklist = type ? tipos[type] : null;
+
+    // Checklist: primera cláusula que cumple cada ítem
+    const checklistResults = [];
+    const missing = [];
+    for (const item of (checklist && checklist.clausulas) || []) {
+        let found = null;
+        for (const pattern of (item.patrones || []).map(p => compilePattern(p, '')).filter(Boolean)) {
+            const match = pattern.exec(folded);
+            if (match && (!found || match.index < found.start)) {
+                found = { start: match.index, end: match.index + match[0].length };
+            }
+        }
+        const entry = {
+            id: item.id,
+            name: item.nombre,
+            mandatory: item.obligatoria === true,
+            found: !!found,
+            clause_index: found ? clauseAt(clauses, found.start) : null,
+            start: found ? found.start : null,
+            end: found ? found.end : null
+        };
+        checklistResults.push(entry);
+        if (!found) {
+            missing.push({
+                id: item.id,
+                name: item.nombre,
+                mandatory: entry.mandatory,
+                severity: entry.mandatory ? 'alta' : 'baja',
+                legal_basis: item.fundamento || null,
+                recommendation: item.recomendacion || null
+            });
+        }
+    }
+
+    // Riesgos: comunes y del tipo, un hallazgo por coincidencia
+    const findings = [];
+    const risks = [...(config.riesgos_comunes || []), ...((checklist && checklist.riesgos) || [])];
+    for (const risk of risks) {
+        const pattern = compilePattern(risk.patron);
+        if (!pattern) continue;
+        let match;
+        while ((match = pattern.exec(folded)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            findings.push({
+                type: 'risk',
+                id: risk.id,
+                severity: risk.severidad || 'media',
+                message: risk.mensaje,
+                clause_index: clauseAt(clauses, match.index),
+                start: match.index,
+                end: match.index + match[0].length,
+                excerpt: source.slice(match.index, match.index + match[0].length)
+            });
+        }
+    }
+
+    // Áreas de interés del usuario
+    for (const term of Array.isArray(focus) ? focus : []) {
+        const needle = foldText(String(term || '').trim());
+        if (!needle) continue;
+        const at = folded.indexOf(needle);
+        findings.push(at >= 0
+            ? { type: 'focus', id: needle, severity: 'info', message: `Cláusula relacionada con "${term}"`, clause_index: clauseAt(clauses, at), start: at, end: at + needle.length, excerpt: source.slice(at, at + needle.length) }
+            : { type: 'focus', id: needle, severity: 'media', message: `No se encontró una cláusula sobre "${term}"`, clause_index: null, start: null, end: null, excerpt: null });
+    }
+    findings.sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+
+    const issues = [
+        ...missing.map(m => `Falta cláusula ${m.mandatory ? 'obligatoria' : 'recomendada'}: ${m.name}${m.legal_basis ? ` (${m.legal_basis})` : ''}.`),
+        ...findings.filter(f => f.severity !== 'info').map(f => f.clause_index !== null ? `Cláusula ${f.clause_index + 1}: ${f.message}` : f.message)
+    ];
+    if (!checklist) {
+        issues.unshift('No se pudo determinar el tipo de contrato: solo se revisaron riesgos generales.');
+    }
+
+    // Puntaje heurístico: descuenta por cláusulas faltantes y riesgos según severidad
+    const penalty = missing.reduce((sum, m) => sum + (m.mandatory ? MISSING_MANDATORY_PENALTY : MISSING_RECOMMENDED_PENALTY), 0) +
+        findings.reduce((sum, f) => sum + (SEVERITY_PENALTY[f.severity] || 0), 0);
+
+    return {
+        contract_type: type,
+        contract_type_name: checklist ? checklist.nombre : null,
+        detection,
+        clauses: clauses.map(({ text: clauseText, ...clause }) => ({ ...clause, preview: clauseText.slice(0, 160) })),
+        checklist: checklistResults,
+        missing_clauses: missing,
+        findings,
+        issues,
+        score: Math.max(0, 100 - penalty)
+    };
+}
+
+module.exports = {
+    segmentClauses,
+    analyzeContract,
+    loadChecklists,
+    reloadChecklists
+};
@@ -0,0 +1,129 @@
+// engine/contract_analyzer.test.js — Pruebas de segmentación de cláusulas, checklist y riesgos de contratos
+// Ejecutar con: node engine/contract_analyzer.test.js
+//
+// Usa el checklist real de engine/contract_checklists.json salvo donde se indica.
+
+const { segmentClauses, analyzeContract } = require('./contract_analyzer');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (!value) {
+    throw new Error(message || 'Se esperaba true');
+  }
+}
+
+const LEASE = [
+  'CONTRATO DE ARRENDAMIENTO',
+  '',
+  'En Santiago, a 3 de marzo de 2025, comparecen Juan Pérez, el arrendador, y María Soto, la arrendataria.',
+  '',
+  'PRIMERO: El arrendador da en arrendamiento el inmueble ubicado en calle Los Olmos 123.',
+  'SEGUNDO: La renta mensual será de $500.000, pagadera dentro de los primeros cinco días de cada mes.',
+  'TERCERO: La arrendataria renuncia a todo derecho de retención.',
+  'DÉCIMO SEGUNDA: El arrendador podrá poner término unilateralmente al contrato.'
+].join('\n');
+
+// ============ segmentClauses ============
+
+test('segmentClauses: encabezados ordinales, con tildes y compuestos, más la comparecencia', () => {
+  const clauses = segmentClauses(LEASE);
+  assertEqual(clauses.map(c => c.heading), ['Comparecencia', 'PRIMERO', 'SEGUNDO', 'TERCERO', 'DÉCIMO SEGUNDA']);
+  assertTrue(clauses.every(c => LEASE.slice(c.start, c.end) === c.text), 'Offsets sobre el texto original');
+});
+
+test('segmentClauses: "Cláusula N" y "Artículo N"', () => {
+  const clauses = segmentClauses('Cláusula 1: Objeto del contrato.\nCláusula 2: Precio.\nArtículo 3. Plazo.');
+  assertEqual(clauses.map(c => c.heading), ['Cláusula 1', 'Cláusula 2', 'Artículo 3']);
+});
+
+test('segmentClauses: sin encabezados usa listas numeradas y luego párrafos', () => {
+  assertEqual(segmentClauses('Acuerdan:\n1. Pagar el precio.\n2. Entregar la cosa.').map(c => c.heading), ['Comparecencia', '1', '2']);
+  assertEqual(segmentClauses('Primer párrafo.\n\nSegundo párrafo.').map(c => c.text), ['Primer párrafo.', 'Segundo párrafo.']);
+});
+
+// ============ analyzeContract ============
+
+test('analyzeContract: detecta un arrendamiento por sus términos', () => {
+  const result = analyzeContract(LEASE);
+  assertEqual(result.contract_type, 'arrendamiento');
+  assertEqual(result.detection.source, 'keywords');
+});
+
+test('analyzeContract: ubica las cláusulas del checklist e informa las faltantes', () => {
+  const result = analyzeContract(LEASE);
+  const renta = result.checklist.find(c => c.id === 'renta');
+  assertEqual([renta.found, renta.clause_index], [true, 2]);
+  assertEqual(result.missing_clauses.filter(m => m.mandatory).map(m => m.id), ['plazo']);
+  assertEqual(result.missing_clauses.find(m => m.id === 'plazo').severity, 'alta');
+});
+
+test('analyzeContract: hallazgos de riesgo con la cláusula y el extracto original', () => {
+  const result = analyzeContract(LEASE);
+  const risks = result.findings.filter(f => f.type === 'risk');
+  assertEqual(risks.map(f => [f.id, f.clause_index]), [['renuncia_derechos', 3], ['arbitrio_unilateral', 4]]);
+  assertEqual(risks[0].excerpt, 'renuncia a todo derecho');
+  assertEqual(LEASE.slice(risks[1].start, risks[1].end), 'unilateralmente');
+});
+
+test('analyzeContract: áreas de interés encontradas y faltantes, sin distinguir tildes', () => {
+  const result = analyzeContract(LEASE, { focus: ['Retención', 'garantía'] });
+  const focus = result.findings.filter(f => f.type === 'focus');
+  assertEqual(focus.map(f => [f.id, f.severity, f.clause_index]), [['retencion', 'info', 3], ['garantia', 'media', null]]);
+});
+
+test('analyzeContract: el puntaje descuenta faltantes y riesgos según severidad', () => {
+  // plazo (obligatoria) 15 + 5 recomendadas × 5 + riesgo alto 10 + riesgo medio 5
+  assertEqual(analyzeContract(LEASE).score, 45);
+});
+
+test('analyzeContract: tipo forzado y checklist propio', () => {
+  const checklists = {
+    riesgos_comunes: [],
+    tipos: { mandato: { nombre: 'Mandato', deteccion: ['mandat'], clausulas: [{ id: 'remuneracion', nombre: 'Remuneración', obligatoria: true, patrones: ['honorario'] }] } }
+  };
+  const result = analyzeContract(LEASE, { contractType: 'mandato', checklists });
+  assertEqual([result.contract_type, result.detection.source], ['mandato', 'parameter']);
+  assertEqual(result.missing_clauses.map(m => m.id), ['remuneracion']);
+});
+
+test('analyzeContract: sin tipo reconocible solo revisa riesgos generales', () => {
+  const result = analyzeContract('PRIMERO: Las partes acuerdan colaborar.\nSEGUNDO: El acuerdo es irrevocable.');
+  assertEqual(result.contract_type, null);
+  assertTrue(result.issues[0].startsWith('No se pudo determinar el tipo de contrato'), result.issues[0]);
+  assertEqual(result.findings.map(f => f.id), ['irrevocable']);
+});
+
+// ============ Resumen ============
+console.log('\n' + '='.repeat(50));
+console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+console.log(`${RED}Fallidas: ${failed}${RESET}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
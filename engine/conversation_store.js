@@ -0,0 +1,837 @@
+/**
+ * CONVERSATION STORE - LEGITIMUS PRO
+ * ==================================
+ *
+ * Almacenamiento de conversaciones intercambiable: historial de chats, metadatos
+ * (nombre, instancia, ajustes), estado por chat (contador de interacciones, entrevista de redacción),
+ * saldo de créditos y transacciones.
+ *
+ * Backends:
+ *   - file   (por defecto) historial/<userId>/<chatId>.json, historial/<userId>/_chat_metadata.json (incluye el resumen del caso),
+ *            historial/<userId>/<chatId>_turns.json (turnos totales; el historial se recorta a max_history),
+ *            historial/<userId>/<chatId>_interview.json, users/<userId>/<chatId>_interactions.json,
+ *            auth/users.store.json (créditos) y auth/transactions.store.json (formato original de memory.js y chat_management.js)
+ *   - prisma Postgres con los modelos User/Chat/Turn/Transaction de prisma/schema.prisma
+ *            (migraciones en prisma/migrations; el usuario se importa de auth/users.store.json la primera vez)
+ *
+ * Configuración (bot_config.storage):
+ *   {
+ *     "backend": "prisma",                  // file | prisma (también CONVERSATION_STORAGE)
+ *     "database_url": "postgresql://..."    // opcional; por defecto DATABASE_URL
+ *   }
+ *
+ * Todos los métodos son asíncronos y devuelven el mismo formato en ambos backends:
+ *   loadContext, appendTurn, getTurnCount, listChats, createChat, deleteChat, renameChat,
+ *   getChatSettings, updateChatSettings, getChatSummary, saveChatSummary,
+ *   getInteractionCount, incrementInteractionCount, setInteractionCount,
+ *   loadInterview, saveInterview, deleteInterview,
+ *   getCredits, adjustCredits, recordTransaction, listTransactions
+ *
+ * En Prisma el id de Chat es "<userId>/<chatId>" (los chatId del frontend solo son únicos por usuario).
+ * La migración única desde los JSON está en migrateFileHistory (scripts/migrate_history_to_prisma.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, readJsonFile, updateJsonFile } = require('./atomic_file');
+
+const BACKENDS = ['file', 'prisma'];
+const DEFAULT_MAX_HISTORY = 20;
+const CHAT_METADATA_FILE = '_chat_metadata.json';
+const TRANSACTIONS_STORE_PATH = path.join(__dirname, '../auth/transactions.store.json');
+const USERS_STORE_PATH = path.join(__dirname, '../auth/users.store.json');
+const COUNTERS_DIR = path.join(__dirname, '../users');
+
+const stores = new Map();
+
+function historyDir(config) {
+    return (config && config.memory && config.memory.path)
+        ? path.join(process.cwd(), config.memory.path)
+        : path.join(process.cwd(), 'lexcode_instances', 'general', 'historial');
+}
+
+function maxHistory(config) {
+    return (config && config.memory && config.memory.max_history) || DEFAULT_MAX_HISTORY;
+}
+
+/**
+ * Archivos del directorio de un usuario que no son chats
+ */
+function isChatFile(file) {
+    return file.endsWith('.json') &&
+        file !== CHAT_METADATA_FILE &&
+        !file.includes('_turns') &&
+        !file.endsWith('_interview.json');
+}
+
+function previewOf(question) {
+    if (!question) return 'Chat vacío';
+    return question.substring(0, 100) + (question.length > 100 ? '...' : '');
+}
+
+function annexMessage(normativeAnnex, timestamp = new Date().toISOString()) {
+    return {
+        role: 'system-annex',
+        content: `Anexo Normativo Documental: ${JSON.stringify(normativeAnnex)}`,
+        annexData: normativeAnnex,
+        timestamp
+    };
+}
+
+function hasAnnex(normativeAnnex) {
+    return Array.isArray(normativeAnnex) && normativeAnnex.length > 0;
+}
+
+function creditError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Saldo de un usuario en el mismo formato en ambos backends
+ */
+function creditsOf(user) {
+    const updated = user.last_credit_update;
+    return {
+        credits: Number(user.credits) || 0,
+        credits_total_assigned: Number(user.credits_total_assigned) || 0,
+        last_credit_update: updated ? new Date(updated).toISOString() : null
+    };
+}
+
+function mergeSettings(current = {}, patch = {}) {
+    const settings = { ...current };
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null || value === undefined) delete settings[key];
+        else settings[key] = value;
+    }
+    return settings;
+}
+
+// ============================================================================
+// BACKEND DE ARCHIVOS
+// ============================================================================
+
+class FileConversationStore {
+    constructor({
+        baseDir,
+        maxHistory: max = DEFAULT_MAX_HISTORY,
+        transactionsPath = TRANSACTIONS_STORE_PATH,
+        usersPath = USERS_STORE_PATH,
+        countersDir = COUNTERS_DIR
+    } = {}) {
+        this.backend = 'file';
+        this.baseDir = baseDir;
+        this.maxHistory = max;
+        this.transactionsPath = transactionsPath;
+        this.usersPath = usersPath;
+        this.countersDir = countersDir;
+    }
+
+    userDir(userId) {
+        const dir = path.join(this.baseDir, userId);
+        fs.mkdirSync(dir, { recursive: true });
+        return dir;
+    }
+
+    chatFile(userId, chatId) {
+        return path.join(this.userDir(userId), `${chatId}.json`);
+    }
+
+    metadataFile(userId) {
+        return path.join(this.userDir(userId), CHAT_METADATA_FILE);
+    }
+
+    turnCountFile(userId, chatId) {
+        return path.join(this.userDir(userId), `${chatId}_turns.json`);
+    }
+
+    interviewFile(userId, chatId) {
+        return path.join(this.userDir(userId), `${chatId}_interview.json`);
+    }
+
+    counterFile(userId, chatId) {
+        return path.join(this.countersDir, userId, `${chatId}_interactions.json`);
+    }
+
+    loadMetadata(userId) {
+        try {
+            return readJsonFile(this.metadataFile(userId), {});
+        } catch (err) {
+            console.error(`Error cargando metadatos de chats para ${userId}:`, err.message);
+            return {};
+        }
+    }
+
+    /**
+     * Modifica los metadatos de un chat dentro del bloqueo de _chat_metadata.json
+     * @param {Function} mutate - (chatMeta) => void; chatMeta se crea si no existe
+     * @returns {Object} Metadatos del chat guardados
+     */
+    updateChatMetadata(userId, chatId, mutate) {
+        const metadata = updateJsonFile(this.metadataFile(userId), {}, all => {
+            if (!all[chatId]) all[chatId] = { createdAt: new Date().toISOString() };
+            mutate(all[chatId]);
+            all[chatId].lastModified = new Date().toISOString();
+        });
+        return metadata[chatId];
+    }
+
+    async loadContext(userId, chatId) {
+        const mem = readJsonFile(this.chatFile(userId, chatId), []);
+        return Array.isArray(mem) ? mem : [];
+    }
+
+    async appendTurn(userId, chatId, { question, answer, usage = null, normativeAnnex = null, meta = null }) {
+        const assistantMessage = { role: 'assistant', content: answer, usage };
+        for (const [key, value] of Object.entries(meta || {})) {
+            if (value !== null && value !== undefined) assistantMessage[key] = value;
+        }
+
+        // Leer y reescribir bajo bloqueo: dos respuestas simultáneas en el mismo chat no se pisan
+        updateJsonFile(this.chatFile(userId, chatId), [], current => {
+            const mem = Array.isArray(current) ? current : [];
+            mem.push({ role: 'user', content: question }, assistantMessage);
+
+            // El anexo normativo se guarda como un mensaje de sistema
+            if (hasAnnex(normativeAnnex)) mem.push(annexMessage(normativeAnnex));
+
+            return mem.length > this.maxHistory * 2 ? mem.slice(mem.length - this.maxHistory * 2) : mem;
+        });
+        // Turnos totales del chat (el historial se recorta, el contador no)
+        updateJsonFile(this.turnCountFile(userId, chatId), 0, count => (Number(count) || 0) + 1, { space: 0 });
+    }
+
+    async getTurnCount(userId, chatId) {
+        return Number(readJsonFile(this.turnCountFile(userId, chatId), 0)) || 0;
+    }
+
+    async listChats(userId) {
+        const dir = path.join(this.baseDir, userId);
+        if (!fs.existsSync(dir)) return [];
+
+        const metadata = this.loadMetadata(userId);
+        const chats = [];
+        for (const file of fs.readdirSync(dir).filter(isChatFile)) {
+            const chatId = file.replace('.json', '');
+            try {
+                const filePath = path.join(dir, file);
+                const stats = fs.statSync(filePath);
+                let messages = readJsonFile(filePath, []);
+                if (!Array.isArray(messages)) messages = [];
+
+                const firstUserMessage = messages.find(m => m.role === 'user');
+                const chatMeta = metadata[chatId] || {};
+                chats.push({
+                    chatId,
+                    name: chatMeta.name || '',
+                    instanceId: chatMeta.instanceId || 'general',
+                    parentChatId: chatMeta.parentChatId || null,
+                    preview: previewOf(firstUserMessage && firstUserMessage.content),
+                    messageCount: messages.length,
+                    lastModified: stats.mtime,
+                    created: chatMeta.createdAt || stats.birthtime || stats.mtime
+                });
+            } catch (err) {
+                console.error(`Error leyendo chat ${chatId}:`, err.message);
+            }
+        }
+
+        // Más reciente primero
+        chats.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+        return chats;
+    }
+
+    async createChat(userId, chatId, { name = '', instanceId = 'general', parentChatId = null } = {}) {
+        this.updateChatMetadata(userId, chatId, chatMeta => {
+            Object.assign(chatMeta, { name, instanceId, createdAt: new Date().toISOString() });
+            if (parentChatId) chatMeta.parentChatId = parentChatId;
+        });
+
+        const filePath = this.chatFile(userId, chatId);
+        if (!fs.existsSync(filePath)) writeFileAtomic(filePath, '[]');
+        return true;
+    }
+
+    async deleteChat(userId, chatId) {
+        const filePath = this.chatFile(userId, chatId);
+        if (!fs.existsSync(filePath)) return false;
+        fs.unlinkSync(filePath);
+
+        updateJsonFile(this.metadataFile(userId), {}, metadata => {
+            delete metadata[chatId];
+        });
+        return true;
+    }
+
+    async renameChat(userId, chatId, name) {
+        this.updateChatMetadata(userId, chatId, chatMeta => {
+            chatMeta.name = name;
+        });
+        return true;
+    }
+
+    async getChatSettings(userId, chatId) {
+        const metadata = this.loadMetadata(userId);
+        return (metadata[chatId] && metadata[chatId].settings) || {};
+    }
+
+    async updateChatSettings(userId, chatId, patch = {}) {
+        const chatMeta = this.updateChatMetadata(userId, chatId, meta => {
+            meta.settings = mergeSettings(meta.settings, patch);
+        });
+        return chatMeta.settings;
+    }
+
+    async getChatSummary(userId, chatId) {
+        const metadata = this.loadMetadata(userId);
+        return (metadata[chatId] && metadata[chatId].summary) || null;
+    }
+
+    async saveChatSummary(userId, chatId, summary) {
+        this.updateChatMetadata(userId, chatId, chatMeta => {
+            chatMeta.summary = summary;
+        });
+        return summary;
+    }
+
+    async getInteractionCount(userId, chatId) {
+        return readJsonFile(this.counterFile(userId, chatId), { count: 0 }).count || 0;
+    }
+
+    // Leer e incrementar bajo bloqueo: dos respuestas simultáneas en el mismo chat cuentan dos
+    async incrementInteractionCount(userId, chatId) {
+        const data = updateJsonFile(this.counterFile(userId, chatId), { count: 0 }, current => ({ count: (current.count || 0) + 1 }), { space: 0 });
+        return data.count;
+    }
+
+    async setInteractionCount(userId, chatId, count) {
+        updateJsonFile(this.counterFile(userId, chatId), { count: 0 }, () => ({ count }), { space: 0 });
+        return count;
+    }
+
+    async loadInterview(userId, chatId) {
+        return readJsonFile(this.interviewFile(userId, chatId), null);
+    }
+
+    async saveInterview(userId, chatId, state) {
+        writeFileAtomic(this.interviewFile(userId, chatId), JSON.stringify(state, null, 2));
+        return state;
+    }
+
+    async deleteInterview(userId, chatId) {
+        const file = this.interviewFile(userId, chatId);
+        if (!fs.existsSync(file)) return false;
+        fs.unlinkSync(file);
+        return true;
+    }
+
+    async getCredits(userId) {
+        const user = (readJsonFile(this.usersPath, { users: [] }).users || []).find(u => u.id === userId);
+        return user ? creditsOf(user) : null;
+    }
+
+    /**
+     * Suma (o descuenta, con amount negativo) créditos bajo el bloqueo de users.store.json
+     * @param {Object} options - { assigned } también suma a credits_total_assigned
+     * @returns {Promise<Object>} Saldo actualizado
+     * @throws {Error} error.code: user_not_found | insufficient_credits
+     */
+    async adjustCredits(userId, amount, { assigned = false } = {}) {
+        let balance = null;
+        updateJsonFile(this.usersPath, { users: [] }, store => {
+            const user = (store.users || []).find(u => u.id === userId);
+            if (!user) throw creditError('user_not_found', 'User not found');
+            if (amount < 0 && (user.credits || 0) < -amount) throw creditError('insufficient_credits', 'Insufficient credits');
+
+            user.credits = (user.credits || 0) + amount;
+            if (assigned) user.credits_total_assigned = (user.credits_total_assigned || 0) + amount;
+            user.last_credit_update = new Date().toISOString();
+            balance = creditsOf(user);
+        });
+        return balance;
+    }
+
+    async recordTransaction(transaction) {
+        updateJsonFile(this.transactionsPath, { transactions: [] }, store => {
+            store.transactions.push(transaction);
+        });
+        return transaction;
+    }
+
+    async listTransactions(userId = null) {
+        const { transactions = [] } = readJsonFile(this.transactionsPath, { transactions: [] });
+        return userId ? transactions.filter(t => t.user_id === userId) : transactions;
+    }
+}
+
+// ============================================================================
+// BACKEND PRISMA / POSTGRES
+// ============================================================================
+
+class PrismaConversationStore {
+    constructor({ databaseUrl = null, maxHistory: max = DEFAULT_MAX_HISTORY, client = null, usersPath = USERS_STORE_PATH } = {}) {
+        this.backend = 'prisma';
+        this.databaseUrl = databaseUrl;
+        this.maxHistory = max;
+        this.prisma = client;
+        this.usersPath = usersPath;
+        this.knownUsers = new Set();
+    }
+
+    // El cliente se carga al primer uso: el backend de archivos no requiere @prisma/client generado
+    get client() {
+        if (!this.prisma) {
+            const { PrismaClient } = require('@prisma/client');
+            this.prisma = new PrismaClient(this.databaseUrl ? { datasources: { db: { url: this.databaseUrl } } } : undefined);
+        }
+        return this.prisma;
+    }
+
+    chatKey(userId, chatId) {
+        return `${userId}/${chatId}`;
+    }
+
+    /**
+     * Crea o actualiza el User desde auth/users.store.json (o con datos mínimos si no está, p. ej. "anon")
+     */
+    async upsertUser(userId, user = null) {
+        const source = user || readJsonFile(this.usersPath, { users: [] }).users.find(u => u.id === userId) || {};
+        const data = {
+            username: source.username || userId,
+            email: source.email || `${userId}@usuarios.local`,
+            pass_hash: source.pass_hash || '',
+            credits: Number(source.credits) || 0,
+            credits_total_assigned: Number(source.credits_total_assigned) || 0
+        };
+        await this.client.user.upsert({ where: { id: userId }, update: user ? data : {}, create: { id: userId, ...data } });
+        this.knownUsers.add(userId);
+    }
+
+    async ensureUser(userId) {
+        if (!this.knownUsers.has(userId)) await this.upsertUser(userId);
+    }
+
+    async ensureChat(userId, chatId) {
+        await this.ensureUser(userId);
+        return this.client.chat.upsert({
+            where: { id: this.chatKey(userId, chatId) },
+            update: {},
+            create: { id: this.chatKey(userId, chatId), userId, name: '' }
+        });
+    }
+
+    async loadContext(userId, chatId) {
+        const turns = await this.client.turn.findMany({
+            where: { chatId: this.chatKey(userId, chatId) },
+            orderBy: { createdAt: 'desc' },
+            take: this.maxHistory
+        });
+        return turns.reverse().flatMap(turnToMessages);
+    }
+
+    async appendTurn(userId, chatId, { question, answer, usage = null, normativeAnnex = null, meta = null }) {
+        await this.ensureChat(userId, chatId);
+        const cleanMeta = Object.fromEntries(Object.entries(meta || {}).filter(([, value]) => value !== null && value !== undefined));
+        await this.client.turn.create({
+            data: {
+                chatId: this.chatKey(userId, chatId),
+                question: question || '',
+                response: answer || '',
+                tokensUsed: usage ? (usage.total_tokens || ((usage.input_tokens || usage.prompt_tokens || 0) + (usage.output_tokens || usage.completion_tokens || 0)) || null) : null,
+                metadata: {
+                    usage,
+                    meta: cleanMeta,
+                    annex: hasAnnex(normativeAnnex) ? { data: normativeAnnex, timestamp: new Date().toISOString() } : null
+                }
+            }
+        });
+        await this.client.chat.update({
+            where: { id: this.chatKey(userId, chatId) },
+            data: { updatedAt: new Date(), turnCount: { increment: 1 } }
+        });
+    }
+
+    async getTurnCount(userId, chatId) {
+        const chat = await this.client.chat.findUnique({ where: { id: this.chatKey(userId, chatId) }, select: { turnCount: true } });
+        return chat ? chat.turnCount : 0;
+    }
+
+    async listChats(userId) {
+        const chats = await this.client.chat.findMany({
+            where: { userId },
+            orderBy: { updatedAt: 'desc' },
+            include: {
+                _count: { select: { turns: true } },
+                turns: { orderBy: { createdAt: 'asc' }, take: 1, select: { question: true } }
+            }
+        });
+        const prefix = `${userId}/`;
+        return chats.map(chat => ({
+            chatId: chat.id.startsWith(prefix) ? chat.id.slice(prefix.length) : chat.id,
+            name: chat.name || '',
+            instanceId: chat.instanceId || 'general',
+            parentChatId: chat.parentChatId || null,
+            preview: previewOf(chat.turns[0] && chat.turns[0].question),
+            messageCount: chat._count.turns * 2,
+            lastModified: chat.updatedAt,
+            created: chat.createdAt
+        }));
+    }
+
+    async createChat(userId, chatId, { name = '', instanceId = 'general', parentChatId = null } = {}) {
+        await this.ensureUser(userId);
+        const data = parentChatId ? { name, instanceId, parentChatId } : { name, instanceId };
+        await this.client.chat.upsert({
+            where: { id: this.chatKey(userId, chatId) },
+            update: data,
+            create: { id: this.chatKey(userId, chatId), userId, ...data }
+        });
+        return true;
+    }
+
+    async deleteChat(userId, chatId) {
+        const { count } = await this.client.chat.deleteMany({ where: { id: this.chatKey(userId, chatId), userId } });
+        return count > 0;
+    }
+
+    async renameChat(userId, chatId, name) {
+        await this.ensureChat(userId, chatId);
+        await this.client.chat.update({ where: { id: this.chatKey(userId, chatId) }, data: { name } });
+        return true;
+    }
+
+    async getChatSettings(userId, chatId) {
+        const chat = await this.client.chat.findUnique({ where: { id: this.chatKey(userId, chatId) }, select: { settings: true } });
+        return (chat && chat.settings) || {};
+    }
+
+    async updateChatSettings(userId, chatId, patch = {}) {
+        const chat = await this.ensureChat(userId, chatId);
+        const settings = mergeSettings(chat.settings || {}, patch);
+        await this.client.chat.update({ where: { id: this.chatKey(userId, chatId) }, data: { settings } });
+        return settings;
+    }
+
+    async getChatSummary(userId, chatId) {
+        const chat = await this.client.chat.findUnique({ where: { id: this.chatKey(userId, chatId) }, select: { summary: true } });
+        return (chat && chat.summary) || null;
+    }
+
+    async saveChatSummary(userId, chatId, summary) {
+        await this.ensureChat(userId, chatId);
+        await this.client.chat.update({ where: { id: this.chatKey(userId, chatId) }, data: { summary } });
+        return summary;
+    }
+
+    async getInteractionCount(userId, chatId) {
+        const chat = await this.client.chat.findUnique({ where: { id: this.chatKey(userId, chatId) }, select: { interactionCount: true } });
+        return chat ? chat.interactionCount : 0;
+    }
+
+    async incrementInteractionCount(userId, chatId) {
+        await this.ensureChat(userId, chatId);
+        const chat = await this.client.chat.update({
+            where: { id: this.chatKey(userId, chatId) },
+            data: { interactionCount: { increment: 1 } },
+            select: { interactionCount: true }
+        });
+        return chat.interactionCount;
+    }
+
+    async setInteractionCount(userId, chatId, count) {
+        await this.ensureChat(userId, chatId);
+        await this.client.chat.update({ where: { id: this.chatKey(userId, chatId) }, data: { interactionCount: count } });
+        return count;
+    }
+
+    async loadInterview(userId, chatId) {
+        const chat = await this.client.chat.findUnique({ where: { id: this.chatKey(userId, chatId) }, select: { interview: true } });
+        return (chat && chat.interview) || null;
+    }
+
+    async saveInterview(userId, chatId, state) {
+        await this.ensureChat(userId, chatId);
+        await this.client.chat.update({ where: { id: this.chatKey(userId, chatId) }, data: { interview: state } });
+        return state;
+    }
+
+    async deleteInterview(userId, chatId) {
+        if (!(await this.loadInterview(userId, chatId))) return false;
+        const { Prisma } = require('@prisma/client');
+        await this.client.chat.update({ where: { id: this.chatKey(userId, chatId) }, data: { interview: Prisma.DbNull } });
+        return true;
+    }
+
+    async getCredits(userId) {
+        await this.ensureUser(userId);
+        const user = await this.client.user.findUnique({
+            where: { id: userId },
+            select: { credits: true, credits_total_assigned: true, last_credit_update: true }
+        });
+        return user ? creditsOf(user) : null;
+    }
+
+    /**
+     * Suma (o descuenta) créditos en una sola sentencia: el descuento solo se aplica si el saldo alcanza
+     * @throws {Error} error.code: insufficient_credits
+     */
+    async adjustCredits(userId, amount, { assigned = false } = {}) {
+        await this.ensureUser(userId);
+        const data = { credits: { increment: amount }, last_credit_update: new Date() };
+        if (assigned) data.credits_total_assigned = { increment: amount };
+        const where = amount < 0 ? { id: userId, credits: { gte: -amount } } : { id: userId };
+        const { count } = await this.client.user.updateMany({ where, data });
+        if (count === 0) throw creditError('insufficient_credits', 'Insufficient credits');
+        return this.getCredits(userId);
+    }
+
+    async recordTransaction(transaction) {
+        await this.ensureUser(transaction.user_id);
+        await this.client.transaction.create({ data: transactionToRow(transaction) });
+        return transaction;
+    }
+
+    async listTransactions(userId = null) {
+        const rows = await this.client.transaction.findMany({
+            where: userId ? { userId } : undefined,
+            orderBy: { timestamp: 'asc' }
+        });
+        return rows.map(rowToTransaction);
+    }
+}
+
+/**
+ * Turn de Prisma → mensajes en el formato del historial en archivos
+ */
+function turnToMessages(turn) {
+    const metadata = turn.metadata || {};
+    const messages = [
+        { role: 'user', content: turn.question },
+        { role: 'assistant', content: turn.response, usage: metadata.usage || null, ...(metadata.meta || {}) }
+    ];
+    if (metadata.annex && hasAnnex(metadata.annex.data)) {
+        messages.push(annexMessage(metadata.annex.data, metadata.annex.timestamp));
+    }
+    return messages;
+}
+
+function transactionToRow(transaction) {
+    return {
+        id: transaction.transaction_id,
+        userId: transaction.user_id,
+        type: transaction.type,
+        amount: transaction.amount,
+        description: transaction.description || '',
+        relatedChatId: transaction.related_chat_id || null,
+        operationType: transaction.operation_type || null,
+        tokenUsage: transaction.token_usage || undefined,
+        costDetails: transaction.cost_details || undefined,
+        timestamp: transaction.timestamp ? new Date(transaction.timestamp) : new Date()
+    };
+}
+
+function rowToTransaction(row) {
+    return {
+        transaction_id: row.id,
+        user_id: row.userId,
+        type: row.type,
+        amount: row.amount,
+        description: row.description,
+        timestamp: row.timestamp.toISOString(),
+        related_chat_id: row.relatedChatId,
+        operation_type: row.operationType,
+        token_usage: row.tokenUsage,
+        cost_details: row.costDetails
+    };
+}
+
+// ============================================================================
+// SELECCIÓN DEL BACKEND
+// ============================================================================
+
+function resolveBackend(config) {
+    const backend = String(process.env.CONVERSATION_STORAGE || (config && config.storage && config.storage.backend) || 'file').toLowerCase();
+    if (!BACKENDS.includes(backend)) {
+        console.warn(`[Storage] ⚠ Backend desconocido "${backend}", usando file`);
+        return 'file';
+    }
+    return backend;
+}
+
+/**
+ * Store de conversaciones según bot_config.storage (una instancia por backend y ubicación)
+ * @param {Object} config - bot_config
+ * @returns {FileConversationStore|PrismaConversationStore}
+ */
+function getConversationStore(config = {}) {
+    const backend = resolveBackend(config);
+    const options = backend === 'prisma'
+        ? { databaseUrl: (config && config.storage && config.storage.database_url) || null, maxHistory: maxHistory(config) }
+        : { baseDir: historyDir(config), maxHistory: maxHistory(config) };
+    const key = `${backend}|${JSON.stringify(options)}`;
+
+    if (!stores.has(key)) {
+        stores.set(key, backend === 'prisma' ? new PrismaConversationStore(options) : new FileConversationStore(options));
+        console.log(`[Storage] Backend de conversaciones: ${backend}`);
+    }
+    return stores.get(key);
+}
+
+// ============================================================================
+// MIGRACIÓN ARCHIVOS → PRISMA
+// ============================================================================
+
+/**
+ * Agrupa los mensajes del historial en turnos pregunta/respuesta (el anexo va con el turno anterior)
+ */
+function messagesToTurns(messages) {
+    const turns = [];
+    let skipped = 0;
+    for (const message of messages) {
+        if (message.role === 'user') {
+            turns.push({ question: String(message.content || ''), response: '', usage: null, meta: {}, annex: null });
+        } else if (message.role === 'assistant' && turns.length > 0 && !turns[turns.length - 1].answered) {
+            const { role, content, usage, ...meta } = message;
+            Object.assign(turns[turns.length - 1], { response: String(content || ''), usage: usage || null, meta, answered: true });
+        } else if (message.role === 'system-annex' && turns.length > 0 && hasAnnex(message.annexData)) {
+            turns[turns.length - 1].annex = { data: message.annexData, timestamp: message.timestamp || null };
+        } else {
+            skipped++;
+        }
+    }
+    return { turns: turns.map(({ answered, ...turn }) => turn), skipped };
+}
+
+/**
+ * Copia usuarios (con su saldo), chats (historial, metadatos, contadores y entrevista) y transacciones de los JSON a Postgres
+ * Los chats que ya existen en la base se omiten, salvo con replace.
+ * @param {Object} options
+ *   - config {Object} bot_config (memory.path, storage.database_url)
+ *   - historyDir {string} Carpeta historial (por defecto la de config)
+ *   - store {PrismaConversationStore} Store destino (por defecto según config)
+ *   - replace {boolean} Reemplazar los chats existentes
+ *   - dryRun {boolean} Solo contar, sin escribir
+ *   - usersPath, transactionsPath, countersDir {string} Ubicación de los JSON (por defecto las del servidor)
+ * @returns {Promise<Object>} { users, chats, skipped_chats, turns, skipped_messages, transactions, errors }
+ */
+async function migrateFileHistory({
+    config = {},
+    historyDir: dir = null,
+    store = null,
+    replace = false,
+    dryRun = false,
+    log = console.log,
+    usersPath = USERS_STORE_PATH,
+    transactionsPath = TRANSACTIONS_STORE_PATH,
+    countersDir = COUNTERS_DIR
+} = {}) {
+    const target = store || new PrismaConversationStore({ databaseUrl: (config.storage && config.storage.database_url) || null });
+    try {
+        const files = new FileConversationStore({ baseDir: dir || historyDir(config), usersPath, transactionsPath, countersDir });
+        return await copyFileHistory(target, files, { replace, dryRun, log });
+    } finally {
+        // Cerrar la conexión solo si el store se creó para la migración
+        if (!store && !dryRun) await target.client.$disconnect();
+    }
+}
+
+async function copyFileHistory(target, files, { replace, dryRun, log }) {
+    const { baseDir } = files;
+    const client = dryRun ? null : target.client;
+    const report = { users: 0, chats: 0, skipped_chats: 0, turns: 0, skipped_messages: 0, transactions: 0, errors: [] };
+
+    const users = readJsonFile(files.usersPath, { users: [] }).users || [];
+    for (const user of users) {
+        if (!dryRun) await target.upsertUser(user.id, user);
+        report.users++;
+    }
+
+    const userDirs = fs.existsSync(baseDir)
+        ? fs.readdirSync(baseDir).filter(name => fs.statSync(path.join(baseDir, name)).isDirectory())
+        : [];
+
+    for (const userId of userDirs) {
+        const metadata = files.loadMetadata(userId);
+        if (!dryRun) await target.ensureUser(userId);
+
+        for (const file of fs.readdirSync(path.join(baseDir, userId)).filter(isChatFile)) {
+            const chatId = file.replace('.json', '');
+            const id = target.chatKey(userId, chatId);
+            try {
+                const messages = await files.loadContext(userId, chatId);
+                const { turns, skipped } = messagesToTurns(messages);
+                const chatMeta = metadata[chatId] || {};
+                const interview = await files.loadInterview(userId, chatId);
+                const interactionCount = await files.getInteractionCount(userId, chatId);
+                const turnCount = Math.max(await files.getTurnCount(userId, chatId), turns.length);
+                const stats = fs.statSync(path.join(baseDir, userId, file));
+                const createdAt = new Date(chatMeta.createdAt || stats.birthtime || stats.mtime);
+
+                if (!dryRun) {
+                    const existing = await client.chat.findUnique({ where: { id }, select: { id: true } });
+                    if (existing && !replace) {
+                        report.skipped_chats++;
+                        continue;
+                    }
+                    if (existing) await client.chat.delete({ where: { id } });
+                    await client.chat.create({
+                        data: {
+                            id,
+                            userId,
+                            name: chatMeta.name || '',
+                            instanceId: chatMeta.instanceId || 'general',
+                            settings: chatMeta.settings || undefined,
+                            summary: chatMeta.summary || undefined,
+                            parentChatId: chatMeta.parentChatId || null,
+                            interactionCount,
+                            turnCount,
+                            interview: interview || undefined,
+                            createdAt
+                        }
+                    });
+                    // Sin marcas de tiempo por mensaje: se conserva el orden con un segundo entre turnos
+                    await client.turn.createMany({
+                        data: turns.map((turn, i) => ({
+                            chatId: id,
+                            question: turn.question,
+                            response: turn.response,
+                            tokensUsed: (turn.usage && turn.usage.total_tokens) || null,
+                            metadata: { usage: turn.usage, meta: turn.meta, annex: turn.annex },
+                            createdAt: new Date(createdAt.getTime() + i * 1000)
+                        }))
+                    });
+                    await client.chat.update({ where: { id }, data: { updatedAt: stats.mtime } });
+                }
+                report.chats++;
+                report.turns += turns.length;
+                report.skipped_messages += skipped;
+                log(`  ✓ ${userId}/${chatId}: ${turns.length} turnos`);
+            } catch (error) {
+                report.errors.push({ chat: id, error: error.message });
+                log(`  ✗ ${userId}/${chatId}: ${error.message}`);
+            }
+        }
+    }
+
+    const transactions = readJsonFile(files.transactionsPath, { transactions: [] }).transactions || [];
+    if (!dryRun && transactions.length > 0) {
+        for (const userId of new Set(transactions.map(t => t.user_id))) await target.ensureUser(userId);
+        const { count } = await client.transaction.createMany({ data: transactions.map(transactionToRow), skipDuplicates: true });
+        report.transactions = count;
+    } else {
+        report.transactions = transactions.length;
+    }
+
+    return report;
+}
+
+module.exports = {
+    BACKENDS,
+    FileConversationStore,
+    PrismaConversationStore,
+    getConversationStore,
+    messagesToTurns,
+    migrateFileHistory
+};
@@ -0,0 +1,306 @@
+// engine/conversation_store.test.js — Pruebas del store de conversaciones (archivos y Prisma) y de la migración
+// Ejecutar con: node engine/conversation_store.test.js
+//
+// El backend Prisma usa un cliente falso en memoria: no requiere Postgres ni @prisma/client generado.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  FileConversationStore,
+  PrismaConversationStore,
+  messagesToTurns,
+  migrateFileHistory
+} = require('./conversation_store');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+async function assertRejectsCode(fn, code) {
+  try {
+    await fn();
+  } catch (e) {
+    assertEqual(e.code, code, 'Código de error');
+    return;
+  }
+  throw new Error(`Se esperaba un error ${code}`);
+}
+
+/**
+ * Cliente Prisma falso: solo las operaciones que usa conversation_store.js
+ */
+function fakePrismaClient() {
+  const db = { users: new Map(), chats: new Map(), turns: [], transactions: [] };
+  let turnId = 0;
+  const matchUser = (user, where) => user.id === where.id && (!where.credits || user.credits >= where.credits.gte);
+  const apply = (row, data) => {
+    for (const [key, value] of Object.entries(data)) {
+      row[key] = value && typeof value === 'object' && 'increment' in value ? row[key] + value.increment : value;
+    }
+    return row;
+  };
+  const pick = (row, select) => select ? Object.fromEntries(Object.keys(select).map(key => [key, row[key]])) : row;
+
+  return {
+    db,
+    user: {
+      upsert: async ({ where, update, create }) => {
+        const row = db.users.get(where.id);
+        if (row) return apply(row, update);
+        db.users.set(where.id, { last_credit_update: new Date(), ...create });
+        return db.users.get(where.id);
+      },
+      findUnique: async ({ where, select }) => db.users.has(where.id) ? pick(db.users.get(where.id), select) : null,
+      updateMany: async ({ where, data }) => {
+        const rows = [...db.users.values()].filter(user => matchUser(user, where));
+        rows.forEach(row => apply(row, data));
+        return { count: rows.length };
+      }
+    },
+    chat: {
+      upsert: async ({ where, update, create }) => {
+        const row = db.chats.get(where.id);
+        if (row) return apply(row, update);
+        db.chats.set(where.id, { interactionCount: 0, turnCount: 0, createdAt: new Date(), updatedAt: new Date(), ...create });
+        return db.chats.get(where.id);
+      },
+      create: async ({ data }) => {
+        db.chats.set(data.id, { interactionCount: 0, turnCount: 0, updatedAt: new Date(), ...data });
+        return db.chats.get(data.id);
+      },
+      findUnique: async ({ where, select }) => db.chats.has(where.id) ? pick(db.chats.get(where.id), select) : null,
+      update: async ({ where, data, select }) => pick(apply(db.chats.get(where.id), data), select),
+      delete: async ({ where }) => db.chats.delete(where.id)
+    },
+    turn: {
+      create: async ({ data }) => {
+        db.turns.push({ id: String(++turnId), createdAt: new Date(Date.now() + turnId), ...data });
+      },
+      createMany: async ({ data }) => {
+        data.forEach(row => db.turns.push({ id: String(++turnId), ...row }));
+        return { count: data.length };
+      },
+      findMany: async ({ where, take }) => db.turns
+        .filter(turn => turn.chatId === where.chatId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, take)
+    },
+    transaction: {
+      createMany: async ({ data }) => {
+        db.transactions.push(...data);
+        return { count: data.length };
+      }
+    }
+  };
+}
+
+(async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-store-test-'));
+  const usersPath = path.join(dir, 'users.store.json');
+  const transactionsPath = path.join(dir, 'transactions.store.json');
+  const countersDir = path.join(dir, 'users');
+  const baseDir = path.join(dir, 'historial');
+  fs.writeFileSync(usersPath, JSON.stringify({
+    users: [{ id: 'u1', username: 'ana', email: 'ana@example.com', pass_hash: 'x', credits: 10, credits_total_assigned: 10 }]
+  }));
+
+  const files = new FileConversationStore({ baseDir, maxHistory: 3, usersPath, transactionsPath, countersDir });
+  const annex = [{ cita: 'Art. 161 Código del Trabajo' }];
+
+  try {
+    // ============ Backend de archivos ============
+
+    await test('file: appendTurn y loadContext conservan meta y anexo', async () => {
+      await files.createChat('u1', 'c1', { name: 'Despido', instanceId: 'laboral' });
+      await files.appendTurn('u1', 'c1', { question: 'q1', answer: 'a1', usage: { total_tokens: 5 }, normativeAnnex: annex, meta: { intent: 'consulta', empty: null } });
+      const mem = await files.loadContext('u1', 'c1');
+      assertEqual(mem.map(m => m.role), ['user', 'assistant', 'system-annex']);
+      assertEqual(mem[1], { role: 'assistant', content: 'a1', usage: { total_tokens: 5 }, intent: 'consulta' });
+      assertEqual(mem[2].annexData, annex);
+    });
+
+    await test('file: el historial se recorta a max_history turnos, el contador de turnos no', async () => {
+      for (let i = 2; i <= 5; i++) await files.appendTurn('u1', 'c1', { question: `q${i}`, answer: `a${i}` });
+      const mem = await files.loadContext('u1', 'c1');
+      assertEqual(mem.length, 6);
+      assertEqual(mem[mem.length - 1].content, 'a5');
+      assertEqual(await files.getTurnCount('u1', 'c1'), 5);
+      assertEqual(await files.getTurnCount('u1', 'otro'), 0);
+    });
+
+    await test('file: listChats, renameChat y chat de origen', async () => {
+      await files.createChat('u1', 'c2', { name: 'Continuación', parentChatId: 'c1' });
+      await files.renameChat('u1', 'c1', 'Despido injustificado');
+      const chats = await files.listChats('u1');
+      const byId = Object.fromEntries(chats.map(c => [c.chatId, c]));
+      assertEqual(Object.keys(byId).sort(), ['c1', 'c2']);
+      assertEqual([byId.c1.name, byId.c1.instanceId, byId.c1.parentChatId], ['Despido injustificado', 'laboral', null]);
+      assertEqual([byId.c2.parentChatId, byId.c2.messageCount, byId.c2.preview], ['c1', 0, 'Chat vacío']);
+    });
+
+    await test('file: ajustes (null borra) y resumen del caso', async () => {
+      assertEqual(await files.updateChatSettings('u1', 'c1', { normative_as_of: '2020-01-01', x: 1 }), { normative_as_of: '2020-01-01', x: 1 });
+      assertEqual(await files.updateChatSettings('u1', 'c1', { x: null }), { normative_as_of: '2020-01-01' });
+      assertEqual(await files.getChatSettings('u1', 'c1'), { normative_as_of: '2020-01-01' });
+      assertEqual(await files.getChatSummary('u1', 'c1'), null);
+      await files.saveChatSummary('u1', 'c1', { text: 'Resumen', turns: 2 });
+      assertEqual(await files.getChatSummary('u1', 'c1'), { text: 'Resumen', turns: 2 });
+    });
+
+    await test('file: contador de interacciones', async () => {
+      assertEqual(await files.getInteractionCount('u1', 'c1'), 0);
+      assertEqual(await files.incrementInteractionCount('u1', 'c1'), 1);
+      assertEqual(await files.incrementInteractionCount('u1', 'c1'), 2);
+      assertEqual(await files.setInteractionCount('u1', 'c2', 7), 7);
+      assertEqual(await files.getInteractionCount('u1', 'c2'), 7);
+      assertEqual(fs.existsSync(path.join(countersDir, 'u1', 'c1_interactions.json')), true);
+    });
+
+    await test('file: entrevista de redacción (no aparece como chat)', async () => {
+      const state = { template_id: 'arriendo', status: 'in_progress', values: { renta: 500000 } };
+      assertEqual(await files.loadInterview('u1', 'c1'), null);
+      await files.saveInterview('u1', 'c1', state);
+      assertEqual(await files.loadInterview('u1', 'c1'), state);
+      assertEqual((await files.listChats('u1')).length, 2);
+      assertEqual(await files.deleteInterview('u1', 'c1'), true);
+      assertEqual(await files.deleteInterview('u1', 'c1'), false);
+      await files.saveInterview('u1', 'c1', state);
+    });
+
+    await test('file: créditos y transacciones', async () => {
+      assertEqual((await files.getCredits('u1')).credits, 10);
+      assertEqual((await files.adjustCredits('u1', -3)).credits, 7);
+      const assigned = await files.adjustCredits('u1', 5, { assigned: true });
+      assertEqual([assigned.credits, assigned.credits_total_assigned], [12, 15]);
+      await assertRejectsCode(() => files.adjustCredits('u1', -13), 'insufficient_credits');
+      await assertRejectsCode(() => files.adjustCredits('nadie', 1), 'user_not_found');
+      assertEqual(await files.getCredits('nadie'), null);
+      assertEqual((await files.getCredits('u1')).credits, 12, 'Un descuento rechazado no modifica el saldo');
+
+      await files.recordTransaction({ transaction_id: 't1', user_id: 'u1', type: 'consumption', amount: -3, description: 'Consulta' });
+      await files.recordTransaction({ transaction_id: 't2', user_id: 'u2', type: 'assignment', amount: 5, description: 'Manual' });
+      assertEqual((await files.listTransactions('u1')).map(t => t.transaction_id), ['t1']);
+      assertEqual((await files.listTransactions()).length, 2);
+    });
+
+    // ============ messagesToTurns ============
+
+    await test('messagesToTurns: agrupa pregunta/respuesta y adjunta el anexo al turno', () => {
+      const { turns, skipped } = messagesToTurns([
+        { role: 'user', content: 'q1' },
+        { role: 'assistant', content: 'a1', usage: { total_tokens: 3 }, intent: 'consulta' },
+        { role: 'system-annex', annexData: annex, timestamp: 't' },
+        { role: 'assistant', content: 'huérfana' },
+        { role: 'user', content: 'q2' }
+      ]);
+      assertEqual(turns, [
+        { question: 'q1', response: 'a1', usage: { total_tokens: 3 }, meta: { intent: 'consulta' }, annex: { data: annex, timestamp: 't' } },
+        { question: 'q2', response: '', usage: null, meta: {}, annex: null }
+      ]);
+      assertEqual(skipped, 1);
+    });
+
+    // ============ Backend Prisma (cliente falso) ============
+
+    await test('prisma: el historial vuelve en el formato del backend de archivos', async () => {
+      const prisma = new PrismaConversationStore({ client: fakePrismaClient(), usersPath, maxHistory: 3 });
+      await prisma.appendTurn('u1', 'c1', { question: 'q1', answer: 'a1', usage: { total_tokens: 5 }, normativeAnnex: annex, meta: { intent: 'consulta', empty: null } });
+      const mem = await prisma.loadContext('u1', 'c1');
+      assertEqual(mem.slice(0, 2), [
+        { role: 'user', content: 'q1' },
+        { role: 'assistant', content: 'a1', usage: { total_tokens: 5 }, intent: 'consulta' }
+      ]);
+      assertEqual(mem[2].annexData, annex);
+      await prisma.appendTurn('u1', 'c1', { question: 'q2', answer: 'a2' });
+      assertEqual(await prisma.getTurnCount('u1', 'c1'), 2);
+    });
+
+    await test('prisma: créditos importados del store de usuarios y descuento condicionado al saldo', async () => {
+      const client = fakePrismaClient();
+      const prisma = new PrismaConversationStore({ client, usersPath });
+      assertEqual((await prisma.getCredits('u1')).credits, 12);
+      assertEqual((await prisma.adjustCredits('u1', -2)).credits, 10);
+      await assertRejectsCode(() => prisma.adjustCredits('u1', -11), 'insufficient_credits');
+      assertEqual(client.db.users.get('u1').credits, 10);
+    });
+
+    await test('prisma: contador de interacciones y entrevista por chat', async () => {
+      const prisma = new PrismaConversationStore({ client: fakePrismaClient(), usersPath });
+      assertEqual(await prisma.getInteractionCount('u1', 'c1'), 0);
+      assertEqual(await prisma.incrementInteractionCount('u1', 'c1'), 1);
+      assertEqual(await prisma.incrementInteractionCount('u1', 'c1'), 2);
+      await prisma.saveInterview('u1', 'c1', { template_id: 'arriendo' });
+      assertEqual(await prisma.loadInterview('u1', 'c1'), { template_id: 'arriendo' });
+    });
+
+    // ============ migrateFileHistory ============
+
+    await test('migrateFileHistory: copia usuarios, chats, estado por chat y transacciones', async () => {
+      const client = fakePrismaClient();
+      const store = new PrismaConversationStore({ client, usersPath });
+      const report = await migrateFileHistory({ historyDir: baseDir, store, usersPath, transactionsPath, countersDir, log: () => {} });
+      assertEqual(report, { users: 1, chats: 2, skipped_chats: 0, turns: 3, skipped_messages: 0, transactions: 2, errors: [] });
+
+      const c1 = client.db.chats.get('u1/c1');
+      assertEqual([c1.name, c1.instanceId, c1.interactionCount, c1.turnCount], ['Despido injustificado', 'laboral', 2, 5]);
+      assertEqual(c1.settings, { normative_as_of: '2020-01-01' });
+      assertEqual(c1.summary, { text: 'Resumen', turns: 2 });
+      assertEqual(c1.interview.template_id, 'arriendo');
+      assertEqual(client.db.chats.get('u1/c2').parentChatId, 'c1');
+      assertEqual(client.db.users.get('u1').credits, 12);
+
+      // Lo migrado se lee igual desde el backend Prisma
+      const mem = await store.loadContext('u1', 'c1');
+      assertEqual(mem.filter(m => m.role === 'user').map(m => m.content), ['q3', 'q4', 'q5']);
+      assertEqual(await store.getInteractionCount('u1', 'c1'), 2);
+    });
+
+    await test('migrateFileHistory: omite los chats ya migrados y dryRun no escribe', async () => {
+      const client = fakePrismaClient();
+      const store = new PrismaConversationStore({ client, usersPath });
+      const options = { historyDir: baseDir, store, usersPath, transactionsPath, countersDir, log: () => {} };
+      await migrateFileHistory(options);
+      const again = await migrateFileHistory(options);
+      assertEqual([again.chats, again.skipped_chats], [0, 2]);
+
+      const dry = await migrateFileHistory({ ...options, store: new PrismaConversationStore({ client: null }), dryRun: true });
+      assertEqual([dry.chats, dry.turns, dry.transactions], [2, 3, 2]);
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // ============ Resumen ============
+  console.log('\n' + '='.repeat(50));
+  console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+  console.log(`${RED}Fallidas: ${failed}${RESET}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
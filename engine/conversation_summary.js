@@ -0,0 +1,357 @@
+/**
+ * CONVERSATION SUMMARY - LEGITIMUS PRO
+ * ====================================
+ *
+ * Resumen progresivo del caso en chats largos (opcional, se activa por instancia). En vez de
+ * descartar los turnos que salen de la ventana (rolling_max_turns):
+ *   1. Los turnos anteriores a la ventana se compactan (LLM) en un resumen acumulado del caso
+ *   2. El resumen se guarda con el chat (conversation_store: getChatSummary/saveChatSummary)
+ *   3. Cada respuesta recibe el resumen antes de la ventana de turnos recientes
+ *   4. El límite max_chat_interactions se sigue aplicando
+ *
+ * Cada llamada al LLM de resumen (compactación y continuación en un chat nuevo) se descuenta
+ * de los créditos del usuario del chat (credit_manager_v2, operation_type 'conversation_summary').
+ *
+ * La compactación corre después de guardar el turno (memory.saveTurn), cuando hay al menos
+ * every_n_turns turnos fuera de la ventana sin resumir; hasta entonces esos turnos se siguen
+ * enviando completos. El avance se mide con el contador de turnos del chat (conversation_store.getTurnCount).
+ *
+ * Resumen guardado: { text, turns (turnos incluidos), updated_at, model, carried_from? }
+ *
+ * Continuar en un chat nuevo (buildCarryOver, chat_management.continueUserChat): el chat nuevo
+ * parte con un resumen del anterior (resumen, hechos clave, artículos citados en los anexos
+ * normativos y documentos adjuntos) como resumen inicial, con carried_from = chatId anterior.
+ * Ese resumen se envía aunque el resumen progresivo esté desactivado.
+ *
+ * Configuración (bot_config.memory.rolling_summary):
+ *   {
+ *     "enabled": true,               // sólo con true; por defecto ventana fija como antes
+ *     "every_n_turns": 4,            // turnos fuera de la ventana que disparan la compactación
+ *                                    // (por defecto memory.summary_every_n_turns)
+ *     "model": "gpt-4.1-mini",
+ *     "max_words": 400               // extensión máxima del resumen
+ *   }
+ */
+
+const { _callOpenAI } = require('./llm');
+const { loadContext, loadTurnCount } = require('./memory');
+const { getConversationStore } = require('./conversation_store');
+const creditManager = require('./credit_manager_v2');
+
+const DEFAULT_ROLLING_MAX_TURNS = 6;
+const DEFAULT_EVERY_N_TURNS = 4;
+const DEFAULT_SUMMARY_MODEL = 'gpt-4.1-mini';
+const DEFAULT_MAX_WORDS = 400;
+const MAX_MESSAGE_CHARS = 2000;
+const MAX_CARRY_OVER_FACTS = 12;
+
+// Compactaciones en curso en este proceso (una por chat)
+const inFlight = new Set();
+
+function getSettings(cfg) {
+    const memory = (cfg && cfg.memory) || {};
+    const settings = memory.rolling_summary || {};
+    return {
+        enabled: settings.enabled === true,
+        everyNTurns: Math.max(1, Number(settings.every_n_turns || memory.summary_every_n_turns) || DEFAULT_EVERY_N_TURNS),
+        model: settings.model || DEFAULT_SUMMARY_MODEL,
+        maxWords: Number(settings.max_words) || DEFAULT_MAX_WORDS,
+        rollingMax: memory.rolling_max_turns || DEFAULT_ROLLING_MAX_TURNS
+    };
+}
+
+/**
+ * Límite de interacciones del chat (0 = sin límite; también rige con resumen progresivo)
+ */
+function chatInteractionLimit(cfg) {
+    return (cfg && cfg.memory && cfg.memory.max_chat_interactions) || 0;
+}
+
+/**
+ * Descuenta los créditos de una llamada de resumen al usuario del chat (sin uso informado no cobra)
+ * @returns {Promise<Object|null>} Resultado de credit_manager_v2.deductCreditsForQuery
+ */
+async function chargeSummaryUsage(cfg, { userId, chatId }, response) {
+    const usage = response && response.usage;
+    if (!usage || !(usage.prompt_tokens || usage.input_tokens)) return null;
+    try {
+        return await creditManager.deductCreditsForQuery(cfg, userId, usage, chatId, { model: response.model }, 'conversation_summary');
+    } catch (error) {
+        console.error(`[Summary] Error al descontar créditos de ${userId}/${chatId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Agrupa el historial en turnos (cada mensaje de usuario abre un turno; respuesta y anexo van con él)
+ */
+function groupTurns(messages) {
+    const turns = [];
+    for (const message of messages || []) {
+        if (message.role === 'user' || turns.length === 0) turns.push([]);
+        turns[turns.length - 1].push(message);
+    }
+    return turns;
+}
+
+/**
+ * Turnos cargados con su número global en el chat (1 = primer turno)
+ * El historial guardado puede estar recortado (max_history): los cargados son los últimos.
+ */
+async function numberTurns(cfg, userId, chatId, ctx) {
+    const turns = groupTurns(ctx);
+    const total = Math.max(await loadTurnCount(cfg, userId, chatId), turns.length);
+    const first = total - turns.length + 1;
+    return { total, turns: turns.map((messages, i) => ({ number: first + i, messages })) };
+}
+
+async function getSummary(cfg, userId, chatId) {
+    try {
+        return await getConversationStore(cfg).getChatSummary(userId, chatId);
+    } catch (error) {
+        console.error(`[Summary] Error leyendo resumen de ${userId}/${chatId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Mensaje de sistema con el resumen del caso (va antes de los turnos recientes)
+ */
+function summaryMessage(summary) {
+    const title = summary.turns > 0
+        ? `Resumen del caso hasta ahora (${summary.turns} turnos anteriores de esta conversación)`
+        : 'Resumen del caso traído del chat anterior';
+    return { role: 'system', content: `[${title}]\n${summary.text}` };
+}
+
+/**
+ * Contexto conversacional para el LLM: resumen del caso + turnos aún no resumidos
+ * Sin resumen progresivo devuelve la ventana fija de rolling_max_turns.
+ * @param {Object} cfg - bot_config
+ * @param {Object} params - { userId, chatId, ctx } ctx = historial cargado con memory.loadContext
+ * @returns {Promise<Array>} Mensajes para makeMessages
+ */
+async function buildConversationContext(cfg, { userId, chatId, ctx }) {
+    const settings = getSettings(cfg);
+    if (!settings.enabled) {
+        const window = ctx.slice(-settings.rollingMax * 2);
+        const carried = await getSummary(cfg, userId, chatId);
+        return carried && carried.carried_from && carried.text ? [summaryMessage(carried), ...window] : window;
+    }
+
+    const summary = await getSummary(cfg, userId, chatId);
+    const summarized = summary ? summary.turns || 0 : 0;
+    const { turns } = await numberTurns(cfg, userId, chatId, ctx);
+
+    // Si la compactación falla, la ventana no crece sin límite: se envían los más recientes
+    const pending = turns
+        .filter(turn => turn.number > summarized)
+        .slice(-(settings.rollingMax + settings.everyNTurns));
+    const recent = pending.flatMap(turn => turn.messages);
+
+    return summary && summary.text ? [summaryMessage(summary), ...recent] : recent;
+}
+
+function renderTurns(turns) {
+    return turns.map(turn => turn.messages
+        .filter(m => m.role === 'user' || m.role === 'assistant')
+        .map(m => {
+            const content = String(m.content || '');
+            const text = content.length > MAX_MESSAGE_CHARS ? `${content.slice(0, MAX_MESSAGE_CHARS)}…` : content;
+            return `${m.role === 'user' ? 'USUARIO' : 'ASISTENTE'} (turno ${turn.number}): ${text}`;
+        })
+        .join('\n')
+    ).join('\n\n');
+}
+
+async function summarizeTurns(cfg, { userId, chatId }, previousText, turns, settings) {
+    const system = [
+        'Mantienes el resumen de un caso jurídico a lo largo de una conversación larga con un abogado.',
+        'Integra los turnos nuevos en el resumen existente sin perder información relevante del resumen anterior.',
+        'Conserva: partes y sus roles, hechos y fechas, montos, documentos mencionados, normas y artículos citados,',
+        'conclusiones o estrategias acordadas y preguntas pendientes. No inventes datos.',
+        `Responde solo con el resumen actualizado, en español, en un máximo de ${settings.maxWords} palabras.`
+    ].join(' ');
+    const user = [
+        `Resumen actual:\n${previousText || '(sin resumen previo)'}`,
+        `Turnos nuevos:\n${renderTurns(turns)}`
+    ].join('\n\n');
+
+    const response = await _callOpenAI(cfg, [
+        { role: 'system', content: system },
+        { role: 'user', content: user }
+    ], settings.model, { maxTokens: Math.ceil(settings.maxWords * 2.5), temperature: 0.2 });
+    if (response.error) throw new Error(response.content);
+    await chargeSummaryUsage(cfg, { userId, chatId }, response);
+    return String(response.content || '').trim();
+}
+
+/**
+ * Compacta en el resumen los turnos que salieron de la ventana (llamado después de guardar el turno)
+ * @param {Object} cfg - bot_config
+ * @param {Object} params - { userId, chatId }
+ * @returns {Promise<Object|null>} Resumen guardado, o null si no correspondía compactar
+ */
+async function compactConversation(cfg, { userId, chatId }) {
+    const settings = getSettings(cfg);
+    if (!settings.enabled) return null;
+
+    const key = `${userId}/${chatId}`;
+    if (inFlight.has(key)) return null;
+    inFlight.add(key);
+
+    try {
+        const summary = await getSummary(cfg, userId, chatId);
+        const summarized = summary ? summary.turns || 0 : 0;
+        const ctx = await loadContext(cfg, userId, chatId);
+        const { total, turns } = await numberTurns(cfg, userId, chatId, ctx);
+
+        const until = total - settings.rollingMax;
+        if (until - summarized < settings.everyNTurns) return null;
+
+        const toFold = turns.filter(turn => turn.number > summarized && turn.number <= until);
+        if (toFold.length < until - summarized) {
+            console.warn(`[Summary] ⚠ ${key}: ${until - summarized - toFold.length} turnos ya no están en el historial (aumentar memory.max_history)`);
+        }
+
+        const text = toFold.length > 0 ? await summarizeTurns(cfg, { userId, chatId }, summary && summary.text, toFold, settings) : (summary && summary.text);
+        if (!text) return null;
+
+        const next = { text, turns: until, updated_at: new Date().toISOString(), model: settings.model };
+        if (summary && summary.carried_from) next.carried_from = summary.carried_from;
+        await getConversationStore(cfg).saveChatSummary(userId, chatId, next);
+        console.log(`[Summary] ${key}: ${toFold.length} turnos compactados (resumen hasta el turno ${until})`);
+        return next;
+    } finally {
+        inFlight.delete(key);
+    }
+}
+
+// ============================================================================
+// CONTINUAR EN UN CHAT NUEVO
+// ============================================================================
+
+/**
+ * Artículos citados en los anexos normativos guardados (mensajes system-annex), sin repetir
+ */
+function collectCitedArticles(ctx) {
+    const articles = new Map();
+    for (const message of ctx) {
+        if (message.role !== 'system-annex' || !Array.isArray(message.annexData)) continue;
+        for (const item of message.annexData) {
+            if (!item || !(item.clave || item.norma)) continue;
+            const key = item.clave || `${item.norma}|${item.articulo}`;
+            if (!articles.has(key)) {
+                articles.set(key, { clave: item.clave || null, norma: item.norma || null, articulo: item.articulo || null, url: item.url || null });
+            }
+        }
+    }
+    return [...articles.values()];
+}
+
+/**
+ * Documentos adjuntos registrados en los turnos (meta.attachments de engine/index.js)
+ */
+function collectAttachments(ctx) {
+    const names = new Set();
+    for (const message of ctx) {
+        if (message.role === 'assistant' && Array.isArray(message.attachments)) {
+            message.attachments.forEach(name => names.add(String(name)));
+        }
+    }
+    return [...names];
+}
+
+function parseJsonObject(text) {
+    const match = String(text || '').match(/\{[\s\S]*\}/);
+    if (!match) return {};
+    try {
+        return JSON.parse(match[0]);
+    } catch (_) {
+        return {};
+    }
+}
+
+function renderCarryOver({ parentName, summary, keyFacts, articles, documents }) {
+    const lines = [`Chat anterior${parentName ? ` "${parentName}"` : ''}:`, summary];
+    if (keyFacts.length) lines.push('', 'Hechos clave:', ...keyFacts.map(fact => `- ${fact}`));
+    if (articles.length) {
+        lines.push('', 'Artículos citados:', ...articles.map(a =>
+            `- ${[a.norma, a.articulo].filter(Boolean).join(', ') || a.clave}${a.url ? ` (${a.url})` : ''}`));
+    }
+    if (documents.length) lines.push('', 'Documentos adjuntos:', ...documents.map(name => `- ${name}`));
+    return lines.join('\n');
+}
+
+/**
+ * Resumen de un chat para continuarlo en uno nuevo
+ * @param {Object} cfg - bot_config
+ * @param {Object} params - { userId, chatId, parentName }
+ * @returns {Promise<Object>} { summary, key_facts, articles, documents, text }
+ * @throws {Error} error.code = 'chat_empty' | 'carry_over_failed'
+ */
+async function buildCarryOver(cfg, { userId, chatId, parentName = '' }) {
+    const settings = getSettings(cfg);
+    const previous = await getSummary(cfg, userId, chatId);
+    const ctx = await loadContext(cfg, userId, chatId);
+    const { turns } = await numberTurns(cfg, userId, chatId, ctx);
+    const pending = turns.filter(turn => turn.number > (previous ? previous.turns || 0 : 0));
+
+    if (pending.length === 0 && !(previous && previous.text)) {
+        const error = new Error('El chat no tiene conversación que resumir');
+        error.code = 'chat_empty';
+        throw error;
+    }
+
+    const prompt = [
+        'Vas a continuar una consulta jurídica en un chat nuevo. A partir del resumen previo y de los turnos,',
+        'devuelve SOLO un JSON con la forma {"resumen": "...", "hechos_clave": ["..."]}.',
+        `"resumen": estado del caso en un máximo de ${settings.maxWords} palabras (partes, pretensiones, conclusiones y preguntas pendientes).`,
+        `"hechos_clave": hasta ${MAX_CARRY_OVER_FACTS} hechos concretos (fechas, montos, plazos, documentos, decisiones). No inventes datos.`,
+        '',
+        `Resumen previo:\n${(previous && previous.text) || '(sin resumen previo)'}`,
+        '',
+        `Turnos:\n${renderTurns(pending) || '(sin turnos nuevos)'}`
+    ].join('\n');
+
+    const response = await _callOpenAI(cfg, [{ role: 'user', content: prompt }], settings.model, {
+        maxTokens: Math.ceil(settings.maxWords * 3),
+        temperature: 0.2
+    });
+    if (!response.error) await chargeSummaryUsage(cfg, { userId, chatId }, response);
+    const parsed = response.error ? {} : parseJsonObject(response.content);
+    // Sin JSON válido (o con otra forma) se conserva el resumen previo; sin resumen previo no hay nada que traer
+    const summary = (typeof parsed.resumen === 'string' ? parsed.resumen.trim() : '') || (previous && previous.text) || '';
+    if (!summary) {
+        const error = new Error(response.error ? response.content : 'El modelo no devolvió un resumen');
+        error.code = 'carry_over_failed';
+        throw error;
+    }
+
+    const keyFacts = (Array.isArray(parsed.hechos_clave) ? parsed.hechos_clave : [])
+        .map(fact => String(fact).trim())
+        .filter(Boolean)
+        .slice(0, MAX_CARRY_OVER_FACTS);
+    const articles = collectCitedArticles(ctx);
+    const documents = collectAttachments(ctx);
+
+    return {
+        summary,
+        key_facts: keyFacts,
+        articles,
+        documents,
+        text: renderCarryOver({ parentName, summary, keyFacts, articles, documents })
+    };
+}
+
+module.exports = {
+    getSettings,
+    chatInteractionLimit,
+    groupTurns,
+    summaryMessage,
+    buildConversationContext,
+    compactConversation,
+    collectCitedArticles,
+    collectAttachments,
+    buildCarryOver
+};
@@ -0,0 +1,195 @@
+// engine/conversation_summary.test.js — Pruebas del resumen progresivo del caso y del resumen traído al continuar un chat en uno nuevo
+// Ejecutar con: node engine/conversation_summary.test.js
+//
+// El LLM se reemplaza por respuestas fijas, los descuentos de créditos se registran en memoria
+// y el historial va a un directorio temporal (backend file).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-summary-test-'));
+process.chdir(dir);
+
+// Respuesta del modelo para la próxima llamada (antes de cargar conversation_summary.js)
+const llm = require('./llm');
+let nextResponse = null;
+llm._callOpenAI = async () => nextResponse;
+
+// Descuentos de créditos por llamadas de resumen
+const creditManager = require('./credit_manager_v2');
+const charges = [];
+creditManager.deductCreditsForQuery = async (cfg, userId, usage, chatId, backend, operationType) => {
+  charges.push({ userId, chatId, tokens: usage.total_tokens, model: backend.model, operationType });
+  return { success: true };
+};
+
+const { getSettings, chatInteractionLimit, compactConversation, buildCarryOver } = require('./conversation_summary');
+const { getConversationStore } = require('./conversation_store');
+const { continueUserChat } = require('../chat_management');
+
+const cfg = { memory: { path: 'historial' } };
+const store = getConversationStore(cfg);
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+async function assertRejectsCode(fn, code) {
+  try {
+    await fn();
+  } catch (e) {
+    assertEqual(e.code, code, 'Código de error');
+    return;
+  }
+  throw new Error(`Se esperaba un error ${code}`);
+}
+
+async function seedChat(chatId, { summary = null } = {}) {
+  await store.createChat('u1', chatId, { name: `Chat ${chatId}` });
+  await store.appendTurn('u1', chatId, {
+    question: 'Me despidieron por necesidades de la empresa',
+    answer: 'Corresponde indemnización por años de servicio.',
+    normativeAnnex: [{ clave: 'CT-161', norma: 'Código del Trabajo', articulo: 'Art. 161' }],
+    meta: { attachments: ['carta_despido.pdf'] }
+  });
+  if (summary) await store.saveChatSummary('u1', chatId, { text: summary, turns: 0 });
+}
+
+(async () => {
+  try {
+    await seedChat('sin-resumen');
+    await seedChat('con-resumen', { summary: 'Despido por art. 161 el 2025-01-31.' });
+    await store.createChat('u1', 'vacio');
+
+    // ============ Resumen progresivo ============
+
+    await test('getSettings: el resumen progresivo sólo se activa con enabled: true', async () => {
+      assertEqual(getSettings({}).enabled, false);
+      assertEqual(getSettings({ memory: { rolling_summary: { model: 'gpt-4.1-mini' } } }).enabled, false);
+      assertEqual(getSettings({ memory: { rolling_summary: { enabled: true } } }).enabled, true);
+    });
+
+    await test('chatInteractionLimit: max_chat_interactions rige también con resumen progresivo', async () => {
+      assertEqual(chatInteractionLimit({ memory: { max_chat_interactions: 30, rolling_summary: { enabled: true } } }), 30);
+      assertEqual(chatInteractionLimit({ memory: {} }), 0);
+    });
+
+    await test('compactConversation: desactivado por defecto no llama al LLM', async () => {
+      charges.length = 0;
+      nextResponse = { content: 'Resumen', usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 } };
+      assertEqual(await compactConversation(cfg, { userId: 'u1', chatId: 'largo' }), null);
+      assertEqual(charges, []);
+    });
+
+    await test('compactConversation: descuenta los créditos de la compactación al usuario del chat', async () => {
+      const summaryCfg = { memory: { path: 'historial', rolling_max_turns: 1, rolling_summary: { enabled: true, every_n_turns: 1 } } };
+      for (let i = 0; i < 3; i++) {
+        await store.appendTurn('u1', 'largo', { question: `Pregunta ${i}`, answer: `Respuesta ${i}` });
+      }
+      charges.length = 0;
+      nextResponse = { content: 'Resumen del caso', model: 'gpt-4.1-mini', usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 } };
+      const summary = await compactConversation(summaryCfg, { userId: 'u1', chatId: 'largo' });
+      assertEqual([summary.text, summary.turns], ['Resumen del caso', 2]);
+      assertEqual(charges, [{ userId: 'u1', chatId: 'largo', tokens: 120, model: 'gpt-4.1-mini', operationType: 'conversation_summary' }]);
+    });
+
+    // ============ buildCarryOver ============
+
+    await test('buildCarryOver: descuenta los créditos del resumen', async () => {
+      charges.length = 0;
+      nextResponse = { content: '{"resumen": "Despido art. 161"}', model: 'gpt-4.1-mini', usage: { prompt_tokens: 50, completion_tokens: 10, total_tokens: 60 } };
+      await buildCarryOver(cfg, { userId: 'u1', chatId: 'sin-resumen' });
+      assertEqual(charges.map(c => [c.chatId, c.tokens, c.operationType]), [['sin-resumen', 60, 'conversation_summary']]);
+    });
+
+    await test('buildCarryOver: JSON dentro de texto o bloque de código', async () => {
+      nextResponse = { content: 'Aquí va:\n```json\n{"resumen": "Despido art. 161", "hechos_clave": ["Término 2025-01-31", "", 3]}\n```' };
+      const carry = await buildCarryOver(cfg, { userId: 'u1', chatId: 'sin-resumen', parentName: 'Despido' });
+      assertEqual(carry.summary, 'Despido art. 161');
+      assertEqual(carry.key_facts, ['Término 2025-01-31', '3']);
+      assertEqual(carry.articles, [{ clave: 'CT-161', norma: 'Código del Trabajo', articulo: 'Art. 161', url: null }]);
+      assertEqual(carry.documents, ['carta_despido.pdf']);
+      assertEqual(carry.text.startsWith('Chat anterior "Despido":\nDespido art. 161'), true);
+    });
+
+    await test('buildCarryOver: salida no parseable conserva el resumen previo', async () => {
+      for (const content of ['Lo siento, no puedo generar JSON.', '{"resumen": "sin cerrar', '{"resumen": {"texto": "objeto"}}', '']) {
+        nextResponse = { content };
+        const carry = await buildCarryOver(cfg, { userId: 'u1', chatId: 'con-resumen' });
+        assertEqual(carry.summary, 'Despido por art. 161 el 2025-01-31.', `Salida: ${JSON.stringify(content)}`);
+        assertEqual(carry.key_facts, []);
+      }
+    });
+
+    await test('buildCarryOver: salida no parseable sin resumen previo → carry_over_failed', async () => {
+      nextResponse = { content: 'El caso trata de un despido.' };
+      await assertRejectsCode(() => buildCarryOver(cfg, { userId: 'u1', chatId: 'sin-resumen' }), 'carry_over_failed');
+    });
+
+    await test('buildCarryOver: error del proveedor sin resumen previo → carry_over_failed', async () => {
+      nextResponse = { error: true, content: 'rate limit' };
+      await assertRejectsCode(() => buildCarryOver(cfg, { userId: 'u1', chatId: 'sin-resumen' }), 'carry_over_failed');
+    });
+
+    await test('buildCarryOver: chat sin conversación → chat_empty', async () => {
+      await assertRejectsCode(() => buildCarryOver(cfg, { userId: 'u1', chatId: 'vacio' }), 'chat_empty');
+    });
+
+    // ============ continueUserChat ============
+
+    await test('continueUserChat: no reutiliza un chat existente', async () => {
+      nextResponse = { content: '{"resumen": "Resumen nuevo"}' };
+      await assertRejectsCode(() => continueUserChat(cfg, 'u1', 'con-resumen', { newChatId: 'sin-resumen' }), 'chat_exists');
+      assertEqual((await store.getChatSummary('u1', 'sin-resumen')), null, 'El chat existente no se modifica');
+      await assertRejectsCode(() => continueUserChat(cfg, 'u1', 'no-existe', { newChatId: 'nuevo' }), 'chat_not_found');
+    });
+
+    await test('continueUserChat: crea el chat nuevo con el resumen traído y los ajustes', async () => {
+      await store.updateChatSettings('u1', 'con-resumen', { normative_as_of: '2025-01-31' });
+      nextResponse = { content: '{"resumen": "Resumen nuevo", "hechos_clave": ["h1"]}' };
+      const result = await continueUserChat(cfg, 'u1', 'con-resumen', { newChatId: 'nuevo' });
+      assertEqual([result.chatId, result.parentChatId, result.name], ['nuevo', 'con-resumen', 'Chat con-resumen (continuación)']);
+
+      const summary = await store.getChatSummary('u1', 'nuevo');
+      assertEqual([summary.turns, summary.carried_from, summary.text === result.carryOver.text], [0, 'con-resumen', true]);
+      assertEqual(await store.getChatSettings('u1', 'nuevo'), { normative_as_of: '2025-01-31' });
+      assertEqual((await store.listChats('u1')).find(c => c.chatId === 'nuevo').parentChatId, 'con-resumen');
+    });
+  } finally {
+    process.chdir(os.tmpdir());
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // ============ Resumen ============
+  console.log('\n' + '='.repeat(50));
+  console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+  console.log(`${RED}Fallidas: ${failed}${RESET}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -1,50 +1,14 @@
 
-const fs = require('fs');
-const path = require('path');
 const { nanoid } = require('nanoid');
+// Saldo y transacciones en el backend configurado (auth/*.store.json o Prisma, ver conversation_store.js).
+// Cada función recibe la configuración de la instancia que la llama (como chat_store/memory_store).
+const { getConversationStore } = require('./conversation_store');
 
-const USERS_STORE_PATH = path.join(__dirname, '../auth/users.store.json');
-const TRANSACTIONS_STORE_PATH = path.join(__dirname, '../auth/transactions.store.json');
-
-function readUsersStore() {
-  try {
-    return JSON.parse(fs.readFileSync(USERS_STORE_PATH, 'utf8'));
-  } catch (e) {
-    console.error('Error reading users store:', e.message);
-    return { users: [] };
-  }
-}
-
-function writeUsersStore(store) {
-  try {
-    fs.writeFileSync(USERS_STORE_PATH, JSON.stringify(store, null, 2));
-  } catch (e) {
-    console.error('Error writing users store:', e.message);
-  }
-}
-
-function readTransactionsStore() {
-  try {
-    if (!fs.existsSync(TRANSACTIONS_STORE_PATH)) {
-      return { transactions: [] };
-    }
-    return JSON.parse(fs.readFileSync(TRANSACTIONS_STORE_PATH, 'utf8'));
-  } catch (e) {
-    console.error('Error reading transactions store:', e.message);
-    return { transactions: [] };
-  }
-}
-
-function writeTransactionsStore(store) {
-  try {
-    fs.writeFileSync(TRANSACTIONS_STORE_PATH, JSON.stringify(store, null, 2));
-  } catch (e) {
-    console.error('Error writing transactions store:', e.message);
-  }
+function store(cfg) {
+  return getConversationStore(cfg || {});
 }
 
-function recordTransaction(userId, type, amount, description, relatedChatId = null, tokenUsage = null, operationType = 'chat') {
-  const transactionsStore = readTransactionsStore();
+async function recordTransaction(cfg, userId, type, amount, description, relatedChatId = null, tokenUsage = null, operationType = 'chat') {
   const transaction = {
     transaction_id: nanoid(),
     user_id: userId,
@@ -60,25 +24,21 @@ function recordTransaction(userId, type, amount, description, relatedChatId = nu
       total_tokens: tokenUsage.total_tokens || 0
     } : null
   };
-  transactionsStore.transactions.push(transaction);
-  writeTransactionsStore(transactionsStore);
-}
-
-async function checkAndDecrementCredits(userId, cost, relatedChatId = null, tokenUsage = null, operationType = 'chat') {
-  const usersStore = readUsersStore();
-  const user = usersStore.users.find(u => u.id === userId);
-
-  if (!user) {
-    throw new Error('User not found');
+  try {
+    await store(cfg).recordTransaction(transaction);
+  } catch (e) {
+    console.error('Error writing transaction:', e.message);
   }
+  return transaction;
+}
 
-  if ((user.credits || 0) < cost) {
-    throw new Error('Insufficient credits');
-  }
+async function listTransactions(cfg, userId = null) {
+  return store(cfg).listTransactions(userId);
+}
 
-  user.credits -= cost;
-  user.last_credit_update = new Date().toISOString();
-  writeUsersStore(usersStore);
+async function checkAndDecrementCredits(cfg, userId, cost, relatedChatId = null, tokenUsage = null, operationType = 'chat') {
+  // El store descuenta solo si el saldo alcanza (error.code insufficient_credits / user_not_found)
+  await store(cfg).adjustCredits(userId, -cost);
 
   // Descripción mejorada según el tipo de operación
   let description = `Consumo por consulta de IA (costo: ${cost})`;
@@ -88,37 +48,33 @@ async function checkAndDecrementCredits(userId, cost, relatedChatId = null, toke
     description = `Síntesis de voz (costo: ${cost})`;
   }
 
-  recordTransaction(userId, 'consumption', -cost, description, relatedChatId, tokenUsage, operationType);
+  await recordTransaction(cfg, userId, 'consumption', -cost, description, relatedChatId, tokenUsage, operationType);
   return true;
 }
 
-async function addCredits(userId, amount, description = 'Asignación manual de créditos') {
-  const usersStore = readUsersStore();
-  const user = usersStore.users.find(u => u.id === userId);
-
-  if (!user) {
-    throw new Error('User not found');
-  }
-
-  user.credits = (user.credits || 0) + amount;
-  user.credits_total_assigned = (user.credits_total_assigned || 0) + amount;
-  user.last_credit_update = new Date().toISOString();
-  writeUsersStore(usersStore);
+async function addCredits(cfg, userId, amount, description = 'Asignación manual de créditos') {
+  await store(cfg).adjustCredits(userId, amount, { assigned: true });
 
-  recordTransaction(userId, 'assignment', amount, description);
+  await recordTransaction(cfg, userId, 'assignment', amount, description);
   return true;
 }
 
-function getAvailableCredits(userId) {
-  const usersStore = readUsersStore();
-  const user = usersStore.users.find(u => u.id === userId);
-  return user ? (user.credits || 0) : 0;
+async function getAvailableCredits(cfg, userId) {
+  const balance = await getCreditBalance(cfg, userId);
+  return balance ? balance.credits : 0;
+}
+
+// { credits, credits_total_assigned, last_credit_update } o null si el usuario no existe
+async function getCreditBalance(cfg, userId) {
+  return store(cfg).getCredits(userId);
 }
 
 module.exports = {
   checkAndDecrementCredits,
   addCredits,
   getAvailableCredits,
-  recordTransaction
+  getCreditBalance,
+  recordTransaction,
+  listTransactions
 };
 
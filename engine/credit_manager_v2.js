@@ -10,9 +10,11 @@ const fs = require('fs');
 const path = require('path');
 const { nanoid } = require('nanoid');
 const auth = require('../auth');
+const { getModelPricing } = require('./pricing_config');
+// Transacciones en el backend configurado (auth/transactions.store.json o Prisma, ver conversation_store.js)
+const { getConversationStore } = require('./conversation_store');
 
 const PRICING_CONFIG_PATH = path.join(__dirname, '../pricing_config.json');
-const TRANSACTIONS_STORE_PATH = path.join(__dirname, '../auth/transactions.store.json');
 
 // ============================================================================
 // CONFIGURACIÓN DE PRECIOS
@@ -45,15 +47,19 @@ function loadPricingConfig() {
 
 /**
  * Calcula el costo en USD basado en tokens
- * Usa precios aproximados de OpenAI GPT-4.1
+ * Usa MODEL_PRICING (pricing_config.js) del backend que produjo la respuesta;
+ * sin backend o con un modelo sin precio, usa precios aproximados de OpenAI GPT-4.1
+ * @param {Object} tokenUsage - {input_tokens, output_tokens} o {prompt_tokens, completion_tokens}
+ * @param {Object} backend - { id, model, local } devuelto por llm_failover (opcional)
  */
-function calculateCostFromTokens(tokenUsage) {
-  const inputTokens = tokenUsage.input_tokens || 0;
-  const outputTokens = tokenUsage.output_tokens || 0;
+function calculateCostFromTokens(tokenUsage, backend = null) {
+  const inputTokens = tokenUsage.input_tokens || tokenUsage.prompt_tokens || 0;
+  const outputTokens = tokenUsage.output_tokens || tokenUsage.completion_tokens || 0;
   
-  // Precios aproximados (ajustar según modelo real)
-  const INPUT_PRICE_PER_1M = 2.00;   // $2.00 por 1M tokens de entrada
-  const OUTPUT_PRICE_PER_1M = 8.00;  // $8.00 por 1M tokens de salida
+  // Precio del modelo del backend; si no está en MODEL_PRICING, precios aproximados
+  const pricing = getModelPricing(backend);
+  const INPUT_PRICE_PER_1M = pricing ? pricing.input : 2.00;   // $2.00 por 1M tokens de entrada
+  const OUTPUT_PRICE_PER_1M = pricing ? pricing.output : 8.00;  // $8.00 por 1M tokens de salida
   
   const inputCost = (inputTokens / 1000000) * INPUT_PRICE_PER_1M;
   const outputCost = (outputTokens / 1000000) * OUTPUT_PRICE_PER_1M;
@@ -65,7 +71,9 @@ function calculateCostFromTokens(tokenUsage) {
     totalCost,
     inputTokens,
     outputTokens,
-    totalTokens: inputTokens + outputTokens
+    totalTokens: inputTokens + outputTokens,
+    model: pricing ? pricing.model : (backend && backend.model) || null,
+    backend: backend ? backend.id : null
   };
 }
 
@@ -101,29 +109,7 @@ function calculateCreditsFromCost(costUSD) {
 // FUNCIONES DE TRANSACCIONES
 // ============================================================================
 
-function readTransactionsStore() {
-  try {
-    if (!fs.existsSync(TRANSACTIONS_STORE_PATH)) {
-      return { transactions: [] };
-    }
-    return JSON.parse(fs.readFileSync(TRANSACTIONS_STORE_PATH, 'utf8'));
-  } catch (e) {
-    console.error('[CreditManager] Error reading transactions store:', e.message);
-    return { transactions: [] };
-  }
-}
-
-function writeTransactionsStore(store) {
-  try {
-    fs.writeFileSync(TRANSACTIONS_STORE_PATH, JSON.stringify(store, null, 2));
-  } catch (e) {
-    console.error('[CreditManager] Error writing transactions store:', e.message);
-  }
-}
-
-function recordTransaction(userId, amount, description, relatedChatId, tokenUsage, costDetails) {
-  const transactionsStore = readTransactionsStore();
-  
+async function recordTransaction(cfg, userId, amount, description, relatedChatId, tokenUsage, costDetails, operationType = 'chat') {
   const transaction = {
     transaction_id: nanoid(),
     user_id: userId,
@@ -132,17 +118,20 @@ function recordTransaction(userId, amount, description, relatedChatId, tokenUsag
     description: description,
     timestamp: new Date().toISOString(),
     related_chat_id: relatedChatId,
-    operation_type: 'chat',
+    operation_type: operationType,
     token_usage: {
-      prompt_tokens: tokenUsage.input_tokens || 0,
-      completion_tokens: tokenUsage.output_tokens || 0,
-      total_tokens: (tokenUsage.input_tokens || 0) + (tokenUsage.output_tokens || 0)
+      prompt_tokens: costDetails.inputTokens,
+      completion_tokens: costDetails.outputTokens,
+      total_tokens: costDetails.totalTokens
     },
     cost_details: costDetails
   };
   
-  transactionsStore.transactions.push(transaction);
-  writeTransactionsStore(transactionsStore);
+  try {
+    await getConversationStore(cfg || {}).recordTransaction(transaction);
+  } catch (e) {
+    console.error('[CreditManager] Error writing transaction:', e.message);
+  }
   
   return transaction;
 }
@@ -153,21 +142,25 @@ function recordTransaction(userId, amount, description, relatedChatId, tokenUsag
 
 /**
  * Descuenta créditos basado en el costo real de tokens
+ * @param {Object} cfg - Configuración de la instancia que atendió la consulta (backend de créditos)
  * @param {string} userId - ID del usuario
  * @param {Object} tokenUsage - {input_tokens, output_tokens}
  * @param {string} chatId - ID del chat
- * @returns {Object} Detalles del descuento
+ * @param {Object} backend - Backend que produjo la respuesta (llm_failover), para el precio del modelo
+ * @param {string} operationType - 'chat' o 'conversation_summary' (resumen del caso, conversation_summary.js)
+ * @returns {Promise<Object>} Detalles del descuento
  */
-function deductCreditsForQuery(userId, tokenUsage, chatId) {
+async function deductCreditsForQuery(cfg, userId, tokenUsage, chatId, backend = null, operationType = 'chat') {
   // 1. Calcular costo en USD
-  const costDetails = calculateCostFromTokens(tokenUsage);
+  const costDetails = calculateCostFromTokens(tokenUsage, backend);
   
   // 2. Calcular créditos a descontar
   const creditsToDeduct = calculateCreditsFromCost(costDetails.totalCost);
   
   // 3. Verificar que el usuario existe
-  const user = auth.getUser(userId);
-  if (!user) {
+  const store = getConversationStore(cfg || {});
+  const balance = auth.getUser(userId) ? await store.getCredits(userId) : null;
+  if (!balance) {
     console.warn(`[CreditManager] Usuario ${userId} no encontrado, se omite descuento de créditos`);
     return {
       success: false,
@@ -177,41 +170,44 @@ function deductCreditsForQuery(userId, tokenUsage, chatId) {
     };
   }
   
-  // 4. Descontar créditos usando el sistema de auth
-  const success = auth.charge(userId, creditsToDeduct);
-  
-  if (!success) {
+  // 4. Descontar créditos en el backend configurado (solo si el saldo alcanza)
+  let updated;
+  try {
+    updated = await store.adjustCredits(userId, -creditsToDeduct);
+  } catch (e) {
     console.error(`[CreditManager] Créditos insuficientes para usuario ${userId}`);
     return {
       success: false,
-      error: 'insufficient_credits',
+      error: e.code || 'insufficient_credits',
       costDetails,
       creditsToDeduct,
-      userCredits: user.credits
+      userCredits: balance.credits
     };
   }
   
   // 5. Registrar transacción
-  const transaction = recordTransaction(
+  const description = operationType === 'conversation_summary'
+    ? `Resumen del caso (costo: ${creditsToDeduct})`
+    : `Consumo por consulta de IA (costo: ${creditsToDeduct})`;
+  const transaction = await recordTransaction(
+    cfg,
     userId,
     -creditsToDeduct,
-    `Consumo por consulta de IA (costo: ${creditsToDeduct})`,
+    description,
     chatId,
     tokenUsage,
-    costDetails
+    costDetails,
+    operationType
   );
   
-  // 6. Obtener créditos restantes
-  const updatedUser = auth.getUser(userId);
-  
-  // 7. Logs
-  console.log(`💰 Créditos descontados: ${creditsToDeduct} (Quedan: ${updatedUser.credits})`);
-  console.log(`📊 Tokens: ${costDetails.totalTokens} | Costo real: $${costDetails.totalCost.toFixed(4)}`);
+  // 6. Logs
+  console.log(`💰 Créditos descontados: ${creditsToDeduct} (Quedan: ${updated.credits})`);
+  console.log(`📊 Tokens: ${costDetails.totalTokens} | Costo real: $${costDetails.totalCost.toFixed(4)}${costDetails.backend ? ` | Backend: ${costDetails.backend}` : ''}`);
   
   return {
     success: true,
     creditsDeducted: creditsToDeduct,
-    remainingCredits: updatedUser.credits,
+    remainingCredits: updated.credits,
     costDetails,
     transaction
   };
@@ -1,18 +1,9 @@
-const { default: OpenAI } = require("openai");
 const fs = require("fs");
 const path = require("path");
 const { validateDocument, generateUserMessage, ValidationResult } = require("./document_validator");
 const { extractTextFromPDF } = require("./pdf_extractor");
 const chatDocManager = require("./chat_document_manager");
-
-let client = null;
-
-function getClient() {
-  if (!client) {
-    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
-  return client;
-}
+const gateway = require("./llm_gateway");
 
 const LEGAL_SUMMARY_SYSTEM_PROMPT = `Eres un asistente jurídico experto especializado en derecho chileno.
 Tu tarea es analizar documentos legales y generar resúmenes ejecutivos estructurados que permitan a un abogado entender rápidamente el contenido sin leer todo el documento.
@@ -38,18 +29,20 @@ async function generateDocumentSummary(documentText, metadata = {}, model = "gpt
     console.log(`📝 Generando resumen con ${model}...`);
     const startTime = Date.now();
 
-    const response = await getClient().chat.completions.create({
+    // Proveedor de la instancia activa (global.bot_config)
+    const response = await gateway.chat(null, [
+      { role: "system", content: LEGAL_SUMMARY_SYSTEM_PROMPT },
+      { role: "user", content: `Analiza el siguiente documento y genera un resumen ejecutivo:\n\n${documentText.slice(0, 120000)}` },
+    ], {
       model,
-      messages: [
-        { role: "system", content: LEGAL_SUMMARY_SYSTEM_PROMPT },
-        { role: "user", content: `Analiza el siguiente documento y genera un resumen ejecutivo:\n\n${documentText.slice(0, 120000)}` },
-      ],
       temperature: 0.2,
-      max_tokens: 1500,
+      maxTokens: 1500,
     });
 
-    const summary = response.choices[0].message.content;
+    const summary = response.content;
     const processingTime = Date.now() - startTime;
+    // Algunos proveedores no informan el consumo de tokens
+    const usage = response.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
 
     const result = {
       summary,
@@ -58,12 +51,12 @@ async function generateDocumentSummary(documentText, metadata = {}, model = "gpt
         originalLength: documentText.length,
         summaryLength: summary.length,
         compressionRatio: ((summary.length / documentText.length) * 100).toFixed(2) + "%",
-        model,
-        tokensUsed: response.usage.total_tokens,
+        model: response.model,
+        tokensUsed: usage.total_tokens,
         processingTimeMs: processingTime,
         estimatedCost: (
-          (response.usage.prompt_tokens / 1000000 * 0.15) + 
-          (response.usage.completion_tokens / 1000000 * 0.60)
+          (usage.prompt_tokens / 1000000 * 0.15) + 
+          (usage.completion_tokens / 1000000 * 0.60)
         ).toFixed(6)
       },
     };
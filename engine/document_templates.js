@@ -0,0 +1,392 @@
+/**
+ * DOCUMENT TEMPLATES - LEGITIMUS PRO
+ * ==================================
+ *
+ * Biblioteca de plantillas de documentos jurídicos con variables tipadas.
+ *
+ * Ubicación:
+ *   - lexcode_instances/<instanceId>/templates/*.json  (junto a builder.json; plantillas de la instancia)
+ *   - engine/document_templates/*.json                 (plantillas base, disponibles en todas las instancias)
+ * Una plantilla de la instancia con el mismo id reemplaza a la base.
+ *
+ * Formato:
+ *   {
+ *     "id": "contrato_arrendamiento",
+ *     "name": "Contrato de arrendamiento",
+ *     "description": "...",
+ *     "title": "CONTRATO DE ARRENDAMIENTO",          // admite {{variables}}
+ *     "keywords": ["contrato de arriendo"],          // opcional: inicia la entrevista guiada (drafting_interview.js)
+ *     "variables": {
+ *       "renta":   { "type": "money", "label": "Renta mensual", "required": true },
+ *       "destino": { "type": "enum", "options": ["habitacional", "comercial"], "default": "habitacional" },
+ *       "arrendatarios": { "type": "list", "min_items": 1, "items": { "nombre": { "type": "string", "required": true } } }
+ *     },
+ *     "body": ["# {{titulo}}", "..."]                 // Markdown (string o arreglo de líneas)
+ *   }
+ *
+ * Tipos: string, text, number, money (pesos), date (YYYY-MM-DD), boolean, enum, rut, list.
+ * Sintaxis del cuerpo:
+ *   {{variable}}                      valor formateado según su tipo (fechas en palabras, montos con $)
+ *   {{#if variable}}...{{else}}...{{/if}}  también {{#if variable == "valor"}} y {{#unless variable}}
+ *   {{#each lista}}...{{/each}}       dentro: {{campo}}, {{@number}} (1, 2, ...), {{@index}} (0, 1, ...)
+ *
+ * El Markdown generado se exporta con el mismo pipeline de /api/documents/generate (markdown_parser.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INSTANCES_DIR = path.join(process.cwd(), 'lexcode_instances');
+const BASE_TEMPLATES_DIR = path.join(__dirname, 'document_templates');
+const DEFAULT_INSTANCE = 'general';
+
+const VARIABLE_TYPES = ['string', 'text', 'number', 'money', 'date', 'boolean', 'enum', 'rut', 'list'];
+const MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+function templateError(code, message, details = null) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+// ============================================================================
+// BIBLIOTECA
+// ============================================================================
+
+function getInstanceTemplatesDir(instanceId = DEFAULT_INSTANCE) {
+    const safeId = String(instanceId || DEFAULT_INSTANCE).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(INSTANCES_DIR, safeId, 'templates');
+}
+
+function readTemplatesDir(dir, source) {
+    if (!fs.existsSync(dir)) return [];
+    const templates = [];
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+        try {
+            const template = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+            template.id = template.id || path.basename(file, '.json');
+            template.source = source;
+            templates.push(template);
+        } catch (error) {
+            console.error(`[Plantillas] Error leyendo ${file}:`, error.message);
+        }
+    }
+    return templates;
+}
+
+/**
+ * Plantillas disponibles para una instancia (base + instancia; la instancia reemplaza por id)
+ */
+function loadTemplates(instanceId = DEFAULT_INSTANCE) {
+    const byId = new Map();
+    for (const template of readTemplatesDir(BASE_TEMPLATES_DIR, 'base')) byId.set(template.id, template);
+    for (const template of readTemplatesDir(getInstanceTemplatesDir(instanceId), 'instance')) byId.set(template.id, template);
+    return byId;
+}
+
+/**
+ * Esquema público de una plantilla (sin el cuerpo)
+ */
+function describeTemplate(template) {
+    return {
+        id: template.id,
+        name: template.name || template.id,
+        description: template.description || '',
+        source: template.source,
+        variables: template.variables || {}
+    };
+}
+
+function listTemplates(instanceId = DEFAULT_INSTANCE) {
+    return [...loadTemplates(instanceId).values()].map(describeTemplate);
+}
+
+/**
+ * Plantilla completa por id (null si no existe)
+ */
+function getTemplate(instanceId, templateId) {
+    return loadTemplates(instanceId).get(String(templateId || '')) || null;
+}
+
+// ============================================================================
+// VARIABLES
+// ============================================================================
+
+function isValidRut(value) {
+    const clean = String(value).replace(/[.\s]/g, '').toUpperCase();
+    const match = /^(\d{1,8})-?([\dK])$/.exec(clean);
+    if (!match) return false;
+    let sum = 0;
+    let factor = 2;
+    for (let i = match[1].length - 1; i >= 0; i--) {
+        sum += Number(match[1][i]) * factor;
+        factor = factor === 7 ? 2 : factor + 1;
+    }
+    const expected = 11 - (sum % 11);
+    const dv = expected === 11 ? '0' : expected === 10 ? 'K' : String(expected);
+    return dv === match[2];
+}
+
+/**
+ * Número escrito a la chilena o con punto decimal
+ *   "1.500.000" / "$1.500" → miles (puntos seguidos de grupos de 3 dígitos)
+ *   "1.234,5" / "0,5"      → coma decimal (los puntos son miles)
+ *   "1.5" / "12.75"        → punto decimal
+ */
+function parseNumber(raw) {
+    if (typeof raw === 'number') return raw;
+    const text = String(raw).replace(/[$\s]/g, '');
+    if (!/^-?[\d.,]+$/.test(text)) return NaN;
+    if (text.includes(',')) return Number(text.replace(/\./g, '').replace(',', '.'));
+    if (/^-?\d{1,3}(\.\d{3})+$/.test(text)) return Number(text.replace(/\./g, ''));
+    return Number(text);
+}
+
+/**
+ * Valida y normaliza un valor según su definición
+ * @returns {Object} { value } o { error }
+ */
+function coerceValue(def, raw) {
+    const type = def.type || 'string';
+    switch (type) {
+        case 'string':
+        case 'text': {
+            const value = String(raw).trim();
+            if (def.pattern && !new RegExp(def.pattern).test(value)) return { error: 'pattern_mismatch' };
+            return { value };
+        }
+        case 'number':
+        case 'money': {
+            const value = parseNumber(raw);
+            if (!Number.isFinite(value)) return { error: 'not_a_number' };
+            if (def.min !== undefined && value < def.min) return { error: `min_${def.min}` };
+            if (def.max !== undefined && value > def.max) return { error: `max_${def.max}` };
+            return { value };
+        }
+        case 'date': {
+            const text = String(raw).trim();
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+            const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+            if (!date || date.toISOString().slice(0, 10) !== text) return { error: 'invalid_date' };
+            return { value: text };
+        }
+        case 'boolean':
+            if (typeof raw === 'boolean') return { value: raw };
+            if (['true', 'si', 'sí', '1'].includes(String(raw).toLowerCase())) return { value: true };
+            if (['false', 'no', '0'].includes(String(raw).toLowerCase())) return { value: false };
+            return { error: 'not_a_boolean' };
+        case 'enum':
+            if (!(def.options || []).includes(raw)) return { error: `not_in_options: ${(def.options || []).join(', ')}` };
+            return { value: raw };
+        case 'rut':
+            if (!isValidRut(raw)) return { error: 'invalid_rut' };
+            return { value: String(raw).trim() };
+        default:
+            return { error: `unknown_type_${type}` };
+    }
+}
+
+function isEmpty(raw) {
+    return raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+}
+
+/**
+ * Valida los valores contra las variables de la plantilla
+ * @returns {Object} { values, errors: [{ variable, error }] }
+ */
+function validateValues(variables = {}, input = {}, prefix = '') {
+    const values = {};
+    const errors = [];
+
+    for (const [name, def] of Object.entries(variables)) {
+        const key = `${prefix}${name}`;
+        const raw = input[name] !== undefined ? input[name] : def.default;
+
+        if (!VARIABLE_TYPES.includes(def.type || 'string')) {
+            errors.push({ variable: key, error: `unknown_type_${def.type}` });
+            continue;
+        }
+
+        if ((def.type || 'string') === 'list') {
+            const items = isEmpty(raw) ? [] : raw;
+            if (!Array.isArray(items)) {
+                errors.push({ variable: key, error: 'not_a_list' });
+                continue;
+            }
+            const minItems = def.min_items !== undefined ? def.min_items : (def.required ? 1 : 0);
+            if (items.length < minItems) errors.push({ variable: key, error: `min_items_${minItems}` });
+            values[name] = items.map((item, i) => {
+                const nested = validateValues(def.items || {}, item && typeof item === 'object' ? item : {}, `${key}[${i}].`);
+                errors.push(...nested.errors);
+                return nested.values;
+            });
+            continue;
+        }
+
+        if (isEmpty(raw)) {
+            if (def.required) errors.push({ variable: key, error: 'required' });
+            values[name] = def.type === 'boolean' ? false : null;
+            continue;
+        }
+
+        const result = coerceValue(def, raw);
+        if (result.error) errors.push({ variable: key, error: result.error });
+        else values[name] = result.value;
+    }
+
+    return { values, errors };
+}
+
+function formatValue(def, value) {
+    if (value === null || value === undefined) return '';
+    switch ((def && def.type) || 'string') {
+        case 'money':
+            return `$${Math.round(value).toLocaleString('es-CL')}`;
+        case 'number':
+            return value.toLocaleString('es-CL');
+        case 'date': {
+            const [year, month, day] = value.split('-').map(Number);
+            return `${day} de ${MONTHS[month - 1]} de ${year}`;
+        }
+        case 'boolean':
+            return value ? 'sí' : 'no';
+        default:
+            return String(value);
+    }
+}
+
+// ============================================================================
+// RENDER
+// ============================================================================
+
+const TAG = /\{\{\s*(#if|#unless|#each|else|\/if|\/unless|\/each)?\s*([^}]*?)\s*\}\}/g;
+
+/**
+ * Árbol de nodos del cuerpo: texto, variables, condicionales y repeticiones
+ */
+function parseBody(source) {
+    // Una etiqueta de bloque sola en su línea no deja una línea vacía en el resultado
+    const body = source.replace(/^[ \t]*(\{\{\s*(?:#if|#unless|#each|else|\/if|\/unless|\/each)\b[^}]*\}\})[ \t]*\r?\n/gm, '$1');
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+    let match;
+    TAG.lastIndex = 0;
+
+    const current = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.elseChildren : node.children;
+    };
+
+    while ((match = TAG.exec(body)) !== null) {
+        if (match.index > last) current().push({ type: 'text', value: body.slice(last, match.index) });
+        last = TAG.lastIndex;
+        const [, keyword, expression] = match;
+
+        if (!keyword) {
+            current().push({ type: 'var', path: expression });
+        } else if (keyword === '#if' || keyword === '#unless' || keyword === '#each') {
+            const node = { type: keyword.slice(1), expression, children: [], elseChildren: [], inElse: false };
+            current().push(node);
+            stack.push(node);
+        } else if (keyword === 'else') {
+            const node = stack[stack.length - 1];
+            if (node === root || node.type === 'each') throw templateError('invalid_template', '{{else}} fuera de un {{#if}}');
+            node.inElse = true;
+        } else {
+            const node = stack.pop();
+            if (node === root || node.type !== keyword.slice(1)) {
+                throw templateError('invalid_template', `{{${keyword}}} sin apertura correspondiente`);
+            }
+        }
+    }
+    if (stack.length > 1) throw templateError('invalid_template', `{{#${stack[stack.length - 1].type}}} sin cierre`);
+    if (last < body.length) root.children.push({ type: 'text', value: body.slice(last) });
+    return root.children;
+}
+
+/**
+ * Busca una variable en los ámbitos (el más interno primero): { value, def }
+ */
+function lookup(scopes, name) {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        if (Object.prototype.hasOwnProperty.call(scope.values, name)) {
+            return { value: scope.values[name], def: scope.variables[name] };
+        }
+    }
+    return { value: undefined, def: null };
+}
+
+function evaluateCondition(expression, scopes) {
+    const comparison = /^([\w@.]+)\s*(==|!=)\s*"([^"]*)"$/.exec(expression);
+    if (comparison) {
+        const { value } = lookup(scopes, comparison[1]);
+        const equal = String(value ?? '') === comparison[3];
+        return comparison[2] === '==' ? equal : !equal;
+    }
+    const { value } = lookup(scopes, expression);
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes) {
+    let output = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'var') {
+            const { value, def } = lookup(scopes, node.path);
+            output += formatValue(def, value);
+        } else if (node.type === 'if' || node.type === 'unless') {
+            const condition = evaluateCondition(node.expression, scopes);
+            const branch = (node.type === 'if' ? condition : !condition) ? node.children : node.elseChildren;
+            output += renderNodes(branch, scopes);
+        } else if (node.type === 'each') {
+            const { value, def } = lookup(scopes, node.expression);
+            (Array.isArray(value) ? value : []).forEach((item, index) => {
+                const itemScope = {
+                    variables: { ...((def && def.items) || {}), '@index': { type: 'number' }, '@number': { type: 'number' } },
+                    values: { ...item, '@index': index, '@number': index + 1 }
+                };
+                output += renderNodes(node.children, [...scopes, itemScope]);
+            });
+        }
+    }
+    return output;
+}
+
+/**
+ * Genera el Markdown de una plantilla
+ * @param {Object} template - Plantilla (getTemplate)
+ * @param {Object} input - Valores de las variables
+ * @returns {Object} { id, title, markdown, values }
+ * @throws {Error} error.code = 'invalid_variables' (error.details = [{ variable, error }]) | 'invalid_template'
+ */
+function renderTemplate(template, input = {}) {
+    const variables = template.variables || {};
+    const { values, errors } = validateValues(variables, input || {});
+    if (errors.length > 0) {
+        throw templateError('invalid_variables', `Variables inválidas: ${errors.map(e => `${e.variable} (${e.error})`).join(', ')}`, errors);
+    }
+
+    const scopes = [{ variables, values }];
+    const body = Array.isArray(template.body) ? template.body.join('\n') : String(template.body || '');
+    const markdown = renderNodes(parseBody(body), scopes)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    const title = renderNodes(parseBody(String(template.title || template.name || template.id)), scopes).trim();
+
+    return { id: template.id, title, markdown, values };
+}
+
+module.exports = {
+    VARIABLE_TYPES,
+    getInstanceTemplatesDir,
+    listTemplates,
+    getTemplate,
+    describeTemplate,
+    validateValues,
+    renderTemplate
+};
@@ -0,0 +1,108 @@
+// engine/document_templates.test.js — Pruebas de validación de variables y renderizado de plantillas
+// Ejecutar con: node engine/document_templates.test.js
+
+const { validateValues, renderTemplate } = require('./document_templates');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+// Valor normalizado de una variable o su error
+function coerce(def, raw) {
+  const { values, errors } = validateValues({ v: def }, { v: raw });
+  return errors.length > 0 ? { error: errors[0].error } : { value: values.v };
+}
+
+// ============ number / money ============
+
+test('number: punto decimal', () => {
+  assertEqual(coerce({ type: 'number' }, '1.5'), { value: 1.5 });
+  assertEqual(coerce({ type: 'number' }, '12.75'), { value: 12.75 });
+  assertEqual(coerce({ type: 'number' }, 2.5), { value: 2.5 });
+});
+
+test('number: coma decimal y puntos de miles', () => {
+  assertEqual(coerce({ type: 'number' }, '0,5'), { value: 0.5 });
+  assertEqual(coerce({ type: 'number' }, '1.234,5'), { value: 1234.5 });
+  assertEqual(coerce({ type: 'number' }, '1.500'), { value: 1500 });
+});
+
+test('money: separadores de miles y signo $', () => {
+  assertEqual(coerce({ type: 'money' }, '$1.500.000'), { value: 1500000 });
+  assertEqual(coerce({ type: 'money' }, '$ 450.000'), { value: 450000 });
+  assertEqual(coerce({ type: 'money' }, '1.250.000,50'), { value: 1250000.5 });
+});
+
+test('number: texto, signos sueltos y separadores mal puestos no son números', () => {
+  assertEqual(coerce({ type: 'number' }, 'mil'), { error: 'not_a_number' });
+  assertEqual(coerce({ type: 'money' }, '$'), { error: 'not_a_number' });
+  assertEqual(coerce({ type: 'number' }, '1.2.3'), { error: 'not_a_number' });
+  assertEqual(coerce({ type: 'number' }, '1,2,3'), { error: 'not_a_number' });
+});
+
+test('number: min y max', () => {
+  assertEqual(coerce({ type: 'number', min: 1 }, '0,5'), { error: 'min_1' });
+  assertEqual(coerce({ type: 'number', max: 10 }, '10.5'), { error: 'max_10' });
+});
+
+// ============ Otros tipos ============
+
+test('date, boolean, enum y rut', () => {
+  assertEqual(coerce({ type: 'date' }, '2025-02-30'), { error: 'invalid_date' });
+  assertEqual(coerce({ type: 'date' }, '2025-02-28'), { value: '2025-02-28' });
+  assertEqual(coerce({ type: 'boolean' }, 'sí'), { value: true });
+  assertEqual(coerce({ type: 'enum', options: ['a', 'b'] }, 'c'), { error: 'not_in_options: a, b' });
+  assertEqual(coerce({ type: 'rut' }, '11.111.111-1'), { value: '11.111.111-1' });
+  assertEqual(coerce({ type: 'rut' }, '11.111.111-2'), { error: 'invalid_rut' });
+});
+
+test('required y listas con mínimo de elementos', () => {
+  const { errors } = validateValues(
+    { nombre: { required: true }, partes: { type: 'list', min_items: 1, items: { rut: { type: 'rut', required: true } } } },
+    { partes: [] }
+  );
+  assertEqual(errors, [{ variable: 'nombre', error: 'required' }, { variable: 'partes', error: 'min_items_1' }]);
+});
+
+// ============ renderTemplate ============
+
+test('renderTemplate: montos y decimales formateados', () => {
+  const { markdown } = renderTemplate({
+    id: 't',
+    variables: { renta: { type: 'money' }, superficie: { type: 'number' } },
+    body: ['Renta: {{renta}}', 'Superficie: {{superficie}} m2']
+  }, { renta: '$450.000', superficie: '72.5' });
+  assertEqual(markdown, `Renta: $${(450000).toLocaleString('es-CL')}\nSuperficie: ${(72.5).toLocaleString('es-CL')} m2`);
+});
+
+// ============ Resumen ============
+console.log('\n' + '='.repeat(50));
+console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+console.log(`${RED}Fallidas: ${failed}${RESET}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
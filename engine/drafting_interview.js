@@ -0,0 +1,445 @@
+/**
+ * DRAFTING INTERVIEW - LEGITIMUS PRO
+ * ==================================
+ *
+ * Entrevista guiada para redactar documentos desde plantillas (document_templates.js).
+ * En vez de inventar los datos faltantes, el bot pregunta por ellos turno a turno:
+ *   1. Se inicia al pedir un documento cuya plantilla coincide por "keywords" (o por API)
+ *   2. En cada turno se extraen del mensaje los valores de las variables (LLM, JSON)
+ *   3. El system prompt recibe los campos completos y los siguientes a preguntar
+ *   4. Con todas las variables obligatorias válidas se renderiza el documento
+ *
+ * Estado por chat en el store de conversaciones (historial/<userId>/<chatId>_interview.json o Chat.interview en Prisma):
+ *   { template_id, instance_id, status: in_progress|completed|cancelled, values, started_at, updated_at, rendered }
+ *
+ * Configuración (bot_config.drafting_interview):
+ *   {
+ *     "enabled": true,
+ *     "auto_start": true,            // iniciar al detectar la plantilla en una petición de redacción
+ *     "questions_per_turn": 3,       // campos que el bot pregunta por turno
+ *     "extraction_model": "gpt-4.1-mini"
+ *   }
+ */
+
+const { _callOpenAI } = require('./llm');
+const { getConversationStore } = require('./conversation_store');
+const { getTemplate, listTemplates, validateValues, renderTemplate } = require('./document_templates');
+
+const DEFAULT_INSTANCE = 'general';
+const DEFAULT_QUESTIONS_PER_TURN = 3;
+const DEFAULT_EXTRACTION_MODEL = 'gpt-4.1-mini';
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Solo el mensaje completo cancela: "salir del país el 3 de marzo" es una respuesta, no una orden
+const CANCEL_PATTERN = /^\s*(cancela|cancelar|detener|det[eé]n|salir|olv[ií]dalo)\s*[.!]*\s*$/i;
+
+function interviewError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function getSettings(cfg) {
+    const settings = (cfg && cfg.drafting_interview) || {};
+    return {
+        enabled: settings.enabled === true,
+        autoStart: settings.auto_start !== false,
+        questionsPerTurn: Math.max(1, Number(settings.questions_per_turn) || DEFAULT_QUESTIONS_PER_TURN),
+        extractionModel: settings.extraction_model || DEFAULT_EXTRACTION_MODEL
+    };
+}
+
+// ============================================================================
+// PERSISTENCIA
+// ============================================================================
+
+async function loadInterview(config, userId, chatId) {
+    try {
+        return await getConversationStore(config).loadInterview(userId, chatId);
+    } catch (error) {
+        console.error(`[Entrevista] Error cargando estado de ${userId}/${chatId}:`, error.message);
+        return null;
+    }
+}
+
+function saveInterview(config, userId, chatId, state) {
+    return getConversationStore(config).saveInterview(userId, chatId, state);
+}
+
+function deleteInterview(config, userId, chatId) {
+    return getConversationStore(config).deleteInterview(userId, chatId);
+}
+
+// ============================================================================
+// PROGRESO
+// ============================================================================
+
+/**
+ * Etiqueta de una variable por su ruta ("arrendatarios[0].rut" → "Arrendatarios 1 - RUT")
+ */
+function labelFor(variables, variablePath) {
+    const parts = [];
+    let defs = variables;
+    for (const segment of String(variablePath).split('.')) {
+        const match = /^([^[\]]+)(?:\[(\d+)\])?$/.exec(segment);
+        const def = match && defs ? defs[match[1]] : null;
+        if (!def) return variablePath;
+        parts.push(match[2] !== undefined ? `${def.label || match[1]} ${Number(match[2]) + 1}` : (def.label || match[1]));
+        defs = def.items;
+    }
+    return parts.join(' - ');
+}
+
+function rootName(variablePath) {
+    return String(variablePath).split(/[.[]/)[0];
+}
+
+function hasValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && !(typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Campos completos, pendientes y siguientes a preguntar
+ * @returns {Object} { filled, missing, invalid, optional, next_fields, complete }
+ */
+function computeProgress(template, values = {}, questionsPerTurn = DEFAULT_QUESTIONS_PER_TURN) {
+    const variables = template.variables || {};
+    const { errors } = validateValues(variables, values);
+
+    const missing = [];
+    const invalid = [];
+    for (const error of errors) {
+        const field = { variable: error.variable, label: labelFor(variables, error.variable), error: error.error };
+        if (error.error === 'required' || error.error.startsWith('min_items_')) missing.push(field);
+        else invalid.push(field);
+    }
+
+    const pendingRoots = new Set(errors.map(e => rootName(e.variable)));
+    const filled = Object.keys(variables).filter(name => hasValue(values[name]) && !pendingRoots.has(name));
+    const optional = Object.entries(variables)
+        .filter(([name, def]) => !def.required && def.default === undefined && !hasValue(values[name]) && !pendingRoots.has(name))
+        .map(([name, def]) => ({ variable: name, label: def.label || name }));
+
+    return {
+        filled,
+        missing,
+        invalid,
+        optional,
+        // Primero los valores inválidos (hay que corregirlos), luego los obligatorios faltantes
+        next_fields: [...invalid, ...missing].slice(0, questionsPerTurn),
+        complete: errors.length === 0
+    };
+}
+
+// ============================================================================
+// CICLO DE VIDA
+// ============================================================================
+
+function resolveTemplate(state) {
+    const template = getTemplate(state.instance_id || DEFAULT_INSTANCE, state.template_id);
+    if (!template) {
+        throw interviewError('template_not_found', `Plantilla no encontrada: ${state.template_id}`);
+    }
+    return template;
+}
+
+/**
+ * Renderiza el documento si todas las variables son válidas y marca la entrevista como completada
+ */
+function finishIfComplete(state, template, progress) {
+    if (!progress.complete) return state;
+    const rendered = renderTemplate(template, state.values);
+    return {
+        ...state,
+        status: 'completed',
+        rendered: { title: rendered.title, markdown: rendered.markdown },
+        completed_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Inicia (o reinicia) la entrevista de un chat
+ * @param {Object} config - bot_config (memory.path)
+ * @param {Object} params - { userId, chatId, instanceId, templateId, values }
+ * @returns {Promise<Object>} { state, template, progress }
+ * @throws {Error} error.code = 'template_not_found'
+ */
+async function startInterview(config, { userId = 'anon', chatId = 'default', instanceId = DEFAULT_INSTANCE, templateId, values = {} } = {}) {
+    const now = new Date().toISOString();
+    let state = {
+        template_id: String(templateId || ''),
+        instance_id: instanceId || DEFAULT_INSTANCE,
+        status: 'in_progress',
+        values: values && typeof values === 'object' ? { ...values } : {},
+        started_at: now,
+        updated_at: now,
+        rendered: null
+    };
+    const template = resolveTemplate(state);
+    const progress = computeProgress(template, state.values, getSettings(config).questionsPerTurn);
+    state = finishIfComplete(state, template, progress);
+    await saveInterview(config, userId, chatId, state);
+    console.log(`[Entrevista] ▶ ${state.template_id} iniciada en ${userId}/${chatId}`);
+    return { state, template, progress };
+}
+
+/**
+ * Estado actual de la entrevista del chat (null si no hay)
+ * @returns {Promise<Object|null>} { state, template, progress }
+ */
+async function getInterview(config, { userId = 'anon', chatId = 'default' } = {}) {
+    const state = await loadInterview(config, userId, chatId);
+    if (!state) return null;
+    const template = resolveTemplate(state);
+    return { state, template, progress: computeProgress(template, state.values, getSettings(config).questionsPerTurn) };
+}
+
+/**
+ * Agrega valores a la entrevista en curso y renderiza el documento si quedó completa
+ * Las listas se reemplazan completas; un valor null borra la variable.
+ * @returns {Promise<Object>} { state, template, progress }
+ * @throws {Error} error.code = 'interview_not_found' | 'interview_closed' | 'template_not_found'
+ */
+async function updateInterview(config, { userId = 'anon', chatId = 'default', values = {} } = {}) {
+    const current = await loadInterview(config, userId, chatId);
+    if (!current) throw interviewError('interview_not_found', 'No hay una entrevista de redacción en este chat');
+    if (current.status !== 'in_progress') {
+        throw interviewError('interview_closed', `La entrevista ya está ${current.status === 'completed' ? 'completada' : 'cancelada'}`);
+    }
+
+    const merged = { ...current.values };
+    for (const [name, value] of Object.entries(values || {})) {
+        if (value === null) delete merged[name];
+        else merged[name] = value;
+    }
+
+    const template = resolveTemplate(current);
+    const progress = computeProgress(template, merged, getSettings(config).questionsPerTurn);
+    const state = await saveInterview(config, userId, chatId, finishIfComplete({
+        ...current,
+        values: merged,
+        updated_at: new Date().toISOString()
+    }, template, progress));
+    if (state.status === 'completed') {
+        console.log(`[Entrevista] ✓ ${state.template_id} completada en ${userId}/${chatId}`);
+    }
+    return { state, template, progress };
+}
+
+/**
+ * Cancela la entrevista en curso (conserva los valores recogidos)
+ * @returns {Promise<Object|null>} Estado cancelado o null si no había entrevista en curso
+ */
+async function cancelInterview(config, { userId = 'anon', chatId = 'default' } = {}) {
+    const current = await loadInterview(config, userId, chatId);
+    if (!current || current.status !== 'in_progress') return null;
+    console.log(`[Entrevista] ■ ${current.template_id} cancelada en ${userId}/${chatId}`);
+    return saveInterview(config, userId, chatId, { ...current, status: 'cancelled', updated_at: new Date().toISOString() });
+}
+
+// ============================================================================
+// TURNO DE CONVERSACIÓN
+// ============================================================================
+
+function foldText(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Plantilla cuyas "keywords" aparecen en la pregunta (la de más coincidencias)
+ */
+function detectTemplate(instanceId, question) {
+    const text = foldText(question);
+    let best = null;
+    for (const template of listTemplates(instanceId)) {
+        const full = getTemplate(instanceId, template.id);
+        const hits = (full.keywords || []).filter(keyword => text.includes(foldText(keyword))).length;
+        if (hits > 0 && (!best || hits > best.hits)) best = { id: template.id, hits };
+    }
+    return best ? best.id : null;
+}
+
+/**
+ * Esquema compacto de las variables para el prompt de extracción
+ */
+function describeVariables(variables) {
+    return Object.entries(variables).map(([name, def]) => {
+        const type = def.type || 'string';
+        let line = `- ${name} (${type}${def.required ? ', obligatoria' : ''}): ${def.label || name}`;
+        if (type === 'enum') line += ` [${(def.options || []).join(' | ')}]`;
+        if (type === 'list') {
+            line += ` — arreglo de objetos { ${Object.entries(def.items || {}).map(([k, d]) => `${k}: ${d.type || 'string'}`).join(', ')} }`;
+        }
+        return line;
+    }).join('\n');
+}
+
+function parseJsonObject(text) {
+    const cleaned = String(text || '').replace(/```(?:json)?/gi, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start < 0 || end <= start) return {};
+    try {
+        const parsed = JSON.parse(cleaned.slice(start, end + 1));
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Extrae del mensaje del usuario los valores de las variables de la plantilla
+ * @returns {Promise<Object>} Valores mencionados (solo variables conocidas)
+ */
+async function extractValues(cfg, template, state, message) {
+    const variables = template.variables || {};
+    const prompt = [
+        `Extrae del mensaje del usuario los datos para completar la plantilla "${template.name || template.id}".`,
+        'Variables:',
+        describeVariables(variables),
+        '',
+        `Valores ya registrados: ${JSON.stringify(state.values)}`,
+        '',
+        'Reglas: responde SOLO un objeto JSON con las variables que el usuario menciona o corrige en este mensaje.',
+        'Fechas en formato YYYY-MM-DD, montos y números sin puntos ni símbolo, boolean true/false, RUT tal como lo escribe.',
+        'Para listas devuelve el arreglo completo (incluyendo los elementos ya registrados). No inventes datos; si no hay ninguno, responde {}.',
+        '',
+        `Mensaje: """${String(message).slice(0, MAX_MESSAGE_LENGTH)}"""`
+    ].join('\n');
+
+    const response = await _callOpenAI(cfg, [{ role: 'user', content: prompt }], getSettings(cfg).extractionModel, {
+        maxTokens: 800,
+        temperature: 0
+    });
+    if (response.error) throw new Error(response.content);
+
+    const extracted = parseJsonObject(response.content);
+    return Object.fromEntries(Object.entries(extracted).filter(([name]) => variables[name]));
+}
+
+/**
+ * Avanza la entrevista con el mensaje del turno (llamado desde answer/answerStream)
+ * - Entrevista en curso: cancela si el usuario lo pide; si no, extrae valores y renderiza al completar
+ * - Sin entrevista: la inicia si auto_start está activo, la intención es de redacción y una plantilla coincide
+ * @param {Object} cfg - bot_config del turno
+ * @param {Object} params - { userId, chatId, instanceId, question, intent }
+ * @returns {Promise<Object|null>} { event: started|updated|completed|cancelled, state, template, progress } o null
+ */
+async function advanceInterview(cfg, { userId = 'anon', chatId = 'default', instanceId = DEFAULT_INSTANCE, question = '', intent = null } = {}) {
+    const settings = getSettings(cfg);
+    if (!settings.enabled) return null;
+
+    try {
+        const current = await loadInterview(cfg, userId, chatId);
+
+        if (current && current.status === 'in_progress') {
+            if (CANCEL_PATTERN.test(question)) {
+                const state = await cancelInterview(cfg, { userId, chatId });
+                return { event: 'cancelled', state, template: resolveTemplate(state), progress: null };
+            }
+            const template = resolveTemplate(current);
+            const values = await extractValues(cfg, template, current, question);
+            const result = await updateInterview(cfg, { userId, chatId, values });
+            return { event: result.state.status === 'completed' ? 'completed' : 'updated', ...result };
+        }
+
+        if (!settings.autoStart || (intent && intent.name !== 'redaccion')) return null;
+        const templateId = detectTemplate(instanceId, question);
+        if (!templateId) return null;
+
+        const started = await startInterview(cfg, { userId, chatId, instanceId, templateId });
+        const values = await extractValues(cfg, started.template, started.state, question);
+        const result = Object.keys(values).length > 0 && started.state.status === 'in_progress'
+            ? await updateInterview(cfg, { userId, chatId, values })
+            : started;
+        return { event: result.state.status === 'completed' ? 'completed' : 'started', ...result };
+    } catch (error) {
+        console.error('[Entrevista] ✗ Error avanzando la entrevista:', error.message);
+        return null;
+    }
+}
+
+function formatFilledValue(value) {
+    if (Array.isArray(value)) return value.map(item => Object.values(item || {}).join(', ')).join('; ');
+    return String(value);
+}
+
+/**
+ * Bloque para el system prompt según el estado de la entrevista
+ */
+function buildInterviewContext(result) {
+    if (!result) return '';
+    const { event, state, template, progress } = result;
+    const name = template.name || template.id;
+
+    if (event === 'cancelled') {
+        return `\n\n[ENTREVISTA DE REDACCIÓN CANCELADA]\nEl usuario canceló la redacción de "${name}". Confírmalo brevemente y ofrece retomarla más adelante.`;
+    }
+
+    if (state.status === 'completed' && state.rendered) {
+        return [
+            '',
+            '',
+            '[DOCUMENTO GENERADO DESDE PLANTILLA]',
+            `Se completaron todos los datos de "${name}". Entrega el documento tal cual, sin modificar su contenido,`,
+            'y luego indica que puede descargarlo en Word o PDF o pedir cambios.',
+            '',
+            state.rendered.markdown
+        ].join('\n');
+    }
+
+    const variables = template.variables || {};
+    const lines = [
+        '',
+        '',
+        '[ENTREVISTA DE REDACCIÓN EN CURSO]',
+        `Documento: ${name} (plantilla ${template.id}).`,
+        'No redactes el documento ni inventes datos: pregunta al usuario por los campos pendientes.'
+    ];
+    if (progress.filled.length > 0) {
+        lines.push('Datos registrados:', ...progress.filled.map(v => `- ${variables[v].label || v}: ${formatFilledValue(state.values[v])}`));
+    }
+    if (progress.invalid.length > 0) {
+        lines.push('Datos con error (pide corregirlos):', ...progress.invalid.map(f => `- ${f.label}: ${f.error}`));
+    }
+    lines.push(
+        `Campos obligatorios pendientes: ${progress.missing.length}.`,
+        `En este turno pregunta solo por: ${progress.next_fields.map(f => f.label).join('; ')}.`
+    );
+    if (progress.optional.length > 0) {
+        lines.push(`Campos opcionales (menciónalos una vez, el usuario puede omitirlos): ${progress.optional.map(f => f.label).join('; ')}.`);
+    }
+    lines.push('Si el usuario quiere abandonar, puede escribir "cancelar".');
+    return lines.join('\n');
+}
+
+/**
+ * Resumen para la respuesta del motor y los metadatos del turno
+ */
+function summarizeInterview(result) {
+    if (!result) return null;
+    const { event, state, progress } = result;
+    return {
+        event,
+        template_id: state.template_id,
+        status: state.status,
+        filled: progress ? progress.filled : [],
+        missing: progress ? progress.missing.map(f => f.variable) : [],
+        invalid: progress ? progress.invalid.map(f => f.variable) : [],
+        document: state.status === 'completed' && state.rendered ? { title: state.rendered.title } : null
+    };
+}
+
+module.exports = {
+    computeProgress,
+    startInterview,
+    getInterview,
+    updateInterview,
+    cancelInterview,
+    deleteInterview,
+    detectTemplate,
+    advanceInterview,
+    buildInterviewContext,
+    summarizeInterview
+};
@@ -0,0 +1,419 @@
+/**
+ * ECONOMIC INDICATORS - LEGITIMUS PRO
+ * ===================================
+ *
+ * Cálculos monetarios determinísticos para consultas laborales y civiles:
+ *   - convertCurrency:   conversión entre UF, UTM y pesos (CLP) a una fecha
+ *   - readjustByIPC:     reajuste de un monto según la variación del IPC entre dos meses
+ *   - calculateInterest: interés simple con la tasa de interés corriente de cada mes, o con una tasa fija
+ *
+ * Los valores vienen de data/indicadores_chile.json (INDICATORS_PATH), tabla local que se carga con
+ * scripts/import_indicators.js (API de la CMF: UF, UTM e IPC) o que actualiza un administrador
+ * (updateSeries / PUT /api/admin/indicators/:serie). Nunca se interpola: si falta el valor de un
+ * período el cálculo falla con error.code = 'indicator_not_available' e indica qué falta.
+ *
+ * Cada resultado incluye la fórmula aplicada y los valores usados, para que la respuesta pueda citarlos.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { updateJsonFile } = require('./atomic_file');
+
+const INDICATORS_PATH = process.env.INDICATORS_PATH || path.join(__dirname, '..', 'data', 'indicadores_chile.json');
+const DAY_MS = 86400000;
+const DEFAULT_BASE_DAYS = 360;
+
+// Serie → formato de período
+const SERIES = {
+    uf: { period: 'day', label: 'UF' },
+    utm: { period: 'month', label: 'UTM' },
+    ipc: { period: 'month', label: 'variación mensual del IPC' },
+    interes_corriente: { period: 'month', label: 'tasa de interés corriente anual' }
+};
+
+const PERIOD_PATTERNS = {
+    day: /^\d{4}-\d{2}-\d{2}$/,
+    month: /^\d{4}-\d{2}$/
+};
+
+// Recursos de la API de la CMF (api-sbifv3) por serie: { recurso, clave del arreglo en la respuesta }
+const CMF_RESOURCES = {
+    uf: { resource: 'uf', key: 'UFs' },
+    utm: { resource: 'utm', key: 'UTMs' },
+    ipc: { resource: 'ipc', key: 'IPCs' }
+};
+
+let tableCache = null;
+
+function indicatorError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// ============================================================================
+// TABLA DE INDICADORES
+// ============================================================================
+
+function readTable() {
+    if (tableCache) return tableCache;
+    try {
+        tableCache = JSON.parse(fs.readFileSync(INDICATORS_PATH, 'utf-8'));
+    } catch (error) {
+        console.error(`[Indicadores] Error cargando ${INDICATORS_PATH}:`, error.message);
+        tableCache = {};
+    }
+    tableCache.series = tableCache.series || {};
+    for (const name of Object.keys(SERIES)) {
+        tableCache.series[name] = tableCache.series[name] || {};
+    }
+    return tableCache;
+}
+
+function getValue(series, period) {
+    const value = readTable().series[series][period];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw indicatorError('indicator_not_available', `No hay ${SERIES[series].label} para ${period} en la tabla de indicadores`);
+    }
+    return value;
+}
+
+/**
+ * Resumen de la tabla: cantidad de valores y primer/último período de cada serie
+ */
+function getIndicatorsSummary() {
+    const table = readTable();
+    const series = {};
+    for (const name of Object.keys(SERIES)) {
+        const periods = Object.keys(table.series[name]).sort();
+        series[name] = {
+            count: periods.length,
+            first: periods[0] || null,
+            last: periods[periods.length - 1] || null
+        };
+    }
+    return { base_anual_dias: table.base_anual_dias || DEFAULT_BASE_DAYS, series };
+}
+
+/**
+ * Valores de una serie, opcionalmente filtrados por rango de períodos
+ */
+function getSeries(name, { from = null, to = null } = {}) {
+    if (!SERIES[name]) throw indicatorError('invalid_series', `Serie inválida: "${name}" (${Object.keys(SERIES).join(', ')})`);
+    const values = {};
+    for (const [period, value] of Object.entries(readTable().series[name]).sort(([a], [b]) => a.localeCompare(b))) {
+        if (from && period < from) continue;
+        if (to && period > to) continue;
+        values[period] = value;
+    }
+    return values;
+}
+
+/**
+ * Agrega o reemplaza valores de una serie y guarda la tabla
+ * @param {string} name - uf | utm | ipc | interes_corriente
+ * @param {Object} values - { periodo: valor }; un valor null elimina el período
+ * @returns {Object} { series, updated, removed }
+ */
+function updateSeries(name, values) {
+    if (!SERIES[name]) throw indicatorError('invalid_series', `Serie inválida: "${name}" (${Object.keys(SERIES).join(', ')})`);
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw indicatorError('invalid_values', 'values debe ser un objeto { periodo: valor }');
+    }
+
+    // Fechas y meses que existen en el calendario (2025-02-30 o 2025-13 se rechazan)
+    const validatePeriod = SERIES[name].period === 'day' ? parseDate : parseMonth;
+    for (const [period, value] of Object.entries(values)) {
+        validatePeriod(period, `Período de ${name}`);
+        if (value !== null && (typeof value !== 'number' || !Number.isFinite(value))) {
+            throw indicatorError('invalid_values', `Valor inválido para ${name} ${period}: ${JSON.stringify(value)}`);
+        }
+    }
+
+    // Leer y reescribir bajo bloqueo (escritura atómica): dos importaciones simultáneas no se pisan
+    let updated = 0;
+    let removed = 0;
+    updateJsonFile(INDICATORS_PATH, {}, table => {
+        table.series = table.series || {};
+        table.series[name] = table.series[name] || {};
+        for (const [period, value] of Object.entries(values)) {
+            if (value === null) {
+                if (period in table.series[name]) removed++;
+                delete table.series[name][period];
+            } else {
+                table.series[name][period] = value;
+                updated++;
+            }
+        }
+    });
+    tableCache = null; // se recarga normalizada en la próxima lectura
+
+    console.log(`[Indicadores] ${name}: ${updated} valores actualizados, ${removed} eliminados`);
+    return { series: name, updated, removed };
+}
+
+function reloadIndicators() {
+    tableCache = null;
+    return readTable();
+}
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+function parseDate(value, field) {
+    const text = String(value || '').trim();
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+    if (!date || date.toISOString().slice(0, 10) !== text) {
+        throw indicatorError('invalid_date', `${field} inválida: "${value}" (formato YYYY-MM-DD)`);
+    }
+    return date;
+}
+
+function parseMonth(value, field) {
+    const text = String(value || '').trim();
+    if (!PERIOD_PATTERNS.month.test(text) || Number(text.slice(5)) < 1 || Number(text.slice(5)) > 12) {
+        throw indicatorError('invalid_period', `${field} inválido: "${value}" (formato YYYY-MM)`);
+    }
+    return text;
+}
+
+/**
+ * Número en formato chileno de la CMF ("36.789,36", "-0,2") → 36789.36, -0.2
+ */
+function parseCmfNumber(text) {
+    const value = Number(String(text || '').trim().replace(/\./g, '').replace(',', '.'));
+    return String(text || '').trim() && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Respuesta JSON de la API de la CMF (recursos_api/<uf|utm|ipc>/<año>) → { periodo: valor } para updateSeries
+ * La UF es diaria (YYYY-MM-DD); UTM e IPC son mensuales (YYYY-MM).
+ * @param {string} name - uf | utm | ipc
+ * @param {Object} json - ej. { "UFs": [{ "Valor": "38.419,17", "Fecha": "2025-01-01" }] }
+ * @returns {Object} Valores por período
+ */
+function parseCmfSeries(name, json) {
+    const source = CMF_RESOURCES[name];
+    if (!source) throw indicatorError('invalid_series', `La CMF no publica la serie "${name}" (${Object.keys(CMF_RESOURCES).join(', ')})`);
+
+    const values = {};
+    for (const item of (json && json[source.key]) || []) {
+        const date = parseDate(item.Fecha, `Fecha de ${name}`).toISOString().slice(0, 10);
+        const value = parseCmfNumber(item.Valor);
+        if (value === null) throw indicatorError('invalid_values', `Valor inválido para ${name} ${date}: ${JSON.stringify(item.Valor)}`);
+        values[SERIES[name].period === 'day' ? date : date.slice(0, 7)] = value;
+    }
+    return values;
+}
+
+function parseAmount(value, field) {
+    const amount = Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(amount) || amount < 0) {
+        throw indicatorError('invalid_amount', `${field} inválido: "${value}" (número mayor o igual a 0)`);
+    }
+    return amount;
+}
+
+function nextMonth(period) {
+    const [year, month] = period.split('-').map(Number);
+    return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function formatNumber(value, decimals = 2) {
+    return value.toLocaleString('es-CL', { minimumFractionDigits: 0, maximumFractionDigits: decimals });
+}
+
+// ============================================================================
+// CÁLCULOS
+// ============================================================================
+
+/**
+ * Convierte un monto entre UF, UTM y pesos
+ * @param {Object} params - { amount, from: 'UF'|'UTM'|'CLP', to: 'UF'|'UTM'|'CLP', date: 'YYYY-MM-DD' }
+ *   La UF se toma del día; la UTM, del mes de la fecha
+ * @returns {Object} { amount, from, to, date, result, values, formula }
+ */
+function convertCurrency({ amount, from, to, date } = {}) {
+    const quantity = parseAmount(amount, 'Monto');
+    const source = String(from || '').toUpperCase();
+    const target = String(to || '').toUpperCase();
+    const units = ['UF', 'UTM', 'CLP'];
+    if (!units.includes(source) || !units.includes(target)) {
+        throw indicatorError('invalid_unit', `Unidades inválidas: "${from}" → "${to}" (UF, UTM o CLP)`);
+    }
+    const day = parseDate(date, 'Fecha').toISOString().slice(0, 10);
+
+    const values = {};
+    const pesosPer = (unit) => {
+        if (unit === 'CLP') return 1;
+        const series = unit.toLowerCase();
+        const period = unit === 'UF' ? day : day.slice(0, 7);
+        values[unit] = { period, value: getValue(series, period) };
+        return values[unit].value;
+    };
+
+    const sourceRate = pesosPer(source);
+    const targetRate = pesosPer(target);
+    const pesos = quantity * sourceRate;
+    const raw = pesos / targetRate;
+    // Pesos sin decimales; UF y UTM con 2
+    const result = target === 'CLP' ? Math.round(raw) : round(raw, 2);
+
+    const describe = (unit) => `$${formatNumber(values[unit].value)} (${unit} ${values[unit].period})`;
+    let formula;
+    if (source === target) {
+        formula = `${formatNumber(quantity)} ${source} = ${formatNumber(result)} ${target}`;
+    } else if (target === 'CLP') {
+        formula = `${formatNumber(quantity)} ${source} × ${describe(source)} = $${formatNumber(result, 0)}`;
+    } else if (source === 'CLP') {
+        formula = `$${formatNumber(quantity, 0)} ÷ ${describe(target)} = ${formatNumber(result)} ${target}`;
+    } else {
+        formula = `${formatNumber(quantity)} ${source} × ${describe(source)} ÷ ${describe(target)} = ${formatNumber(result)} ${target}`;
+    }
+
+    return { amount: quantity, from: source, to: target, date: day, result, values, formula };
+}
+
+/**
+ * Reajusta un monto según la variación del IPC entre dos meses
+ * (ej. Código del Trabajo art. 63: desde el mes anterior a aquel en que debió pagarse
+ * hasta el mes anterior al pago). Se acumulan las variaciones mensuales de los meses
+ * posteriores a from_month hasta to_month inclusive.
+ * @param {Object} params - { amount, from_month: 'YYYY-MM', to_month: 'YYYY-MM' }
+ * @returns {Object} { amount, from_month, to_month, variation_pct, factor, readjustment, result, monthly, formula }
+ */
+function readjustByIPC({ amount, from_month, to_month } = {}) {
+    const capital = parseAmount(amount, 'Monto');
+    const fromMonth = parseMonth(from_month, 'Mes inicial');
+    const toMonth = parseMonth(to_month, 'Mes final');
+    if (toMonth < fromMonth) {
+        throw indicatorError('invalid_period', `El mes final (${toMonth}) es anterior al mes inicial (${fromMonth})`);
+    }
+
+    const monthly = [];
+    const missing = [];
+    let factor = 1;
+    for (let period = nextMonth(fromMonth); period <= toMonth; period = nextMonth(period)) {
+        const value = readTable().series.ipc[period];
+        if (typeof value !== 'number') {
+            missing.push(period);
+            continue;
+        }
+        monthly.push({ period, variation_pct: value });
+        factor *= 1 + value / 100;
+    }
+    if (missing.length > 0) {
+        throw indicatorError('indicator_not_available', `No hay variación del IPC para ${missing.join(', ')} en la tabla de indicadores`);
+    }
+
+    // Una variación acumulada negativa no rebaja el monto adeudado
+    const variation = round((factor - 1) * 100, 4);
+    const appliedFactor = Math.max(factor, 1);
+    const result = Math.round(capital * appliedFactor);
+    const formula = monthly.length === 0
+        ? `Sin meses entre ${fromMonth} y ${toMonth}: $${formatNumber(capital, 0)} sin reajuste`
+        : `$${formatNumber(capital, 0)} × ${monthly.map(m => `(1 + ${formatNumber(m.variation_pct, 4)}%)`).join(' × ')} = $${formatNumber(capital * factor, 0)}` +
+          (factor < 1 ? ` → variación negativa, se mantiene $${formatNumber(capital, 0)}` : '');
+
+    return {
+        amount: capital,
+        from_month: fromMonth,
+        to_month: toMonth,
+        variation_pct: variation,
+        factor: round(appliedFactor, 6),
+        readjustment: result - Math.round(capital),
+        result,
+        monthly,
+        formula
+    };
+}
+
+/**
+ * Interés simple sobre un capital entre dos fechas
+ * @param {Object} params
+ *   - capital {number} Capital en pesos
+ *   - start_date {string} YYYY-MM-DD (el interés corre desde el día siguiente)
+ *   - end_date {string} YYYY-MM-DD (inclusive)
+ *   - rate_type {string} corriente (tasa de cada mes de la tabla) | fija (annual_rate)
+ *   - annual_rate {number} Tasa anual en porcentaje, solo para rate_type fija
+ * @returns {Object} { capital, start_date, end_date, rate_type, base_days, days, interest, result, periods, formula }
+ */
+function calculateInterest({ capital, start_date, end_date, rate_type = 'corriente', annual_rate = null } = {}) {
+    const principal = parseAmount(capital, 'Capital');
+    const start = parseDate(start_date, 'Fecha inicial');
+    const end = parseDate(end_date, 'Fecha final');
+    if (end < start) throw indicatorError('invalid_date', `La fecha final (${end_date}) es anterior a la inicial (${start_date})`);
+    if (!['corriente', 'fija'].includes(rate_type)) {
+        throw indicatorError('invalid_rate_type', `Tipo de tasa inválido: "${rate_type}" (corriente o fija)`);
+    }
+    const fixedRate = rate_type === 'fija' ? parseAmount(annual_rate, 'Tasa anual') : null;
+    const baseDays = readTable().base_anual_dias || DEFAULT_BASE_DAYS;
+
+    // Tramos por mes calendario: cada uno con su tasa y sus días
+    const periods = [];
+    for (let cursor = new Date(start.getTime() + DAY_MS); cursor <= end;) {
+        const month = cursor.toISOString().slice(0, 7);
+        const monthEnd = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 0));
+        const last = monthEnd < end ? monthEnd : end;
+        const days = Math.round((last - cursor) / DAY_MS) + 1;
+        periods.push({ period: month, days, annual_rate_pct: fixedRate });
+        cursor = new Date(last.getTime() + DAY_MS);
+    }
+
+    if (rate_type === 'corriente') {
+        const missing = periods.filter(p => typeof readTable().series.interes_corriente[p.period] !== 'number').map(p => p.period);
+        if (missing.length > 0) {
+            throw indicatorError('indicator_not_available', `No hay tasa de interés corriente para ${missing.join(', ')} en la tabla de indicadores`);
+        }
+        for (const p of periods) p.annual_rate_pct = readTable().series.interes_corriente[p.period];
+    }
+
+    let interest = 0;
+    for (const p of periods) {
+        p.interest = principal * (p.annual_rate_pct / 100) * (p.days / baseDays);
+        interest += p.interest;
+        p.interest = round(p.interest, 2);
+    }
+    interest = Math.round(interest);
+    const days = periods.reduce((sum, p) => sum + p.days, 0);
+
+    const formula = periods.length === 0
+        ? 'Sin días de interés entre las fechas'
+        : `Σ $${formatNumber(principal, 0)} × tasa anual × días / ${baseDays} = ` +
+          periods.map(p => `(${formatNumber(p.annual_rate_pct, 4)}% × ${p.days}/${baseDays})`).join(' + ') +
+          ` → $${formatNumber(interest, 0)} de interés`;
+
+    return {
+        capital: principal,
+        start_date: start.toISOString().slice(0, 10),
+        end_date: end.toISOString().slice(0, 10),
+        rate_type,
+        base_days: baseDays,
+        days,
+        interest,
+        result: Math.round(principal) + interest,
+        periods,
+        formula
+    };
+}
+
+module.exports = {
+    SERIES,
+    CMF_RESOURCES,
+    INDICATORS_PATH,
+    convertCurrency,
+    readjustByIPC,
+    calculateInterest,
+    getIndicatorsSummary,
+    getSeries,
+    updateSeries,
+    reloadIndicators,
+    parseCmfSeries
+};
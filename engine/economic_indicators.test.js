@@ -0,0 +1,171 @@
+// engine/economic_indicators.test.js — Pruebas de conversión UF/UTM, reajuste IPC, interés e importación CMF
+// Ejecutar con: node engine/economic_indicators.test.js
+//
+// Usa una tabla de indicadores temporal (INDICATORS_PATH); data/indicadores_chile.json no se modifica.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indicators-test-'));
+process.env.INDICATORS_PATH = path.join(dir, 'indicadores_chile.json');
+fs.writeFileSync(process.env.INDICATORS_PATH, JSON.stringify({
+  base_anual_dias: 360,
+  series: {
+    uf: { '2025-01-01': 38419.17 },
+    utm: { '2025-01': 67429 },
+    ipc: { '2025-01': 1.1, '2025-02': 0.4, '2025-03': 0.5, '2025-04': -2 },
+    interes_corriente: { '2025-02': 10, '2025-03': 12 }
+  }
+}));
+
+const {
+  convertCurrency,
+  readjustByIPC,
+  calculateInterest,
+  getSeries,
+  updateSeries,
+  reloadIndicators,
+  parseCmfSeries
+} = require('./economic_indicators');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertThrowsCode(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    assertEqual(e.code, code, 'Código de error');
+    return;
+  }
+  throw new Error(`Se esperaba un error ${code}`);
+}
+
+try {
+  // ============ convertCurrency ============
+
+  test('convertCurrency: UF a pesos con la UF del día', () => {
+    const result = convertCurrency({ amount: 10, from: 'UF', to: 'CLP', date: '2025-01-01' });
+    assertEqual(result.result, 384192);
+    assertEqual(result.values.UF, { period: '2025-01-01', value: 38419.17 });
+  });
+
+  test('convertCurrency: pesos a UTM con la UTM del mes', () => {
+    assertEqual(convertCurrency({ amount: 67429, from: 'CLP', to: 'UTM', date: '2025-01-20' }).result, 1);
+  });
+
+  test('convertCurrency: UF a UTM pasa por pesos', () => {
+    assertEqual(convertCurrency({ amount: 1, from: 'UF', to: 'UTM', date: '2025-01-01' }).result, 0.57);
+  });
+
+  test('convertCurrency: sin UF del día responde indicator_not_available', () => {
+    assertThrowsCode(() => convertCurrency({ amount: 1, from: 'UF', to: 'CLP', date: '2025-01-02' }), 'indicator_not_available');
+  });
+
+  test('convertCurrency: rechaza fechas inexistentes', () => {
+    assertThrowsCode(() => convertCurrency({ amount: 1, from: 'UF', to: 'CLP', date: '2025-02-30' }), 'invalid_date');
+  });
+
+  // ============ readjustByIPC ============
+
+  test('readjustByIPC: acumula las variaciones de los meses posteriores al inicial', () => {
+    const result = readjustByIPC({ amount: 100000, from_month: '2024-12', to_month: '2025-03' });
+    assertEqual(result.monthly.map(m => m.period), ['2025-01', '2025-02', '2025-03']);
+    assertEqual(result.result, 102012);
+    assertEqual(result.readjustment, 2012);
+  });
+
+  test('readjustByIPC: una variación negativa no rebaja el monto', () => {
+    const result = readjustByIPC({ amount: 100000, from_month: '2025-03', to_month: '2025-04' });
+    assertEqual(result.variation_pct, -2);
+    assertEqual(result.result, 100000);
+  });
+
+  test('readjustByIPC: informa los meses sin IPC', () => {
+    assertThrowsCode(() => readjustByIPC({ amount: 100000, from_month: '2025-03', to_month: '2025-06' }), 'indicator_not_available');
+  });
+
+  // ============ calculateInterest ============
+
+  test('calculateInterest: tasa fija por días desde el día siguiente al inicial', () => {
+    const result = calculateInterest({ capital: 360000, start_date: '2025-01-31', end_date: '2025-03-01', rate_type: 'fija', annual_rate: 12 });
+    assertEqual(result.days, 29);
+    assertEqual(result.interest, 3480);
+  });
+
+  test('calculateInterest: tasa corriente de cada mes', () => {
+    const result = calculateInterest({ capital: 360000, start_date: '2025-01-31', end_date: '2025-03-01' });
+    assertEqual(result.periods.map(p => [p.period, p.days, p.annual_rate_pct]), [['2025-02', 28, 10], ['2025-03', 1, 12]]);
+    assertEqual(result.interest, 2920);
+  });
+
+  // ============ updateSeries ============
+
+  test('updateSeries: rechaza días y meses que no existen', () => {
+    assertThrowsCode(() => updateSeries('uf', { '2025-02-30': 38500 }), 'invalid_date');
+    assertThrowsCode(() => updateSeries('utm', { '2025-13': 68000 }), 'invalid_period');
+  });
+
+  test('updateSeries: guarda, elimina y los cálculos usan los valores nuevos', () => {
+    assertEqual(updateSeries('uf', { '2025-01-02': 38420.5, '2025-01-01': null }), { series: 'uf', updated: 1, removed: 1 });
+    assertEqual(getSeries('uf'), { '2025-01-02': 38420.5 });
+    reloadIndicators();
+    assertEqual(convertCurrency({ amount: 2, from: 'UF', to: 'CLP', date: '2025-01-02' }).result, 76841);
+    assertEqual(JSON.parse(fs.readFileSync(process.env.INDICATORS_PATH, 'utf-8')).series.uf, { '2025-01-02': 38420.5 });
+    assertEqual(fs.readdirSync(dir).filter(f => /\.(tmp|lock)$/.test(f)), []);
+  });
+
+  // ============ parseCmfSeries ============
+
+  test('parseCmfSeries: UF diaria en formato chileno', () => {
+    const values = parseCmfSeries('uf', { UFs: [{ Valor: '38.419,17', Fecha: '2025-01-01' }, { Valor: '38.421,72', Fecha: '2025-01-02' }] });
+    assertEqual(values, { '2025-01-01': 38419.17, '2025-01-02': 38421.72 });
+  });
+
+  test('parseCmfSeries: UTM e IPC mensuales, con variaciones negativas', () => {
+    assertEqual(parseCmfSeries('utm', { UTMs: [{ Valor: '67.429', Fecha: '2025-01-01' }] }), { '2025-01': 67429 });
+    assertEqual(parseCmfSeries('ipc', { IPCs: [{ Valor: '-0,2', Fecha: '2025-04-01' }] }), { '2025-04': -0.2 });
+  });
+
+  test('parseCmfSeries: valores o fechas inválidos y series que la CMF no publica', () => {
+    assertThrowsCode(() => parseCmfSeries('uf', { UFs: [{ Valor: '', Fecha: '2025-01-01' }] }), 'invalid_values');
+    assertThrowsCode(() => parseCmfSeries('uf', { UFs: [{ Valor: '1,0', Fecha: '2025-02-30' }] }), 'invalid_date');
+    assertThrowsCode(() => parseCmfSeries('interes_corriente', {}), 'invalid_series');
+  });
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ============ Resumen ============
+console.log('\n' + '='.repeat(50));
+console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+console.log(`${RED}Fallidas: ${failed}${RESET}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -3,11 +3,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
+const gateway = require('./llm_gateway');
 const { listKnowledgeFiles, readTextSync, searchAll } = require('./knowledge_readers');
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 /**
  * Busca en el conocimiento usando embeddings y similitud semántica
  */
@@ -20,10 +18,7 @@ async function searchWithEmbeddings(query, options = {}) {
     } = options;
 
     // Generar embedding para la consulta
-    const queryEmbedding = await client.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: query
-    });
+    const queryEmbedding = await gateway.embed(null, query, { model: 'text-embedding-3-small' });
 
     // Obtener archivos de conocimiento
     const knowledgeFiles = listKnowledgeFiles();
@@ -49,15 +44,12 @@ async function searchWithEmbeddings(query, options = {}) {
           const chunk = chunks[i];
           
           // Generar embedding para el chunk
-          const chunkEmbedding = await client.embeddings.create({
-            model: 'text-embedding-3-small',
-            input: chunk
-          });
+          const chunkEmbedding = await gateway.embed(null, chunk, { model: 'text-embedding-3-small' });
 
           // Calcular similitud coseno
           const similarity = cosineSimilarity(
-            queryEmbedding.data[0].embedding,
-            chunkEmbedding.data[0].embedding
+            queryEmbedding.embeddings[0],
+            chunkEmbedding.embeddings[0]
           );
 
           if (similarity >= threshold) {
@@ -228,14 +220,13 @@ Genera un resumen que:
 
 RESUMEN:`;
 
-    const response = await client.chat.completions.create({
+    const response = await gateway.chat(null, [{ role: 'user', content: prompt }], {
       model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 500,
+      maxTokens: 500,
       temperature: 0.3
     });
 
-    return response.choices[0].message.content;
+    return response.content;
 
   } catch (error) {
     console.error('Error generando resumen:', error);
@@ -2,10 +2,14 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { buildPromptFromConfig } = require('./loader');
-const { loadContext, saveTurn, loadTurnCount } = require('./memory');
+const { loadContext, saveTurn, loadTurnCount, buildSemanticMemoryBlock } = require('./memory');
 const { getInteractionStatus, incrementInteractionCount } = require('./interaction_manager');
+const { buildConversationContext, chatInteractionLimit } = require('./conversation_summary');
 const { makeMessages } = require('./prompt');
 const { chat } = require('./llm');
+const { askWithFailover, streamWithFailover } = require('./llm_failover');
+const { routeQuestion, applyRouting, recordRoutingDecision } = require('./model_router');
+const { classifyLegalIntent, applyIntentToConfig, applyIntentToPrompt, isPromptSectionExcluded, summarizeIntent } = require('./intent_taxonomy');
 const { loadFixedKnowledge } = require('./identity_memory');
 const { userDocumentsManager } = require('./user_documents_manager');
 const creditManager = require('./credit_manager_v2');
@@ -13,9 +17,14 @@ const { buildContextBlock, buildUserContextBlock, buildGeneralContextBlock, getC
 const { getGeneralContext } = require('../auth/general_context_manager');
 const auth = require('../auth');
 const { buildInstanceFilesContext } = require('./instance_files_loader');
+const { advanceInterview, buildInterviewContext, summarizeInterview } = require('./drafting_interview');
 
 // Sistema de citación normativa automática con doble vista (modelo/usuario)
-const { processMessageWithDualAnnex, generateAnexoModelo, generateAnexoUsuario } = require('./normative_citation_processor');
+const { processMessageWithDualAnnex, generateAnexoModelo, generateAnexoUsuario, normalizeAsOfDate } = require('./normative_citation_processor');
+const { recordCitationAudit } = require('./citation_audit_log');
+const { isVerificationEnabled, runVerificationPass, mergeUsage } = require('./normative_verification');
+const { validateBcnUrlsAgainstDb } = require('./normative_url_validator');
+const { getChatSettings } = require('../chat_management');
 
 function getConfig(){ return global.bot_config; }
 function getBuilder(){ return global.builder_config; }
@@ -38,7 +47,8 @@ function collectKnowledgeHits(question, options = {}) {
     const cfg = getConfig() || {};
     const kcfg = (cfg.knowledge || {});
     const maxChars = kcfg.maxCharsPerFile || 12000;
-    const dirs = (kcfg.paths || []).map(p => path.join(process.cwd(), p));
+    // options.paths: carpetas de la intención del turno (intent_taxonomy)
+    const dirs = (options.paths || kcfg.paths || []).map(p => path.join(process.cwd(), p));
     const q = (question || '').toString().trim().toLowerCase();
     if (!q || !dirs.length) return [];
     const hits = [];
@@ -77,6 +87,91 @@ function collectKnowledgeHits(question, options = {}) {
   } catch { return []; }
 }
 
+/**
+ * Fecha de consulta normativa ("as of") para el turno:
+ * la indicada en la solicitud tiene prioridad sobre el ajuste guardado en el chat.
+ */
+async function resolveNormativeAsOf(cfg, userId, chatId, requestedAsOf = null){
+  const explicit = normalizeAsOfDate(requestedAsOf);
+  if (explicit) return explicit;
+  try {
+    const settings = await getChatSettings(cfg, userId, chatId);
+    return normalizeAsOfDate(settings.normative_as_of);
+  } catch (e) {
+    console.log('[Normative Citations] No se pudo leer el ajuste de fecha del chat:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Opciones del procesador de citas para el turno
+ * (config de instancia normative_annex.expand_references / max_references_per_article)
+ */
+function citationOptions(cfg, asOf, question){
+  const annexCfg = cfg.normative_annex || {};
+  return {
+    asOf,
+    question,
+    expandReferences: !!annexCfg.expand_references,
+    maxReferencesPerArticle: annexCfg.max_references_per_article || 5
+  };
+}
+
+/**
+ * Segunda pasada de autocorrección contra el Anexo Normativo para el MODELO,
+ * solo si la instancia la activa (normative_verification.enabled) y la respuesta tiene citas resueltas.
+ * @returns {Promise<object|null>} Resultado de runVerificationPass o null si no aplica
+ */
+async function verifyAgainstAnnex(cfg, question, draft, asOf){
+  if (!isVerificationEnabled(cfg)) return null;
+  let anexoModelo = null;
+  try {
+    const citationResult = processMessageWithDualAnnex(draft, citationOptions(cfg, asOf, question));
+    anexoModelo = citationResult && citationResult.hasResults ? citationResult.anexoModelo : null;
+  } catch (e) {
+    console.error('[Normative Verification] Error generando anexo para el modelo:', e.message);
+  }
+  if (!anexoModelo) return null;
+  return runVerificationPass({ cfg, question, draft, anexoModelo });
+}
+
+/**
+ * Valida las URLs de BCN LeyChile de la respuesta contra normas.sqlite (activo por defecto;
+ * se desactiva con normative_url_validation.enabled = false en la instancia)
+ * @returns {object} { text, report } (report null si no aplica)
+ */
+function validateAnswerUrls(cfg, text, asOf){
+  if (cfg.normative_url_validation && cfg.normative_url_validation.enabled === false) {
+    return { text, report: null };
+  }
+  try {
+    const { text: validated, report } = validateBcnUrlsAgainstDb(text, { asOf });
+    return { text: validated, report: report.performed && report.checked > 0 ? report : null };
+  } catch (e) {
+    console.error('[Normative URLs] Error validando URLs contra la base normativa:', e.message);
+    return { text, report: null };
+  }
+}
+
+/**
+ * Uso de tokens cobrable: Responses API (input/output_tokens) o Chat Completions (prompt/completion_tokens)
+ */
+function hasBillableUsage(usage){
+  return !!usage && !!(usage.input_tokens || usage.prompt_tokens) && !!(usage.output_tokens || usage.completion_tokens);
+}
+
+/**
+ * Resumen de la verificación para la respuesta y el historial (sin el texto completo)
+ */
+function summarizeVerification(verification){
+  if (!verification) return null;
+  return {
+    applied: verification.applied,
+    corrections: verification.corrections,
+    error: verification.error
+  };
+}
+
 function renderAnchors(hits){
   if (!hits || !hits.length) return '';
   const bullets = hits.map(h => {
@@ -116,6 +211,12 @@ function renderAttachmentPreviews(attachments = [], opts = {}){
   return out.length ? `\n\n[Adjuntos resumidos]\n${out.join('\n\n')}` : '';
 }
 
+// Nombres de los adjuntos del turno para el historial (sin el prefijo de tiempo de /api/ask); null si no hay
+function attachmentNames(attachments = []){
+  const names = (attachments || []).filter(Boolean).map(a => path.basename(a).replace(/^\d+_/, ''));
+  return names.length ? names : null;
+}
+
 /**
  * Procesa archivos adjuntos con RAG mejorado
  * Sube automáticamente los archivos al sistema RAG de documentos de usuario
@@ -219,10 +320,19 @@ async function processAttachmentsWithRAG(attachments = [], userId = 'anon', sess
   return out.length ? `\n\n[Adjuntos procesados]\n${out.join('\n\n')}` : '';
 }
 
-async function answer(question = '', userId = 'anon', attachments = [], chatId = 'default', instanceConfig = null){
+/**
+ * @param {object} options
+ *   - asOf {string} Fecha YYYY-MM-DD para citar la versión de las normas vigente a esa fecha
+ */
+async function answer(question = '', userId = 'anon', attachments = [], chatId = 'default', instanceConfig = null, options = {}){
   // Si se proporciona configuración de instancia, usarla; sino usar la global
-  const cfg = instanceConfig ? instanceConfig.bot_config : (getConfig() || {});
-  const systemPrompt = instanceConfig ? instanceConfig.system_prompt : buildSystemPrompt();
+  const instanceCfg = instanceConfig ? instanceConfig.bot_config : (getConfig() || {});
+  
+  // Intención jurídica del turno: ajusta herramientas, conocimiento y system prompt (intent_taxonomy)
+  const intent = await classifyLegalIntent(instanceCfg, question, { attachments });
+  const cfg = applyIntentToConfig(instanceCfg, intent);
+  const systemPrompt = applyIntentToPrompt(instanceConfig ? instanceConfig.system_prompt : buildSystemPrompt(), intent);
+  const turnIntent = summarizeIntent(intent);
   
   // Inyectar contexto temporal y geográfico DINÁMICO
   const contextBlock = buildContextBlock(cfg);
@@ -253,7 +363,7 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
   // Inyectar archivos de configuración de la instancia
   let instanceFilesContext = '';
   try {
-    instanceFilesContext = buildInstanceFilesContext({
+    if (!isPromptSectionExcluded(intent, 'instance_files')) instanceFilesContext = buildInstanceFilesContext({
       maxCharsPerFile: cfg.instance_files?.maxCharsPerFile || 50000,
       maxTotalChars: cfg.instance_files?.maxTotalChars || 200000
     });
@@ -261,7 +371,15 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
     console.log('[Instance Files] Error cargando archivos de configuración:', e.message);
   }
   
-  const systemPromptWithContext = systemPrompt + contextBlock + userContextBlock + generalContextBlock + instanceFilesContext;
+  // Entrevista de redacción guiada: campos pendientes de la plantilla o documento ya generado
+  const interview = await advanceInterview(cfg, { userId, chatId, instanceId: instanceConfig?.instanceId, question, intent });
+  const interviewBlock = buildInterviewContext(interview);
+  const turnInterview = summarizeInterview(interview);
+  
+  // Recuerdos de largo plazo relevantes para la pregunta (memory_store.js, con enable_longterm_memory)
+  const memoryBlock = await buildSemanticMemoryBlock({ cfg, userId, chatId, question });
+  
+  const systemPromptWithContext = systemPrompt + contextBlock + userContextBlock + generalContextBlock + instanceFilesContext + memoryBlock + interviewBlock;
   
   // Log para debugging (opcional)
   if (contextBlock) {
@@ -276,13 +394,18 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
   if (instanceFilesContext) {
     console.log('[Instance Files] Archivos de configuración inyectados');
   }
+  if (memoryBlock) {
+    console.log('[Memory] Recuerdos de largo plazo inyectados');
+  }
 
   const apiMode = (cfg.api_mode || '').toLowerCase();
 
   // Modo Assistants (si está habilitado en config.json)
   if (apiMode === 'assistants'){
     const { askWithAssistant } = require('./openai_assistants');
-    const hits = (cfg.anchored_mode ? collectKnowledgeHits(question) : []);
+    const hits = (cfg.anchored_mode ? collectKnowledgeHits(question, { paths: cfg.knowledge?.paths }) : []);
+    // Router SIMPLE/COMPLEX (Assistants API solo admite modelos de OpenAI: sin modelo local)
+    const routing = await routeQuestion(cfg, question, { attachments, mainModel: cfg.modelo || 'gpt-4.1', localAllowed: false, intent });
     const result = await askWithAssistant({
       userId,
       userMessage:
@@ -291,7 +414,7 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
           ? `\n\n[Fragmentos relevantes]\n${hits.map(h=>`Archivo:${h.file}\n${h.preview}`).join('\n\n---\n\n')}`
           : ''),
       instructions: systemPromptWithContext,
-      model: cfg.modelo || 'gpt-4.1',
+      model: applyRouting(cfg, routing).modelo || 'gpt-4.1',
       attachments,
       knowledgeDirs: (cfg.knowledge && Array.isArray(cfg.knowledge.paths))
         ? cfg.knowledge.paths.map(p => path.isAbsolute(p) ? p : path.join(process.cwd(), p))
@@ -305,7 +428,7 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
     let creditConsumption = null;
     try {
       if (tokenUsage && tokenUsage.input_tokens && tokenUsage.output_tokens) {
-        const deductResult = creditManager.deductCreditsForQuery(userId, tokenUsage, chatId);
+        const deductResult = await creditManager.deductCreditsForQuery(cfg, userId, tokenUsage, chatId);
         creditConsumption = deductResult.consumption;
       }
     } catch (creditError) {
@@ -316,19 +439,21 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
       }
     }
     
-    try { saveTurn(cfg, userId, chatId, question || '', text, tokenUsage); } catch {}
-    return { mode:'assistants', answer: text, creditConsumption: creditConsumption };
+    try { await saveTurn(cfg, userId, chatId, question || '', text, tokenUsage, null, { intent: turnIntent, interview: turnInterview, attachments: attachmentNames(attachments) }); } catch {}
+    recordRoutingDecision({ instanceId: instanceConfig?.instanceId, userId, chatId, decision: routing, usage: tokenUsage });
+    return { mode:'assistants', answer: text, creditConsumption: creditConsumption, routing: routing, intent: turnIntent, interview: turnInterview };
   }
   // Modo Responses API (no rompe flujo actual; tools se activarán por config en pasos siguientes)
   if ((cfg.api_mode || '').toLowerCase() === 'responses'){
     const { askWithResponses } = require('./responses_adapter');
 
-    const ctx = loadContext(cfg, userId, chatId);
+    const ctx = await loadContext(cfg, userId, chatId);
     const rollingMax = (cfg.memory && cfg.memory.rolling_max_turns) || 6;
-    const ctxRolling = ctx.slice(-rollingMax * 2);
+    // Resumen del caso + turnos aún no resumidos (o la ventana fija si el resumen está desactivado)
+    const ctxRolling = await buildConversationContext(cfg, { userId, chatId, ctx });
     console.log(`[ROLLING DEBUG] Total mensajes cargados: ${ctx.length}, Enviando al LLM: ${ctxRolling.length}, Rolling max turnos: ${rollingMax}`);
-    const turnCount = loadTurnCount(cfg, userId, chatId);
-    const maxChatInteractions = cfg.memory?.max_chat_interactions || 0;
+    const turnCount = await loadTurnCount(cfg, userId, chatId);
+    const maxChatInteractions = chatInteractionLimit(cfg);
 
     // Lógica para el límite de interacciones
     if (maxChatInteractions > 0 && turnCount >= maxChatInteractions) {
@@ -341,7 +466,7 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
       const remainingTurns = maxChatInteractions - turnCount;
       warningMessage = `\n\n⚠️ Advertencia: Quedan ${remainingTurns} interacciones en este chat. Considera iniciar uno nuevo pronto.`;
     }
-    const hits = (cfg.anchored_mode ? collectKnowledgeHits(question) : []);
+    const hits = (cfg.anchored_mode ? collectKnowledgeHits(question, { paths: cfg.knowledge?.paths }) : []);
     
     // Usar el nuevo sistema RAG para archivos adjuntos
     const previews = await processAttachmentsWithRAG(attachments, userId, `session_${userId}_${Date.now()}`, {
@@ -363,22 +488,41 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
     // Render simple de messages a texto plano para Responses API
     const inputText = messages.map(m => `${m.role.toUpperCase()}: ${typeof m.content === 'string' ? m.content : JSON.stringify(m.content)}`).join('\n\n');
 
-    const result = await askWithResponses({ inputText, config: cfg });
+    // Router SIMPLE/COMPLEX, luego reintentos y failover (llm_failover); backend = el que produjo la respuesta
+    const routing = await routeQuestion(cfg, question, { attachments, mainModel: cfg.model || 'gpt-4.1', intent });
+    const result = await askWithFailover(askWithResponses, { inputText, config: applyRouting(cfg, routing) });
+    const backend = result.backend;
     let text = result?.text || '[Sin respuesta generada]';
-    const tokenUsage = result?.usage || result?.raw?.usage || null;
+    let tokenUsage = result?.usage || result?.raw?.usage || null;
     
     // Log para debugging
     console.log('[Engine] Token usage capturado:', JSON.stringify(tokenUsage));
     
+    // Segunda pasada de verificación normativa (opcional por instancia)
+    const normativeAsOf = await resolveNormativeAsOf(cfg, userId, chatId, options.asOf);
+    const verification = await verifyAgainstAnnex(cfg, question, text, normativeAsOf);
+    if (verification) {
+      text = verification.answer;
+      tokenUsage = mergeUsage(tokenUsage, verification.usage);
+    }
+    const normativeVerification = summarizeVerification(verification);
+    
+    // URLs de LeyChile contrastadas con la base normativa
+    const urlCheck = validateAnswerUrls(cfg, text, normativeAsOf);
+    text = urlCheck.text;
+    const urlValidation = urlCheck.report;
+    
     if (hits.length) { text = text + renderAnchors(hits); }
     
     // Procesar citas normativas y generar Anexo Normativo Documental automático
     let normativeAnnex = null;
+    let citationAudit = null;
     try {
-      const citationResult = processNormativeCitations(text);
+      const citationResult = processMessageWithDualAnnex(text, citationOptions(cfg, normativeAsOf, question));
+      citationAudit = citationResult ? citationResult.audit : null;
       if (citationResult && citationResult.hasResults) {
-        normativeAnnex = generateNormativeAnnex(citationResult.resolved);
-        console.log(`[Normative Citations] Procesadas ${citationResult.total} citas, ${citationResult.resolved.length} resueltas`);
+        normativeAnnex = citationResult.anexoUsuario;
+        console.log(`[Normative Citations] Procesadas ${citationResult.total} citas, ${citationResult.resolved.length} resueltas${normativeAsOf ? ` (vigentes al ${normativeAsOf})` : ''}`);
       }
     } catch (citationError) {
       console.error('[Normative Citations] Error procesando citas:', citationError.message);
@@ -389,8 +533,8 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
     // Descontar créditos basado en tokens
     let creditConsumption = null;
     try {
-      if (tokenUsage && tokenUsage.input_tokens && tokenUsage.output_tokens) {
-        const deductResult = creditManager.deductCreditsForQuery(userId, tokenUsage, chatId);
+      if (hasBillableUsage(tokenUsage)) {
+        const deductResult = await creditManager.deductCreditsForQuery(cfg, userId, tokenUsage, chatId, backend);
         creditConsumption = deductResult.consumption;
       }
     } catch (creditError) {
@@ -402,28 +546,37 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
     }
     
     try { 
-      saveTurn(cfg, userId, chatId, question || '', text, tokenUsage); 
-      incrementInteractionCount(userId, chatId);
+      await saveTurn(cfg, userId, chatId, question || '', text, tokenUsage, normativeAnnex, { citationAudit, normativeVerification, urlValidation, backend, intent: turnIntent, interview: turnInterview, attachments: attachmentNames(attachments) }); 
+      await incrementInteractionCount(cfg, userId, chatId);
     } catch {}
-    const finalInteractionStatus = getInteractionStatus(userId, chatId);
+    recordCitationAudit({ instanceId: instanceConfig?.instanceId, userId, chatId, audit: citationAudit });
+    recordRoutingDecision({ instanceId: instanceConfig?.instanceId, userId, chatId, decision: routing, usage: tokenUsage, backend });
+    const finalInteractionStatus = await getInteractionStatus(cfg, userId, chatId);
     return { 
       mode:'responses', 
       answer: text, 
       usage: tokenUsage, 
       interactionStatus: finalInteractionStatus, 
       creditConsumption: creditConsumption,
-      normativeAnnex: normativeAnnex  // Anexo Normativo Documental automático
+      normativeAnnex: normativeAnnex,  // Anexo Normativo Documental automático
+      normativeAsOf: normativeAsOf,
+      citationAudit: citationAudit,    // Auditoría de citas (resueltas, no resueltas, clave desconocida, ambiguas)
+      normativeVerification: normativeVerification,  // Segunda pasada de autocorrección (si está activa)
+      urlValidation: urlValidation,    // URLs de LeyChile reparadas o eliminadas contra normas.sqlite
+      backend: backend,                // Backend que produjo la respuesta (failover)
+      routing: routing,                // Decisión del router SIMPLE/COMPLEX (null si está apagado)
+      intent: turnIntent,              // Intención jurídica del turno (null si la taxonomía está apagada)
+      interview: turnInterview         // Entrevista de redacción guiada (null si no hay una activa)
     };
   }
 
 
   // Modo Chat Completions clásico
-  const ctx = loadContext(cfg, userId, chatId);
+  const ctx = await loadContext(cfg, userId, chatId);
   const rollingMax = (cfg.memory && cfg.memory.rolling_max_turns) || 6;
-  const ctxRolling = ctx.slice(-rollingMax * 2);
+  const ctxRolling = await buildConversationContext(cfg, { userId, chatId, ctx });
   console.log(`[ROLLING DEBUG] Total mensajes cargados: ${ctx.length}, Enviando al LLM: ${ctxRolling.length}, Rolling max turnos: ${rollingMax}`);
-  const interactionStatus = getInteractionStatus(userId, chatId);
-  const maxChatInteractions = cfg.memory?.max_chat_interactions || 0;
+  const interactionStatus = await getInteractionStatus(cfg, userId, chatId);
 
   // Lógica para el límite de interacciones
   if (interactionStatus.isLimitReached) {
@@ -435,7 +588,7 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
   if (interactionStatus.isNearLimit) {
     warningMessage = `\n\n⚠️ Advertencia: Quedan ${interactionStatus.remaining} interacciones en este chat. Considera iniciar uno nuevo pronto.`;
   }
-  const hits = (cfg.anchored_mode ? collectKnowledgeHits(question) : []);
+  const hits = (cfg.anchored_mode ? collectKnowledgeHits(question, { paths: cfg.knowledge?.paths }) : []);
   const previews = renderAttachmentPreviews(attachments, { maxChars: (cfg.knowledge && cfg.knowledge.maxCharsPerFile) || 7000 });
   const questionPlus =
     (question || '').toString() +
@@ -445,24 +598,50 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
   const fixedKnowledge = loadFixedKnowledge();
   const messages = [
     ...fixedKnowledge,
-    ...makeMessages(systemPrompt, ctxRolling, questionPlus)
+    ...makeMessages(systemPrompt + memoryBlock + interviewBlock, ctxRolling, questionPlus)
   ];
-  const chatResponse = await chat(cfg, messages);
+  const routing = await routeQuestion(cfg, question, { attachments, mainModel: cfg.modelo || 'gpt-4.1', intent });
+  const chatResponse = await chat(applyRouting(cfg, routing), messages, routing);
   const modelUsed = chatResponse.model || cfg.modelo; // Capturar el modelo usado por el router
+  const backend = chatResponse.backend || null; // Backend que produjo la respuesta (failover)
   let text = chatResponse.content;
-  const tokenUsage = chatResponse.usage;
+  let tokenUsage = chatResponse.usage;
   
   // Log para debugging
   console.log('[Engine] Token usage capturado (chat):', JSON.stringify(tokenUsage));
   
+  // Segunda pasada de verificación normativa (opcional por instancia)
+  const normativeAsOf = await resolveNormativeAsOf(cfg, userId, chatId, options.asOf);
+  const verification = await verifyAgainstAnnex(cfg, question, text, normativeAsOf);
+  if (verification) {
+    text = verification.answer;
+    tokenUsage = mergeUsage(tokenUsage, verification.usage);
+  }
+  const normativeVerification = summarizeVerification(verification);
+  
+  // URLs de LeyChile contrastadas con la base normativa
+  const urlCheck = validateAnswerUrls(cfg, text, normativeAsOf);
+  text = urlCheck.text;
+  const urlValidation = urlCheck.report;
+  
   if (hits.length) { text = text + renderAnchors(hits); }
+
+  // Auditoría de citas normativas de la respuesta
+  let citationAudit = null;
+  try {
+    const citationResult = processMessageWithDualAnnex(text, citationOptions(cfg, normativeAsOf, question));
+    citationAudit = citationResult ? citationResult.audit : null;
+  } catch (citationError) {
+    console.error('[Normative Citations] Error auditando citas:', citationError.message);
+  }
+
   // Añadir el mensaje de advertencia al final de la respuesta si existe
   if (warningMessage) { text += warningMessage; }
   // Descontar créditos basado en tokens
   let creditConsumption = null;
   try {
-    if (tokenUsage && tokenUsage.input_tokens && tokenUsage.output_tokens) {
-      const deductResult = creditManager.deductCreditsForQuery(userId, tokenUsage, chatId);
+    if (hasBillableUsage(tokenUsage)) {
+      const deductResult = await creditManager.deductCreditsForQuery(cfg, userId, tokenUsage, chatId, backend);
       creditConsumption = deductResult.consumption;
     }
   } catch (creditError) {
@@ -474,11 +653,13 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
   }
   
   try { 
-    saveTurn(cfg, userId, chatId, question || '', text, tokenUsage); 
-    incrementInteractionCount(userId, chatId);
+    await saveTurn(cfg, userId, chatId, question || '', text, tokenUsage, null, { citationAudit, normativeVerification, urlValidation, backend, intent: turnIntent, interview: turnInterview, attachments: attachmentNames(attachments) }); 
+    await incrementInteractionCount(cfg, userId, chatId);
   } catch {}
-  const finalInteractionStatus = getInteractionStatus(userId, chatId);
-  return { mode:'chat', answer: text, usage: tokenUsage, model: modelUsed, interactionStatus: finalInteractionStatus, creditConsumption: creditConsumption };
+  recordCitationAudit({ instanceId: instanceConfig?.instanceId, userId, chatId, audit: citationAudit });
+  recordRoutingDecision({ instanceId: instanceConfig?.instanceId, userId, chatId, decision: routing, usage: tokenUsage, backend });
+  const finalInteractionStatus = await getInteractionStatus(cfg, userId, chatId);
+  return { mode:'chat', answer: text, usage: tokenUsage, model: modelUsed, interactionStatus: finalInteractionStatus, creditConsumption: creditConsumption, citationAudit: citationAudit, normativeVerification: normativeVerification, urlValidation: urlValidation, backend: backend, routing: routing, intent: turnIntent, interview: turnInterview };
 }
 
 /**
@@ -490,6 +671,7 @@ async function answer(question = '', userId = 'anon', attachments = [], chatId =
  *   - attachments {Array} Archivos adjuntos
  *   - chatId {string} ID del chat
  *   - instanceConfig {object} Configuración de instancia (opcional)
+ *   - asOf {string} Fecha YYYY-MM-DD para citar la versión de las normas vigente a esa fecha (opcional)
  *   - onDelta {function} Callback para cada fragmento de texto
  *   - onComplete {function} Callback al completar
  *   - onError {function} Callback en caso de error
@@ -500,12 +682,18 @@ async function answerStream({
   attachments = [],
   chatId = 'default',
   instanceConfig = null,
+  asOf = null,
   onDelta = () => {},
   onComplete = () => {},
   onError = () => {}
 }) {
-  const cfg = instanceConfig ? instanceConfig.bot_config : (getConfig() || {});
-  const systemPrompt = instanceConfig ? instanceConfig.system_prompt : buildSystemPrompt();
+  const instanceCfg = instanceConfig ? instanceConfig.bot_config : (getConfig() || {});
+  
+  // Intención jurídica del turno: ajusta herramientas, conocimiento y system prompt (intent_taxonomy)
+  const intent = await classifyLegalIntent(instanceCfg, question, { attachments });
+  const cfg = applyIntentToConfig(instanceCfg, intent);
+  const systemPrompt = applyIntentToPrompt(instanceConfig ? instanceConfig.system_prompt : buildSystemPrompt(), intent);
+  const turnIntent = summarizeIntent(intent);
   
   // Solo soportamos streaming en modo Responses API
   if ((cfg.api_mode || '').toLowerCase() !== 'responses') {
@@ -540,7 +728,7 @@ async function answerStream({
   // Inyectar archivos de configuración de la instancia
   let instanceFilesContext = '';
   try {
-    instanceFilesContext = buildInstanceFilesContext({
+    if (!isPromptSectionExcluded(intent, 'instance_files')) instanceFilesContext = buildInstanceFilesContext({
       maxCharsPerFile: cfg.instance_files?.maxCharsPerFile || 50000,
       maxTotalChars: cfg.instance_files?.maxTotalChars || 200000
     });
@@ -548,15 +736,23 @@ async function answerStream({
     console.log('[Instance Files] Error cargando archivos de configuración:', e.message);
   }
   
-  const systemPromptWithContext = systemPrompt + contextBlock + userContextBlock + generalContextBlock + instanceFilesContext;
+  // Entrevista de redacción guiada: campos pendientes de la plantilla o documento ya generado
+  const interview = await advanceInterview(cfg, { userId, chatId, instanceId: instanceConfig?.instanceId, question, intent });
+  const interviewBlock = buildInterviewContext(interview);
+  const turnInterview = summarizeInterview(interview);
+  
+  // Recuerdos de largo plazo relevantes para la pregunta (memory_store.js, con enable_longterm_memory)
+  const memoryBlock = await buildSemanticMemoryBlock({ cfg, userId, chatId, question });
+  
+  const systemPromptWithContext = systemPrompt + contextBlock + userContextBlock + generalContextBlock + instanceFilesContext + memoryBlock + interviewBlock;
 
   const { askWithResponsesStream } = require('./responses_adapter');
+  const normativeAsOf = await resolveNormativeAsOf(cfg, userId, chatId, asOf);
 
-  const ctx = loadContext(cfg, userId, chatId);
-  const rollingMax = (cfg.memory && cfg.memory.rolling_max_turns) || 6;
-  const ctxRolling = ctx.slice(-rollingMax * 2);
-  const turnCount = loadTurnCount(cfg, userId, chatId);
-  const maxChatInteractions = cfg.memory?.max_chat_interactions || 0;
+  const ctx = await loadContext(cfg, userId, chatId);
+  const ctxRolling = await buildConversationContext(cfg, { userId, chatId, ctx });
+  const turnCount = await loadTurnCount(cfg, userId, chatId);
+  const maxChatInteractions = chatInteractionLimit(cfg);
 
   // Verificar límite de interacciones
   if (maxChatInteractions > 0 && turnCount >= maxChatInteractions) {
@@ -565,7 +761,7 @@ async function answerStream({
     return { mode: 'responses-stream', answer: 'Límite alcanzado', usage: null };
   }
 
-  const hits = (cfg.anchored_mode ? collectKnowledgeHits(question) : []);
+  const hits = (cfg.anchored_mode ? collectKnowledgeHits(question, { paths: cfg.knowledge?.paths }) : []);
   
   // Procesar archivos adjuntos
   const previews = await processAttachmentsWithRAG(attachments, userId, `session_${userId}_${Date.now()}`, {
@@ -592,7 +788,8 @@ async function answerStream({
 
   // === VERIFICAR CACHÉ EN REDIS ANTES DE CONSULTAR OPENAI ===
   const cacheManager = require('./cache_manager_v2');
-  const cachedResponse = await cacheManager.getFromCache(question, userId, cfg);
+  // Con una entrevista de redacción activa la respuesta depende del estado del chat: no usar caché
+  const cachedResponse = interview ? null : await cacheManager.getFromCache(question, userId, cfg);
   
   if (cachedResponse) {
     console.log('[Engine Stream] 🎯 RESPUESTA RECUPERADA DEL CACHÉ (Redis)');
@@ -611,21 +808,40 @@ async function answerStream({
   // === FIN VERIFICACIÓN DE CACHÉ ===
 
   try {
-    const result = await askWithResponsesStream({
+    const routing = await routeQuestion(cfg, question, { attachments, mainModel: cfg.model || 'gpt-4.1', intent });
+    const result = await streamWithFailover(askWithResponsesStream, {
       inputText,
-      config: cfg,
+      config: applyRouting(cfg, routing),
       onDelta: (delta) => {
         onDelta(delta);
       },
       onComplete: async (completionData) => {
-        const { text, usage } = completionData;
+        let { text, usage } = completionData;
+        const backend = completionData.backend || null;
+        
+        // Segunda pasada de verificación normativa (opcional por instancia).
+        // El borrador ya fue enviado por streaming: la versión verificada viaja en el evento final.
+        const verification = await verifyAgainstAnnex(cfg, question, text, normativeAsOf);
+        if (verification) {
+          text = verification.answer;
+          usage = mergeUsage(usage, verification.usage);
+        }
+        const normativeVerification = summarizeVerification(verification);
+        
+        // URLs de LeyChile contrastadas con la base normativa (la versión corregida viaja en el evento final)
+        const textBeforeUrlCheck = text;
+        const urlCheck = validateAnswerUrls(cfg, text, normativeAsOf);
+        text = urlCheck.text;
+        const urlValidation = urlCheck.report;
         
         // Guardar turno en memoria
+        let citationAudit = null;
         try {
-          // Procesar citas normativas primero para obtener el anexo
+          // Procesar citas normativas primero para obtener el anexo y la auditoría de citas
           let normativeAnnexForStorage = null;
           try {
-            const citationResult = processMessageWithDualAnnex(text);
+            const citationResult = processMessageWithDualAnnex(text, citationOptions(cfg, normativeAsOf, question));
+            citationAudit = citationResult ? citationResult.audit : null;
             if (citationResult && citationResult.hasResults && citationResult.anexoUsuario) {
               normativeAnnexForStorage = citationResult.anexoUsuario;
             }
@@ -633,17 +849,19 @@ async function answerStream({
             console.error('[Engine Stream] Error procesando citas para almacenamiento:', e);
           }
           
-          saveTurn(cfg, userId, chatId, question || '', text, usage, normativeAnnexForStorage);
-          incrementInteractionCount(userId, chatId);
+          await saveTurn(cfg, userId, chatId, question || '', text, usage, normativeAnnexForStorage, { citationAudit, normativeVerification, urlValidation, backend, intent: turnIntent, interview: turnInterview, attachments: attachmentNames(attachments) });
+          await incrementInteractionCount(cfg, userId, chatId);
         } catch (e) {
           console.error('[Engine Stream] Error guardando turno:', e);
         }
+        recordCitationAudit({ instanceId: instanceConfig?.instanceId, userId, chatId, audit: citationAudit });
+        recordRoutingDecision({ instanceId: instanceConfig?.instanceId, userId, chatId, decision: routing, usage, backend });
         
         // Descontar créditos
         let creditConsumption = null;
         try {
-          if (usage && usage.input_tokens && usage.output_tokens) {
-            const deductResult = creditManager.deductCreditsForQuery(userId, usage, chatId);
+          if (hasBillableUsage(usage)) {
+            const deductResult = await creditManager.deductCreditsForQuery(cfg, userId, usage, chatId, backend);
             creditConsumption = deductResult.consumption;
           }
         } catch (creditError) {
@@ -654,7 +872,7 @@ async function answerStream({
         let normativeAnnexUsuario = null;
         
         try {
-          const citationResult = processMessageWithDualAnnex(text);
+          const citationResult = processMessageWithDualAnnex(text, citationOptions(cfg, normativeAsOf, question));
           if (citationResult && citationResult.hasResults) {
             normativeAnnexUsuario = citationResult.anexoUsuario;
             console.log(`[Normative Citations Stream] Procesadas ${citationResult.total} citas, ${citationResult.resolved.length} resueltas`);
@@ -664,19 +882,21 @@ async function answerStream({
           console.error('[Engine Stream] Error procesando citas normativas:', citationError.message);
         }
         
-        const finalInteractionStatus = getInteractionStatus(userId, chatId);
+        const finalInteractionStatus = await getInteractionStatus(cfg, userId, chatId);
         
         // === GUARDAR RESPUESTA EN CACHE (REDIS) ===
         try {
-          await cacheManager.setInCache(question, {
-            text: text,
-            usage: usage,
-            interactionStatus: finalInteractionStatus,
-            creditConsumption: creditConsumption,
-            normativeAnnex: normativeAnnexUsuario,
-            timestamp: new Date().toISOString()
-          }, userId, cfg);
-          console.log('[Engine Stream] 💾 Respuesta guardada en caché (Redis)');
+          if (!interview) {
+            await cacheManager.setInCache(question, {
+              text: text,
+              usage: usage,
+              interactionStatus: finalInteractionStatus,
+              creditConsumption: creditConsumption,
+              normativeAnnex: normativeAnnexUsuario,
+              timestamp: new Date().toISOString()
+            }, userId, cfg);
+            console.log('[Engine Stream] 💾 Respuesta guardada en caché (Redis)');
+          }
         } catch (cacheError) {
           console.error('[Engine Stream] Error guardando en caché:', cacheError.message);
         }
@@ -687,7 +907,19 @@ async function answerStream({
           usage,
           interactionStatus: finalInteractionStatus,
           creditConsumption,
-          normativeAnnex: normativeAnnexUsuario
+          normativeAnnex: normativeAnnexUsuario,
+          normativeAsOf,
+          citationAudit,
+          normativeVerification: normativeVerification
+            ? { ...normativeVerification, answer: verification.applied ? text : null }
+            : null,
+          urlValidation: urlValidation
+            ? { ...urlValidation, answer: text !== textBeforeUrlCheck ? text : null }
+            : null,
+          backend,
+          routing,
+          intent: turnIntent,
+          interview: turnInterview
         });
       },
       onError: (error) => {
@@ -699,7 +931,11 @@ async function answerStream({
     return {
       mode: 'responses-stream',
       answer: result.text,
-      usage: result.usage
+      usage: result.usage,
+      backend: result.backend,
+      routing,
+      intent: turnIntent,
+      interview: turnInterview
     };
 
   } catch (error) {
@@ -717,11 +953,3 @@ module.exports = {
   answerStream,
   reload
 };
-
-const { generarAnexoTexto } = require('./generar_anexo');
-
-if (typeof anexo_modelo !== 'undefined' && anexo_modelo && anexo_modelo.length > 0) {
-  const textoAnexo = generarAnexoTexto(anexo_modelo);
-  context.push({ role: "user", content: textoAnexo });
-}
-
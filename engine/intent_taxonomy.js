@@ -0,0 +1,282 @@
+/**
+ * INTENT TAXONOMY - LEGITIMUS PRO
+ * ===============================
+ *
+ * Clasificación multiclase de la intención jurídica de cada turno (reemplaza SIMPLE/COMPLEX).
+ * La intención decide, solo para ese turno:
+ *   - tools:           herramientas de la instancia que se desactivan (file_search, web_search)
+ *                      y function tools locales que se habilitan o desactivan
+ *                      (calculate_deadline, monetary_calculators, calculate_severance)
+ *   - knowledge_paths: carpetas de conocimiento consultadas (anchored_mode / Assistants)
+ *   - prompt_sections: secciones del system prompt que se omiten
+ *                      (initial, base, functional, citation del builder; instance_files)
+ *   - prompt_addendum: instrucciones adicionales para el modelo
+ *   - complexity:      SIMPLE / COMPLEX para model_router.js
+ *
+ * Configuración por instancia (config.json):
+ *   "intent_taxonomy": {
+ *     "enabled": true,
+ *     "model": "gpt-4o-mini",                 // por defecto router_simple_model
+ *     "default_intent": "consulta_normativa",  // si la clasificación falla o es ambigua
+ *     "intents": { "<nombre>": { "description", "examples", "tools", "knowledge_paths",
+ *                                "prompt_sections": { "exclude": [...] }, "prompt_addendum", "complexity" } }
+ *   }
+ * Sin "intents" se usa DEFAULT_INTENTS. file_search y web_search solo pueden desactivarse: una intención
+ * no los habilita si la instancia no los tiene configurados. Las function tools locales no dependen de
+ * recursos de la instancia y la intención puede habilitarlas (true) o desactivarlas (false);
+ * monetary_calculators acepta además una lista para elegir herramientas ["convert_currency", ...].
+ * Las function tools solo se ofrecen en api_mode "responses".
+ */
+
+const crypto = require('crypto');
+const { _callOpenAI } = require('./llm');
+
+const DEFAULT_INTENTS = {
+    consulta_normativa: {
+        description: 'Pregunta sobre el contenido, vigencia o interpretación de normas, artículos, jurisprudencia o instituciones jurídicas',
+        examples: ['¿Qué dice el artículo 1545 del Código Civil?', '¿Cuáles son los requisitos de la prescripción adquisitiva?'],
+        complexity: 'COMPLEX'
+    },
+    redaccion: {
+        description: 'Solicitud de redactar o corregir un documento jurídico (contrato, escrito, carta, cláusula)',
+        examples: ['Redáctame un contrato de arrendamiento', 'Prepara una carta de despido por necesidades de la empresa'],
+        tools: { web_search: false },
+        prompt_addendum: 'El usuario pide redactar un documento: entrega el texto completo listo para usar, con cláusulas numeradas y los datos faltantes entre corchetes.',
+        complexity: 'COMPLEX'
+    },
+    calculo_de_plazos: {
+        description: 'Cálculo de plazos, fechas de vencimiento, prescripción o caducidad',
+        examples: ['¿Hasta cuándo tengo para apelar si me notificaron el 3 de marzo?', '¿Cuándo prescribe una acción ejecutiva?'],
+        tools: { web_search: false, calculate_deadline: true },
+        prompt_addendum: 'Para el cálculo de plazos indica la norma que fija el plazo, si es de días hábiles o corridos, la fecha de inicio del cómputo y la fecha de vencimiento. Si la herramienta calculate_deadline está disponible, úsala y cita su traza en vez de calcular las fechas.',
+        complexity: 'COMPLEX'
+    },
+    analisis_documento: {
+        description: 'Revisión o análisis de un documento entregado por el usuario (contrato, sentencia, escrito)',
+        examples: ['Revisa este contrato y dime qué riesgos tiene', '¿Qué resolvió esta sentencia?'],
+        prompt_addendum: 'Analiza el documento del usuario: identifica partes, obligaciones, plazos, riesgos y cláusulas problemáticas, citando el pasaje correspondiente.',
+        complexity: 'COMPLEX'
+    },
+    conversacion: {
+        description: 'Saludos, agradecimientos, despedidas o preguntas sobre el asistente, sin contenido jurídico',
+        examples: ['Hola, ¿cómo estás?', 'Gracias por tu ayuda', '¿Qué puedes hacer?'],
+        tools: { file_search: false, web_search: false },
+        knowledge_paths: [],
+        prompt_sections: { exclude: ['citation', 'instance_files'] },
+        complexity: 'SIMPLE'
+    }
+};
+
+// Function tools locales → sección de config.json que las habilita (ver deriveToolsFromConfig)
+const FUNCTION_TOOL_CONFIG = {
+    calculate_deadline: 'deadline_calculator',
+    monetary_calculators: 'monetary_calculators',
+    calculate_severance: 'severance_calculator'
+};
+
+const PROMPT_SECTION_HEADERS = {
+    initial: 'INITIAL',
+    base: 'BASE',
+    functional: 'FUNCTIONAL',
+    citation: 'CITATION'
+};
+
+// Caché de clasificaciones (pregunta + taxonomía → intención)
+const intentCache = new Map();
+const CACHE_TTL_MS = 3600000;
+const MAX_CACHE_SIZE = 1000;
+
+/**
+ * Nombre de intención normalizado (sin tildes, minúsculas, guiones bajos): "Cálculo de plazos" → calculo_de_plazos
+ */
+function normalizeIntentName(name) {
+    return String(name || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().trim()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Taxonomía efectiva de una instancia (null si está desactivada)
+ */
+function getTaxonomy(cfg = {}) {
+    const raw = cfg.intent_taxonomy || {};
+    if (raw.enabled !== true) return null;
+
+    const source = raw.intents && typeof raw.intents === 'object' && Object.keys(raw.intents).length > 0
+        ? raw.intents
+        : DEFAULT_INTENTS;
+    const intents = {};
+    for (const [name, profile] of Object.entries(source)) {
+        intents[normalizeIntentName(name)] = { ...(profile || {}) };
+    }
+
+    const names = Object.keys(intents);
+    const defaultIntent = normalizeIntentName(raw.default_intent);
+    return {
+        model: raw.model || cfg.router_simple_model || 'gpt-4o-mini',
+        defaultIntent: intents[defaultIntent] ? defaultIntent : (intents.consulta_normativa ? 'consulta_normativa' : names[0]),
+        intents
+    };
+}
+
+function buildClassificationPrompt(taxonomy, question, attachmentsCount) {
+    const lines = Object.entries(taxonomy.intents).map(([name, profile]) => {
+        const examples = (profile.examples || []).map(e => `"${e}"`).join(', ');
+        return `- ${name}: ${profile.description || name}${examples ? `. Ejemplos: ${examples}` : ''}`;
+    });
+
+    return `Clasifica la intención de la siguiente consulta jurídica en UNA de estas categorías:
+
+${lines.join('\n')}
+
+Consulta: "${question}"${attachmentsCount > 0 ? `\n(El usuario adjuntó ${attachmentsCount} archivo(s))` : ''}
+
+Responde ÚNICAMENTE con el nombre de la categoría.`;
+}
+
+function cacheKey(taxonomy, question, attachmentsCount) {
+    const normalized = String(question).toLowerCase().trim().replace(/\s+/g, ' ');
+    return crypto.createHash('md5')
+        .update(`${Object.keys(taxonomy.intents).join(',')}|${attachmentsCount > 0}|${normalized}`)
+        .digest('hex');
+}
+
+/**
+ * Clasifica la intención del turno
+ * @param {Object} cfg - bot_config
+ * @param {string} question - Pregunta del usuario
+ * @param {Object} options - { attachments }
+ * @returns {Promise<Object|null>} { name, source, complexity, profile } o null si la taxonomía está desactivada
+ */
+async function classifyLegalIntent(cfg, question, { attachments = [] } = {}) {
+    const taxonomy = getTaxonomy(cfg);
+    if (!taxonomy) return null;
+
+    const result = (name, source) => ({
+        name,
+        source,
+        complexity: taxonomy.intents[name].complexity === 'SIMPLE' ? 'SIMPLE' : 'COMPLEX',
+        profile: taxonomy.intents[name]
+    });
+
+    const text = String(question || '').trim();
+    if (!text) return result(taxonomy.defaultIntent, 'default');
+
+    const attachmentsCount = Array.isArray(attachments) ? attachments.length : 0;
+    const key = cacheKey(taxonomy, text.slice(0, 1000), attachmentsCount);
+    const cached = intentCache.get(key);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS && taxonomy.intents[cached.name]) {
+        return result(cached.name, 'cache');
+    }
+
+    try {
+        const response = await _callOpenAI(cfg, [
+            { role: 'user', content: buildClassificationPrompt(taxonomy, text.slice(0, 1000), attachmentsCount) }
+        ], taxonomy.model, { maxTokens: 20, temperature: 0 });
+
+        if (response.error) throw new Error(response.content);
+
+        // Coincidencia exacta primero; luego el primer nombre mencionado en la respuesta
+        const answer = normalizeIntentName(response.content);
+        const name = taxonomy.intents[answer]
+            ? answer
+            : Object.keys(taxonomy.intents).find(n => answer.includes(n));
+
+        if (!name) {
+            console.warn(`[Intent] ⚠ Clasificación ambigua: "${response.content}", usando ${taxonomy.defaultIntent}`);
+            return result(taxonomy.defaultIntent, 'default');
+        }
+
+        if (intentCache.size >= MAX_CACHE_SIZE) {
+            intentCache.delete(intentCache.keys().next().value);
+        }
+        intentCache.set(key, { name, timestamp: Date.now() });
+        console.log(`[Intent] ✓ ${name} (Modelo: ${taxonomy.model})`);
+        return result(name, 'classifier');
+    } catch (error) {
+        console.error(`[Intent] ✗ Error clasificando, usando ${taxonomy.defaultIntent}:`, error.message);
+        return result(taxonomy.defaultIntent, 'default');
+    }
+}
+
+/**
+ * bot_config del turno según la intención (herramientas y carpetas de conocimiento)
+ */
+function applyIntentToConfig(cfg, intent) {
+    if (!intent) return cfg;
+    const profile = intent.profile || {};
+    const turnCfg = { ...cfg };
+
+    const tools = profile.tools || {};
+    if (tools.file_search === false) turnCfg.enable_file_search = false;
+    if (tools.web_search === false) turnCfg.enable_web_search = false;
+
+    for (const [tool, configKey] of Object.entries(FUNCTION_TOOL_CONFIG)) {
+        const setting = tools[tool];
+        if (setting === true || setting === false) {
+            turnCfg[configKey] = { ...(cfg[configKey] || {}), enabled: setting };
+        } else if (Array.isArray(setting)) {
+            turnCfg[configKey] = { ...(cfg[configKey] || {}), enabled: setting.length > 0, tools: setting };
+        }
+    }
+
+    if (Array.isArray(profile.knowledge_paths)) {
+        turnCfg.knowledge = { ...(cfg.knowledge || {}), paths: profile.knowledge_paths };
+    }
+    return turnCfg;
+}
+
+/**
+ * Indica si la intención omite una sección del system prompt
+ */
+function isPromptSectionExcluded(intent, section) {
+    const exclude = intent?.profile?.prompt_sections?.exclude;
+    return Array.isArray(exclude) && exclude.includes(section);
+}
+
+/**
+ * System prompt del turno: omite las secciones [FORCED X CONFIGURATION] excluidas
+ * y agrega las instrucciones de la intención
+ */
+function applyIntentToPrompt(systemPrompt, intent) {
+    if (!intent) return systemPrompt;
+    let prompt = String(systemPrompt || '');
+
+    for (const [section, header] of Object.entries(PROMPT_SECTION_HEADERS)) {
+        if (!isPromptSectionExcluded(intent, section)) continue;
+        // La sección llega hasta el siguiente encabezado [FORCED ...] o el final del prompt
+        const pattern = new RegExp(`\\[FORCED ${header} CONFIGURATION\\][\\s\\S]*?(?=\\n*\\[FORCED [A-Z]+ CONFIGURATION\\]|$)`);
+        prompt = prompt.replace(pattern, '').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    if (intent.profile && intent.profile.prompt_addendum) {
+        prompt += `\n\n[INTENCIÓN DEL TURNO: ${intent.name}]\n${intent.profile.prompt_addendum}`;
+    }
+    return prompt;
+}
+
+/**
+ * Resumen de la intención para la respuesta y el historial
+ */
+function summarizeIntent(intent) {
+    if (!intent) return null;
+    return { name: intent.name, source: intent.source, complexity: intent.complexity };
+}
+
+function clearIntentCache() {
+    intentCache.clear();
+}
+
+module.exports = {
+    DEFAULT_INTENTS,
+    normalizeIntentName,
+    getTaxonomy,
+    classifyLegalIntent,
+    applyIntentToConfig,
+    applyIntentToPrompt,
+    isPromptSectionExcluded,
+    summarizeIntent,
+    clearIntentCache
+};
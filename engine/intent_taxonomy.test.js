@@ -0,0 +1,115 @@
+// engine/intent_taxonomy.test.js — Pruebas de la taxonomía de intenciones y su efecto en la configuración del turno
+// Ejecutar con: node engine/intent_taxonomy.test.js
+//
+// El clasificador usa el proveedor fake (sin red).
+
+const { getTaxonomy, classifyLegalIntent, applyIntentToConfig, applyIntentToPrompt, clearIntentCache } = require('./intent_taxonomy');
+const { deriveToolsFromConfig } = require('./responses_adapter');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+const intentConfig = (intents, extra = {}) => ({
+  api_mode: 'responses',
+  intent_taxonomy: { enabled: true, intents },
+  llm_provider: {
+    type: 'fake',
+    responses: [
+      { match: 'apelar', content: 'calculo_de_plazos' },
+      { match: 'UF', content: 'La categoría es Cálculo Monetario.' },
+      { match: 'Hola', content: 'no sé' }
+    ]
+  },
+  ...extra
+});
+
+const toolNames = (cfg) => deriveToolsFromConfig(cfg).map(t => t.name || t.type);
+
+(async () => {
+  // ============ Taxonomía ============
+
+  await test('getTaxonomy: desactivada por defecto y con las intenciones por defecto al activarla', async () => {
+    assertEqual(getTaxonomy({}), null);
+    const taxonomy = getTaxonomy({ intent_taxonomy: { enabled: true } });
+    assertEqual(taxonomy.defaultIntent, 'consulta_normativa');
+    assertEqual(Object.keys(taxonomy.intents), ['consulta_normativa', 'redaccion', 'calculo_de_plazos', 'analisis_documento', 'conversacion']);
+  });
+
+  await test('getTaxonomy: normaliza los nombres propios y respeta default_intent', async () => {
+    const taxonomy = getTaxonomy({ intent_taxonomy: { enabled: true, default_intent: 'Cálculo Monetario', intents: { 'Cálculo Monetario': {}, 'Otra consulta': {} } } });
+    assertEqual([Object.keys(taxonomy.intents), taxonomy.defaultIntent], [['calculo_monetario', 'otra_consulta'], 'calculo_monetario']);
+  });
+
+  await test('classifyLegalIntent: nombre exacto, nombre mencionado y respuesta ambigua', async () => {
+    clearIntentCache();
+    const cfg = intentConfig({ calculo_de_plazos: {}, 'Cálculo monetario': { complexity: 'SIMPLE' }, consulta_normativa: {} });
+    assertEqual((await classifyLegalIntent(cfg, '¿Hasta cuándo puedo apelar?')).name, 'calculo_de_plazos');
+    const monetary = await classifyLegalIntent(cfg, '¿Cuánto son 10 UF?');
+    assertEqual([monetary.name, monetary.complexity, monetary.source], ['calculo_monetario', 'SIMPLE', 'classifier']);
+    assertEqual((await classifyLegalIntent(cfg, '¿Cuánto son 10 UF?')).source, 'cache');
+    assertEqual((await classifyLegalIntent(cfg, 'Hola')).name, 'consulta_normativa');
+  });
+
+  // ============ Configuración del turno ============
+
+  await test('applyIntentToConfig: file_search y web_search solo se desactivan', async () => {
+    const cfg = { enable_file_search: false, enable_web_search: true };
+    const turnCfg = applyIntentToConfig(cfg, { profile: { tools: { file_search: true, web_search: false } } });
+    assertEqual([turnCfg.enable_file_search, turnCfg.enable_web_search], [false, false]);
+    assertEqual(cfg.enable_web_search, true, 'No modifica la configuración de la instancia');
+  });
+
+  await test('applyIntentToConfig: la intención de plazos habilita calculate_deadline', async () => {
+    const cfg = { api_mode: 'responses', deadline_calculator: { enabled: false, default_regime: 'civil' } };
+    const intent = await classifyLegalIntent(intentConfig(undefined), '¿Hasta cuándo puedo apelar?');
+    const turnCfg = applyIntentToConfig(cfg, intent);
+    assertEqual(turnCfg.deadline_calculator, { enabled: true, default_regime: 'civil' });
+    assertEqual(toolNames(turnCfg), ['calculate_deadline']);
+  });
+
+  await test('applyIntentToConfig: elige herramientas monetarias y desactiva otras function tools', async () => {
+    const cfg = { monetary_calculators: { enabled: false }, severance_calculator: { enabled: true } };
+    const turnCfg = applyIntentToConfig(cfg, { profile: { tools: { monetary_calculators: ['convert_currency'], calculate_severance: false } } });
+    assertEqual(toolNames(turnCfg), ['convert_currency']);
+    assertEqual(toolNames(applyIntentToConfig(cfg, { profile: { tools: { monetary_calculators: true } } })), ['convert_currency', 'readjust_ipc', 'calculate_interest', 'calculate_severance']);
+  });
+
+  await test('applyIntentToConfig: carpetas de conocimiento y addendum del prompt', async () => {
+    const intent = { name: 'redaccion', profile: { knowledge_paths: ['modelos'], prompt_addendum: 'Redacta completo.' } };
+    assertEqual(applyIntentToConfig({ knowledge: { enabled: true } }, intent).knowledge, { enabled: true, paths: ['modelos'] });
+    assertEqual(applyIntentToPrompt('Base', intent), 'Base\n\n[INTENCIÓN DEL TURNO: redaccion]\nRedacta completo.');
+  });
+
+  // ============ Resumen ============
+  console.log('\n' + '='.repeat(50));
+  console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+  console.log(`${RED}Fallidas: ${failed}${RESET}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
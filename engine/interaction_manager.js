@@ -1,35 +1,26 @@
-const fs = require('fs');
-const path = require('path');
-
-const turnCounts = {};
-
-function getTurnCountPath(userId, chatId) {
-    const userDir = path.join(__dirname, '../users', userId);
-    if (!fs.existsSync(userDir)) {
-        fs.mkdirSync(userDir, { recursive: true });
-    }
-    return path.join(userDir, `${chatId}_interactions.json`);
+// Contador de interacciones por chat en el backend configurado (users/<userId>/<chatId>_interactions.json
+// o Chat.interactionCount en Prisma, ver conversation_store.js). Cada función recibe la configuración
+// de la instancia que la llama: define el backend y los límites del chat.
+const { getConversationStore } = require('./conversation_store');
+const { chatInteractionLimit } = require('./conversation_summary');
+
+function store(cfg) {
+    return getConversationStore(cfg || {});
 }
 
-function loadInteractionCount(userId, chatId) {
-    const turnCountPath = getTurnCountPath(userId, chatId);
-    if (fs.existsSync(turnCountPath)) {
-        const data = fs.readFileSync(turnCountPath, 'utf-8');
-        return JSON.parse(data).count || 0;
-    }
-    return 0;
+async function loadInteractionCount(cfg, userId, chatId) {
+    return store(cfg).getInteractionCount(userId, chatId);
 }
 
-function saveInteractionCount(userId, chatId, count) {
-    const turnCountPath = getTurnCountPath(userId, chatId);
-    fs.writeFileSync(turnCountPath, JSON.stringify({ count }));
+async function saveInteractionCount(cfg, userId, chatId, count) {
+    return store(cfg).setInteractionCount(userId, chatId, count);
 }
 
-function getInteractionStatus(userId, chatId) {
-    const cfg = global.bot_config || {};
-    const maxInteractions = cfg.memory?.max_chat_interactions || 0;
+async function getInteractionStatus(cfg, userId, chatId) {
+    cfg = cfg || {};
+    const maxInteractions = chatInteractionLimit(cfg);
     const warningThreshold = cfg.memory?.warning_threshold || 0;
-    const current = loadInteractionCount(userId, chatId);
+    const current = await loadInteractionCount(cfg, userId, chatId);
     const remaining = maxInteractions > 0 ? maxInteractions - current : Infinity;
     const isLimitReached = maxInteractions > 0 && current >= maxInteractions;
     const isNearLimit = maxInteractions > 0 && warningThreshold > 0 && remaining <= warningThreshold;
@@ -37,9 +28,8 @@ function getInteractionStatus(userId, chatId) {
     return { current, max: maxInteractions, remaining, isLimitReached, isNearLimit };
 }
 
-function incrementInteractionCount(userId, chatId) {
-    const currentCount = loadInteractionCount(userId, chatId);
-    saveInteractionCount(userId, chatId, currentCount + 1);
+async function incrementInteractionCount(cfg, userId, chatId) {
+    return store(cfg).incrementInteractionCount(userId, chatId);
 }
 
 module.exports = {
@@ -48,4 +38,3 @@ module.exports = {
     getInteractionStatus,
     incrementInteractionCount
 };
-
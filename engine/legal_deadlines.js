@@ -0,0 +1,327 @@
+/**
+ * LEGAL DEADLINES - LEGITIMUS PRO
+ * ===============================
+ *
+ * Cálculo determinístico de plazos legales chilenos (el modelo no hace la aritmética de fechas).
+ *
+ * Regímenes:
+ *   - civil:          Código Civil arts. 48 a 50. Días corridos; incluye feriados y no se prorroga
+ *   - procesal_civil: CPC art. 66. Días hábiles; se suspenden en domingos y festivos (el sábado es hábil)
+ *   - administrativo: Ley 19.880 art. 25. Días hábiles; son inhábiles sábados, domingos y festivos.
+ *                     Si el último día es inhábil se prorroga al primer día hábil siguiente
+ *
+ * Los plazos se cuentan desde el día siguiente a la fecha de inicio (notificación, publicación).
+ * Los plazos de meses y años son de fecha a fecha (CC art. 48): vencen el mismo número de día,
+ * o el último día del mes si ese número no existe.
+ *
+ * Feriados: engine/feriados_chile.json (un arreglo por año). Un año sin calendario se calcula
+ * excluyendo solo fines de semana y el resultado lo advierte.
+ * Feriado judicial (febrero, COT art. 313): no suspende los plazos salvo suspend_judicial_vacation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CALENDAR_PATH = path.join(__dirname, 'feriados_chile.json');
+const DAY_MS = 86400000;
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+const REGIMES = {
+    civil: {
+        nombre: 'Código Civil',
+        tipo_dias: 'corridos',
+        inhabiles: [],
+        prorroga: false,
+        fundamentos: ['Código Civil, art. 48 (plazos de días completos; meses y años de fecha a fecha)', 'Código Civil, art. 50 (se comprenden los días feriados)']
+    },
+    procesal_civil: {
+        nombre: 'Código de Procedimiento Civil',
+        tipo_dias: 'habiles',
+        inhabiles: [0],
+        prorroga: false,
+        fundamentos: ['Código de Procedimiento Civil, art. 66 (términos de días se suspenden durante los feriados)', 'Código Civil, art. 48 (plazos de meses y años de fecha a fecha)']
+    },
+    administrativo: {
+        nombre: 'Ley 19.880',
+        tipo_dias: 'habiles',
+        inhabiles: [0, 6],
+        prorroga: true,
+        fundamentos: ['Ley 19.880, art. 25 (días hábiles; sábados, domingos y festivos son inhábiles; prórroga al día hábil siguiente)']
+    }
+};
+
+const UNITS = {
+    dias: 'dias', dia: 'dias', days: 'dias', day: 'dias',
+    meses: 'meses', mes: 'meses', months: 'meses', month: 'meses',
+    anos: 'anos', ano: 'anos', años: 'anos', año: 'anos', years: 'anos', year: 'anos'
+};
+
+const UNIT_LABELS = { dias: ['día', 'días'], meses: ['mes', 'meses'], anos: ['año', 'años'] };
+
+let calendarCache = null;
+
+function deadlineError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Calendario de feriados (se lee una vez; reloadCalendar() lo vuelve a leer)
+ * @returns {Object} { byDate: Map<fecha, nombre>, years: Set<año>, judicialMonth, judicialFundamento }
+ */
+function loadCalendar() {
+    if (calendarCache) return calendarCache;
+
+    const calendar = { byDate: new Map(), years: new Set(), judicialMonth: 2, judicialFundamento: 'Art. 313 del Código Orgánico de Tribunales' };
+    try {
+        const raw = JSON.parse(fs.readFileSync(CALENDAR_PATH, 'utf-8'));
+        for (const [year, holidays] of Object.entries(raw.feriados || {})) {
+            calendar.years.add(Number(year));
+            for (const holiday of holidays || []) {
+                calendar.byDate.set(holiday.fecha, holiday.nombre);
+            }
+        }
+        if (raw.feriado_judicial) {
+            calendar.judicialMonth = raw.feriado_judicial.mes || calendar.judicialMonth;
+            calendar.judicialFundamento = raw.feriado_judicial.fundamento || calendar.judicialFundamento;
+        }
+    } catch (error) {
+        console.error('[Plazos] Error cargando feriados_chile.json:', error.message);
+    }
+
+    calendarCache = calendar;
+    return calendar;
+}
+
+function reloadCalendar() {
+    calendarCache = null;
+    return loadCalendar();
+}
+
+// ============================================================================
+// FECHAS (UTC, sin horas: evita saltos por horario de verano)
+// ============================================================================
+
+function parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    // Rechaza fechas inexistentes (2025-02-30)
+    return formatDate(date) === match[0] ? date : null;
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Fecha a fecha (CC art. 48): mismo número de día, o el último día del mes si no existe
+ */
+function addMonths(date, months) {
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return target;
+}
+
+function describeDate(date) {
+    return `${WEEKDAYS[date.getUTCDay()]} ${formatDate(date)}`;
+}
+
+/**
+ * Motivo por el que un día no es hábil en el régimen (null si es hábil)
+ */
+function inhabilReason(date, regime, { suspendJudicialVacation = false } = {}) {
+    const calendar = loadCalendar();
+    const day = date.getUTCDay();
+    if (regime.inhabiles.includes(day)) return WEEKDAYS[day];
+
+    const holiday = calendar.byDate.get(formatDate(date));
+    if (holiday) return `feriado: ${holiday}`;
+
+    if (suspendJudicialVacation && date.getUTCMonth() + 1 === calendar.judicialMonth) {
+        return 'feriado judicial';
+    }
+    return null;
+}
+
+/**
+ * Indica si una fecha (YYYY-MM-DD) es hábil en un régimen
+ */
+function isBusinessDay(value, regimeName = 'procesal_civil') {
+    const date = parseDate(value);
+    const regime = REGIMES[regimeName];
+    if (!date || !regime) return false;
+    const businessRegime = regime.tipo_dias === 'habiles' ? regime : REGIMES.administrativo;
+    return inhabilReason(date, businessRegime) === null;
+}
+
+/**
+ * Feriados cargados para un año (arreglo vacío si el año no tiene calendario)
+ */
+function listHolidays(year) {
+    const prefix = `${year}-`;
+    return [...loadCalendar().byDate.entries()]
+        .filter(([fecha]) => fecha.startsWith(prefix))
+        .map(([fecha, nombre]) => ({ fecha, nombre }));
+}
+
+// ============================================================================
+// CÁLCULO
+// ============================================================================
+
+/**
+ * Calcula el vencimiento de un plazo
+ * @param {Object} params
+ *   - start_date {string} Fecha de inicio YYYY-MM-DD (notificación, publicación); el cómputo parte al día siguiente
+ *   - amount {number} Cantidad de días, meses o años
+ *   - unit {string} dias | meses | anos (por defecto dias)
+ *   - regime {string} civil | procesal_civil | administrativo (por defecto procesal_civil)
+ *   - day_type {string} corridos | habiles: reemplaza el tipo de días del régimen (ej: plazo "de días hábiles" en el CC)
+ *   - suspend_judicial_vacation {boolean} Los días de febrero no se cuentan (resolución expresa o ley especial)
+ * @returns {Object} { fecha_inicio, cantidad, unidad, regimen, tipo_dias, fecha_vencimiento, dia_vencimiento,
+ *                     dias_excluidos, traza, fundamentos, advertencias }
+ * @throws {Error} error.code: invalid_start_date | invalid_amount | invalid_unit | invalid_regime | invalid_day_type
+ */
+function calculateDeadline({
+    start_date,
+    amount,
+    unit = 'dias',
+    regime: regimeName = 'procesal_civil',
+    day_type = null,
+    suspend_judicial_vacation = false
+} = {}) {
+    const start = parseDate(start_date);
+    if (!start) throw deadlineError('invalid_start_date', `Fecha de inicio inválida: "${start_date}" (formato YYYY-MM-DD)`);
+
+    const quantity = Number(amount);
+    if (!Number.isInteger(quantity) || quantity <= 0 || quantity > 3650) {
+        throw deadlineError('invalid_amount', `Cantidad inválida: "${amount}" (entero entre 1 y 3650)`);
+    }
+
+    const normalizedUnit = UNITS[String(unit || 'dias').toLowerCase()];
+    if (!normalizedUnit) throw deadlineError('invalid_unit', `Unidad inválida: "${unit}" (dias, meses o anos)`);
+
+    const baseRegime = REGIMES[regimeName];
+    if (!baseRegime) {
+        throw deadlineError('invalid_regime', `Régimen inválido: "${regimeName}" (${Object.keys(REGIMES).join(', ')})`);
+    }
+    if (day_type && !['corridos', 'habiles'].includes(day_type)) {
+        throw deadlineError('invalid_day_type', `Tipo de días inválido: "${day_type}" (corridos o habiles)`);
+    }
+
+    // Un plazo "de días hábiles" fuera del régimen procesal o administrativo excluye sábados, domingos y festivos
+    const regime = { ...baseRegime };
+    if (day_type && day_type !== baseRegime.tipo_dias) {
+        regime.tipo_dias = day_type;
+        regime.inhabiles = day_type === 'habiles' ? [0, 6] : [];
+    }
+
+    const calendar = loadCalendar();
+    const trace = [];
+    const excluded = [];
+    const warnings = [];
+    const fundamentos = [...regime.fundamentos];
+    const options = { suspendJudicialVacation: suspend_judicial_vacation === true };
+
+    const unitLabel = quantity === 1 ? UNIT_LABELS[normalizedUnit][0] : UNIT_LABELS[normalizedUnit][1];
+    const dayLabel = normalizedUnit === 'dias' ? (regime.tipo_dias === 'habiles' ? ' hábiles' : ' corridos') : '';
+    trace.push(`Régimen: ${regime.nombre} (${regimeName}); plazo de ${quantity} ${unitLabel}${dayLabel}.`);
+    trace.push(`Fecha de inicio: ${describeDate(start)}. El cómputo comienza el día siguiente.`);
+
+    let due;
+    if (normalizedUnit === 'dias') {
+        let cursor = start;
+        let counted = 0;
+        while (counted < quantity) {
+            cursor = addDays(cursor, 1);
+            const reason = regime.tipo_dias === 'habiles' ? inhabilReason(cursor, regime, options) : null;
+            if (reason) {
+                excluded.push({ fecha: formatDate(cursor), motivo: reason });
+                continue;
+            }
+            counted++;
+        }
+        due = cursor;
+        trace.push(regime.tipo_dias === 'habiles'
+            ? `Se cuentan ${quantity} días hábiles; se excluyen ${excluded.length} días inhábiles.`
+            : `Se cuentan ${quantity} días corridos, incluidos sábados, domingos y feriados.`);
+        if (regime.tipo_dias === 'corridos' && suspend_judicial_vacation) {
+            warnings.push('suspend_judicial_vacation no se aplica a plazos de días corridos.');
+        }
+    } else {
+        const months = normalizedUnit === 'meses' ? quantity : quantity * 12;
+        due = addMonths(start, months);
+        trace.push(`Plazo de fecha a fecha: vence el ${describeDate(due)}${due.getUTCDate() !== start.getUTCDate() ? ' (último día del mes, el número de día no existe)' : ''}.`);
+        if (!fundamentos.some(f => f.startsWith('Código Civil, art. 48'))) {
+            fundamentos.push('Código Civil, art. 48 (plazos de meses y años de fecha a fecha)');
+        }
+    }
+
+    // Prórroga al día hábil siguiente (Ley 19.880 art. 25)
+    if (regime.prorroga) {
+        const prorrogaRegime = { ...regime, inhabiles: [0, 6] };
+        let reason = inhabilReason(due, prorrogaRegime, options);
+        if (reason) {
+            const original = due;
+            while (reason) {
+                excluded.push({ fecha: formatDate(due), motivo: reason });
+                due = addDays(due, 1);
+                reason = inhabilReason(due, prorrogaRegime, options);
+            }
+            trace.push(`El último día (${describeDate(original)}) es inhábil; se prorroga al ${describeDate(due)}.`);
+        }
+    }
+
+    trace.push(`Vencimiento: ${describeDate(due)}, hasta la medianoche (CC art. 48).`);
+
+    // Años sin calendario de feriados
+    const missingYears = [];
+    for (let year = start.getUTCFullYear(); year <= due.getUTCFullYear(); year++) {
+        if (!calendar.years.has(year)) missingYears.push(year);
+    }
+    if (missingYears.length > 0 && regime.tipo_dias === 'habiles') {
+        warnings.push(`Sin calendario de feriados para ${missingYears.join(', ')}: solo se excluyeron fines de semana. Verifique los feriados de ese período.`);
+    }
+
+    if (options.suspendJudicialVacation) {
+        trace.push('Los días de febrero (feriado judicial) no se cuentan, según lo solicitado.');
+        fundamentos.push(`${calendar.judicialFundamento} (feriado judicial)`);
+    } else if (regimeName === 'procesal_civil' && spansJudicialVacation(start, due, calendar.judicialMonth)) {
+        warnings.push(`El plazo transcurre durante el feriado judicial de febrero (${calendar.judicialFundamento}). Por regla general no se suspende; verifique si el tribunal o una ley especial dispone lo contrario.`);
+    }
+
+    return {
+        fecha_inicio: formatDate(start),
+        cantidad: quantity,
+        unidad: normalizedUnit,
+        regimen: regimeName,
+        tipo_dias: normalizedUnit === 'dias' ? regime.tipo_dias : 'fecha_a_fecha',
+        fecha_vencimiento: formatDate(due),
+        dia_vencimiento: WEEKDAYS[due.getUTCDay()],
+        dias_excluidos: excluded,
+        traza: trace,
+        fundamentos,
+        advertencias: warnings
+    };
+}
+
+function spansJudicialVacation(start, due, month) {
+    for (let cursor = addDays(start, 1); cursor <= due; cursor = addDays(cursor, 1)) {
+        if (cursor.getUTCMonth() + 1 === month) return true;
+    }
+    return false;
+}
+
+module.exports = {
+    REGIMES,
+    calculateDeadline,
+    isBusinessDay,
+    listHolidays,
+    reloadCalendar
+};
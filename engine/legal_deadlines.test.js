@@ -0,0 +1,134 @@
+// engine/legal_deadlines.test.js — Pruebas del cómputo de plazos legales chilenos
+// Ejecutar con: node engine/legal_deadlines.test.js
+//
+// Usa el calendario real de engine/feriados_chile.json (2025 y 2026).
+
+const { calculateDeadline, isBusinessDay } = require('./legal_deadlines');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (!value) {
+    throw new Error(message || 'Se esperaba true');
+  }
+}
+
+function assertThrowsCode(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    assertEqual(e.code, code, 'Código de error');
+    return;
+  }
+  throw new Error(`Se esperaba un error ${code}`);
+}
+
+// ============ Días hábiles y feriados ============
+
+test('procesal_civil: salta Fiestas Patrias y el domingo, el sábado es hábil', () => {
+  const result = calculateDeadline({ start_date: '2025-09-15', amount: 5 });
+  assertEqual(result.fecha_vencimiento, '2025-09-23');
+  assertEqual(result.dias_excluidos.map(d => d.fecha), ['2025-09-18', '2025-09-19', '2025-09-21']);
+  assertEqual(result.dias_excluidos[0].motivo, 'feriado: Independencia Nacional');
+});
+
+test('administrativo: excluye Semana Santa y el fin de semana', () => {
+  const result = calculateDeadline({ start_date: '2025-04-16', amount: 3, regime: 'administrativo' });
+  assertEqual(result.fecha_vencimiento, '2025-04-22');
+  assertEqual(result.dias_excluidos.length, 3);
+});
+
+test('civil: los días corridos incluyen los feriados', () => {
+  const result = calculateDeadline({ start_date: '2025-09-17', amount: 3, regime: 'civil' });
+  assertEqual(result.fecha_vencimiento, '2025-09-20');
+  assertEqual(result.dias_excluidos, []);
+});
+
+test('isBusinessDay: el sábado es hábil en el CPC pero no en la Ley 19.880', () => {
+  assertEqual(isBusinessDay('2025-09-20', 'procesal_civil'), true);
+  assertEqual(isBusinessDay('2025-09-20', 'administrativo'), false);
+  assertEqual(isBusinessDay('2025-09-18', 'procesal_civil'), false);
+});
+
+// ============ Feriado judicial de febrero ============
+
+test('feriado judicial: por regla general febrero corre, con advertencia', () => {
+  const result = calculateDeadline({ start_date: '2025-01-28', amount: 10 });
+  assertEqual(result.fecha_vencimiento, '2025-02-08');
+  assertTrue(result.advertencias.some(w => w.includes('feriado judicial')), 'Advertencia de feriado judicial');
+});
+
+test('feriado judicial: con suspend_judicial_vacation no se cuenta febrero', () => {
+  const result = calculateDeadline({ start_date: '2025-01-28', amount: 10, suspend_judicial_vacation: true });
+  assertEqual(result.fecha_vencimiento, '2025-03-08');
+  assertEqual(result.dias_excluidos.filter(d => d.fecha.startsWith('2025-02')).length, 28);
+  assertTrue(result.fundamentos.some(f => f.includes('Código Orgánico de Tribunales')), 'Fundamento COT art. 313');
+});
+
+// ============ Meses y años ============
+
+test('fecha a fecha: un mes desde el 31 de enero vence el último día de febrero', () => {
+  const result = calculateDeadline({ start_date: '2025-01-31', amount: 1, unit: 'meses', regime: 'civil' });
+  assertEqual(result.fecha_vencimiento, '2025-02-28');
+  assertEqual(result.tipo_dias, 'fecha_a_fecha');
+  assertTrue(result.traza.some(t => t.includes('último día del mes')), 'Traza del ajuste a fin de mes');
+});
+
+test('fecha a fecha: un año desde el 29 de febrero vence el 28 de febrero', () => {
+  assertEqual(calculateDeadline({ start_date: '2024-02-29', amount: 1, unit: 'años', regime: 'civil' }).fecha_vencimiento, '2025-02-28');
+});
+
+test('administrativo: un vencimiento en domingo se prorroga al lunes', () => {
+  const result = calculateDeadline({ start_date: '2025-04-18', amount: 1, unit: 'meses', regime: 'administrativo' });
+  assertEqual(result.fecha_vencimiento, '2025-05-19');
+  assertEqual(result.dias_excluidos.map(d => d.fecha), ['2025-05-18']);
+});
+
+// ============ Advertencias y errores ============
+
+test('año sin calendario de feriados: advierte que solo se excluyeron fines de semana', () => {
+  const result = calculateDeadline({ start_date: '2027-03-01', amount: 5, regime: 'administrativo' });
+  assertEqual(result.fecha_vencimiento, '2027-03-08');
+  assertTrue(result.advertencias.some(w => w.includes('Sin calendario de feriados para 2027')), 'Advertencia de calendario');
+});
+
+test('calculateDeadline: rechaza fechas, cantidades y regímenes inválidos', () => {
+  assertThrowsCode(() => calculateDeadline({ start_date: '2025-02-30', amount: 5 }), 'invalid_start_date');
+  assertThrowsCode(() => calculateDeadline({ start_date: '2025-02-03', amount: 0 }), 'invalid_amount');
+  assertThrowsCode(() => calculateDeadline({ start_date: '2025-02-03', amount: 5, unit: 'semanas' }), 'invalid_unit');
+  assertThrowsCode(() => calculateDeadline({ start_date: '2025-02-03', amount: 5, regime: 'penal' }), 'invalid_regime');
+});
+
+// ============ Resumen ============
+console.log('\n' + '='.repeat(50));
+console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+console.log(`${RED}Fallidas: ${failed}${RESET}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
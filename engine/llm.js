@@ -1,13 +1,7 @@
-const OpenAI = require('openai');
 const crypto = require('crypto');
 const { classifyIntentLocal, generateSimpleResponseLocal } = require('./local_llm');
-
-// Inicializar cliente de OpenAI con configuración optimizada
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  maxRetries: 2,
-  timeout: 60000,
-});
+const gateway = require('./llm_gateway');
+const { chatWithFailover } = require('./llm_failover');
 
 // Modelos por defecto (fallback si no están en config.json)
 const COMPLEX_MODEL_FALLBACK = "gpt-4.1"; 
@@ -74,8 +68,8 @@ function setCachedClassification(question, classification) {
 }
 
 /**
- * Función interna para llamar a la API de Chat Completions de OpenAI.
- * Utiliza el cliente oficial para mejor gestión de errores.
+ * Función interna para llamar al modelo de chat del proveedor de la instancia
+ * (llm_gateway: OpenAI, servidor compatible, Ollama o fake).
  */
 async function _callOpenAI(config, messages, modelOverride = null, options = {}) {
   const model = modelOverride || config.modelo || COMPLEX_MODEL_FALLBACK;
@@ -83,60 +77,61 @@ async function _callOpenAI(config, messages, modelOverride = null, options = {})
   const temperature = options.temperature !== undefined ? options.temperature : (config.temperatura || 0.2);
   
   try {
-    const startTime = Date.now();
-    
-    const response = await openai.chat.completions.create({
+    const response = await gateway.chat(config, messages, {
       model: model,
-      messages: messages,
-      max_tokens: maxTokens,
+      maxTokens: maxTokens,
       temperature: temperature,
     });
-
-    const latency = Date.now() - startTime;
     
     // Log estructurado para auditoría
-    console.log(`[OpenAI] Modelo: ${model}, Tokens: ${response.usage.total_tokens}, Latencia: ${latency}ms`);
+    console.log(`[LLM ${response.provider}] Modelo: ${response.model}, Tokens: ${response.usage?.total_tokens ?? 'N/A'}, Latencia: ${response.latency}ms`);
 
     return {
-      content: response.choices[0].message.content,
+      content: response.content,
       usage: response.usage,
-      model: model,
-      latency: latency
+      model: response.model,
+      latency: response.latency
     };
   } catch (err) {
-    console.error(`[OpenAI Error] Modelo: ${model}, Error:`, err.message);
-    
-    // Manejo de errores específicos
-    if (err.status === 429) {
-      return { 
-        content: "[Error: Límite de tasa excedido. Por favor, intenta nuevamente en unos momentos.]", 
-        usage: null, 
-        model: model,
-        error: 'rate_limit'
-      };
-    } else if (err.status === 401) {
-      return { 
-        content: "[Error: Credenciales de API inválidas.]", 
-        usage: null, 
-        model: model,
-        error: 'auth_error'
-      };
-    } else if (err.code === 'ECONNABORTED' || err.message.includes('timeout')) {
-      return { 
-        content: "[Error: La solicitud excedió el tiempo de espera.]", 
-        usage: null, 
-        model: model,
-        error: 'timeout'
-      };
-    }
-    
+    console.error(`[LLM Error] Modelo: ${model}, Error:`, err.message);
+    return errorResult(err, model);
+  }
+}
+
+/**
+ * Respuesta de error para el usuario según el tipo de fallo del proveedor
+ */
+function errorResult(err, model) {
+  // Manejo de errores específicos
+  if (err.status === 429) {
+    return { 
+      content: "[Error: Límite de tasa excedido. Por favor, intenta nuevamente en unos momentos.]", 
+      usage: null, 
+      model: model,
+      error: 'rate_limit'
+    };
+  } else if (err.status === 401) {
     return { 
-      content: "[Error al comunicarse con el modelo]", 
+      content: "[Error: Credenciales de API inválidas.]", 
       usage: null, 
       model: model,
-      error: 'unknown'
+      error: 'auth_error'
+    };
+  } else if (err.code === 'ECONNABORTED' || (err.message || '').includes('timeout')) {
+    return { 
+      content: "[Error: La solicitud excedió el tiempo de espera.]", 
+      usage: null, 
+      model: model,
+      error: 'timeout'
     };
   }
+  
+  return { 
+    content: "[Error al comunicarse con el modelo]", 
+    usage: null, 
+    model: model,
+    error: 'unknown'
+  };
 }
 
 /**
@@ -253,26 +248,44 @@ Responde ÚNICAMENTE con: SIMPLE o COMPLEX`;
 }
 
 /**
- * Función principal de chat - SIMPLIFICADA para usar solo GPT-4.1
- * Router multi-modelo eliminado según requerimientos del usuario
+ * Función principal de chat
+ * El modelo lo decide model_router.js antes de llamar (routing = decisión del router, o null)
  */
-async function chat(config, messages) {
-  // Usar siempre GPT-4.1 (sin router)
+async function chat(config, messages, routing = null) {
   const finalModel = config.modelo || COMPLEX_MODEL_FALLBACK;
   
-  console.log(`[LLM] Usando modelo único: ${finalModel}`);
+  console.log(`[LLM] Usando modelo: ${finalModel}${routing && routing.applied ? ` (router: ${routing.classification})` : ''}`);
 
-  // Llamada directa al modelo
-  const result = await _callOpenAI(config, messages, finalModel);
+  // Llamada al modelo con reintentos y failover (llm_failover en config.json)
+  let result;
+  try {
+    const response = await chatWithFailover(config, messages, {
+      model: finalModel,
+      maxTokens: config.max_tokens || 3000,
+      temperature: config.temperatura || 0.2,
+    });
+    console.log(`[LLM ${response.provider}] Modelo: ${response.model}, Tokens: ${response.usage?.total_tokens ?? 'N/A'}, Latencia: ${response.latency}ms`);
+    result = {
+      content: response.content,
+      usage: response.usage,
+      model: response.model,
+      latency: response.latency,
+      backend: response.backend
+    };
+  } catch (err) {
+    const cause = err.cause || err;
+    console.error(`[LLM Error] Modelo: ${finalModel}, Error:`, err.message);
+    result = { ...errorResult(cause, finalModel), backend: null, failures: err.failures || [] };
+  }
   
   // Añadir información del modelo usado
-  result.router_enabled = false;
-  result.router_model_used = finalModel;
+  result.router_enabled = !!(routing && routing.applied);
+  result.router_model_used = result.backend ? result.backend.model : finalModel;
   
   // Log de auditoría de costos
   if (result.usage) {
-    const estimatedCost = estimateAPICost(finalModel, result.usage);
-    console.log(`[LLM Auditoría] Modelo: ${finalModel}, ` +
+    const estimatedCost = estimateAPICost(result.router_model_used, result.usage);
+    console.log(`[LLM Auditoría] Modelo: ${result.router_model_used}, ` +
                 `Tokens: ${result.usage.total_tokens}, Costo estimado: $${estimatedCost.toFixed(6)}`);
   }
   
@@ -0,0 +1,296 @@
+// engine/llm_failover.js — Reintentos con backoff, failover entre backends y circuit breaker
+// para la generación de respuestas (answer / answerStream).
+//
+// Configuración por instancia en config.json:
+//   "llm_failover": {
+//     "enabled": true,
+//     "max_retries": 2,           // reintentos por backend ante errores transitorios (timeout, 429, 5xx, red)
+//     "backoff_ms": 1000,         // espera inicial; se duplica en cada reintento
+//     "max_backoff_ms": 8000,
+//     "fallbacks": [              // el backend principal es siempre el modelo configurado de la instancia
+//       { "model": "gpt-4o-mini" },
+//       { "model": "qwen2.5-32b-instruct", "llm_provider": { "type": "openai_compatible", "base_url": "http://gpu01:8000/v1" } },
+//       { "type": "local" }       // Ollama vía local_llm.js (local_llm_host / local_llm_model)
+//     ],
+//     "circuit_breaker": { "failure_threshold": 3, "cooldown_ms": 60000 }
+//   }
+//
+// El backend que produjo la respuesta se devuelve como { id, provider, model, local, failover, attempts }
+// y se guarda en la metadata del turno; los créditos se cobran con su entrada de MODEL_PRICING.
+const gateway = require('./llm_gateway');
+const { getLocalProviderConfig } = require('./local_llm');
+
+const DEFAULTS = {
+  max_retries: 2,
+  backoff_ms: 1000,
+  max_backoff_ms: 8000,
+  failure_threshold: 3,
+  cooldown_ms: 60000
+};
+
+// Estado del circuit breaker por backend (id → { state, failures, openedAt })
+const breakers = new Map();
+
+/**
+ * Configuración de failover efectiva de una instancia
+ */
+function getFailoverConfig(cfg = {}) {
+  const raw = cfg.llm_failover || {};
+  const breaker = raw.circuit_breaker || {};
+  return {
+    enabled: raw.enabled === true,
+    maxRetries: Number.isInteger(raw.max_retries) ? raw.max_retries : DEFAULTS.max_retries,
+    backoffMs: raw.backoff_ms !== undefined ? raw.backoff_ms : DEFAULTS.backoff_ms,
+    maxBackoffMs: raw.max_backoff_ms || DEFAULTS.max_backoff_ms,
+    fallbacks: Array.isArray(raw.fallbacks) ? raw.fallbacks : [],
+    failureThreshold: breaker.failure_threshold || DEFAULTS.failure_threshold,
+    cooldownMs: breaker.cooldown_ms !== undefined ? breaker.cooldown_ms : DEFAULTS.cooldown_ms
+  };
+}
+
+/**
+ * Construye un backend: bot_config derivado (modelo + proveedor) listo para el gateway
+ * o el adaptador de Responses API.
+ */
+function makeBackend(cfg, entry, index, primaryModel) {
+  const local = entry.type === 'local';
+  const llmProvider = local ? getLocalProviderConfig(cfg) : (entry.llm_provider || cfg.llm_provider);
+  const model = local ? llmProvider.model : (entry.model || primaryModel);
+  const providerType = gateway.resolveProviderConfig({ llm_provider: llmProvider }).type;
+  return {
+    id: `${local ? 'local' : providerType}:${model}`,
+    index,
+    provider: local ? 'ollama' : providerType,
+    model,
+    local,
+    // model / modelo: Responses API y Chat Completions leen claves distintas
+    config: { ...cfg, model, modelo: model, llm_provider: llmProvider }
+  };
+}
+
+/**
+ * Cadena de backends: principal (modelo de la instancia) seguido de los fallbacks configurados.
+ * @param {object} cfg - bot_config
+ * @param {string} primaryModel - Modelo principal según el modo (cfg.model en Responses, cfg.modelo en Chat)
+ */
+function buildChain(cfg, primaryModel) {
+  const { enabled, fallbacks } = getFailoverConfig(cfg);
+  const chain = [makeBackend(cfg, {}, 0, primaryModel)];
+  if (enabled) {
+    fallbacks.forEach((entry, i) => chain.push(makeBackend(cfg, entry || {}, i + 1, primaryModel)));
+  }
+  return chain;
+}
+
+/**
+ * Errores transitorios que justifican reintentar el mismo backend
+ * (timeouts de openai_timeout_ms, límites de tasa, 5xx y fallos de red).
+ */
+function isRetryableError(err) {
+  if (!err) return false;
+  const status = err.status || err.response?.status;
+  if (status === 408 || status === 409 || status === 429 || (status >= 500 && status < 600)) return true;
+  if (['ETIMEDOUT', 'ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'].includes(err.code)) return true;
+  if (err.name === 'APIConnectionTimeoutError' || err.name === 'APIConnectionError') return true;
+  return /timeout|timed out/i.test(err.message || '');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffDelay(failoverConfig, retry) {
+  return Math.min(failoverConfig.backoffMs * Math.pow(2, retry), failoverConfig.maxBackoffMs);
+}
+
+// ---------------------------------------------------------------------------
+// Circuit breaker
+// ---------------------------------------------------------------------------
+
+/**
+ * Indica si el backend acepta llamadas. Un circuito abierto pasa a semiabierto
+ * tras cooldown_ms y deja pasar una llamada de prueba.
+ */
+function canAttempt(id, failoverConfig) {
+  const breaker = breakers.get(id);
+  if (!breaker || breaker.state === 'closed') return true;
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= failoverConfig.cooldownMs) {
+    breaker.state = 'half_open';
+    return true;
+  }
+  return breaker.state === 'half_open';
+}
+
+function recordSuccess(id) {
+  breakers.set(id, { state: 'closed', failures: 0, openedAt: null });
+}
+
+function recordFailure(id, failoverConfig) {
+  const breaker = breakers.get(id) || { state: 'closed', failures: 0, openedAt: null };
+  breaker.failures++;
+  if (breaker.state === 'half_open' || breaker.failures >= failoverConfig.failureThreshold) {
+    if (breaker.state !== 'open') {
+      console.warn(`[LLM Failover] ⚡ Circuito abierto para ${id} (${breaker.failures} fallos)`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+  breakers.set(id, breaker);
+}
+
+/**
+ * Estado de los circuit breakers (diagnóstico)
+ */
+function getBreakerStatus() {
+  const status = {};
+  for (const [id, breaker] of breakers.entries()) {
+    status[id] = { ...breaker };
+  }
+  return status;
+}
+
+function resetBreakers() {
+  breakers.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Ejecución con failover
+// ---------------------------------------------------------------------------
+
+function describeBackend(backend, attempts) {
+  return {
+    id: backend.id,
+    provider: backend.provider,
+    model: backend.model,
+    local: backend.local,
+    failover: backend.index > 0,
+    attempts
+  };
+}
+
+/**
+ * Ejecuta attemptFn sobre la cadena de backends hasta obtener un resultado.
+ * @param {object} cfg - bot_config
+ * @param {string} primaryModel - Modelo principal
+ * @param {function} attemptFn - async (backend) => resultado; debe lanzar si falla
+ * @param {object} options - { label, canFailover: () => boolean }
+ * @returns {Promise<{ result, backend, failures }>}
+ */
+async function runWithFailover(cfg, primaryModel, attemptFn, { label = 'LLM', canFailover = () => true } = {}) {
+  const failoverConfig = getFailoverConfig(cfg);
+  const chain = buildChain(cfg, primaryModel);
+  const maxRetries = failoverConfig.enabled ? failoverConfig.maxRetries : 0;
+  const failures = [];
+  let lastError = null;
+
+  for (const backend of chain) {
+    if (failoverConfig.enabled && !canAttempt(backend.id, failoverConfig)) {
+      console.warn(`[${label} Failover] Circuito abierto, se omite ${backend.id}`);
+      failures.push({ backend: backend.id, attempt: 0, error: 'circuit_open' });
+      continue;
+    }
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      try {
+        const result = await attemptFn(backend);
+        if (failoverConfig.enabled) recordSuccess(backend.id);
+        if (backend.index > 0) {
+          console.log(`[${label} Failover] ✓ Respuesta generada por ${backend.id} (fallback ${backend.index})`);
+        }
+        return { result, backend: describeBackend(backend, attempt), failures };
+      } catch (err) {
+        lastError = err;
+        failures.push({ backend: backend.id, attempt, error: err.message, status: err.status || null });
+        console.error(`[${label} Failover] ✗ ${backend.id} intento ${attempt}: ${err.message}`);
+        if (!failoverConfig.enabled) throw err;
+        recordFailure(backend.id, failoverConfig);
+
+        const retryable = isRetryableError(err);
+        if (!canFailover()) throw err;
+        if (!retryable || attempt > maxRetries || !canAttempt(backend.id, failoverConfig)) break;
+        await sleep(backoffDelay(failoverConfig, attempt - 1));
+      }
+    }
+  }
+
+  const error = new Error(`Todos los backends LLM fallaron (${failures.length} intentos): ${lastError ? lastError.message : 'circuitos abiertos'}`);
+  error.code = 'all_backends_failed';
+  error.status = lastError ? lastError.status : undefined;
+  error.failures = failures;
+  error.cause = lastError;
+  throw error;
+}
+
+/**
+ * Chat Completions con failover (modo chat)
+ * @returns {Promise<{ content, usage, model, latency, provider, backend, failures }>}
+ */
+async function chatWithFailover(cfg, messages, options = {}) {
+  const primaryModel = options.model || cfg.modelo || 'gpt-4.1';
+  const { result, backend, failures } = await runWithFailover(cfg, primaryModel, (b) =>
+    gateway.chat(b.config, messages, { ...options, model: b.model }), { label: 'LLM' });
+  return { ...result, model: result.model || backend.model, backend, failures };
+}
+
+/**
+ * Responses API con failover (modo responses). Los fallbacks sin Responses API
+ * (Ollama, servidores compatibles) pasan por Chat Completions dentro del adaptador.
+ */
+async function askWithFailover(askFn, { inputText, config, tools }) {
+  const primaryModel = config.model || 'gpt-4.1';
+  const { result, backend, failures } = await runWithFailover(config, primaryModel, (b) =>
+    askFn({ inputText, config: b.config, tools }), { label: 'Responses API' });
+  return { ...result, backend, failures };
+}
+
+/**
+ * Streaming con failover: solo se cambia de backend si aún no se envió ningún fragmento
+ * al cliente (un stream a medias no se puede reintentar sin duplicar texto).
+ */
+async function streamWithFailover(streamFn, { inputText, config, tools, onDelta = () => {}, onComplete = () => {}, onError = () => {} }) {
+  const primaryModel = config.model || 'gpt-4.1';
+  let emitted = false;
+  let currentBackend = null;
+  let backendAttempts = 0;
+
+  try {
+    const { result, backend, failures } = await runWithFailover(config, primaryModel, (b) => {
+      backendAttempts = currentBackend && currentBackend.id === b.id ? backendAttempts + 1 : 1;
+      currentBackend = b;
+      const attempts = backendAttempts;
+      return streamFn({
+        inputText,
+        config: b.config,
+        tools,
+        onDelta: (delta) => {
+          emitted = true;
+          onDelta(delta);
+        },
+        onComplete: (data) => onComplete({ ...data, backend: describeBackend(b, attempts) }),
+        // Los eventos de error del stream se reenvían; las excepciones las decide el failover
+        onError: (error) => {
+          if (error && error.type === 'error') onError(error);
+        }
+      });
+    }, { label: 'Responses API Stream', canFailover: () => !emitted });
+    return { ...result, backend, failures };
+  } catch (error) {
+    if (currentBackend && emitted) {
+      console.error(`[Responses API Stream Failover] Stream interrumpido en ${currentBackend.id}, sin failover`);
+    }
+    onError(error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getFailoverConfig,
+  buildChain,
+  isRetryableError,
+  runWithFailover,
+  chatWithFailover,
+  askWithFailover,
+  streamWithFailover,
+  getBreakerStatus,
+  resetBreakers
+};
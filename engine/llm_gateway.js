@@ -0,0 +1,154 @@
+// engine/llm_gateway.js — Punto único de acceso a modelos de lenguaje
+// Interfaz común (chat, stream, embed, transcribe) sobre proveedores intercambiables.
+//
+// Selección por instancia en config.json:
+//   "llm_provider": { "type": "openai" }                                         (por defecto)
+//   "llm_provider": { "type": "openai_compatible", "base_url": "http://localhost:8000/v1", "model": "qwen2.5-32b-instruct" }
+//   "llm_provider": { "type": "ollama", "base_url": "http://localhost:11434", "model": "llama3.1:8b", "embedding_model": "nomic-embed-text" }
+//   "llm_provider": { "type": "fake" }                                            (pruebas sin red)
+// La variable de entorno LLM_PROVIDER fuerza el tipo para todas las instancias (ej: LLM_PROVIDER=fake en pruebas).
+//
+// "model" / "embedding_model" / "transcription_model" del proveedor reemplazan los modelos
+// pedidos por el código (gpt-4.1, text-embedding-3-small, whisper-1), que solo existen en OpenAI.
+const { OpenAIProvider } = require('./providers/openai_provider');
+const { OpenAICompatibleProvider } = require('./providers/openai_compatible_provider');
+const { OllamaProvider } = require('./providers/ollama_provider');
+const { FakeProvider } = require('./providers/fake_provider');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  openai_compatible: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  fake: FakeProvider
+};
+
+// Instancias por configuración (un cliente por proveedor, no uno por módulo)
+const instances = new Map();
+
+/**
+ * Registra un proveedor adicional (clase con chat, stream, embed, transcribe y supports)
+ */
+function registerProvider(type, ProviderClass) {
+  PROVIDERS[type] = ProviderClass;
+  instances.clear();
+}
+
+/**
+ * Configuración de proveedor efectiva para una instancia
+ * @param {object} config - bot_config de la instancia (por defecto global.bot_config)
+ */
+function resolveProviderConfig(config) {
+  const cfg = config || global.bot_config || {};
+  const raw = typeof cfg.llm_provider === 'string' ? { type: cfg.llm_provider } : (cfg.llm_provider || {});
+  const type = String(process.env.LLM_PROVIDER || raw.type || 'openai').toLowerCase();
+  return {
+    ...raw,
+    type,
+    timeout_ms: raw.timeout_ms || cfg.openai_timeout_ms || undefined
+  };
+}
+
+/**
+ * Obtiene (o crea) el proveedor de una instancia
+ */
+function getProvider(config) {
+  const providerConfig = resolveProviderConfig(config);
+  const key = JSON.stringify(providerConfig);
+  if (instances.has(key)) return instances.get(key);
+
+  const ProviderClass = PROVIDERS[providerConfig.type];
+  if (!ProviderClass) {
+    throw new Error(`Proveedor LLM desconocido: ${providerConfig.type}`);
+  }
+  const provider = new ProviderClass(providerConfig);
+  provider.config = providerConfig;
+  instances.set(key, provider);
+  return provider;
+}
+
+/**
+ * Chat (no streaming)
+ * @param {object} config - bot_config de la instancia
+ * @param {Array} messages - [{ role, content }]
+ * @param {object} options - { model, maxTokens, temperature, stop }
+ * @returns {Promise<{ content, usage, model, latency, provider }>}
+ */
+async function chat(config, messages, options = {}) {
+  const provider = getProvider(config);
+  const model = provider.config.model || options.model;
+  const startTime = Date.now();
+  const result = await provider.chat(messages, { ...options, model });
+  return { ...result, latency: Date.now() - startTime, provider: provider.name };
+}
+
+/**
+ * Chat en streaming
+ * @returns {AsyncGenerator} { type: 'delta', text } ... { type: 'done', content, usage, model }
+ */
+async function* stream(config, messages, options = {}) {
+  const provider = getProvider(config);
+  const model = provider.config.model || options.model;
+  yield* provider.stream(messages, { ...options, model });
+}
+
+/**
+ * Embeddings
+ * @param {string|string[]} input
+ * @param {object} options - { model }
+ * @returns {Promise<{ embeddings: number[][], usage, model }>}
+ */
+async function embed(config, input, options = {}) {
+  const provider = getProvider(config);
+  const model = provider.config.embedding_model || options.model || 'text-embedding-3-small';
+  return provider.embed(input, { ...options, model });
+}
+
+/**
+ * Transcripción de audio
+ * @param {object} params - { filePath | file, model, language, responseFormat }
+ * @returns {Promise<{ text, duration, model }>}
+ */
+async function transcribe(config, params = {}) {
+  const provider = getProvider(config);
+  if (!provider.supports.transcribe) {
+    throw new Error(`El proveedor ${provider.name} no soporta transcripción de audio`);
+  }
+  const model = provider.config.transcription_model || params.model || 'whisper-1';
+  return provider.transcribe({ ...params, model });
+}
+
+/**
+ * Indica si el proveedor soporta la Responses API de OpenAI (tools file_search / web_search)
+ */
+function supportsResponses(config) {
+  return getProvider(config).supports.responses === true;
+}
+
+/**
+ * Cliente del SDK de OpenAI del proveedor, para APIs exclusivas de OpenAI
+ * (Responses API, vector stores, archivos). null si el proveedor no es OpenAI.
+ */
+function getOpenAIClient(config) {
+  const provider = getProvider(config);
+  return provider.supports.responses ? provider.client : null;
+}
+
+/**
+ * Descarta las instancias creadas (pruebas o recarga de configuración)
+ */
+function resetProviders() {
+  instances.clear();
+}
+
+module.exports = {
+  registerProvider,
+  resolveProviderConfig,
+  getProvider,
+  chat,
+  stream,
+  embed,
+  transcribe,
+  supportsResponses,
+  getOpenAIClient,
+  resetProviders
+};
@@ -13,6 +13,7 @@
  */
 
 const axios = require('axios');
+const gateway = require('./llm_gateway');
 
 // Configuración por defecto de Ollama
 const DEFAULT_OLLAMA_HOST = 'http://localhost:11434';
@@ -58,11 +59,23 @@ function shouldCheckHealth() {
   return localServiceAvailable === null || (Date.now() - lastHealthCheck > HEALTH_CHECK_INTERVAL);
 }
 
+/**
+ * Entrada llm_provider del gateway para el Ollama local de la instancia
+ * (local_llm_host / local_llm_model). También la usa la cadena de failover.
+ */
+function getLocalProviderConfig(config, timeoutMs) {
+  return {
+    type: 'ollama',
+    base_url: config.local_llm_host || DEFAULT_OLLAMA_HOST,
+    model: config.local_llm_model || DEFAULT_MODEL,
+    ...(timeoutMs ? { timeout_ms: timeoutMs } : {})
+  };
+}
+
 /**
  * Llama al modelo local de Ollama para generar una respuesta.
  */
 async function callLocalModel(config, prompt, options = {}) {
-  const ollamaHost = config.local_llm_host || DEFAULT_OLLAMA_HOST;
   const model = config.local_llm_model || DEFAULT_MODEL;
   const temperature = options.temperature !== undefined ? options.temperature : 0;
   const maxTokens = options.maxTokens || 100;
@@ -70,34 +83,25 @@ async function callLocalModel(config, prompt, options = {}) {
   try {
     const startTime = Date.now();
     
-    const response = await axios.post(`${ollamaHost}/api/generate`, {
-      model: model,
-      prompt: prompt,
-      stream: false,
-      options: {
-        temperature: temperature,
-        num_predict: maxTokens,
-        stop: ['\n\n', 'Pregunta:', 'Usuario:']
-      }
-    }, {
-      timeout: REQUEST_TIMEOUT
+    // Proveedor Ollama del gateway (independiente del proveedor principal de la instancia)
+    const ollamaConfig = { llm_provider: getLocalProviderConfig(config, REQUEST_TIMEOUT) };
+    const response = await gateway.chat(ollamaConfig, [{ role: 'user', content: prompt }], {
+      temperature: temperature,
+      maxTokens: maxTokens,
+      stop: ['\n\n', 'Pregunta:', 'Usuario:']
     });
     
     const latency = Date.now() - startTime;
     
-    if (response.data && response.data.response) {
-      console.log(`[Local LLM] ✓ Modelo: ${model}, Latencia: ${latency}ms, Tokens: ~${response.data.response.length / 4}`);
+    if (response.content) {
+      console.log(`[Local LLM] ✓ Modelo: ${model}, Latencia: ${latency}ms, Tokens: ${response.usage?.completion_tokens ?? 'N/A'}`);
       
       return {
-        content: response.data.response.trim(),
+        content: response.content.trim(),
         model: model,
         latency: latency,
         local: true,
-        usage: {
-          prompt_tokens: Math.ceil(prompt.length / 4),
-          completion_tokens: Math.ceil(response.data.response.length / 4),
-          total_tokens: Math.ceil((prompt.length + response.data.response.length) / 4)
-        }
+        usage: response.usage
       };
     }
     
@@ -274,6 +278,7 @@ module.exports = {
   generateSimpleResponseLocal,
   checkLocalServiceHealth,
   getLocalServiceStatus,
+  getLocalProviderConfig,
   callLocalModel
 };
 
@@ -1,214 +1,123 @@
-const { summarizeText } = require("./prompt");
-const fs = require('fs');
-const path = require('path');
 const { buildMemoryStore } = require("./memory_store");
-let memoryStore = null;
+const { getConversationStore } = require("./conversation_store");
+// Memoria semántica de largo plazo (índice vectorial local, ver memory_store.js)
 function initSemanticStore(cfg){
-  if (!memoryStore){ memoryStore = buildMemoryStore(cfg); }
-  return memoryStore;
+  return buildMemoryStore(cfg || {});
 }
 
-function sessionFile(config, userId = 'anon', chatId = 'default') {
+// Historial de chats en el backend configurado (bot_config.storage: file | prisma, ver conversation_store.js)
+async function loadContext(config, userId = 'anon', chatId = 'default') {
   try {
-    const base = (config?.memory?.path)
-      ? path.join(process.cwd(), config.memory.path)
-      : path.join(process.cwd(), 'lexcode_instances', 'general', 'historial');
-
-    // Crear directorio base y directorio del usuario
-    const userDir = path.join(base, userId);
-    fs.mkdirSync(userDir, { recursive: true });
-    
-    return path.join(userDir, `${chatId}.json`);
+    return await getConversationStore(config).loadContext(userId, chatId);
   } catch (err) {
-    console.error("Error creando directorio de sesión:", err.message);
-    // fallback a carpeta que coincida con chat_management.js
-    const fallbackDir = path.join(process.cwd(), 'lexcode_instances', 'general', 'historial', userId);
-    fs.mkdirSync(fallbackDir, { recursive: true });
-    return path.join(fallbackDir, `${chatId}.json`);
+    console.error(`Error cargando contexto para ${userId}, chat ${chatId}:`, err.message);
+    return [];
   }
 }
 
-function loadContext(config, userId = 'anon', chatId = 'default') {
+// Turnos totales del chat (appendTurn los cuenta; el historial guardado se recorta a max_history)
+async function loadTurnCount(config, userId = 'anon', chatId = 'default') {
   try {
-    const f = sessionFile(config, userId, chatId);
-    if (!fs.existsSync(f)) return [];
-    const raw = fs.readFileSync(f, 'utf-8');
-    const mem = JSON.parse(raw || '[]');
-    return Array.isArray(mem) ? mem : [];
+    return await getConversationStore(config).getTurnCount(userId, chatId);
   } catch (err) {
-    console.error(`Error cargando contexto para ${userId}, chat ${chatId}:`, err.message);
-    return [];
+    console.error(`Error cargando contador de turnos para ${userId}, chat ${chatId}:`, err.message);
+    return 0;
   }
 }
 
-function saveTurn(config, userId = 'anon', chatId = 'default', question, output, tokenUsage = null, normativeAnnex = null) {
+// turnMeta: metadatos adicionales de la respuesta (p. ej. citationAudit) guardados junto al mensaje del asistente
+async function saveTurn(config, userId = 'anon', chatId = 'default', question, output, tokenUsage = null, normativeAnnex = null, turnMeta = null) {
   try {
-    const f = sessionFile(config, userId, chatId);
-    let mem = loadContext(config, userId, chatId);
-    mem.push({ role: 'user', content: question });
-    mem.push({ role: 'assistant', content: output, usage: tokenUsage });
-    
-    // Guardar el anexo normativo como un mensaje de sistema si existe
-    if (normativeAnnex && Array.isArray(normativeAnnex) && normativeAnnex.length > 0) {
-      mem.push({ 
-        role: 'system-annex', 
-        content: `Anexo Normativo Documental: ${JSON.stringify(normativeAnnex)}`,
-        annexData: normativeAnnex,
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    const max = (config.memory && config.memory.max_history) || 20;
-    if (mem.length > max * 2) {
-      mem = mem.slice(mem.length - max * 2);
-    }
-
-    fs.writeFileSync(f, JSON.stringify(mem, null, 2), 'utf-8');
-    // Incrementar y guardar el contador de turnos
-    let currentTurnCount = loadTurnCount(config, userId, chatId);
-    saveTurnCount(config, userId, chatId, currentTurnCount + 1);
+    await getConversationStore(config).appendTurn(userId, chatId, {
+      question,
+      answer: output,
+      usage: tokenUsage,
+      normativeAnnex,
+      meta: turnMeta
+    });
+    // Resumen progresivo en segundo plano: no retrasa la respuesta
+    maybeSummarizeAndEmbed({ cfg: config, userId, chatId });
   } catch (err) {
     console.error(`Error guardando turno para ${userId}, chat ${chatId}:`, err.message);
   }
 }
 
-async function maybeSummarizeAndEmbed({ cfg, userId, sessionId, state }){
+// Compacta los turnos fuera de la ventana en el resumen del caso (conversation_summary.js)
+// y, con memoria de largo plazo activa, guarda el resumen como recuerdo semántico
+async function maybeSummarizeAndEmbed({ cfg, userId, chatId }){
   try{
-    const rollingMax = (cfg && cfg.memory && cfg.memory.rolling_max_turns) ?? 30;
-    const summarizeEvery = (cfg && cfg.memory && cfg.memory.summary_every_n_turns) ?? 12;
-    const enableLTM = !!(cfg && cfg.enable_longterm_memory);
-    if (state.total_turns > 0 && state.total_turns % summarizeEvery === 0) {
-      const lastSlice = state.turns.slice(-summarizeEvery);
-      const text = lastSlice.map(t => `[${t.role}] ${t.text}`).join("\n");
-      const summary = await summarizeText(text);
-      state.summaries = Array.isArray(state.summaries) ? state.summaries : [];
-      state.summaries.push({ ts: Date.now(), sessionId, text: summary });
-      save(userId, state);
-      if (enableLTM && memoryStore && memoryStore.isEnabled && memoryStore.isEnabled()){
-        await memoryStore.upsert({
-          userId, sessionId,
-          text: summary,
-          metadata: { kind:"session_summary", ts: Date.now() }
-        });
-      }
+    const { compactConversation } = require("./conversation_summary");
+    const summary = await compactConversation(cfg, { userId, chatId });
+    const memoryStore = initSemanticStore(cfg);
+    if (summary && memoryStore.isEnabled()){
+      // Un recuerdo por chat: cada compactación reemplaza el resumen anterior
+      await memoryStore.upsert({
+        id: `summary:${userId}/${chatId}`,
+        userId, sessionId: chatId,
+        text: summary.text,
+        metadata: { kind:"session_summary", turns: summary.turns, ts: Date.now() }
+      });
     }
-    const rollingSlice = state.turns.slice(-rollingMax);
-    state.turns = rollingSlice;
-    save(userId, state);
+    return summary;
   }catch(e){
-    // non-fatal
+    // no fatal: los turnos siguen en el historial y se reintenta en el próximo turno
+    console.error(`Error resumiendo chat ${chatId} de ${userId}:`, e.message);
+    return null;
   }
 }
 
 async function semanticRemember({ cfg, userId, sessionId, text, metadata={} }){
   try{
-    if (!cfg || !cfg.enable_longterm_memory) return;
-    if (!memoryStore || !memoryStore.isEnabled || !memoryStore.isEnabled()) return;
-    await memoryStore.upsert({ userId, sessionId, text, metadata: { kind:"memory", ...metadata, ts: Date.now() } });
-  }catch(e){}
+    if (!cfg || !cfg.enable_longterm_memory) return { ok:false, reason:"disabled" };
+    return await initSemanticStore(cfg).upsert({ userId, sessionId, text, metadata: { kind:"memory", ...metadata, ts: Date.now() } });
+  }catch(e){
+    console.error(`Error guardando recuerdo de ${userId}:`, e.message);
+    return { ok:false, reason: e.message };
+  }
 }
 
 async function semanticRecall({ cfg, userId, sessionId, query, filter="user" }){
   try{
     if (!cfg || !cfg.enable_longterm_memory) return [];
-    if (!memoryStore || !memoryStore.isEnabled || !memoryStore.isEnabled()) return [];
     const topK = (cfg && cfg.memory && cfg.memory.semantic_top_k) ?? 6;
-    const res = await memoryStore.search({ userId, sessionId, query, topK, filter });
+    const res = await initSemanticStore(cfg).search({ userId, sessionId, query, topK, filter });
     return (res && res.items) ? res.items : [];
-  }catch(e){ return []; }
-}
-
-module.exports = {
- loadContext, saveTurn ,
-  maybeSummarizeAndEmbed,
-  semanticRemember,
-  semanticRecall
-
-};
-
-function turnCountFile(config, userId = 'anon', chatId = 'default') {
-  try {
-    const base = (config?.memory?.path)
-      ? path.join(process.cwd(), config.memory.path)
-      : path.join(process.cwd(), 'lexcode_instances', 'general', 'historial');
-
-    const userDir = path.join(base, userId);
-    fs.mkdirSync(userDir, { recursive: true });
-    
-    return path.join(userDir, `${chatId}_turns.json`);
-  } catch (err) {
-    console.error("Error creando directorio de sesión para turnos:", err.message);
-    const fallbackDir = path.join(process.cwd(), 'lexcode_instances', 'general', 'historial', userId);
-    fs.mkdirSync(fallbackDir, { recursive: true });
-    return path.join(fallbackDir, `${chatId}_turns.json`);
-  }
-}
-
-function loadTurnCount(config, userId = 'anon', chatId = 'default') {
-  try {
-    const f = turnCountFile(config, userId, chatId);
-    if (!fs.existsSync(f)) return 0;
-    const raw = fs.readFileSync(f, 'utf-8');
-    return parseInt(raw || '0', 10);
-  } catch (err) {
-    console.error(`Error cargando contador de turnos para ${userId}, chat ${chatId}:`, err.message);
-    return 0;
+  }catch(e){
+    console.error(`Error recuperando recuerdos de ${userId}:`, e.message);
+    return [];
   }
 }
 
-function saveTurnCount(config, userId = 'anon', chatId = 'default', count) {
-  try {
-    const f = turnCountFile(config, userId, chatId);
-    fs.writeFileSync(f, count.toString(), 'utf-8');
-  } catch (err) {
-    console.error(`Error guardando contador de turnos para ${userId}, chat ${chatId}:`, err.message);
-  }
+// Bloque del system prompt con los recuerdos relevantes para la pregunta.
+// El resumen del chat actual ya va en el contexto (conversation_summary.js), así que se omite.
+async function buildSemanticMemoryBlock({ cfg, userId, chatId, question }){
+  const items = (await semanticRecall({ cfg, userId, sessionId: chatId, query: question }))
+    .filter(item => !(item.kind === 'session_summary' && item.chatId === chatId));
+  if (items.length === 0) return '';
+  const lines = items.map(item => `- ${item.kind === 'session_summary' ? '(resumen de otro chat) ' : ''}${item.text}`);
+  return `\n\n[Memoria de largo plazo del usuario (puede estar desactualizada; confirmar si es relevante)]\n${lines.join('\n')}`;
 }
 
-module.exports.loadTurnCount = loadTurnCount;
-module.exports.saveTurnCount = saveTurnCount;
-
-
-
-function turnCountFile(config, userId = 'anon', chatId = 'default') {
-  try {
-    const base = (config?.memory?.path)
-      ? path.join(process.cwd(), config.memory.path)
-      : path.join(process.cwd(), 'lexcode_instances', 'general', 'historial');
-
-    const userDir = path.join(base, userId);
-    fs.mkdirSync(userDir, { recursive: true });
-    
-    return path.join(userDir, `${chatId}_turns.json`);
-  } catch (err) {
-    console.error("Error creando directorio de sesión para turnos:", err.message);
-    const fallbackDir = path.join(process.cwd(), 'lexcode_instances', 'general', 'historial', userId);
-    fs.mkdirSync(fallbackDir, { recursive: true });
-    return path.join(fallbackDir, `${chatId}_turns.json`);
-  }
+// Vista para el usuario: "¿qué recuerdas de mí?" y borrado
+function listMemories(cfg, userId, chatId = null){
+  return initSemanticStore(cfg).list({ userId, chatId });
 }
 
-function loadTurnCount(config, userId = 'anon', chatId = 'default') {
-  try {
-    const f = turnCountFile(config, userId, chatId);
-    if (!fs.existsSync(f)) return 0;
-    const raw = fs.readFileSync(f, 'utf-8');
-    return parseInt(raw || '0', 10);
-  } catch (err) {
-    console.error(`Error cargando contador de turnos para ${userId}, chat ${chatId}:`, err.message);
-    return 0;
-  }
+function deleteMemory(cfg, userId, id){
+  return initSemanticStore(cfg).remove({ userId, id });
 }
 
-function saveTurnCount(config, userId = 'anon', chatId = 'default', count) {
-  try {
-    const f = turnCountFile(config, userId, chatId);
-    fs.writeFileSync(f, count.toString(), 'utf-8');
-  } catch (err) {
-    console.error(`Error guardando contador de turnos para ${userId}, chat ${chatId}:`, err.message);
-  }
+function clearMemories(cfg, userId, chatId = null){
+  return initSemanticStore(cfg).clear({ userId, chatId });
 }
 
-module.exports.loadTurnCount = loadTurnCount;
-module.exports.saveTurnCount = saveTurnCount;
-
+module.exports = {
+ loadContext, saveTurn , loadTurnCount,
+  maybeSummarizeAndEmbed,
+  semanticRemember,
+  semanticRecall,
+  buildSemanticMemoryBlock,
+  listMemories,
+  deleteMemory,
+  clearMemories
+};
@@ -0,0 +1,122 @@
+// engine/memory_endpoints.test.js — Pruebas de las rutas /api/memories y de save_to_memory por instancia
+// Ejecutar con: node engine/memory_endpoints.test.js
+//
+// Crea una instancia "civil" en un directorio temporal (embeddings del proveedor fake) y levanta
+// las rutas en un servidor express local; la configuración del servidor no tiene memoria activa.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-endpoints-test-'));
+process.chdir(dir);
+
+const instanceDir = path.join(dir, 'lexcode_instances', 'civil');
+fs.mkdirSync(instanceDir, { recursive: true });
+fs.writeFileSync(path.join(instanceDir, 'config.json'), JSON.stringify({
+  enable_longterm_memory: true,
+  llm_provider: { type: 'fake' },
+  memory: { path: 'lexcode_instances/civil/historial' }
+}));
+fs.writeFileSync(path.join(instanceDir, 'builder.json'), JSON.stringify({ name: 'LexCode Civil' }));
+global.bot_config = { enable_longterm_memory: false };
+
+const express = require('express');
+const { addMemoryEndpoints } = require('../memory_endpoints');
+const ragActions = require('../actions/rag_actions');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+const saveToMemory = ragActions.find(action => action.name === 'save_to_memory').handler;
+
+(async () => {
+  const app = express();
+  addMemoryEndpoints(app, (req, res, next) => { req.userId = 'u1'; next(); });
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, url) => {
+    const res = await fetch(`${base}${url}`, { method });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    // ============ save_to_memory ============
+
+    await test('save_to_memory: guarda en la base de la instancia indicada', async () => {
+      const result = await saveToMemory({ content: 'El cliente arrienda un local en Valparaíso', user: 'u1', instance_id: 'civil' });
+      assertEqual(result.success, true);
+      assertEqual(fs.existsSync(path.join(instanceDir, 'historial', '_memory.sqlite')), true);
+      assertEqual(fs.existsSync(path.join(dir, 'lexcode_instances', 'general')), false, 'No escribe en la instancia general');
+    });
+
+    await test('save_to_memory: instancia inexistente o sin memoria activa', async () => {
+      assertEqual((await saveToMemory({ content: 'x', user: 'u1', instance_id: 'penal' })).error, 'instance_not_found');
+      assertEqual((await saveToMemory({ content: 'x', user: 'u1' })).success, false, 'La configuración del servidor no tiene memoria');
+    });
+
+    // ============ /api/memories ============
+
+    await test('GET /api/memories?instanceId=: recuerdos del usuario en la instancia', async () => {
+      const { status, body } = await request('GET', '/api/memories?instanceId=civil');
+      assertEqual([status, body.count, body.memories[0].text], [200, 1, 'El cliente arrienda un local en Valparaíso']);
+    });
+
+    await test('GET /api/memories: sin instanceId usa la configuración del servidor', async () => {
+      const { status, body } = await request('GET', '/api/memories');
+      assertEqual([status, body.error], [404, 'longterm_memory_disabled']);
+    });
+
+    await test('GET /api/memories: instancia inexistente o id inválido → 404', async () => {
+      assertEqual((await request('GET', '/api/memories?instanceId=penal')).body.error, 'instance_not_found');
+      assertEqual((await request('GET', '/api/memories?instanceId=..%2Fcivil')).body.error, 'instance_not_found');
+    });
+
+    await test('DELETE /api/memories/:id y DELETE /api/memories en la instancia', async () => {
+      const { body } = await request('GET', '/api/memories?instanceId=civil');
+      const id = body.memories[0].id;
+      assertEqual((await request('DELETE', `/api/memories/${id}?instanceId=civil`)).body, { ok: true, id });
+      assertEqual((await request('DELETE', `/api/memories/${id}?instanceId=civil`)).status, 404);
+
+      await saveToMemory({ content: 'Plazo de restitución vencido', user: 'u1', instance_id: 'civil' });
+      assertEqual((await request('DELETE', '/api/memories?instanceId=civil')).body, { ok: true, deleted: 1 });
+    });
+  } finally {
+    server.close();
+    process.chdir(os.tmpdir());
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // ============ Resumen ============
+  console.log('\n' + '='.repeat(50));
+  console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+  console.log(`${RED}Fallidas: ${failed}${RESET}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -1,55 +1,188 @@
-const axios = require("axios");
+// engine/memory_store.js
+// Memoria semántica de largo plazo en un índice vectorial local (SQLite + similitud coseno).
+// Embeddings del proveedor configurado (llm_gateway.embed). Cada recuerdo pertenece a un usuario
+// y, opcionalmente, a un chat; la búsqueda filtra por usuario ("user") o por usuario y chat ("session").
+//
+// Config (bot_config):
+//   "enable_longterm_memory": true,
+//   "memory": {
+//     "vector_db": "lexcode_instances/general/memory.sqlite",   // por defecto <memory.path>/_memory.sqlite
+//     "semantic_top_k": 4,
+//     "semantic_min_score": 0.35                                // similitud mínima para recordar
+//   }
+//
+// Los vectores se guardan normalizados (Float32) con el modelo que los generó: al cambiar de
+// modelo de embeddings los recuerdos anteriores se ignoran en la búsqueda hasta volver a indexarlos.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const Database = require("better-sqlite3");
+const gateway = require("./llm_gateway");
 
-function ok(v){ return v !== undefined && v !== null; }
+const DEFAULT_MIN_SCORE = 0.35;
+const MAX_TEXT_CHARS = 8000;
+
+const stores = new Map();
+
+function memoryDbPath(cfg = {}){
+  const memory = cfg.memory || {};
+  if (memory.vector_db) return path.isAbsolute(memory.vector_db) ? memory.vector_db : path.join(process.cwd(), memory.vector_db);
+  const historyDir = memory.path
+    ? path.join(process.cwd(), memory.path)
+    : path.join(process.cwd(), 'lexcode_instances', 'general', 'historial');
+  return path.join(historyDir, '_memory.sqlite');
+}
+
+function normalize(vector){
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return Float32Array.from(vector, v => v / norm);
+}
+
+function toBuffer(vector){
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+function fromBuffer(buffer){
+  return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+}
+
+function dot(a, b){
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function rowToItem(row, score){
+  const item = {
+    id: row.id,
+    chatId: row.chat_id || null,
+    kind: row.kind,
+    text: row.text,
+    metadata: row.metadata ? JSON.parse(row.metadata) : {},
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  if (score !== undefined) item.score = Math.round(score * 1000) / 1000;
+  return item;
+}
 
 class MemoryStore {
-  constructor({ apiKey, baseUrl, storeId }) {
-    this.apiKey = apiKey;
-    this.baseUrl = baseUrl || "https://api.openai.com/v1";
-    this.storeId = storeId; // vs_...
-    this.enabled = ok(apiKey) && ok(this.storeId);
+  constructor({ cfg = {}, dbPath, minScore = DEFAULT_MIN_SCORE }) {
+    this.cfg = cfg;
+    this.dbPath = dbPath;
+    this.minScore = minScore;
+    this.enabled = !!cfg.enable_longterm_memory;
+    this.db = null;
   }
 
   isEnabled(){ return !!this.enabled; }
 
-  headers() {
-    return { "Authorization": `Bearer ${this.apiKey}`, "Content-Type": "application/json" };
+  // La base se abre al primer uso: sin memoria de largo plazo no se crea el archivo
+  open(){
+    if (this.db) return this.db;
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS memories (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        chat_id TEXT,
+        kind TEXT NOT NULL DEFAULT 'memory',
+        text TEXT NOT NULL,
+        metadata TEXT,
+        embedding BLOB NOT NULL,
+        model TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_memories_user ON memories(user_id, chat_id);
+    `);
+    return this.db;
+  }
+
+  async embed(text){
+    const { embeddings, model } = await gateway.embed(this.cfg, text);
+    if (!embeddings || !embeddings[0]) throw new Error('El proveedor no devolvió embeddings');
+    return { vector: normalize(embeddings[0]), model: model || null };
   }
 
-  async upsert({ userId, sessionId, text, metadata }) {
+  /**
+   * Guarda un recuerdo (con id se reemplaza el anterior, p. ej. el resumen de un chat)
+   */
+  async upsert({ userId, sessionId = null, text, metadata = {}, id = null }) {
     if (!this.isEnabled()) return { ok:false, reason:"disabled" };
-    const doc = {
-      content: text,
-      metadata: { userId, sessionId, ...metadata }
-    };
-    await axios.post(`${this.baseUrl}/vector_stores/${this.storeId}/documents`, { documents: [doc] }, { headers: this.headers() });
-    return { ok:true };
+    const content = String(text || '').trim().slice(0, MAX_TEXT_CHARS);
+    if (!content) return { ok:false, reason:"empty" };
+
+    const { vector, model } = await this.embed(content);
+    const { kind = 'memory', ...rest } = metadata;
+    const now = new Date().toISOString();
+    const memoryId = id || crypto.randomUUID();
+    this.open().prepare(`
+      INSERT INTO memories (id, user_id, chat_id, kind, text, metadata, embedding, model, created_at, updated_at)
+      VALUES (@id, @userId, @chatId, @kind, @text, @metadata, @embedding, @model, @now, @now)
+      ON CONFLICT(id) DO UPDATE SET text = excluded.text, metadata = excluded.metadata,
+        embedding = excluded.embedding, model = excluded.model, updated_at = excluded.updated_at
+    `).run({
+      id: memoryId, userId, chatId: sessionId, kind, text: content,
+      metadata: JSON.stringify(rest), embedding: toBuffer(vector), model, now
+    });
+    return { ok:true, id: memoryId };
   }
 
-  async search({ userId, sessionId, query, topK=6, filter="user" }) {
+  /**
+   * Recuerdos más parecidos a la consulta (similitud coseno >= minScore)
+   * @param {object} params - { userId, sessionId, query, topK, filter: "user" | "session", minScore }
+   */
+  async search({ userId, sessionId, query, topK=6, filter="user", minScore = this.minScore }) {
     if (!this.isEnabled()) return { ok:false, reason:"disabled", items: [] };
-    const body = {
-      query,
-      top_k: topK,
-      filter: (filter === "session")
-        ? { userId, sessionId }
-        : { userId }
-    };
-    const { data } = await axios.post(`${this.baseUrl}/vector_stores/${this.storeId}/search`, body, { headers: this.headers() });
-    const items = (data?.results || []).map(r => ({
-      text: r.content || r.text || "",
-      score: r.score,
-      metadata: r.metadata || {}
-    }));
+    const rows = filter === "session"
+      ? this.open().prepare('SELECT * FROM memories WHERE user_id = ? AND chat_id = ?').all(userId, sessionId)
+      : this.open().prepare('SELECT * FROM memories WHERE user_id = ?').all(userId);
+    // Sin recuerdos no se gasta una llamada de embeddings
+    if (rows.length === 0 || !String(query || '').trim()) return { ok:true, items: [] };
+
+    const { vector, model } = await this.embed(String(query).slice(0, MAX_TEXT_CHARS));
+    const items = rows
+      .filter(row => (!model || !row.model || row.model === model) && row.embedding.byteLength === vector.byteLength)
+      .map(row => rowToItem(row, dot(vector, fromBuffer(row.embedding))))
+      .filter(item => item.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
     return { ok:true, items };
   }
+
+  /**
+   * Recuerdos de un usuario (todos o de un chat), más recientes primero
+   */
+  list({ userId, chatId = null }) {
+    const rows = chatId
+      ? this.open().prepare('SELECT * FROM memories WHERE user_id = ? AND chat_id = ? ORDER BY updated_at DESC').all(userId, chatId)
+      : this.open().prepare('SELECT * FROM memories WHERE user_id = ? ORDER BY updated_at DESC').all(userId);
+    return rows.map(row => rowToItem(row));
+  }
+
+  remove({ userId, id }) {
+    return this.open().prepare('DELETE FROM memories WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+  }
+
+  clear({ userId, chatId = null }) {
+    const statement = chatId
+      ? this.open().prepare('DELETE FROM memories WHERE user_id = ? AND chat_id = ?')
+      : this.open().prepare('DELETE FROM memories WHERE user_id = ?');
+    return (chatId ? statement.run(userId, chatId) : statement.run(userId)).changes;
+  }
 }
 
-function buildMemoryStore(cfg){
-  const apiKey = process.env.OPENAI_API_KEY;
-  const baseUrl = process.env.OPENAI_BASE_URL || cfg.api_base || "https://api.openai.com/v1";
-  const storeId = process.env.MEMORY_STORE_ID || (cfg.memory_store_id || (cfg.memory && cfg.memory.store_id));
-  return new MemoryStore({ apiKey, baseUrl, storeId });
+// Una instancia por base (una por instancia de bot); la configuración se actualiza en cada llamada
+function buildMemoryStore(cfg = {}){
+  const dbPath = memoryDbPath(cfg);
+  const minScore = (cfg.memory && cfg.memory.semantic_min_score) ?? DEFAULT_MIN_SCORE;
+  if (!stores.has(dbPath)) stores.set(dbPath, new MemoryStore({ cfg, dbPath, minScore }));
+  const store = stores.get(dbPath);
+  Object.assign(store, { cfg, minScore, enabled: !!cfg.enable_longterm_memory });
+  return store;
 }
 
-module.exports = { MemoryStore, buildMemoryStore };
+module.exports = { MemoryStore, buildMemoryStore, memoryDbPath };
@@ -0,0 +1,281 @@
+/**
+ * MODEL ROUTER - LEGITIMUS PRO
+ * ============================
+ *
+ * Enruta cada pregunta según la clasificación SIMPLE / COMPLEX de classifyIntent (llm.js):
+ *   - SIMPLE  → router_simple_model, o el modelo local (Ollama) si enable_local_llm y local_llm_for_responses
+ *   - COMPLEX → router_complex_model o el modelo principal de la instancia
+ *
+ * Configuración por instancia (config.json):
+ *   enable_model_router       {boolean} Aplica el enrutamiento
+ *   router_shadow_mode        {boolean} Clasifica y registra la decisión sin aplicarla
+ *   router_simple_model       {string}  Modelo para preguntas SIMPLE (por defecto gpt-4o-mini)
+ *   router_complex_model      {string}  Modelo para preguntas COMPLEX (por defecto el modelo principal)
+ *   router_max_simple_length  {number}  Preguntas más largas son COMPLEX sin clasificar (por defecto 300)
+ *   router_complex_on_attachments {boolean} Con adjuntos siempre COMPLEX (por defecto true)
+ *
+ * Cada decisión se registra en lexcode_instances/<instanceId>/router_log.jsonl con el costo real
+ * y el costo que habría tenido con el modelo COMPLEX (precios de pricing_config.js), para reportar ahorro.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { classifyIntent } = require('./llm');
+const { getLocalProviderConfig } = require('./local_llm');
+const { getModelPricing } = require('./pricing_config');
+
+const INSTANCES_DIR = path.join(process.cwd(), 'lexcode_instances');
+const LOG_FILENAME = 'router_log.jsonl';
+const DEFAULT_INSTANCE = 'general';
+
+const DEFAULT_SIMPLE_MODEL = 'gpt-4o-mini';
+const DEFAULT_MAX_SIMPLE_LENGTH = 300;
+
+/**
+ * Configuración del router de una instancia
+ * @param {Object} cfg - bot_config
+ * @param {string} mainModel - Modelo principal del api_mode (cfg.model en Responses, cfg.modelo en Chat/Assistants)
+ */
+function getRouterConfig(cfg = {}, mainModel = null) {
+    return {
+        enabled: cfg.enable_model_router === true,
+        shadow: cfg.router_shadow_mode === true,
+        simpleModel: cfg.router_simple_model || DEFAULT_SIMPLE_MODEL,
+        complexModel: cfg.router_complex_model || mainModel || cfg.modelo || 'gpt-4.1',
+        useLocal: cfg.enable_local_llm === true && cfg.local_llm_for_responses === true,
+        maxSimpleLength: cfg.router_max_simple_length || DEFAULT_MAX_SIMPLE_LENGTH,
+        complexOnAttachments: cfg.router_complex_on_attachments !== false
+    };
+}
+
+/**
+ * Decide el modelo para una pregunta
+ * @param {Object} cfg - bot_config
+ * @param {string} question - Pregunta del usuario (sin contexto)
+ * @param {Object} options - { attachments, mainModel, localAllowed, intent }
+ *   intent: intención del turno (intent_taxonomy.js); su complexity reemplaza a classifyIntent
+ * @returns {Promise<Object|null>} { classification, reason, target, model, applied, shadow } o null si el router está apagado
+ */
+async function routeQuestion(cfg, question, { attachments = [], mainModel = null, localAllowed = true, intent = null } = {}) {
+    const routerConfig = getRouterConfig(cfg, mainModel);
+    if (!routerConfig.enabled && !routerConfig.shadow) return null;
+
+    const text = String(question || '').trim();
+    let classification;
+    let reason;
+
+    // Umbrales de la instancia: evitan clasificar lo que siempre debe ir al modelo principal
+    if (routerConfig.complexOnAttachments && Array.isArray(attachments) && attachments.length > 0) {
+        classification = 'COMPLEX';
+        reason = 'attachments';
+    } else if (text.length > routerConfig.maxSimpleLength) {
+        classification = 'COMPLEX';
+        reason = 'length';
+    } else if (intent && intent.complexity) {
+        classification = intent.complexity;
+        reason = `intent:${intent.name}`;
+    } else {
+        try {
+            classification = await classifyIntent(cfg, text);
+            reason = 'classifier';
+        } catch (error) {
+            console.error('[Router] Error clasificando, se usa el modelo principal:', error.message);
+            classification = 'COMPLEX';
+            reason = 'classifier_error';
+        }
+    }
+
+    const local = classification === 'SIMPLE' && routerConfig.useLocal && localAllowed;
+    const decision = {
+        classification,
+        reason,
+        target: classification === 'SIMPLE' ? (local ? 'local' : 'simple') : 'complex',
+        model: classification === 'SIMPLE'
+            ? (local ? getLocalProviderConfig(cfg).model : routerConfig.simpleModel)
+            : routerConfig.complexModel,
+        complex_model: routerConfig.complexModel,
+        applied: routerConfig.enabled && !routerConfig.shadow,
+        shadow: routerConfig.shadow
+    };
+
+    if (decision.shadow) {
+        console.log(`[Router Shadow] ${classification} (${reason}) → habría usado ${decision.target}:${decision.model}; se usa ${routerConfig.complexModel}`);
+    } else {
+        console.log(`[Router] ${classification} (${reason}) → ${decision.target}:${decision.model}`);
+    }
+    return decision;
+}
+
+/**
+ * bot_config con el modelo elegido por el router (sin cambios si la decisión no se aplica)
+ */
+function applyRouting(cfg, decision) {
+    if (!decision || !decision.applied) return cfg;
+    const routed = { ...cfg, model: decision.model, modelo: decision.model };
+    if (decision.target === 'local') {
+        routed.llm_provider = getLocalProviderConfig(cfg);
+    }
+    return routed;
+}
+
+// ============================================================================
+// REGISTRO Y AHORRO
+// ============================================================================
+
+function getLogPath(instanceId = DEFAULT_INSTANCE) {
+    const safeId = String(instanceId || DEFAULT_INSTANCE).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(INSTANCES_DIR, safeId, LOG_FILENAME);
+}
+
+/**
+ * Costo USD de un uso de tokens con el precio de un modelo (null si el modelo no tiene precio)
+ */
+function costFor(pricingTarget, usage) {
+    const pricing = getModelPricing(pricingTarget);
+    if (!pricing || !usage) return null;
+    const input = usage.input_tokens || usage.prompt_tokens || 0;
+    const output = usage.output_tokens || usage.completion_tokens || 0;
+    return (input / 1_000_000) * pricing.input + (output / 1_000_000) * pricing.output;
+}
+
+/**
+ * Registra una decisión del router con su costo real y el de referencia (modelo COMPLEX)
+ * @param {Object} params - { instanceId, userId, chatId, decision, usage, backend }
+ */
+function recordRoutingDecision({ instanceId = DEFAULT_INSTANCE, userId = 'anon', chatId = 'default', decision, usage = null, backend = null }) {
+    if (!decision) return;
+
+    try {
+        // Costo real: backend que respondió (puede ser un fallback) o, sin él, el modelo que se usó
+        // (el del router si la decisión se aplicó, el COMPLEX en modo sombra); referencia: todo al modelo COMPLEX
+        const servedBy = decision.applied
+            ? (decision.target === 'local' ? { model: decision.model, local: true } : decision.model)
+            : decision.complex_model;
+        const actualCost = costFor(backend || servedBy, usage);
+        const baselineCost = costFor(decision.complex_model, usage);
+        // En modo sombra se estima lo que habría costado la decisión del router
+        const routedCost = decision.shadow
+            ? costFor(decision.target === 'local' ? { model: decision.model, local: true } : decision.model, usage)
+            : actualCost;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            userId,
+            chatId,
+            classification: decision.classification,
+            reason: decision.reason,
+            target: decision.target,
+            model: decision.model,
+            complex_model: decision.complex_model,
+            applied: decision.applied,
+            shadow: decision.shadow,
+            backend: backend ? backend.id : null,
+            tokens: usage ? (usage.total_tokens || 0) : 0,
+            actual_cost_usd: actualCost,
+            baseline_cost_usd: baselineCost,
+            routed_cost_usd: routedCost
+        };
+
+        const logPath = getLogPath(instanceId);
+        fs.mkdirSync(path.dirname(logPath), { recursive: true });
+        fs.appendFileSync(logPath, JSON.stringify(entry) + '\n', 'utf-8');
+    } catch (error) {
+        console.error('[Router] Error registrando decisión:', error.message);
+    }
+}
+
+function readLogEntries(instanceId, { from = null, to = null } = {}) {
+    const logPath = getLogPath(instanceId);
+    if (!fs.existsSync(logPath)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(logPath, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            const day = (entry.timestamp || '').slice(0, 10);
+            if (from && day < from) continue;
+            if (to && day > to) continue;
+            entries.push(entry);
+        } catch {
+            // Línea corrupta: ignorar
+        }
+    }
+    return entries;
+}
+
+function round6(value) {
+    return Number(value.toFixed(6));
+}
+
+/**
+ * Estadísticas de enrutamiento y ahorro de una instancia
+ * - savings_usd: ahorro real de las decisiones aplicadas frente a usar siempre el modelo COMPLEX
+ * - shadow_potential_savings_usd: ahorro que habría tenido el modo sombra
+ */
+function getRouterStats(instanceId = DEFAULT_INSTANCE, { from = null, to = null } = {}) {
+    const entries = readLogEntries(instanceId, { from, to });
+    const totals = {
+        decisions: entries.length,
+        simple: 0,
+        complex: 0,
+        local: 0,
+        applied: 0,
+        shadow: 0,
+        by_reason: {},
+        by_model: {},
+        actual_cost_usd: 0,
+        baseline_cost_usd: 0,
+        savings_usd: 0,
+        shadow_potential_savings_usd: 0
+    };
+
+    for (const entry of entries) {
+        if (entry.classification === 'SIMPLE') totals.simple++;
+        else totals.complex++;
+        if (entry.target === 'local') totals.local++;
+        if (entry.applied) totals.applied++;
+        if (entry.shadow) totals.shadow++;
+        totals.by_reason[entry.reason] = (totals.by_reason[entry.reason] || 0) + 1;
+        totals.by_model[entry.model] = (totals.by_model[entry.model] || 0) + 1;
+
+        if (entry.actual_cost_usd !== null && entry.baseline_cost_usd !== null) {
+            totals.actual_cost_usd += entry.actual_cost_usd;
+            totals.baseline_cost_usd += entry.baseline_cost_usd;
+            if (entry.applied) {
+                totals.savings_usd += entry.baseline_cost_usd - entry.actual_cost_usd;
+            }
+        }
+        if (entry.shadow && entry.routed_cost_usd !== null && entry.baseline_cost_usd !== null) {
+            totals.shadow_potential_savings_usd += entry.baseline_cost_usd - entry.routed_cost_usd;
+        }
+    }
+
+    for (const key of ['actual_cost_usd', 'baseline_cost_usd', 'savings_usd', 'shadow_potential_savings_usd']) {
+        totals[key] = round6(totals[key]);
+    }
+    totals.savings_rate = totals.baseline_cost_usd > 0
+        ? Number((totals.savings_usd / totals.baseline_cost_usd).toFixed(4))
+        : null;
+
+    return { instanceId, from, to, totals };
+}
+
+/**
+ * Instancias con registro del router
+ */
+function listRoutedInstances() {
+    if (!fs.existsSync(INSTANCES_DIR)) return [];
+    return fs.readdirSync(INSTANCES_DIR).filter(name =>
+        fs.existsSync(path.join(INSTANCES_DIR, name, LOG_FILENAME))
+    );
+}
+
+module.exports = {
+    getRouterConfig,
+    routeQuestion,
+    applyRouting,
+    recordRoutingDecision,
+    getRouterStats,
+    listRoutedInstances
+};
@@ -0,0 +1,118 @@
+// engine/model_router.test.js — Pruebas de la decisión del router de modelos y del registro de costos
+// Ejecutar con: node engine/model_router.test.js
+//
+// El registro (lexcode_instances/<id>/router_log.jsonl) se escribe en un directorio temporal.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-router-test-'));
+process.chdir(dir);
+
+const { routeQuestion, applyRouting, recordRoutingDecision, getRouterStats } = require('./model_router');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+// 1M tokens de entrada: gpt-4.1 cuesta 2.5 USD y gpt-4o-mini 0.15 USD
+const USAGE = { prompt_tokens: 1_000_000, completion_tokens: 0, total_tokens: 1_000_000 };
+const SIMPLE_INTENT = { name: 'definicion', complexity: 'SIMPLE' };
+
+const lastEntry = (instanceId) => {
+  const lines = fs.readFileSync(path.join(dir, 'lexcode_instances', instanceId, 'router_log.jsonl'), 'utf-8').trim().split('\n');
+  return JSON.parse(lines[lines.length - 1]);
+};
+
+(async () => {
+  try {
+    // ============ Decisión ============
+
+    await test('routeQuestion: apagado no decide', async () => {
+      assertEqual(await routeQuestion({}, '¿Qué es un contrato?'), null);
+    });
+
+    await test('routeQuestion: la intención SIMPLE elige el modelo simple y applyRouting lo aplica', async () => {
+      const cfg = { enable_model_router: true, modelo: 'gpt-4.1' };
+      const decision = await routeQuestion(cfg, '¿Qué es un contrato?', { intent: SIMPLE_INTENT });
+      assertEqual([decision.classification, decision.reason, decision.model, decision.applied], ['SIMPLE', 'intent:definicion', 'gpt-4o-mini', true]);
+      assertEqual(applyRouting(cfg, decision).modelo, 'gpt-4o-mini');
+    });
+
+    await test('routeQuestion: adjuntos y preguntas largas van al modelo COMPLEX', async () => {
+      const cfg = { enable_model_router: true, modelo: 'gpt-4.1', router_max_simple_length: 10 };
+      assertEqual((await routeQuestion(cfg, 'Hola', { attachments: ['a.pdf'], intent: SIMPLE_INTENT })).reason, 'attachments');
+      assertEqual((await routeQuestion(cfg, 'Una pregunta larga', { intent: SIMPLE_INTENT })).reason, 'length');
+    });
+
+    await test('routeQuestion: en modo sombra no se aplica', async () => {
+      const cfg = { router_shadow_mode: true, modelo: 'gpt-4.1' };
+      const decision = await routeQuestion(cfg, '¿Qué es un contrato?', { intent: SIMPLE_INTENT });
+      assertEqual([decision.model, decision.applied, decision.shadow], ['gpt-4o-mini', false, true]);
+      assertEqual(applyRouting(cfg, decision), cfg);
+    });
+
+    // ============ Registro y ahorro ============
+
+    await test('recordRoutingDecision: decisión aplicada cuesta lo del modelo simple', async () => {
+      const decision = await routeQuestion({ enable_model_router: true, modelo: 'gpt-4.1' }, 'Hola', { intent: SIMPLE_INTENT });
+      recordRoutingDecision({ instanceId: 'aplicada', decision, usage: USAGE });
+      const entry = lastEntry('aplicada');
+      assertEqual([entry.actual_cost_usd, entry.baseline_cost_usd, entry.routed_cost_usd], [0.15, 2.5, 0.15]);
+    });
+
+    await test('recordRoutingDecision: en modo sombra el costo real es el del modelo COMPLEX', async () => {
+      const decision = await routeQuestion({ router_shadow_mode: true, modelo: 'gpt-4.1' }, 'Hola', { intent: SIMPLE_INTENT });
+      recordRoutingDecision({ instanceId: 'sombra', decision, usage: USAGE });
+      const entry = lastEntry('sombra');
+      assertEqual([entry.actual_cost_usd, entry.baseline_cost_usd, entry.routed_cost_usd], [2.5, 2.5, 0.15]);
+
+      const { totals } = getRouterStats('sombra');
+      assertEqual([totals.savings_usd, totals.shadow_potential_savings_usd], [0, 2.35]);
+    });
+
+    await test('recordRoutingDecision: el backend que respondió manda sobre la decisión', async () => {
+      const decision = await routeQuestion({ enable_model_router: true, modelo: 'gpt-4.1' }, 'Hola', { intent: SIMPLE_INTENT });
+      recordRoutingDecision({ instanceId: 'fallback', decision, usage: USAGE, backend: { id: 'openai:gpt-4.1', model: 'gpt-4.1' } });
+      const entry = lastEntry('fallback');
+      assertEqual([entry.backend, entry.actual_cost_usd], ['openai:gpt-4.1', 2.5]);
+      assertEqual(getRouterStats('fallback').totals.savings_usd, 0);
+    });
+  } finally {
+    process.chdir(os.tmpdir());
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // ============ Resumen ============
+  console.log('\n' + '='.repeat(50));
+  console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+  console.log(`${RED}Fallidas: ${failed}${RESET}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,228 @@
+/**
+ * NORMATIVE BROWSER - LEGITIMUS PRO
+ * ==================================
+ *
+ * Navegación de una norma completa sobre normas.sqlite:
+ * - getNormaTableOfContents(clave): índice jerárquico (libros, títulos, párrafos, artículos)
+ *   armado a partir de rutacompleta ("Libro IV > Título XII > Párrafo 1").
+ * - getArticleRange(clave, desde, hasta): artículos consecutivos con su texto.
+ *
+ * El orden de los artículos es el del documento (metadatos_idparte), no el numérico,
+ * para respetar artículos bis, transitorios y finales. Cada nodo enlaza a LeyChile.
+ *
+ * @version 1.0.0
+ * @author LEGITIMUS PRO Development Team
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { toCanonicalCitation } = require('./citation_normalizer');
+
+const DB_PATH = path.join(__dirname, 'normative_db', 'normas.sqlite');
+const LEYCHILE_BASE_URL = 'https://www.bcn.cl/leychile/navegar';
+const MAX_RANGE = 100;
+
+// Separadores de niveles en rutacompleta
+const ESTRUCTURA_SEPARATOR = /\s*[>|»]\s*/;
+
+// Tipo de nodo según el encabezado del nivel
+const NODE_TYPES = [
+    { tipo: 'libro', regex: /^libro\b/i },
+    { tipo: 'titulo', regex: /^t[íi]tulo\b/i },
+    { tipo: 'capitulo', regex: /^cap[íi]tulo\b/i },
+    { tipo: 'parrafo', regex: /^(?:p[áa]rrafo|§)/i },
+    { tipo: 'seccion', regex: /^secci[óo]n\b/i }
+];
+
+let readDb = null;
+
+/**
+ * Conexión de solo lectura (lazy)
+ */
+function getReadDb() {
+    if (readDb) return readDb;
+    if (!fs.existsSync(DB_PATH)) return null;
+
+    try {
+        readDb = new Database(DB_PATH, { readonly: true });
+        return readDb;
+    } catch (error) {
+        console.error('[NormativeBrowser] Error abriendo BD:', error.message);
+        return null;
+    }
+}
+
+/**
+ * URL de LeyChile de una norma o de una parte de ella
+ * @param {string} idnorma - Identificador de la norma
+ * @param {string} idparte - Identificador de la parte (artículo); opcional
+ * @returns {string|null}
+ */
+function buildLeyChileUrl(idnorma, idparte = null) {
+    if (!idnorma) return null;
+    return idparte
+        ? `${LEYCHILE_BASE_URL}?idnorma=${idnorma}&idparte=${idparte}`
+        : `${LEYCHILE_BASE_URL}?idnorma=${idnorma}`;
+}
+
+function nodeType(label) {
+    const match = NODE_TYPES.find(t => t.regex.test(label));
+    return match ? match.tipo : 'seccion';
+}
+
+/**
+ * Versión aplicable de cada artículo de la norma, en orden del documento
+ */
+function loadArticles(db, clave, asOf, withText = false) {
+    return db.prepare(`
+        SELECT a.clave, a.numero_articulo, a.norma, a.norma_tipo, a.norma_idnorma, a.metadatos_idparte,
+               a.metadatos_fechaversion, a.nombreparte, a.url_norma_pdf, a.rutacompleta, a.clasificacion_norma
+               ${withText ? ', a.texto' : ''}
+        FROM articulos a
+        WHERE a.clave = ?
+          AND a.numero_articulo IS NOT NULL AND a.numero_articulo != ''
+          AND a.metadatos_fechaversion IS (
+              SELECT MAX(v.metadatos_fechaversion) FROM articulos v
+              WHERE v.clave = a.clave AND v.numero_articulo IS a.numero_articulo
+              ${asOf ? 'AND substr(v.metadatos_fechaversion, 1, 10) <= ?' : ''}
+          )
+        GROUP BY a.numero_articulo
+        ORDER BY CAST(a.metadatos_idparte AS INTEGER), CAST(a.numero_articulo AS INTEGER), a.numero_articulo
+    `).all(...(asOf ? [clave, asOf] : [clave]));
+}
+
+function toArticleNode(row) {
+    return {
+        tipo: 'articulo',
+        cita: row.numero_articulo ? toCanonicalCitation(row.clave, row.numero_articulo) : null,
+        articulo: row.numero_articulo,
+        nombre: row.nombreparte,
+        idparte: row.metadatos_idparte,
+        fecha_version: row.metadatos_fechaversion,
+        url: buildLeyChileUrl(row.norma_idnorma, row.metadatos_idparte) || row.url_norma_pdf || null
+    };
+}
+
+function describeNorma(clave, first) {
+    return {
+        clave,
+        norma: first.norma,
+        norma_tipo: first.norma_tipo,
+        idnorma: first.norma_idnorma,
+        vigencia: first.clasificacion_norma,
+        url: buildLeyChileUrl(first.norma_idnorma)
+    };
+}
+
+/**
+ * Índice jerárquico de una norma
+ * @param {string} clave - Clave de la norma (CCCH, L19628, DL3500.1980)
+ * @param {Object} options - { asOf: versión vigente a esa fecha }
+ * @returns {Object|null} { clave, norma, url, total_articulos, estructura: [nodos] } o null si no existe
+ */
+function getNormaTableOfContents(clave, { asOf = null } = {}) {
+    const db = getReadDb();
+    if (!db) return null;
+
+    const rows = loadArticles(db, clave, asOf);
+    if (rows.length === 0) return null;
+
+    const root = { hijos: [], index: new Map() };
+    for (const row of rows) {
+        const levels = String(row.rutacompleta || '').split(ESTRUCTURA_SEPARATOR).filter(Boolean);
+
+        let parent = root;
+        for (const label of levels) {
+            let node = parent.index.get(label);
+            if (!node) {
+                node = {
+                    tipo: nodeType(label),
+                    nombre: label,
+                    url: buildLeyChileUrl(row.norma_idnorma),
+                    articulos: 0,
+                    hijos: [],
+                    index: new Map()
+                };
+                parent.index.set(label, node);
+                parent.hijos.push(node);
+            }
+            node.articulos++;
+            parent = node;
+        }
+        parent.hijos.push(toArticleNode(row));
+    }
+
+    const strip = (node) => {
+        if (!node.index) return node;
+        const { index, ...rest } = node;
+        return { ...rest, hijos: rest.hijos.map(strip) };
+    };
+
+    return {
+        ...describeNorma(clave, rows[0]),
+        as_of: asOf,
+        total_articulos: rows.length,
+        estructura: root.hijos.map(strip)
+    };
+}
+
+/**
+ * Rango de artículos consecutivos (en orden del documento) con su texto
+ * @param {string} clave - Clave de la norma
+ * @param {string} desde - Artículo inicial (incluido)
+ * @param {string} hasta - Artículo final (incluido); por defecto el mismo que desde
+ * @param {Object} options - { asOf, limit }
+ * @returns {Object} { found, reason?, ...norma, articulos }
+ */
+function getArticleRange(clave, desde, hasta = null, { asOf = null, limit = MAX_RANGE } = {}) {
+    const db = getReadDb();
+    if (!db) return { found: false, reason: 'database_unavailable' };
+
+    const rows = loadArticles(db, clave, asOf, true);
+    if (rows.length === 0) return { found: false, reason: 'norma_not_found' };
+
+    const start = rows.findIndex(r => r.numero_articulo === desde);
+    const end = rows.findIndex(r => r.numero_articulo === (hasta || desde));
+    if (start === -1 || end === -1) {
+        return { found: false, reason: 'article_not_found', articulo: start === -1 ? desde : hasta };
+    }
+    if (end < start) {
+        return { found: false, reason: 'invalid_range' };
+    }
+
+    const max = Math.min(Math.max(parseInt(limit, 10) || MAX_RANGE, 1), MAX_RANGE);
+    const slice = rows.slice(start, end + 1);
+
+    return {
+        found: true,
+        ...describeNorma(clave, rows[0]),
+        as_of: asOf,
+        desde,
+        hasta: hasta || desde,
+        total: slice.length,
+        truncado: slice.length > max,
+        articulos: slice.slice(0, max).map(row => ({
+            ...toArticleNode(row),
+            estructura: row.rutacompleta,
+            texto: row.texto
+        }))
+    };
+}
+
+/**
+ * Cierra la conexión de lectura
+ */
+function close() {
+    if (readDb) {
+        readDb.close();
+        readDb = null;
+    }
+}
+
+module.exports = {
+    buildLeyChileUrl,
+    getNormaTableOfContents,
+    getArticleRange,
+    close
+};
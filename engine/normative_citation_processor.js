@@ -13,6 +13,11 @@
  *    - anexo_modelo: Para que LEGITIMUS verifique y confirme/corrija
  *    - anexo_usuario: Para mostrar al cliente en el frontend
  * 
+ * VERSIONES HISTÓRICAS:
+ * - Un mismo artículo puede tener varias filas en la BD, una por metadatos_fechaversion
+ * - Sin fecha de consulta se usa la versión más reciente
+ * - Con asOf (YYYY-MM-DD) se usa la última versión publicada hasta esa fecha
+ * 
  * FORMATO DE CITAS QUE DETECTA:
  * - CCCH.Art1545 → Código Civil, Artículo 1545
  * - CPCH.Art391 → Código Penal, Artículo 391
@@ -29,6 +34,10 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { buildVersionDiff } = require('./normative_diff');
+const { codeExists } = require('./normative_code_manager');
+const { extractProseCitations } = require('./citation_normalizer');
+const { getArticleReferences } = require('./normative_references');
 
 // Rutas
 const DB_PATH = path.join(__dirname, 'normative_db', 'normas.sqlite');
@@ -103,6 +112,30 @@ const CITATION_PATTERNS = [
 
 ];
 
+/**
+ * Normaliza una fecha de consulta ("as of") al formato YYYY-MM-DD
+ * @param {string|Date} value - Fecha a normalizar
+ * @returns {string|null} Fecha normalizada o null si no es válida
+ */
+function normalizeAsOfDate(value) {
+    if (!value) return null;
+    
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+    
+    const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    
+    // Rechazar fechas inexistentes (ej: 2019-02-30)
+    const date = new Date(`${match[1]}-${match[2]}-${match[3]}T00:00:00Z`);
+    if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== match[0]) {
+        return null;
+    }
+    
+    return match[0];
+}
+
 /**
  * Clase principal para procesar citas normativas
  */
@@ -144,18 +177,43 @@ class NormativeCitationProcessor {
 
     /**
      * Extrae todas las citas normativas de un texto
+     * Reconoce la notación CLAVE.ArtN y las citas en lenguaje natural
+     * ("artículo 1545 del Código Civil", "DL 3.500 art. 17") vía citation_normalizer
+     * @param {string} text - Texto a analizar
+     * @param {string} source - Origen de las citas ('answer' | 'question')
      */
-    extractCitations(text) {
+    extractCitations(text, source = 'answer') {
         if (!text || typeof text !== 'string') return [];
         
         const citations = [];
         const seen = new Set();
         
+        // Citas en lenguaje natural: se registran sus tramos para no reinterpretarlos con CITATION_PATTERNS
+        const proseCitations = extractProseCitations(text);
+        const proseSpans = proseCitations.map(c => [c.index, c.end]);
+        for (const prose of proseCitations) {
+            const key = `${prose.clave}|${prose.articulo}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                citations.push({
+                    clave: prose.clave,
+                    articulo: prose.articulo,
+                    raw: prose.raw,
+                    source: source,
+                    normalized: true
+                });
+            }
+        }
+        
         for (const pattern of CITATION_PATTERNS) {
             pattern.lastIndex = 0;
             
             let match;
             while ((match = pattern.exec(text)) !== null) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (proseSpans.some(([s, e]) => start < e && end > s)) continue;
+                
                 const clave = match[1].toUpperCase();
                 const articulo = match[2].toLowerCase().replace(/\s+/g, ' ').trim();
                 const key = `${clave}|${articulo}`;
@@ -165,7 +223,8 @@ class NormativeCitationProcessor {
                     citations.push({
                         clave: clave,
                         articulo: articulo,
-                        raw: match[0]
+                        raw: match[0],
+                        source: source
                     });
                 }
             }
@@ -177,16 +236,68 @@ class NormativeCitationProcessor {
         return citations;
     }
 
+    /**
+     * Lista las versiones disponibles de un artículo (más reciente primero)
+     * @param {string} clave - Clave de la norma (ya resuelta)
+     * @param {string} articulo - Número de artículo
+     * @returns {Array} [{ fecha_version, idparte }]
+     */
+    listArticleVersions(clave, articulo) {
+        if (!this.initialize()) return [];
+        
+        try {
+            const stmt = this.db.prepare(`
+                SELECT DISTINCT metadatos_fechaversion AS fecha_version, metadatos_idparte AS idparte
+                FROM articulos
+                WHERE clave = ? AND (numero_articulo = ? OR nombreparte_normalizado = ?)
+                ORDER BY metadatos_fechaversion DESC
+            `);
+            return stmt.all(clave, articulo, `articulo ${articulo}`);
+        } catch (error) {
+            console.error('[NormativeCitationProcessor] Error listando versiones:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Verifica si una clave de norma existe en la BD (en cualquier artículo)
+     * Para DL sin año acepta cualquier variante con año (DL824 → DL824.1974)
+     * @param {string} clave - Clave de la norma
+     * @returns {boolean}
+     */
+    claveExistsInDb(clave) {
+        if (!this.initialize()) return false;
+        
+        try {
+            const stmt = this.db.prepare('SELECT 1 FROM articulos WHERE clave = ? OR clave LIKE ? LIMIT 1');
+            return !!stmt.get(clave, `${clave}.%`);
+        } catch (error) {
+            console.error('[NormativeCitationProcessor] Error verificando clave:', error.message);
+            return false;
+        }
+    }
+
     /**
      * Busca un artículo en la BD con TODOS los campos disponibles
-     * Incluye BÚSQUEDA INTELIGENTE para DL (Decretos Ley):
-     * - Si no encuentra DL824, busca DL824% (cualquier variante con año)
+     * Incluye BÚSQUEDA INTELIGENTE para DL, DFL y D (decretos citados sin año):
+     * - Si no encuentra DL824, busca DL824.% (cualquier variante con año)
      * - Si encuentra exactamente 1 resultado, lo usa
      * - Si encuentra 0 o más de 1, no resuelve
+     * 
+     * Resolución por fecha (options.asOf):
+     * - Sin asOf se devuelve la versión más reciente del artículo
+     * - Con asOf se devuelve la última versión con metadatos_fechaversion <= asOf
+     * - Las filas sin fecha de versión se usan solo si no hay otra candidata
+     * 
+     * @param {string} clave - Clave de la norma (ej: CCCH)
+     * @param {string} articulo - Número de artículo (ej: 1545)
+     * @param {Object} options - { asOf: 'YYYY-MM-DD' }
      */
-    findArticleComplete(clave, articulo) {
+    findArticleComplete(clave, articulo, options = {}) {
         if (!this.initialize()) return null;
         
+        const asOf = normalizeAsOfDate(options.asOf);
+        
         try {
             // Consulta con todos los campos relevantes
             const baseQuery = `
@@ -208,17 +319,25 @@ class NormativeCitationProcessor {
                 FROM articulos 
             `;
             
+            // Filtro de versión: con asOf solo versiones publicadas hasta esa fecha
+            // (SQLite ordena NULL al final en DESC, por lo que las filas sin fecha quedan como último recurso)
+            const versionFilter = asOf
+                ? ' AND (metadatos_fechaversion IS NULL OR substr(metadatos_fechaversion, 1, 10) <= ?)'
+                : '';
+            const versionParams = asOf ? [asOf] : [];
+            const versionOrder = ' ORDER BY metadatos_fechaversion DESC LIMIT 1';
+            
             // Función auxiliar para ejecutar búsqueda
             const searchWithClave = (searchClave) => {
                 // Búsqueda exacta por clave + numero_articulo
-                let stmt = this.db.prepare(baseQuery + 'WHERE clave = ? AND numero_articulo = ? LIMIT 1');
-                let result = stmt.get(searchClave, articulo);
+                let stmt = this.db.prepare(baseQuery + 'WHERE clave = ? AND numero_articulo = ?' + versionFilter + versionOrder);
+                let result = stmt.get(searchClave, articulo, ...versionParams);
                 
                 // Fallback: buscar por nombreparte_normalizado
                 if (!result) {
                     const nombreparteNormalizado = `articulo ${articulo}`;
-                    stmt = this.db.prepare(baseQuery + 'WHERE clave = ? AND nombreparte_normalizado = ? LIMIT 1');
-                    result = stmt.get(searchClave, nombreparteNormalizado);
+                    stmt = this.db.prepare(baseQuery + 'WHERE clave = ? AND nombreparte_normalizado = ?' + versionFilter + versionOrder);
+                    result = stmt.get(searchClave, nombreparteNormalizado, ...versionParams);
                 }
                 
                 // Fallback: buscar con LIKE
@@ -229,13 +348,13 @@ class NormativeCitationProcessor {
                             nombreparte LIKE ? OR
                             nombreparte_normalizado LIKE ?
                         )
-                        LIMIT 1
-                    `);
+                    ` + versionFilter + versionOrder);
                     result = stmt.get(
                         searchClave, 
                         `%articulo ${articulo}%`,
                         `%art. ${articulo}%`,
-                        `%articulo ${articulo}%`
+                        `%articulo ${articulo}%`,
+                        ...versionParams
                     );
                 }
                 
@@ -245,12 +364,12 @@ class NormativeCitationProcessor {
             // Primero: búsqueda exacta con la clave original
             let result = searchWithClave(clave);
             
-            // BÚSQUEDA INTELIGENTE PARA DL (Decretos Ley)
-            // Si no encuentra y la clave empieza con "DL" seguido de número (sin año)
-            if (!result && /^DL\d+$/i.test(clave)) {
+            // BÚSQUEDA INTELIGENTE PARA DL, DFL y D (decretos sin año)
+            // Si no encuentra y la clave es "DL", "DFL" o "D" seguido de número (sin año)
+            if (!result && /^(?:DL|DFL|D)\d+$/i.test(clave)) {
                 console.log(`[NormativeCitationProcessor] 🔍 Búsqueda inteligente para ${clave}...`);
                 
-                // Buscar todas las claves que empiecen con DL + número
+                // Buscar todas las variantes con año (CLAVE.AAAA); el punto evita que D14 coincida con D140
                 const wildcardQuery = `
                     SELECT DISTINCT clave 
                     FROM articulos 
@@ -258,7 +377,7 @@ class NormativeCitationProcessor {
                     AND numero_articulo = ?
                 `;
                 const stmt = this.db.prepare(wildcardQuery);
-                const matches = stmt.all(clave + '%', articulo);
+                const matches = stmt.all(clave + '.%', articulo);
                 
                 if (matches.length === 1) {
                     // Encontró exactamente 1 variante → usarla
@@ -266,13 +385,19 @@ class NormativeCitationProcessor {
                     console.log(`[NormativeCitationProcessor] 🔍 Encontrada variante única: ${foundClave}`);
                     result = searchWithClave(foundClave);
                 } else if (matches.length > 1) {
-                    // Múltiples variantes → ambigüedad, no resolver
+                    // Múltiples variantes → ambigüedad, no resolver (se informa en la auditoría de citas)
                     console.log(`[NormativeCitationProcessor] ⚠️ Múltiples variantes encontradas para ${clave}: ${matches.map(m => m.clave).join(', ')}`);
+                    return {
+                        found: false,
+                        reason: 'ambiguous',
+                        clave: clave,
+                        candidates: matches.map(m => m.clave)
+                    };
                 } else {
                     // También intentar sin el artículo específico para ver qué claves existen
                     const checkQuery = `SELECT DISTINCT clave FROM articulos WHERE clave LIKE ? LIMIT 5`;
                     const checkStmt = this.db.prepare(checkQuery);
-                    const existingClaves = checkStmt.all(clave + '%');
+                    const existingClaves = checkStmt.all(clave + '.%');
                     if (existingClaves.length > 0) {
                         console.log(`[NormativeCitationProcessor] 🔍 Claves similares en BD: ${existingClaves.map(m => m.clave).join(', ')}`);
                     }
@@ -280,7 +405,12 @@ class NormativeCitationProcessor {
             }
             
             if (result) {
-                console.log(`[NormativeCitationProcessor] ✅ Encontrado: ${clave}.Art${articulo} → ${result.clave}`);
+                console.log(`[NormativeCitationProcessor] ✅ Encontrado: ${clave}.Art${articulo} → ${result.clave}${asOf ? ` (vigente al ${asOf}: versión ${result.metadatos_fechaversion || 'sin fecha'})` : ''}`);
+                
+                // Información de versiones para marcar la versión aplicada
+                const versions = this.listArticleVersions(result.clave, articulo);
+                const fechaVersionActual = versions.length > 0 ? versions[0].fecha_version : result.metadatos_fechaversion;
+                
                 return {
                     found: true,
                     clave: result.clave,
@@ -296,11 +426,15 @@ class NormativeCitationProcessor {
                     materias: result.materias,
                     bloque_juridico: result.bloque_juridico,
                     idnorma: result.norma_idnorma,
-                    idparte: result.metadatos_idparte
+                    idparte: result.metadatos_idparte,
+                    as_of: asOf,
+                    versiones_disponibles: Math.max(versions.length, 1),
+                    fecha_version_actual: fechaVersionActual || null,
+                    es_version_actual: (result.metadatos_fechaversion || null) === (fechaVersionActual || null)
                 };
             }
             
-            console.log(`[NormativeCitationProcessor] ❌ No encontrado: ${clave}.Art${articulo}`);
+            console.log(`[NormativeCitationProcessor] ❌ No encontrado: ${clave}.Art${articulo}${asOf ? ` (vigente al ${asOf})` : ''}`);
             return null;
             
         } catch (error) {
@@ -311,54 +445,181 @@ class NormativeCitationProcessor {
 
     /**
      * Procesa un mensaje completo y retorna las citas resueltas con datos completos
+     * @param {string} message - Texto a procesar
+     * @param {Object} options - {
+     *   asOf: 'YYYY-MM-DD' para resolver la versión vigente a esa fecha,
+     *   question: pregunta del usuario, cuyas citas también se anexan (source: 'question'),
+     *   expandReferences: anexar un salto de referencias cruzadas de cada artículo citado (source: 'reference'),
+     *   maxReferencesPerArticle: máximo de artículos referidos a anexar por cada cita (por defecto 5)
+     * }
+     * La auditoría de citas considera solo las citas de la respuesta (las del usuario no son alucinaciones del modelo).
      */
-    processMessage(message) {
-        const citations = this.extractCitations(message);
+    processMessage(message, options = {}) {
+        const asOf = normalizeAsOfDate(options.asOf);
+        const citations = this.extractCitations(message, 'answer');
+        if (options.question) {
+            const seen = new Set(citations.map(c => `${c.clave}|${c.articulo}`));
+            for (const citation of this.extractCitations(options.question, 'question')) {
+                if (!seen.has(`${citation.clave}|${citation.articulo}`)) {
+                    citations.push(citation);
+                }
+            }
+        }
         const resolved = [];
         const unresolved = [];
+        const audit = {
+            resolved: [],
+            unresolved: [],
+            unknown_clave: [],
+            ambiguous: []
+        };
         
         for (const citation of citations) {
-            const result = this.findArticleComplete(citation.clave, citation.articulo);
+            const result = this.findArticleComplete(citation.clave, citation.articulo, { asOf });
             
             if (result && result.found) {
-                resolved.push({
-                    code: citation.clave,
-                    article: citation.articulo,
-                    raw: citation.raw,
-                    // Datos completos para el anexo
-                    norma: result.norma,
-                    norma_tipo: result.norma_tipo,
-                    norma_organismo: result.norma_organismo,
-                    nombreparte: result.nombreparte,
-                    url: result.url,
-                    texto: result.texto,
-                    vigencia: result.vigencia,
-                    fecha_version: result.fecha_version,
-                    estructura: result.estructura,
-                    materias: result.materias,
-                    bloque_juridico: result.bloque_juridico,
-                    idnorma: result.idnorma,
-                    idparte: result.idparte
-                });
+                resolved.push(this.buildResolvedCitation(citation, result, asOf));
+                if (citation.source === 'answer') {
+                    audit.resolved.push({
+                        cita: `${citation.clave}.Art${citation.articulo}`,
+                        clave_resuelta: result.clave,
+                        fecha_version: result.fecha_version || null
+                    });
+                }
             } else {
+                const status = this.classifyUnresolved(citation.clave, result);
                 unresolved.push({
                     code: citation.clave,
                     article: citation.articulo,
-                    raw: citation.raw
+                    raw: citation.raw,
+                    source: citation.source,
+                    as_of: asOf,
+                    status: status
                 });
+                
+                if (citation.source === 'answer') {
+                    const entry = { cita: `${citation.clave}.Art${citation.articulo}` };
+                    if (status === 'ambiguous') {
+                        entry.candidatos = result.candidates;
+                    }
+                    audit[status].push(entry);
+                }
             }
         }
         
-        console.log(`[NormativeCitationProcessor] Resultado: ${resolved.length} resueltas, ${unresolved.length} no resueltas`);
+        console.log(`[NormativeCitationProcessor] Resultado: ${resolved.length} resueltas, ${unresolved.length} no resueltas (${audit.unknown_clave.length} clave desconocida, ${audit.ambiguous.length} ambiguas)`);
+        
+        if (options.expandReferences && resolved.length > 0) {
+            this.expandReferences(resolved, asOf, options.maxReferencesPerArticle || 5);
+        }
         
+        const answerTotal = citations.filter(c => c.source === 'answer').length;
         return {
+            asOf: asOf,
             total: citations.length,
             resolved: resolved,
             unresolved: unresolved,
-            hasResults: resolved.length > 0
+            hasResults: resolved.length > 0,
+            audit: summarizeCitationAudit(audit, answerTotal, asOf)
+        };
+    }
+
+    /**
+     * Arma la entrada de una cita resuelta con los datos completos para el anexo
+     * @param {Object} citation - Cita extraída { clave, articulo, raw, source, referenced_from }
+     * @param {Object} result - Resultado de findArticleComplete
+     * @param {string|null} asOf - Fecha de consulta
+     */
+    buildResolvedCitation(citation, result, asOf) {
+        // Si la versión aplicada no es la actual, obtener el texto actual para el diff del anexo
+        let textoActual = null;
+        if (asOf && !result.es_version_actual) {
+            const actual = this.findArticleComplete(result.clave, citation.articulo);
+            textoActual = actual && actual.found ? actual.texto : null;
+        }
+        
+        return {
+            code: citation.clave,
+            article: citation.articulo,
+            raw: citation.raw,
+            source: citation.source,
+            referenced_from: citation.referenced_from || null,
+            clave_resuelta: result.clave,
+            // Datos completos para el anexo
+            norma: result.norma,
+            norma_tipo: result.norma_tipo,
+            norma_organismo: result.norma_organismo,
+            nombreparte: result.nombreparte,
+            url: result.url,
+            texto: result.texto,
+            vigencia: result.vigencia,
+            fecha_version: result.fecha_version,
+            estructura: result.estructura,
+            materias: result.materias,
+            bloque_juridico: result.bloque_juridico,
+            idnorma: result.idnorma,
+            idparte: result.idparte,
+            // Versión efectivamente aplicada
+            as_of: result.as_of,
+            versiones_disponibles: result.versiones_disponibles,
+            fecha_version_actual: result.fecha_version_actual,
+            es_version_actual: result.es_version_actual,
+            texto_actual: textoActual
         };
     }
 
+    /**
+     * Expande un salto de referencias cruzadas: anexa los artículos que los artículos citados
+     * mencionan (tabla referencias_articulos, ver normative_references.js)
+     * @param {Array} resolved - Citas resueltas (se agregan las referidas al final)
+     * @param {string|null} asOf - Fecha de consulta
+     * @param {number} maxPerArticle - Máximo de referencias a anexar por artículo citado
+     */
+    expandReferences(resolved, asOf, maxPerArticle = 5) {
+        const seen = new Set(resolved.map(c => `${c.clave_resuelta}|${c.article}`));
+        const citedCount = resolved.length;
+        
+        for (let i = 0; i < citedCount; i++) {
+            const origin = resolved[i];
+            const { referencias } = getArticleReferences(origin.clave_resuelta, origin.article, { asOf });
+            let added = 0;
+            
+            for (const ref of referencias) {
+                if (added >= maxPerArticle) break;
+                if (ref.en_bd === false || seen.has(`${ref.clave}|${ref.articulo}`)) continue;
+                
+                const result = this.findArticleComplete(ref.clave, ref.articulo, { asOf });
+                if (!result || !result.found) continue;
+                
+                seen.add(`${result.clave}|${ref.articulo}`);
+                resolved.push(this.buildResolvedCitation({
+                    clave: ref.clave,
+                    articulo: ref.articulo,
+                    raw: ref.texto_referencia,
+                    source: 'reference',
+                    referenced_from: `${origin.code}.Art${origin.article}`
+                }, result, asOf));
+                added++;
+            }
+        }
+    }
+
+    /**
+     * Clasifica una cita no resuelta para la auditoría:
+     * - ambiguous: la búsqueda de DL encontró varias variantes
+     * - unknown_clave: la clave no está en normative_codes_db.json ni en la BD (posible alucinación)
+     * - unresolved: la clave existe pero el artículo no
+     */
+    classifyUnresolved(clave, result) {
+        if (result && result.reason === 'ambiguous') {
+            return 'ambiguous';
+        }
+        if (codeExists(clave) || this.claveExistsInDb(clave)) {
+            return 'unresolved';
+        }
+        return 'unknown_clave';
+    }
+
     /**
      * Cierra la conexión a la base de datos
      */
@@ -374,6 +635,31 @@ class NormativeCitationProcessor {
 // Instancia singleton
 const processor = new NormativeCitationProcessor();
 
+/**
+ * Arma el reporte de auditoría de citas de una respuesta
+ * @param {Object} audit - Citas agrupadas por estado { resolved, unresolved, unknown_clave, ambiguous }
+ * @param {number} total - Total de citas extraídas
+ * @param {string|null} asOf - Fecha de consulta aplicada
+ * @returns {Object} Auditoría con conteos y tasas
+ */
+function summarizeCitationAudit(audit, total, asOf = null) {
+    const counts = {
+        total: total,
+        resolved: audit.resolved.length,
+        unresolved: audit.unresolved.length,
+        unknown_clave: audit.unknown_clave.length,
+        ambiguous: audit.ambiguous.length
+    };
+    
+    return {
+        as_of: asOf,
+        counts: counts,
+        resolution_rate: total > 0 ? Number((counts.resolved / total).toFixed(4)) : null,
+        hallucination_rate: total > 0 ? Number((counts.unknown_clave / total).toFixed(4)) : null,
+        citations: audit
+    };
+}
+
 /**
  * Genera el Anexo Normativo para el MODELO (completo con instrucciones)
  * @param {Array} resolvedCitations - Citas resueltas con datos completos
@@ -394,6 +680,11 @@ function generateAnexoModelo(resolvedCitations) {
     
     anexo += '=== ANEXO NORMATIVO PARA VERIFICACIÓN ===\n\n';
     
+    const asOf = resolvedCitations.find(c => c.as_of)?.as_of;
+    if (asOf) {
+        anexo += `FECHA_DE_CONSULTA: ${asOf} (textos en su versión vigente a esa fecha)\n\n`;
+    }
+    
     for (const citation of resolvedCitations) {
         anexo += `--- ARTÍCULO CITADO ---\n`;
         anexo += `CLAVE: ${citation.code}.Art${citation.article}\n`;
@@ -401,6 +692,9 @@ function generateAnexoModelo(resolvedCitations) {
         anexo += `TIPO: ${citation.norma_tipo || 'N/A'}\n`;
         anexo += `ARTÍCULO: ${citation.nombreparte || 'N/A'}\n`;
         anexo += `URL_LEYCHILE: ${citation.url || 'N/A'}\n`;
+        if (citation.referenced_from) {
+            anexo += `REFERIDO_POR: ${citation.referenced_from} (artículo del que depende la norma citada)\n`;
+        }
         
         if (citation.vigencia) {
             anexo += `VIGENCIA: ${citation.vigencia}\n`;
@@ -408,6 +702,12 @@ function generateAnexoModelo(resolvedCitations) {
         if (citation.fecha_version) {
             anexo += `FECHA_VERSION: ${citation.fecha_version}\n`;
         }
+        if (citation.as_of) {
+            anexo += `VERSION_APLICADA: ${citation.fecha_version || 'sin fecha'} (vigente al ${citation.as_of})\n`;
+            if (!citation.es_version_actual && citation.fecha_version_actual) {
+                anexo += `VERSION_ACTUAL: ${citation.fecha_version_actual} (el texto fue modificado con posterioridad a la fecha de consulta)\n`;
+            }
+        }
         if (citation.estructura) {
             anexo += `UBICACIÓN: ${citation.estructura}\n`;
         }
@@ -423,7 +723,8 @@ function generateAnexoModelo(resolvedCitations) {
         
         // Texto literal del artículo (lo más importante)
         if (citation.texto) {
-            anexo += `\nTEXTO_LITERAL_VIGENTE:\n"${citation.texto}"\n`;
+            const etiqueta = citation.as_of ? `TEXTO_LITERAL_VIGENTE_AL_${citation.as_of}` : 'TEXTO_LITERAL_VIGENTE';
+            anexo += `\n${etiqueta}:\n"${citation.texto}"\n`;
         }
         
         anexo += '\n';
@@ -454,9 +755,35 @@ function generateAnexoUsuario(resolvedCitations) {
             clave: `${citation.code}.Art${citation.article}`,
             norma: citation.norma || 'Norma',
             articulo: citation.nombreparte || `Artículo ${citation.article}`,
-            url: citation.url
+            url: citation.url,
+            fecha_version: citation.fecha_version || null,
+            origen: citation.source === 'question' ? 'pregunta' : (citation.source === 'reference' ? 'referencia' : 'respuesta')
         };
         
+        if (citation.referenced_from) {
+            item.referido_por = citation.referenced_from;
+        }
+        
+        // Marcar la versión aplicada cuando se consultó a una fecha determinada
+        if (citation.as_of) {
+            item.as_of = citation.as_of;
+            item.es_version_actual = !!citation.es_version_actual;
+            item.fecha_version_actual = citation.fecha_version_actual || null;
+            
+            // Diff palabra a palabra entre la versión aplicada y la actual
+            if (!citation.es_version_actual && citation.texto_actual) {
+                const diff = buildVersionDiff({
+                    textoAnterior: citation.texto,
+                    textoActual: citation.texto_actual,
+                    fechaAnterior: citation.fecha_version || null,
+                    fechaActual: citation.fecha_version_actual || null
+                });
+                if (diff) {
+                    item.diff = diff;
+                }
+            }
+        }
+        
         // Agregar texto si está configurado para usuario
         const textoConfig = camposUsuario.find(c => c.nombre === 'texto');
         if (textoConfig && citation.texto) {
@@ -486,10 +813,11 @@ function generateDualAnnex(resolvedCitations) {
 /**
  * Función principal de procesamiento con generación dual de anexos
  * @param {string} message - Mensaje a procesar
+ * @param {Object} options - { asOf: 'YYYY-MM-DD', question } versión vigente a esa fecha y pregunta del usuario a anexar
  * @returns {Object} Resultado del procesamiento con ambos anexos
  */
-function processMessageWithDualAnnex(message) {
-    const result = processor.processMessage(message);
+function processMessageWithDualAnnex(message, options = {}) {
+    const result = processor.processMessage(message, options);
     
     if (result.hasResults) {
         const { anexoModelo, anexoUsuario } = generateDualAnnex(result.resolved);
@@ -503,8 +831,19 @@ function processMessageWithDualAnnex(message) {
 /**
  * Función de procesamiento simple (compatibilidad hacia atrás)
  */
-function processMessage(message) {
-    return processor.processMessage(message);
+function processMessage(message, options = {}) {
+    return processor.processMessage(message, options);
+}
+
+/**
+ * Busca un artículo (con búsqueda inteligente de DL y resolución por fecha)
+ * @param {string} clave - Clave de la norma
+ * @param {string} articulo - Número de artículo
+ * @param {Object} options - { asOf: 'YYYY-MM-DD' }
+ * @returns {Object|null} Resultado de findArticleComplete
+ */
+function findArticle(clave, articulo, options = {}) {
+    return processor.findArticleComplete(clave, articulo, options);
 }
 
 /**
@@ -541,10 +880,13 @@ function reloadConfig() {
 module.exports = {
     processMessage,
     processMessageWithDualAnnex,
+    findArticle,
+    CITATION_PATTERNS,
     generateAnexoModelo,
     generateAnexoUsuario,
     generateDualAnnex,
     getStats,
     reloadConfig,
+    normalizeAsOfDate,
     NormativeCitationProcessor
 };
@@ -0,0 +1,85 @@
+// engine/normative_citation_processor.test.js — Pruebas de la búsqueda de artículos por clave
+// Ejecutar con: node engine/normative_citation_processor.test.js
+//
+// Usa una BD SQLite en memoria con el esquema mínimo de la tabla articulos.
+
+const Database = require('better-sqlite3');
+const { NormativeCitationProcessor } = require('./normative_citation_processor');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+function createProcessor(rows) {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE articulos (
+      clave TEXT, norma TEXT, norma_tipo TEXT, norma_idnorma TEXT, norma_organismo TEXT,
+      metadatos_idparte TEXT, metadatos_fechaversion TEXT, nombreparte TEXT, nombreparte_normalizado TEXT,
+      numero_articulo TEXT, url_norma_pdf TEXT, texto TEXT, clasificacion_norma TEXT,
+      rutacompleta TEXT, materias TEXT, bloque_juridico TEXT
+    )
+  `);
+  const insert = db.prepare('INSERT INTO articulos (clave, numero_articulo, nombreparte, texto) VALUES (?, ?, ?, ?)');
+  for (const [clave, articulo] of rows) {
+    insert.run(clave, articulo, `Artículo ${articulo}`, `Texto de ${clave} art. ${articulo}`);
+  }
+  const processor = new NormativeCitationProcessor();
+  processor.db = db;
+  processor.isInitialized = true;
+  return processor;
+}
+
+// ============ Búsqueda inteligente de claves sin año ============
+
+test('findArticleComplete: DL, DFL y D sin año se resuelven por su única variante con año', () => {
+  const processor = createProcessor([['DL824.1974', '7'], ['DFL1.2006', '5'], ['D14.2011', '3']]);
+  assertEqual(processor.findArticleComplete('DL824', '7').clave, 'DL824.1974');
+  assertEqual(processor.findArticleComplete('DFL1', '5').clave, 'DFL1.2006');
+  assertEqual(processor.findArticleComplete('D14', '3').clave, 'D14.2011');
+});
+
+test('findArticleComplete: varias variantes con año son ambiguas', () => {
+  const processor = createProcessor([['DFL1.2006', '5'], ['DFL1.1994', '5']]);
+  const result = processor.findArticleComplete('DFL1', '5');
+  assertEqual([result.found, result.reason], [false, 'ambiguous']);
+  assertEqual(result.candidates.sort(), ['DFL1.1994', 'DFL1.2006']);
+});
+
+test('findArticleComplete: D14 no coincide con D140 ni D con DFL', () => {
+  const processor = createProcessor([['D140.2001', '3'], ['DFL1.2006', '5']]);
+  assertEqual(processor.findArticleComplete('D14', '3'), null);
+  assertEqual(processor.findArticleComplete('D1', '5'), null);
+});
+
+// ============ Resumen ============
+console.log('\n' + '='.repeat(50));
+console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+console.log(`${RED}Fallidas: ${failed}${RESET}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,169 @@
+/**
+ * NORMATIVE DIFF - LEGITIMUS PRO
+ * ===============================
+ *
+ * Comparación palabra a palabra entre dos versiones del texto de un artículo.
+ * Se usa en el Anexo Normativo cuando se cita una norma a una fecha pasada (asOf)
+ * y el texto vigente a esa fecha difiere del texto actual.
+ *
+ * Formato de salida (cambios):
+ *   [{ tipo: 'igual' | 'insertado' | 'eliminado', texto: '...' }]
+ *
+ * @version 1.0.0
+ * @author LEGITIMUS PRO Development Team
+ */
+
+// Límite de celdas de la matriz LCS (palabras antiguas × palabras nuevas).
+// Sobre este tamaño se reporta el reemplazo completo del texto para no bloquear el proceso.
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Divide un texto en tokens de palabra conservando los espacios como tokens propios,
+ * de modo que al concatenar los tokens se recupera el texto original.
+ * @param {string} text - Texto a dividir
+ * @returns {string[]} Tokens
+ */
+function tokenizeWords(text) {
+    if (!text || typeof text !== 'string') return [];
+    return text.match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Agrega un fragmento a la lista de cambios, fusionando fragmentos contiguos del mismo tipo
+ */
+function pushChange(changes, tipo, texto) {
+    if (!texto) return;
+    const last = changes[changes.length - 1];
+    if (last && last.tipo === tipo) {
+        last.texto += texto;
+    } else {
+        changes.push({ tipo, texto });
+    }
+}
+
+/**
+ * Calcula el diff palabra a palabra entre dos textos (LCS sobre tokens)
+ * @param {string} oldText - Texto de la versión anterior
+ * @param {string} newText - Texto de la versión posterior
+ * @returns {Array} Lista de cambios [{ tipo, texto }]
+ */
+function diffWords(oldText, newText) {
+    const a = tokenizeWords(oldText);
+    const b = tokenizeWords(newText);
+    const changes = [];
+
+    // Recortar prefijo y sufijo comunes (caso típico: modificaciones puntuales)
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    pushChange(changes, 'igual', a.slice(0, start).join(''));
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if (midA.length * midB.length > MAX_LCS_CELLS) {
+        pushChange(changes, 'eliminado', midA.join(''));
+        pushChange(changes, 'insertado', midB.join(''));
+    } else {
+        // Tabla LCS (longitud de la subsecuencia común desde i, j hasta el final)
+        const n = midA.length;
+        const m = midB.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = midA[i] === midB[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) {
+                pushChange(changes, 'igual', midA[i]);
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                pushChange(changes, 'eliminado', midA[i]);
+                i++;
+            } else {
+                pushChange(changes, 'insertado', midB[j]);
+                j++;
+            }
+        }
+        while (i < n) pushChange(changes, 'eliminado', midA[i++]);
+        while (j < m) pushChange(changes, 'insertado', midB[j++]);
+    }
+
+    pushChange(changes, 'igual', a.slice(endA).join(''));
+
+    return changes;
+}
+
+/**
+ * Cuenta palabras insertadas, eliminadas y sin cambios
+ * @param {Array} changes - Resultado de diffWords
+ * @returns {Object} { palabras_insertadas, palabras_eliminadas, palabras_sin_cambios, hay_cambios }
+ */
+function summarizeDiff(changes) {
+    const countWords = (texto) => (texto.match(/[^\s]+/g) || []).length;
+    const summary = { palabras_insertadas: 0, palabras_eliminadas: 0, palabras_sin_cambios: 0 };
+
+    for (const change of changes || []) {
+        if (change.tipo === 'insertado') summary.palabras_insertadas += countWords(change.texto);
+        else if (change.tipo === 'eliminado') summary.palabras_eliminadas += countWords(change.texto);
+        else summary.palabras_sin_cambios += countWords(change.texto);
+    }
+
+    summary.hay_cambios = summary.palabras_insertadas > 0 || summary.palabras_eliminadas > 0;
+    return summary;
+}
+
+/**
+ * Construye el objeto diff del Anexo Normativo entre la versión aplicada y la actual
+ * @param {Object} params - { textoAnterior, textoActual, fechaAnterior, fechaActual }
+ * @returns {Object|null} { desde, hasta, resumen, cambios } o null si no hay cambios
+ */
+function buildVersionDiff({ textoAnterior, textoActual, fechaAnterior = null, fechaActual = null }) {
+    if (!textoAnterior || !textoActual) return null;
+
+    const cambios = diffWords(textoAnterior, textoActual);
+    const resumen = summarizeDiff(cambios);
+    if (!resumen.hay_cambios) return null;
+
+    return {
+        desde: fechaAnterior,
+        hasta: fechaActual,
+        resumen,
+        cambios
+    };
+}
+
+/**
+ * Renderiza los cambios como texto plano con marcas [-eliminado-] y {+insertado+}
+ * (útil para el anexo del modelo y para exportaciones TXT)
+ * @param {Array} changes - Resultado de diffWords
+ * @returns {string}
+ */
+function renderDiffAsText(changes) {
+    return (changes || []).map(change => {
+        if (change.tipo === 'eliminado') return `[-${change.texto}-]`;
+        if (change.tipo === 'insertado') return `{+${change.texto}+}`;
+        return change.texto;
+    }).join('');
+}
+
+module.exports = {
+    tokenizeWords,
+    diffWords,
+    summarizeDiff,
+    buildVersionDiff,
+    renderDiffAsText
+};
@@ -0,0 +1,508 @@
+/**
+ * NORMATIVE IMPORTER - LEGITIMUS PRO
+ * ===================================
+ *
+ * Carga las exportaciones Excel/CSV de normas (mismo formato que consumía
+ * convert_excel_to_sqlite_final_fixed (4).py) en normas.sqlite.
+ *
+ * - Genera la clave de cada fila con las mismas reglas que esperan CITATION_PATTERNS
+ *   (CCCH, L19628, DL3500.1980, DFL1.2006, D14.1991) y los nombres de códigos de
+ *   normative_codes_db.json / citation_normalizer (sin un mapeo duplicado).
+ * - Respeta clave_manual (CTRIB.Art31, DL824.1974.Art41e).
+ * - Valida que CLAVE.ArtN sea reconocible por CITATION_PATTERNS; las filas que no lo son
+ *   se rechazan y se informan en el reporte de carga.
+ * - Carga incremental: upsert por (clave, numero_articulo, metadatos_fechaversion).
+ *
+ * @version 1.0.0
+ * @author LEGITIMUS PRO Development Team
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { resolveNormName } = require('./citation_normalizer');
+const { CITATION_PATTERNS } = require('./normative_citation_processor');
+
+const DEFAULT_DB_PATH = path.join(__dirname, 'normative_db', 'normas.sqlite');
+
+// Columnas base de la tabla articulos (las leídas por NormativeCitationProcessor)
+const BASE_COLUMNS = [
+    'clave',
+    'numero_articulo',
+    'norma',
+    'norma_tipo',
+    'norma_numero',
+    'norma_idnorma',
+    'norma_organismo',
+    'metadatos_idparte',
+    'metadatos_fechaversion',
+    'nombreparte',
+    'nombreparte_normalizado',
+    'url_norma_pdf',
+    'url_norma_xml',
+    'texto',
+    'clasificacion_norma',
+    'rutacompleta',
+    'materias',
+    'bloque_juridico',
+    'resena'
+];
+
+// Renombres heredados del exportador (errores de tipeo en las planillas de origen)
+const RENAME_MAP = {
+    'ulr_norma_pdf': 'url_norma_pdf',
+    'ulr_norma_xml': 'url_norma_xml',
+    'reseña': 'resena'
+};
+
+const ARTICLE_SUFFIXES = 'bis|ter|quater|quinquies|sexies|septies|octies|novies|decies';
+
+// Tipos de norma numerada, del más específico al más general ("Decreto con Fuerza de Ley" antes que "Ley")
+// number: número y año opcional en el nombre de la norma; withYear: la clave exige el año
+const NORMA_KINDS = [
+    {
+        prefix: 'DFL',
+        tipo: /decreto\s+con\s+fuerza\s+de\s+ley|\bdfl\b/,
+        number: /(?:dfl|decreto\s+con\s+fuerza\s+de\s+ley)\s*(?:n[°º]?\s*)?(\d+)(?:\D+?(\d{4}))?/,
+        withYear: true
+    },
+    {
+        prefix: 'DL',
+        tipo: /decreto\s+ley|\bdl\b/,
+        number: /(?:decreto\s+ley|\bdl)\s*(?:n[°º]?\s*)?(\d{1,3}(?:\.\d{3})+|\d+)(?:\D+?(\d{4}))?/,
+        withYear: true
+    },
+    {
+        prefix: 'L',
+        tipo: /\bley\b/,
+        number: /\bley\s*(?:n(?:[°º]|[uú]m\.?)?\s*)?(\d{1,3}(?:\.\d{3})+|\d+)/,
+        withYear: false
+    },
+    {
+        prefix: 'D',
+        tipo: /\bdecreto\b/,
+        number: /\bdecreto(?:\s+supremo)?\s*(?:n[°º]?\s*)?(\d+)(?:\D+?(\d{4}))?/,
+        withYear: true
+    }
+];
+
+const INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_clave ON articulos(clave)',
+    'CREATE INDEX IF NOT EXISTS idx_nombreparte ON articulos(nombreparte_normalizado)',
+    'CREATE INDEX IF NOT EXISTS idx_numero_articulo ON articulos(numero_articulo)',
+    'CREATE INDEX IF NOT EXISTS idx_clave_nombreparte ON articulos(clave, nombreparte_normalizado)',
+    'CREATE INDEX IF NOT EXISTS idx_clave_numero ON articulos(clave, numero_articulo)',
+    'CREATE INDEX IF NOT EXISTS idx_clave_numero_version ON articulos(clave, numero_articulo, metadatos_fechaversion)',
+    'CREATE INDEX IF NOT EXISTS idx_idnorma_idparte ON articulos(norma_idnorma, metadatos_idparte)'
+];
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+function onlyDigits(value) {
+    return String(value).replace(/\D/g, '');
+}
+
+/**
+ * Normaliza el nombre de columna de la planilla (minúsculas, sin espacios)
+ */
+function normalizeColumnName(name) {
+    const normalized = String(name).trim().toLowerCase().replace(/\s+/g, '_');
+    return RENAME_MAP[normalized] || normalized;
+}
+
+/**
+ * Normaliza una fecha de texto a YYYY-MM-DD ("15/03/2010", "15-03-2010", "2010-03-15 00:00:00").
+ * Las fechas con día primero son las de las exportaciones de Excel en español.
+ * Retorna el texto original si no es una fecha reconocible.
+ */
+function normalizeDateText(value) {
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+    let parts = match ? [match[1], match[2], match[3]] : null;
+    if (!parts) {
+        match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s.*)?$/);
+        parts = match ? [match[3], match[2], match[1]] : null;
+    }
+    if (!parts) return text;
+
+    const iso = `${parts[0]}-${parts[1].padStart(2, '0')}-${parts[2].padStart(2, '0')}`;
+    const date = new Date(`${iso}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso ? iso : text;
+}
+
+/**
+ * Convierte un valor de celda a texto para SQLite (fechas → YYYY-MM-DD)
+ */
+function cellToText(value) {
+    if (isBlank(value)) return null;
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+    return String(value).trim();
+}
+
+/**
+ * Normaliza el número de artículo al formato de CLAVE.ArtN: "21 bis" → "21bis", "5°" → "5"
+ */
+function normalizeArticleNumber(value) {
+    if (isBlank(value)) return null;
+    return String(value).toLowerCase().replace(/[°º]/g, '').replace(/\s+/g, '').trim() || null;
+}
+
+/**
+ * Normaliza nombreparte al formato que busca findArticle ("Art. 12" → "articulo 12")
+ */
+function normalizeNombreparte(value) {
+    if (isBlank(value)) return null;
+    return String(value).toLowerCase().trim()
+        .replace(/art[íi]culo/g, 'articulo')
+        .replace(/^art(?!iculo)\.?\s*/, 'articulo ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Extrae el número de artículo desde nombreparte ("Artículo 21 bis" → "21bis")
+ */
+function extractArticleNumber(nombreparte) {
+    if (isBlank(nombreparte)) return null;
+    const text = String(nombreparte).toLowerCase().trim();
+
+    const match = text.match(new RegExp(`(?:art[íi]culo|art\\.?)\\s*(\\d+\\s*[°º]?(?:\\s*(?:${ARTICLE_SUFFIXES})\\b|[a-z]\\b)?)`));
+    if (match) return normalizeArticleNumber(match[1]);
+    if (/^\d+$/.test(text)) return text;
+    return null;
+}
+
+/**
+ * Separa una clave manual completa en clave base y artículo (CTRIB.Art31 → CTRIB, 31)
+ */
+function splitManualClave(value) {
+    const text = String(value).trim().toUpperCase();
+    const match = text.match(/^([A-Z0-9.]+)\.ART\.?(\d+[A-Z]*)$/);
+    if (match) {
+        return { clave: match[1], articulo: match[2].toLowerCase() };
+    }
+    return { clave: text, articulo: null };
+}
+
+/**
+ * Determina el tipo de norma numerada de una fila (ver NORMA_KINDS)
+ * - Por norma_tipo, probando del tipo más específico al más general
+ * - Sin norma_tipo reconocible, por la primera mención en el nombre
+ *   ("Decreto 14 que reglamenta la Ley 19.628" → decreto)
+ */
+function detectNormaKind(normaTipo, norma) {
+    const byTipo = NORMA_KINDS.find(kind => kind.tipo.test(normaTipo));
+    if (byTipo) return byTipo;
+
+    let first = null;
+    let firstIndex = Infinity;
+    for (const kind of NORMA_KINDS) {
+        const index = norma.search(kind.number);
+        if (index !== -1 && index < firstIndex) {
+            first = kind;
+            firstIndex = index;
+        }
+    }
+    return first;
+}
+
+/**
+ * Genera la clave base de una fila
+ * Orden: clave_manual → códigos con nombre → DFL → DL → Ley → Decreto
+ * El número sale del nombre de la norma o, si no lo menciona, de norma_numero.
+ * (DFL, DL y decretos sin año quedan sin clave: CITATION_PATTERNS exige DFL1.2006, DL3500.1980, D14.1991)
+ * @param {Object} row - Fila con columnas normalizadas
+ * @returns {Object} { clave, articulo } (articulo solo si venía en clave_manual)
+ */
+function generateClave(row) {
+    if (!isBlank(row.clave_manual)) {
+        return splitManualClave(row.clave_manual);
+    }
+
+    const norma = String(row.norma || '').toLowerCase().trim();
+    const normaTipo = String(row.norma_tipo || '').toLowerCase().trim();
+    const year = (text) => {
+        const match = text.match(/\b(1[89]\d{2}|20\d{2})\b/);
+        return match ? match[1] : null;
+    };
+
+    const named = resolveNormName(row.norma) || resolveNormName(row.norma_tipo);
+    if (named) return { clave: named, articulo: null };
+
+    const kind = detectNormaKind(normaTipo, norma);
+    if (!kind) return { clave: null, articulo: null };
+
+    const match = norma.match(kind.number);
+    const number = onlyDigits(match ? match[1] : (row.norma_numero || ''));
+    if (!number) return { clave: null, articulo: null };
+    if (!kind.withYear) return { clave: `${kind.prefix}${number}`, articulo: null };
+
+    const y = (match && match[2]) || year(String(row.fecha_publicacion || ''));
+    return { clave: y ? `${kind.prefix}${number}.${y}` : null, articulo: null };
+}
+
+/**
+ * Verifica que CLAVE.ArtN sea reconocida por CITATION_PATTERNS con la misma clave y artículo
+ */
+function isCitableClave(clave, articulo) {
+    const canonical = `${clave}.Art${articulo}`;
+    return CITATION_PATTERNS.some(pattern => {
+        const anchored = new RegExp(`^(?:${pattern.source})$`, 'i');
+        const match = canonical.match(anchored);
+        return !!match && match[1].toUpperCase() === clave && match[2].toLowerCase() === articulo;
+    });
+}
+
+/**
+ * Prepara una fila de la planilla para la BD
+ * @param {Object} rawRow - Fila tal como viene de la planilla
+ * @returns {Object} { record } o { error, clave }
+ */
+function prepareRow(rawRow) {
+    const row = {};
+    for (const [key, value] of Object.entries(rawRow)) {
+        row[normalizeColumnName(key)] = cellToText(value);
+    }
+
+    if (isBlank(row.texto)) {
+        return { error: 'texto_vacio', clave: null };
+    }
+
+    const generated = generateClave(row);
+    if (!generated.clave) {
+        return { error: 'clave_no_generada', clave: null };
+    }
+
+    const articulo = normalizeArticleNumber(row.numero_articulo)
+        || generated.articulo
+        || extractArticleNumber(row.nombreparte);
+    if (!articulo) {
+        return { error: 'articulo_no_identificado', clave: generated.clave };
+    }
+
+    if (!isCitableClave(generated.clave, articulo)) {
+        return { error: 'clave_no_citable', clave: `${generated.clave}.Art${articulo}` };
+    }
+
+    const record = { ...row };
+    delete record.clave_manual;
+    record.clave = generated.clave;
+    record.numero_articulo = articulo;
+    record.nombreparte_normalizado = normalizeNombreparte(row.nombreparte);
+
+    return { record };
+}
+
+/**
+ * Separa un CSV en filas de celdas (RFC 4180: comillas dobles, "" escapado y saltos de línea
+ * dentro de comillas). El separador se detecta en la cabecera: ";" en exportaciones de Excel
+ * en español, "," en el resto.
+ * Las columnas de fecha (fecha_publicacion, metadatos_fechaversion...) se normalizan a YYYY-MM-DD,
+ * igual que las fechas de Excel en cellToText.
+ */
+function parseCsv(text) {
+    const content = String(text).replace(/^\uFEFF/, '');
+    const header = content.slice(0, content.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+    const delimiter = (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    const [columns = [], ...data] = rows.filter(r => r.some(value => value.trim() !== ''));
+    const dateColumns = columns
+        .map((column, i) => (normalizeColumnName(column).includes('fecha') ? i : -1))
+        .filter(i => i !== -1);
+    for (const cells of data) {
+        for (const i of dateColumns) {
+            if (!isBlank(cells[i])) cells[i] = normalizeDateText(cells[i]);
+        }
+    }
+    return columns.length > 0 ? [columns, ...data] : [];
+}
+
+/**
+ * Lee la primera hoja (o la indicada) de un Excel con el build de SheetJS publicado en su CDN.
+ * No es dependencia del proyecto: el paquete xlsx de npm (0.18.x) está abandonado y tiene
+ * advertencias de seguridad sin corregir.
+ */
+function readExcelRows(sourcePath, sheet) {
+    let XLSX;
+    try {
+        XLSX = require('xlsx');
+    } catch (e) {
+        throw new Error('Para importar Excel instala SheetJS desde su CDN (npm install https://cdn.sheetjs.com/xlsx-0.20.3/xlsx-0.20.3.tgz) o exporta la planilla a CSV');
+    }
+    const workbook = XLSX.readFile(sourcePath, { cellDates: true });
+    const sheetName = sheet || workbook.SheetNames[0];
+    if (!workbook.Sheets[sheetName]) {
+        throw new Error(`Hoja no encontrada: ${sheetName}`);
+    }
+    return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: null, raw: true });
+}
+
+/**
+ * Lee una planilla CSV (UTF-8) o Excel (.xlsx/.xls) y retorna sus filas
+ * @param {string} sourcePath - Ruta del archivo
+ * @param {Object} options - { sheet: nombre de hoja de Excel (por defecto la primera) }
+ */
+function readSourceRows(sourcePath, { sheet = null } = {}) {
+    if (!/\.(csv|txt)$/i.test(sourcePath)) {
+        return readExcelRows(sourcePath, sheet);
+    }
+    const [header = [], ...rows] = parseCsv(fs.readFileSync(sourcePath, 'utf8'));
+    return rows.map(cells => Object.fromEntries(
+        header.map((column, i) => [column, isBlank(cells[i]) ? null : cells[i]])
+    ));
+}
+
+/**
+ * Asegura la tabla articulos con las columnas base y las columnas extra de la planilla
+ */
+function ensureSchema(db, columns) {
+    db.exec(`CREATE TABLE IF NOT EXISTS articulos (${BASE_COLUMNS.map(c => `"${c}" TEXT`).join(', ')})`);
+
+    const existing = new Set(db.prepare('PRAGMA table_info(articulos)').all().map(c => c.name));
+    for (const column of columns) {
+        if (!existing.has(column)) {
+            db.exec(`ALTER TABLE articulos ADD COLUMN "${column.replace(/"/g, '')}" TEXT`);
+            existing.add(column);
+        }
+    }
+    for (const sql of INDEXES) {
+        db.exec(sql);
+    }
+}
+
+/**
+ * Importa una planilla en normas.sqlite
+ * @param {Object} options - {
+ *   sourcePath, dbPath, sheet,
+ *   replace: borrar la tabla articulos antes de cargar (por defecto carga incremental),
+ *   dryRun: validar sin escribir
+ * }
+ * @returns {Object} Reporte de carga
+ */
+function importNormativeSource({ sourcePath, dbPath = DEFAULT_DB_PATH, sheet = null, replace = false, dryRun = false }) {
+    if (!sourcePath || !fs.existsSync(sourcePath)) {
+        throw new Error(`Archivo de origen no encontrado: ${sourcePath}`);
+    }
+
+    const report = {
+        source: path.resolve(sourcePath),
+        db: path.resolve(dbPath),
+        mode: dryRun ? 'dry-run' : (replace ? 'replace' : 'upsert'),
+        started_at: new Date().toISOString(),
+        finished_at: null,
+        total_rows: 0,
+        inserted: 0,
+        updated: 0,
+        rejected: 0,
+        rejected_by_reason: {},
+        rejected_rows: []
+    };
+
+    const rows = readSourceRows(sourcePath, { sheet });
+    report.total_rows = rows.length;
+
+    const records = [];
+    rows.forEach((rawRow, index) => {
+        const { record, error, clave } = prepareRow(rawRow);
+        if (error) {
+            report.rejected++;
+            report.rejected_by_reason[error] = (report.rejected_by_reason[error] || 0) + 1;
+            report.rejected_rows.push({
+                fila: index + 2, // fila de la planilla (la 1 es el encabezado)
+                motivo: error,
+                clave,
+                norma: cellToText(rawRow.norma),
+                nombreparte: cellToText(rawRow.nombreparte)
+            });
+        } else {
+            records.push(record);
+        }
+    });
+
+    if (!dryRun) {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        const db = new Database(dbPath);
+        try {
+            if (replace) {
+                db.exec('DROP TABLE IF EXISTS articulos');
+            }
+            const columns = [...new Set(records.flatMap(r => Object.keys(r)))];
+            ensureSchema(db, columns);
+
+            const findStmt = db.prepare(
+                'SELECT rowid FROM articulos WHERE clave = ? AND numero_articulo = ? AND metadatos_fechaversion IS ?'
+            );
+
+            db.transaction(() => {
+                for (const record of records) {
+                    const keys = Object.keys(record);
+                    const values = keys.map(k => record[k]);
+                    const existing = findStmt.get(record.clave, record.numero_articulo, record.metadatos_fechaversion ?? null);
+
+                    if (existing) {
+                        db.prepare(`UPDATE articulos SET ${keys.map(k => `"${k}" = ?`).join(', ')} WHERE rowid = ?`)
+                            .run(...values, existing.rowid);
+                        report.updated++;
+                    } else {
+                        db.prepare(`INSERT INTO articulos (${keys.map(k => `"${k}"`).join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+                            .run(...values);
+                        report.inserted++;
+                    }
+                }
+            })();
+        } finally {
+            db.close();
+        }
+    }
+
+    report.finished_at = new Date().toISOString();
+    return report;
+}
+
+module.exports = {
+    generateClave,
+    extractArticleNumber,
+    normalizeArticleNumber,
+    isCitableClave,
+    prepareRow,
+    parseCsv,
+    importNormativeSource
+};
@@ -0,0 +1,92 @@
+// engine/normative_importer.test.js — Pruebas de la generación de claves y la lectura de CSV del importador
+// Ejecutar con: node engine/normative_importer.test.js
+
+const { generateClave, parseCsv, prepareRow } = require('./normative_importer');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+const clave = (row) => generateClave(row).clave;
+
+// ============ generateClave ============
+
+test('generateClave: leyes, decretos ley, DFL y decretos por su nombre', () => {
+  assertEqual(clave({ norma: 'Ley 19.628', norma_tipo: 'Ley' }), 'L19628');
+  assertEqual(clave({ norma: 'DL 3.500 de 1980', norma_tipo: 'Decreto Ley' }), 'DL3500.1980');
+  assertEqual(clave({ norma: 'DFL 1 de 2006', norma_tipo: 'Decreto con Fuerza de Ley' }), 'DFL1.2006');
+  assertEqual(clave({ norma: 'Decreto Supremo 14 de 1991', norma_tipo: 'Decreto' }), 'D14.1991');
+});
+
+test('generateClave: un DFL cuyo nombre no dice "DFL" no se toma por ley', () => {
+  const row = {
+    norma: 'Fija el texto refundido de la Ley 18.046 sobre sociedades anónimas',
+    norma_tipo: 'Decreto con Fuerza de Ley',
+    norma_numero: '1',
+    fecha_publicacion: '2006-02-10'
+  };
+  assertEqual(clave(row), 'DFL1.2006');
+  assertEqual(clave({ ...row, fecha_publicacion: null }), null, 'Sin año no hay clave');
+});
+
+test('generateClave: un decreto ley sin "DL" en el nombre usa norma_numero', () => {
+  assertEqual(clave({ norma: 'Establece nuevo sistema de pensiones', norma_tipo: 'Decreto Ley', norma_numero: '3.500', fecha_publicacion: '1980-11-13' }), 'DL3500.1980');
+});
+
+test('generateClave: sin norma_tipo manda la primera mención del nombre', () => {
+  assertEqual(clave({ norma: 'Decreto 14 de 2011 que reglamenta la Ley 19.628' }), 'D14.2011');
+  assertEqual(clave({ norma: 'Ley 21.000 que modifica el decreto 14' }), 'L21000');
+});
+
+// ============ parseCsv ============
+
+test('parseCsv: normaliza las columnas de fecha a YYYY-MM-DD', () => {
+  const rows = parseCsv('norma;fecha_publicacion;Metadatos FechaVersion;texto\nLey 19.628;28/08/1999;2012-02-17 00:00:00;Texto 1/2/2003\nLey 20.000;;3-1-2005;Otro\n');
+  assertEqual(rows, [
+    ['norma', 'fecha_publicacion', 'Metadatos FechaVersion', 'texto'],
+    ['Ley 19.628', '1999-08-28', '2012-02-17', 'Texto 1/2/2003'],
+    ['Ley 20.000', '', '2005-01-03', 'Otro']
+  ]);
+});
+
+test('parseCsv: deja intactas las fechas no reconocibles', () => {
+  assertEqual(parseCsv('fecha_publicacion\n31/02/2010\nsin fecha\n').slice(1), [['31/02/2010'], ['sin fecha']]);
+});
+
+test('prepareRow: el año de una fecha de CSV con día primero completa la clave', () => {
+  const [header, cells] = parseCsv('norma,norma_tipo,fecha_publicacion,numero_articulo,texto\nDFL 1,Decreto con Fuerza de Ley,10/02/2006,5,Texto del artículo\n');
+  const { record } = prepareRow(Object.fromEntries(header.map((column, i) => [column, cells[i]])));
+  assertEqual([record.clave, record.numero_articulo, record.fecha_publicacion], ['DFL1.2006', '5', '2006-02-10']);
+});
+
+// ============ Resumen ============
+console.log('\n' + '='.repeat(50));
+console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+console.log(`${RED}Fallidas: ${failed}${RESET}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
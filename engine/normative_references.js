@@ -0,0 +1,290 @@
+/**
+ * NORMATIVE REFERENCES - LEGITIMUS PRO
+ * =====================================
+ *
+ * Grafo de referencias cruzadas entre artículos de normas.sqlite.
+ *
+ * Indexación (scripts/build_normative_references.js):
+ * recorre la versión más reciente de cada artículo y extrae sus referencias internas
+ * ("en conformidad al artículo 1698", "el artículo 5 de la Ley 19.628") a la tabla:
+ *
+ *   referencias_articulos(origen_clave, origen_articulo, destino_clave, destino_articulo,
+ *                         texto_referencia, destino_existe)
+ *
+ * Consulta: getArticleReferences(clave, articulo) → artículos referidos y que lo refieren.
+ * Con asOf las referencias se extraen de la versión del artículo vigente a esa fecha
+ * (el índice solo cubre la versión más reciente).
+ *
+ * @version 1.0.0
+ * @author LEGITIMUS PRO Development Team
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { extractProseCitations, toCanonicalCitation, ARTICLE_NUMBER } = require('./citation_normalizer');
+
+const DB_PATH = path.join(__dirname, 'normative_db', 'normas.sqlite');
+const REFERENCES_TABLE = 'referencias_articulos';
+
+// Versión publicada hasta la fecha de consulta (las filas sin fecha se consideran vigentes)
+const VERSION_FILTER = '(metadatos_fechaversion IS NULL OR substr(metadatos_fechaversion, 1, 10) <= ?)';
+
+// "artículo 1698", "artículos 1698 y 1699", "arts. 10, 11 y 12" (sin norma explícita → misma norma)
+const BARE_REFERENCE_REGEX = new RegExp(
+    `(?<![\\p{L}\\d])(?:art[ií]culos?|arts?\\.)\\s*(${ARTICLE_NUMBER}(?:\\s*(?:,|\\by\\b|\\be\\b|\\bo\\b)\\s*${ARTICLE_NUMBER})*)`,
+    'giu'
+);
+const ARTICLE_NUMBER_REGEX = new RegExp(ARTICLE_NUMBER, 'gi');
+
+let readDb = null;
+
+function normalizeArticle(article) {
+    return article.toLowerCase().replace(/[°º]/g, '').replace(/\s+/g, '');
+}
+
+/**
+ * Extrae las referencias a otros artículos contenidas en el texto de un artículo
+ * @param {string} texto - Texto del artículo
+ * @param {string} clave - Clave de la norma a la que pertenece el artículo
+ * @param {string} articulo - Número del artículo (se excluyen las autorreferencias)
+ * @returns {Array} [{ destino_clave, destino_articulo, texto_referencia }]
+ */
+function extractArticleReferences(texto, clave, articulo = null) {
+    if (!texto || typeof texto !== 'string') return [];
+
+    const references = [];
+    const seen = new Set();
+    const add = (destinoClave, destinoArticulo, raw) => {
+        const key = `${destinoClave}|${destinoArticulo}`;
+        if (seen.has(key)) return;
+        if (destinoClave === clave && destinoArticulo === articulo) return;
+        seen.add(key);
+        references.push({
+            destino_clave: destinoClave,
+            destino_articulo: destinoArticulo,
+            texto_referencia: raw.trim()
+        });
+    };
+
+    // 1) Referencias a otras normas con nombre explícito
+    const proseCitations = extractProseCitations(texto);
+    for (const citation of proseCitations) {
+        add(citation.clave, citation.articulo, citation.raw);
+    }
+
+    // 2) Referencias sin norma explícita: se entienden hechas a la misma norma
+    BARE_REFERENCE_REGEX.lastIndex = 0;
+    let match;
+    while ((match = BARE_REFERENCE_REGEX.exec(texto)) !== null) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (proseCitations.some(c => start < c.end && end > c.index)) continue;
+
+        const numbers = match[1].match(ARTICLE_NUMBER_REGEX) || [];
+        for (const number of numbers) {
+            add(clave, normalizeArticle(number), match[0]);
+        }
+    }
+
+    return references;
+}
+
+/**
+ * Construye (o reconstruye) la tabla de referencias sobre normas.sqlite
+ * @param {Object} options - { dbPath }
+ * @returns {Object} { articulos, referencias, referencias_resueltas }
+ */
+function buildReferenceIndex({ dbPath = DB_PATH } = {}) {
+    if (!fs.existsSync(dbPath)) {
+        throw new Error(`Base de datos no encontrada: ${dbPath}`);
+    }
+
+    const db = new Database(dbPath);
+    try {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ${REFERENCES_TABLE} (
+                origen_clave TEXT NOT NULL,
+                origen_articulo TEXT NOT NULL,
+                destino_clave TEXT NOT NULL,
+                destino_articulo TEXT NOT NULL,
+                texto_referencia TEXT,
+                destino_existe INTEGER NOT NULL DEFAULT 0
+            );
+            CREATE INDEX IF NOT EXISTS idx_ref_origen ON ${REFERENCES_TABLE}(origen_clave, origen_articulo);
+            CREATE INDEX IF NOT EXISTS idx_ref_destino ON ${REFERENCES_TABLE}(destino_clave, destino_articulo);
+        `);
+
+        // Versión más reciente de cada artículo
+        const articles = db.prepare(`
+            SELECT clave, numero_articulo, texto
+            FROM articulos
+            WHERE numero_articulo IS NOT NULL AND numero_articulo != '' AND texto IS NOT NULL
+            ORDER BY clave, numero_articulo, metadatos_fechaversion DESC
+        `).all();
+
+        const existsStmt = db.prepare('SELECT 1 FROM articulos WHERE clave = ? AND numero_articulo = ? LIMIT 1');
+        const insertStmt = db.prepare(`
+            INSERT INTO ${REFERENCES_TABLE}
+                (origen_clave, origen_articulo, destino_clave, destino_articulo, texto_referencia, destino_existe)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+
+        const stats = { articulos: 0, referencias: 0, referencias_resueltas: 0 };
+
+        db.transaction(() => {
+            db.prepare(`DELETE FROM ${REFERENCES_TABLE}`).run();
+
+            let previousKey = null;
+            for (const article of articles) {
+                const key = `${article.clave}|${article.numero_articulo}`;
+                if (key === previousKey) continue; // versiones anteriores del mismo artículo
+                previousKey = key;
+                stats.articulos++;
+
+                const references = extractArticleReferences(article.texto, article.clave, String(article.numero_articulo));
+                for (const ref of references) {
+                    const exists = existsStmt.get(ref.destino_clave, ref.destino_articulo) ? 1 : 0;
+                    insertStmt.run(
+                        article.clave,
+                        String(article.numero_articulo),
+                        ref.destino_clave,
+                        ref.destino_articulo,
+                        ref.texto_referencia,
+                        exists
+                    );
+                    stats.referencias++;
+                    stats.referencias_resueltas += exists;
+                }
+            }
+        })();
+
+        return stats;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Conexión de solo lectura (lazy) para las consultas
+ */
+function getReadDb() {
+    if (readDb) return readDb;
+    if (!fs.existsSync(DB_PATH)) return null;
+
+    try {
+        readDb = new Database(DB_PATH, { readonly: true });
+        return readDb;
+    } catch (error) {
+        console.error('[NormativeReferences] Error abriendo BD:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Indica si la tabla de referencias fue construida
+ * @param {Object} db - Conexión a normas.sqlite (por defecto la de solo lectura)
+ */
+function isReferenceIndexAvailable(db = getReadDb()) {
+    if (!db) return false;
+    return !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(REFERENCES_TABLE);
+}
+
+/**
+ * Referencias contenidas en la versión del artículo vigente a una fecha,
+ * marcando como existentes solo los destinos con una versión publicada hasta esa fecha
+ */
+function getReferencesAsOf(db, clave, articulo, asOf, limit) {
+    const article = db.prepare(`
+        SELECT texto
+        FROM articulos
+        WHERE clave = ? AND numero_articulo = ? AND ${VERSION_FILTER}
+        ORDER BY metadatos_fechaversion DESC
+        LIMIT 1
+    `).get(clave, articulo, asOf);
+    if (!article) return [];
+
+    const existsStmt = db.prepare(`SELECT 1 FROM articulos WHERE clave = ? AND numero_articulo = ? AND ${VERSION_FILTER} LIMIT 1`);
+    return extractArticleReferences(article.texto, clave, articulo).slice(0, limit).map(ref => ({
+        clave: ref.destino_clave,
+        articulo: ref.destino_articulo,
+        texto_referencia: ref.texto_referencia,
+        destino_existe: existsStmt.get(ref.destino_clave, ref.destino_articulo, asOf) ? 1 : 0
+    }));
+}
+
+/**
+ * Obtiene los artículos referidos por un artículo y los que lo refieren
+ * @param {string} clave - Clave de la norma (ya resuelta, ej: CCCH, DL3500.1980)
+ * @param {string} articulo - Número de artículo
+ * @param {Object} options - {
+ *   limit,
+ *   asOf: 'YYYY-MM-DD' para usar la versión vigente a esa fecha
+ *         (referido_por se limita a artículos con una versión publicada hasta esa fecha),
+ *   db: conexión a normas.sqlite (por defecto la de solo lectura)
+ * }
+ * @returns {Object} { available, cita, as_of, referencias, referido_por }
+ */
+function getArticleReferences(clave, articulo, { limit = 50, asOf = null, db = getReadDb() } = {}) {
+    const cita = toCanonicalCitation(clave, articulo);
+    if (!isReferenceIndexAvailable(db)) {
+        return { available: false, cita, as_of: asOf, referencias: [], referido_por: [] };
+    }
+
+    const referencias = asOf
+        ? getReferencesAsOf(db, clave, articulo, asOf, limit)
+        : db.prepare(`
+            SELECT destino_clave AS clave, destino_articulo AS articulo, texto_referencia, destino_existe
+            FROM ${REFERENCES_TABLE}
+            WHERE origen_clave = ? AND origen_articulo = ?
+            LIMIT ?
+        `).all(clave, articulo, limit);
+
+    const originFilter = asOf
+        ? `AND EXISTS (
+            SELECT 1 FROM articulos
+            WHERE clave = r.origen_clave AND numero_articulo = r.origen_articulo AND ${VERSION_FILTER}
+        )`
+        : '';
+    const referidoPor = db.prepare(`
+        SELECT r.origen_clave AS clave, r.origen_articulo AS articulo, r.texto_referencia
+        FROM ${REFERENCES_TABLE} r
+        WHERE r.destino_clave = ? AND r.destino_articulo = ? ${originFilter}
+        LIMIT ?
+    `).all(clave, articulo, ...(asOf ? [asOf] : []), limit);
+
+    const toItem = (row) => ({
+        cita: toCanonicalCitation(row.clave, row.articulo),
+        clave: row.clave,
+        articulo: row.articulo,
+        texto_referencia: row.texto_referencia,
+        ...(row.destino_existe !== undefined ? { en_bd: !!row.destino_existe } : {})
+    });
+
+    return {
+        available: true,
+        cita,
+        as_of: asOf,
+        referencias: referencias.map(toItem),
+        referido_por: referidoPor.map(toItem)
+    };
+}
+
+/**
+ * Cierra la conexión de lectura
+ */
+function close() {
+    if (readDb) {
+        readDb.close();
+        readDb = null;
+    }
+}
+
+module.exports = {
+    REFERENCES_TABLE,
+    extractArticleReferences,
+    buildReferenceIndex,
+    isReferenceIndexAvailable,
+    getArticleReferences,
+    close
+};
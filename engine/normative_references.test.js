@@ -0,0 +1,109 @@
+// engine/normative_references.test.js — Pruebas del grafo de referencias cruzadas entre artículos
+// Ejecutar con: node engine/normative_references.test.js
+//
+// Construye el índice sobre una BD SQLite temporal con dos versiones de un artículo.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { extractArticleReferences, buildReferenceIndex, getArticleReferences } = require('./normative_references');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+const pairs = (references) => references.map(r => `${r.clave}.Art${r.articulo}`);
+
+// ============ Extracción ============
+
+test('extractArticleReferences: referencias a la misma norma y a otras normas', () => {
+  const refs = extractArticleReferences('En conformidad al artículo 1698 y al artículo 5 de la Ley 19.628.', 'CCCH', '1545');
+  assertEqual(refs.map(r => [r.destino_clave, r.destino_articulo]), [['L19628', '5'], ['CCCH', '1698']]);
+});
+
+test('extractArticleReferences: listas, sufijos y sin autorreferencias', () => {
+  const refs = extractArticleReferences('Lo dispuesto en los arts. 10, 11 bis y 12, y en el artículo 1545.', 'CCCH', '1545');
+  assertEqual(refs.map(r => r.destino_articulo), ['10', '11bis', '12']);
+});
+
+// ============ Índice y consulta por fecha ============
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'normative-references-test-'));
+try {
+  const dbPath = path.join(dir, 'normas.sqlite');
+  const setup = new Database(dbPath);
+  setup.exec('CREATE TABLE articulos (clave TEXT, numero_articulo TEXT, texto TEXT, metadatos_fechaversion TEXT)');
+  const insert = setup.prepare('INSERT INTO articulos VALUES (?, ?, ?, ?)');
+  insert.run('CCCH', '10', 'Véase el artículo 12.', '2010-01-01');
+  insert.run('CCCH', '10', 'Véase el artículo 20.', '2020-01-01');
+  insert.run('CCCH', '12', 'Texto del artículo doce.', '2000-01-01');
+  insert.run('CCCH', '20', 'Texto del artículo veinte.', '2020-01-01');
+  insert.run('CCCH', '30', 'Se aplica el artículo 20.', '2021-06-01');
+  setup.close();
+
+  test('buildReferenceIndex: indexa la versión más reciente de cada artículo', () => {
+    assertEqual(buildReferenceIndex({ dbPath }), { articulos: 4, referencias: 2, referencias_resueltas: 2 });
+  });
+
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    test('getArticleReferences: sin fecha usa el índice de la versión actual', () => {
+      const result = getArticleReferences('CCCH', '10', { db });
+      assertEqual(pairs(result.referencias), ['CCCH.Art20']);
+      assertEqual(pairs(getArticleReferences('CCCH', '20', { db }).referido_por), ['CCCH.Art10', 'CCCH.Art30']);
+    });
+
+    test('getArticleReferences: con as_of extrae las referencias de la versión vigente', () => {
+      const result = getArticleReferences('CCCH', '10', { db, asOf: '2015-06-30' });
+      assertEqual(result.as_of, '2015-06-30');
+      assertEqual(result.referencias.map(r => [r.clave, r.articulo, r.en_bd]), [['CCCH', '12', true]]);
+    });
+
+    test('getArticleReferences: con as_of omite los artículos que refieren publicados después', () => {
+      assertEqual(pairs(getArticleReferences('CCCH', '20', { db, asOf: '2020-12-31' }).referido_por), ['CCCH.Art10']);
+    });
+
+    test('getArticleReferences: sin índice construido informa que no está disponible', () => {
+      const empty = new Database(':memory:');
+      assertEqual(getArticleReferences('CCCH', '10', { db: empty }).available, false);
+      empty.close();
+    });
+  } finally {
+    db.close();
+  }
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ============ Resumen ============
+console.log('\n' + '='.repeat(50));
+console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+console.log(`${RED}Fallidas: ${failed}${RESET}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
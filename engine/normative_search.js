@@ -0,0 +1,204 @@
+/**
+ * NORMATIVE SEARCH - LEGITIMUS PRO
+ * =================================
+ *
+ * Búsqueda de texto completo (FTS5) sobre normas.sqlite, para encontrar artículos
+ * sin conocer su CLAVE.ArtN.
+ *
+ * Indexación (scripts/build_normative_search_index.js): tabla virtual articulos_fts con
+ * contenido externo sobre articulos (texto, norma, materias). El tokenizador unicode61 con
+ * remove_diacritics hace que "indemnizacion" encuentre "indemnización".
+ *
+ * Consulta: searchNorms(query) → artículos ordenados por relevancia (bm25), una entrada por
+ * artículo (la versión más reciente, o la vigente a la fecha asOf).
+ *
+ * @version 1.0.0
+ * @author LEGITIMUS PRO Development Team
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { toCanonicalCitation } = require('./citation_normalizer');
+
+const DB_PATH = path.join(__dirname, 'normative_db', 'normas.sqlite');
+const SEARCH_TABLE = 'articulos_fts';
+
+// Pesos bm25 por columna: texto, norma, materias
+const COLUMN_WEIGHTS = [1.0, 4.0, 2.0];
+const MAX_LIMIT = 50;
+
+let readDb = null;
+
+/**
+ * Construye (o reconstruye) el índice FTS5 sobre normas.sqlite
+ * @param {Object} options - { dbPath }
+ * @returns {Object} { articulos }
+ */
+function buildSearchIndex({ dbPath = DB_PATH } = {}) {
+    if (!fs.existsSync(dbPath)) {
+        throw new Error(`Base de datos no encontrada: ${dbPath}`);
+    }
+
+    const db = new Database(dbPath);
+    try {
+        // Columnas opcionales en bases cargadas con versiones antiguas del conversor
+        const columns = new Set(db.prepare('PRAGMA table_info(articulos)').all().map(c => c.name));
+        for (const column of ['norma', 'materias']) {
+            if (!columns.has(column)) {
+                db.exec(`ALTER TABLE articulos ADD COLUMN ${column} TEXT`);
+            }
+        }
+
+        db.transaction(() => {
+            db.exec(`
+                DROP TABLE IF EXISTS ${SEARCH_TABLE};
+                CREATE VIRTUAL TABLE ${SEARCH_TABLE} USING fts5(
+                    texto, norma, materias,
+                    content='articulos',
+                    content_rowid='rowid',
+                    tokenize='unicode61 remove_diacritics 2'
+                );
+                INSERT INTO ${SEARCH_TABLE}(${SEARCH_TABLE}) VALUES('rebuild');
+            `);
+        })();
+
+        const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${SEARCH_TABLE}`).get();
+        return { articulos: total };
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Conexión de solo lectura (lazy) para las consultas
+ */
+function getReadDb() {
+    if (readDb) return readDb;
+    if (!fs.existsSync(DB_PATH)) return null;
+
+    try {
+        readDb = new Database(DB_PATH, { readonly: true });
+        return readDb;
+    } catch (error) {
+        console.error('[NormativeSearch] Error abriendo BD:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Indica si el índice de búsqueda fue construido
+ */
+function isSearchIndexAvailable() {
+    const db = getReadDb();
+    if (!db) return false;
+    return !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(SEARCH_TABLE);
+}
+
+/**
+ * Convierte la consulta del usuario en una expresión FTS5 segura
+ * (cada término entre comillas; se descartan operadores y puntuación)
+ * @param {string} query - Consulta en lenguaje natural
+ * @param {string} operator - 'AND' u 'OR'
+ * @returns {string|null} Expresión MATCH o null si no hay términos
+ */
+function buildMatchExpression(query, operator = 'AND') {
+    if (!query || typeof query !== 'string') return null;
+
+    const terms = query
+        .normalize('NFC')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length > 1 || /\d/.test(term));
+    if (terms.length === 0) return null;
+
+    return terms.map(term => `"${term}"`).join(` ${operator} `);
+}
+
+/**
+ * Busca artículos por texto, nombre de la norma y materias
+ * @param {string} query - Consulta (ej: "indemnización por años de servicio")
+ * @param {Object} options - { clave, asOf, limit }
+ * @returns {Object} { available, query, total, resultados }
+ */
+function searchNorms(query, { clave = null, asOf = null, limit = 10 } = {}) {
+    if (!isSearchIndexAvailable()) {
+        return { available: false, query, total: 0, resultados: [] };
+    }
+
+    const max = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_LIMIT);
+    const db = getReadDb();
+
+    // Solo la versión más reciente de cada artículo (o la vigente a la fecha asOf)
+    const filters = [`a.metadatos_fechaversion IS (
+        SELECT MAX(v.metadatos_fechaversion) FROM articulos v
+        WHERE v.clave = a.clave AND v.numero_articulo IS a.numero_articulo
+        ${asOf ? 'AND substr(v.metadatos_fechaversion, 1, 10) <= ?' : ''}
+    )`];
+    const params = asOf ? [asOf] : [];
+    if (clave) {
+        filters.push('a.clave = ?');
+        params.push(String(clave).toUpperCase());
+    }
+
+    const stmt = db.prepare(`
+        SELECT a.clave, a.numero_articulo, a.norma, a.nombreparte, a.materias, a.metadatos_fechaversion,
+               snippet(${SEARCH_TABLE}, 0, '[', ']', '…', 24) AS fragmento,
+               bm25(${SEARCH_TABLE}, ${COLUMN_WEIGHTS.join(', ')}) AS puntaje
+        FROM ${SEARCH_TABLE}
+        JOIN articulos a ON a.rowid = ${SEARCH_TABLE}.rowid
+        WHERE ${SEARCH_TABLE} MATCH ?
+        ${filters.map(f => `AND ${f}`).join(' ')}
+        ORDER BY puntaje
+        LIMIT ?
+    `);
+
+    // Primero todos los términos; si no hay resultados, cualquiera de ellos
+    let rows = [];
+    for (const operator of ['AND', 'OR']) {
+        const expression = buildMatchExpression(query, operator);
+        if (!expression) break;
+        rows = stmt.all(expression, ...params, max);
+        if (rows.length > 0) break;
+    }
+
+    const seen = new Set();
+    const resultados = [];
+    for (const row of rows) {
+        const key = `${row.clave}|${row.numero_articulo}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        resultados.push({
+            cita: row.numero_articulo ? toCanonicalCitation(row.clave, row.numero_articulo) : null,
+            clave: row.clave,
+            articulo: row.numero_articulo,
+            norma: row.norma,
+            nombreparte: row.nombreparte,
+            materias: row.materias,
+            fecha_version: row.metadatos_fechaversion,
+            fragmento: row.fragmento,
+            puntaje: Math.round(-row.puntaje * 1000) / 1000
+        });
+        if (resultados.length >= max) break;
+    }
+
+    return { available: true, query, total: resultados.length, resultados };
+}
+
+/**
+ * Cierra la conexión de lectura
+ */
+function close() {
+    if (readDb) {
+        readDb.close();
+        readDb = null;
+    }
+}
+
+module.exports = {
+    SEARCH_TABLE,
+    buildSearchIndex,
+    isSearchIndexAvailable,
+    buildMatchExpression,
+    searchNorms,
+    close
+};
@@ -0,0 +1,218 @@
+/**
+ * NORMATIVE URL VALIDATOR - LEGITIMUS PRO
+ * ========================================
+ *
+ * Valida las URLs de BCN LeyChile de una respuesta contra normas.sqlite, sin depender
+ * de los chunks de file_search (url_validator.js solo corrige con esa metadata).
+ *
+ * Para cada URL bcn.cl/leychile/navegar de la respuesta:
+ * 1. Si el texto inmediatamente anterior cita un artículo (CLAVE.ArtN o lenguaje natural)
+ *    que existe en la BD, la URL debe apuntar a su idnorma/idparte; si no, se repara.
+ * 2. Sin cita cercana, la URL es válida si el par (norma_idnorma, metadatos_idparte) existe.
+ * 3. Si solo existe la norma y la parte no, se repara a la URL de la norma (sin idparte).
+ * 4. Si no existe la norma, la URL se elimina (en enlaces Markdown se conserva el texto).
+ *
+ * @version 1.0.0
+ * @author LEGITIMUS PRO Development Team
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { extractBcnUrls, extractIdNorma, extractIdParte } = require('./url_validator');
+const { extractProseCitations } = require('./citation_normalizer');
+const { findArticle, CITATION_PATTERNS } = require('./normative_citation_processor');
+const { buildLeyChileUrl } = require('./normative_browser');
+
+const DB_PATH = path.join(__dirname, 'normative_db', 'normas.sqlite');
+
+// Caracteres previos a la URL donde se busca la cita a la que corresponde
+const CONTEXT_WINDOW = 250;
+
+let readDb = null;
+
+/**
+ * Conexión de solo lectura (lazy)
+ */
+function getReadDb() {
+    if (readDb) return readDb;
+    if (!fs.existsSync(DB_PATH)) return null;
+
+    try {
+        readDb = new Database(DB_PATH, { readonly: true });
+        return readDb;
+    } catch (error) {
+        console.error('[NormativeUrlValidator] Error abriendo BD:', error.message);
+        return null;
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Última cita de artículo en un fragmento de texto
+ * @returns {Object|null} { clave, articulo }
+ */
+function lastCitationIn(text) {
+    let last = null;
+    const consider = (clave, articulo, index) => {
+        if (!last || index >= last.index) last = { clave, articulo, index };
+    };
+
+    for (const citation of extractProseCitations(text)) {
+        consider(citation.clave, citation.articulo, citation.index);
+    }
+    for (const pattern of CITATION_PATTERNS) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            consider(match[1].toUpperCase(), match[2].toLowerCase().replace(/\s+/g, ''), match.index);
+        }
+    }
+
+    return last ? { clave: last.clave, articulo: last.articulo } : null;
+}
+
+/**
+ * Determina la acción para una URL según la BD
+ * @returns {Object} { action: 'valid'|'repair'|'strip', corrected?, reason?, cita? }
+ */
+function checkUrl(db, url, contextText, asOf) {
+    const idnorma = extractIdNorma(url);
+    const idparte = extractIdParte(url);
+
+    // 1) URL asociada a una cita cercana que existe en la BD
+    const citation = lastCitationIn(contextText);
+    if (citation) {
+        const article = findArticle(citation.clave, citation.articulo, { asOf });
+        if (article && article.found && article.idnorma && article.idparte) {
+            const cita = `${article.clave}.Art${citation.articulo}`;
+            if (idnorma === String(article.idnorma) && idparte === String(article.idparte)) {
+                return { action: 'valid', cita };
+            }
+            return {
+                action: 'repair',
+                corrected: buildLeyChileUrl(article.idnorma, article.idparte),
+                reason: 'La URL no corresponde al artículo citado',
+                cita
+            };
+        }
+    }
+
+    // 2) Sin cita: validar el par idnorma/idparte
+    if (!idnorma) {
+        return { action: 'strip', reason: 'URL sin idnorma' };
+    }
+    if (idparte && db.prepare('SELECT 1 FROM articulos WHERE norma_idnorma = ? AND metadatos_idparte = ? LIMIT 1').get(idnorma, idparte)) {
+        return { action: 'valid' };
+    }
+
+    // 3) La norma existe: una URL de la norma completa es válida; una parte inexistente se repara
+    if (db.prepare('SELECT 1 FROM articulos WHERE norma_idnorma = ? LIMIT 1').get(idnorma)) {
+        if (!idparte) return { action: 'valid' };
+        return {
+            action: 'repair',
+            corrected: buildLeyChileUrl(idnorma),
+            reason: 'idparte inexistente en la norma'
+        };
+    }
+
+    // 4) Norma inexistente
+    return { action: 'strip', reason: 'idnorma inexistente en la base normativa' };
+}
+
+/**
+ * Elimina una URL (o su marcador) del texto; en enlaces Markdown [texto](url) conserva el texto
+ */
+function stripUrl(text, url) {
+    const escaped = escapeRegExp(url);
+    return text
+        .replace(new RegExp(`\\[([^\\]]*)\\]\\(${escaped}\\)`, 'g'), '$1')
+        .replace(new RegExp(`\\s*[(<]${escaped}[)>]`, 'g'), '')
+        .replace(new RegExp(`\\s*${escaped}`, 'g'), '');
+}
+
+/**
+ * Valida y corrige las URLs de BCN LeyChile de una respuesta contra normas.sqlite
+ * @param {string} text - Respuesta del modelo
+ * @param {Object} options - { asOf: fecha de vigencia para resolver citas }
+ * @returns {Object} { text, report: { performed, checked (apariciones), valid, repaired, stripped } }
+ */
+function validateBcnUrlsAgainstDb(text, { asOf = null } = {}) {
+    const db = getReadDb();
+    if (!text || typeof text !== 'string' || !db) {
+        return { text, report: { performed: false } };
+    }
+
+    // Sin el punto final de la oración
+    const urls = extractBcnUrls(text).map(url => url.replace(/\.+$/, ''));
+    if (urls.length === 0) {
+        return { text, report: { performed: true, checked: 0, valid: 0, repaired: [], stripped: [] } };
+    }
+
+    const report = { performed: true, checked: 0, valid: 0, repaired: [], stripped: [] };
+    const occurrences = [];
+    let searchFrom = 0;
+
+    // Cada aparición se decide con el contexto que la precede: la misma URL puede acompañar
+    // a citas distintas (correcta junto a una, errada junto a otra)
+    for (const url of urls) {
+        const start = text.indexOf(url, searchFrom);
+        if (start === -1) continue;
+        const previousEnd = occurrences.length ? occurrences[occurrences.length - 1].end : 0;
+        const context = text.slice(Math.max(previousEnd, start - CONTEXT_WINDOW), start);
+        searchFrom = start + url.length;
+
+        const decision = checkUrl(db, url, context, asOf);
+        occurrences.push({ url, start, end: start + url.length, decision });
+        if (decision.action === 'valid') {
+            report.valid++;
+        } else if (decision.action === 'repair') {
+            report.repaired.push({ original: url, corrected: decision.corrected, reason: decision.reason, cita: decision.cita || null });
+        } else {
+            report.stripped.push({ url, reason: decision.reason });
+        }
+    }
+
+    report.checked = occurrences.length;
+
+    // Marcador por aparición (por posición, no por texto), luego la decisión de cada una
+    let validated = '';
+    let lastIndex = 0;
+    occurrences.forEach(({ start, end }, i) => {
+        validated += text.slice(lastIndex, start) + `\u0000${i}\u0000`;
+        lastIndex = end;
+    });
+    validated += text.slice(lastIndex);
+    occurrences.forEach(({ url, decision }, i) => {
+        const marker = `\u0000${i}\u0000`;
+        if (decision.action === 'strip') {
+            validated = stripUrl(validated, marker);
+        } else {
+            validated = validated.split(marker).join(decision.action === 'repair' ? decision.corrected : url);
+        }
+    });
+
+    if (report.repaired.length || report.stripped.length) {
+        console.log(`[NormativeUrlValidator] URLs BCN: ${report.checked} revisadas, ${report.repaired.length} reparadas, ${report.stripped.length} eliminadas`);
+    }
+
+    return { text: validated, report };
+}
+
+/**
+ * Cierra la conexión de lectura
+ */
+function close() {
+    if (readDb) {
+        readDb.close();
+        readDb = null;
+    }
+}
+
+module.exports = {
+    validateBcnUrlsAgainstDb,
+    close
+};
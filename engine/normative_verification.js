@@ -0,0 +1,201 @@
+/**
+ * NORMATIVE VERIFICATION - LEGITIMUS PRO
+ * =======================================
+ *
+ * Segunda pasada de autocorrección: envía al modelo el borrador de respuesta junto con
+ * el Anexo Normativo para el MODELO (texto literal de los artículos citados) y obtiene
+ * una respuesta verificada más el detalle de las afirmaciones corregidas.
+ *
+ * Se activa por instancia en config.json:
+ *   "normative_verification": {
+ *     "enabled": true,
+ *     "model": "gpt-4.1",          // opcional, por defecto el modelo de la instancia
+ *     "max_annex_chars": 60000     // opcional, recorta anexos muy largos
+ *   }
+ *
+ * @version 1.0.0
+ * @author LEGITIMUS PRO Development Team
+ */
+
+const DEFAULT_MAX_ANNEX_CHARS = 60000;
+
+/**
+ * Indica si la verificación está activa para la configuración de la instancia
+ * @param {Object} cfg - bot_config de la instancia
+ * @returns {boolean}
+ */
+function isVerificationEnabled(cfg) {
+    return !!(cfg && cfg.normative_verification && cfg.normative_verification.enabled);
+}
+
+/**
+ * Construye el prompt de la segunda pasada
+ * @param {Object} params - { question, draft, anexoModelo, maxAnnexChars }
+ * @returns {string}
+ */
+function buildVerificationPrompt({ question, draft, anexoModelo, maxAnnexChars = DEFAULT_MAX_ANNEX_CHARS }) {
+    const annex = anexoModelo.length > maxAnnexChars
+        ? anexoModelo.substring(0, maxAnnexChars) + '\n[... anexo recortado ...]'
+        : anexoModelo;
+
+    return [
+        'Eres un revisor jurídico. Verifica el BORRADOR contra el texto literal de los artículos del ANEXO NORMATIVO.',
+        'Corrige números de artículo, citas y afirmaciones que no coincidan con el texto literal. No agregues contenido nuevo que no esté respaldado.',
+        'Si el borrador es correcto, devuélvelo sin cambios.',
+        '',
+        'Responde EXCLUSIVAMENTE con un objeto JSON con esta forma:',
+        '{"answer": "<respuesta verificada completa>", "corrections": [{"original": "<afirmación del borrador>", "corrected": "<afirmación corregida>", "citation": "<CLAVE.ArtN>", "reason": "<motivo>"}]}',
+        '',
+        '=== PREGUNTA DEL USUARIO ===',
+        question || '',
+        '',
+        '=== BORRADOR ===',
+        draft,
+        '',
+        annex
+    ].join('\n');
+}
+
+/**
+ * Interpreta la salida del modelo. Acepta JSON puro o envuelto en bloque ```json
+ * @param {string} raw - Texto devuelto por el modelo
+ * @returns {Object|null} { answer, corrections } o null si no es interpretable
+ */
+function parseVerificationOutput(raw) {
+    if (!raw || typeof raw !== 'string') return null;
+
+    let candidate = raw.trim();
+    const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+        candidate = fenced[1].trim();
+    } else {
+        const start = candidate.indexOf('{');
+        const end = candidate.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+        candidate = candidate.substring(start, end + 1);
+    }
+
+    try {
+        const parsed = JSON.parse(candidate);
+        if (!parsed || typeof parsed.answer !== 'string' || !parsed.answer.trim()) return null;
+
+        const corrections = Array.isArray(parsed.corrections)
+            ? parsed.corrections
+                .filter(c => c && (c.original || c.corrected))
+                .map(c => ({
+                    original: String(c.original || ''),
+                    corrected: String(c.corrected || ''),
+                    citation: c.citation ? String(c.citation) : null,
+                    reason: c.reason ? String(c.reason) : null
+                }))
+            : [];
+
+        return { answer: parsed.answer, corrections };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Suma dos objetos de uso de tokens (campos numéricos)
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {Object|null}
+ */
+function mergeUsage(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+
+    const merged = { ...a };
+    for (const [key, value] of Object.entries(b)) {
+        if (typeof value === 'number') {
+            merged[key] = (typeof merged[key] === 'number' ? merged[key] : 0) + value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Llama al modelo según el api_mode de la instancia, sin herramientas
+ */
+async function callVerifier(cfg, prompt) {
+    const verificationCfg = cfg.normative_verification || {};
+    const model = verificationCfg.model || null;
+
+    if ((cfg.api_mode || '').toLowerCase() === 'responses') {
+        const { askWithResponses } = require('./responses_adapter');
+        const result = await askWithResponses({
+            inputText: prompt,
+            config: {
+                ...cfg,
+                model: model || cfg.model,
+                enable_web_search: false,
+                enable_file_search: false,
+                web_navigation: { enabled: false }
+            }
+        });
+        return { text: result?.text || '', usage: result?.usage || null };
+    }
+
+    const { chat } = require('./llm');
+    const result = await chat(
+        { ...cfg, modelo: model || cfg.modelo },
+        [{ role: 'user', content: prompt }]
+    );
+    return { text: result?.content || '', usage: result?.usage || null };
+}
+
+/**
+ * Ejecuta la segunda pasada de verificación
+ * @param {Object} params - { cfg, question, draft, anexoModelo }
+ * @returns {Promise<Object>} {
+ *   applied: boolean,        // true si se reemplazó el borrador por la respuesta verificada
+ *   answer: string,          // respuesta final (verificada o el borrador si falló)
+ *   corrections: Array,      // afirmaciones corregidas
+ *   usage: Object|null,      // tokens de la segunda pasada
+ *   error: string|null
+ * }
+ */
+async function runVerificationPass({ cfg, question, draft, anexoModelo }) {
+    const base = { applied: false, answer: draft, corrections: [], usage: null, error: null };
+
+    if (!isVerificationEnabled(cfg) || !anexoModelo || !draft) {
+        return base;
+    }
+
+    try {
+        const prompt = buildVerificationPrompt({
+            question,
+            draft,
+            anexoModelo,
+            maxAnnexChars: cfg.normative_verification.max_annex_chars || DEFAULT_MAX_ANNEX_CHARS
+        });
+        const { text, usage } = await callVerifier(cfg, prompt);
+        const parsed = parseVerificationOutput(text);
+
+        if (!parsed) {
+            console.warn('[NormativeVerification] Salida del verificador no interpretable, se mantiene el borrador');
+            return { ...base, usage, error: 'unparseable_output' };
+        }
+
+        console.log(`[NormativeVerification] Verificación completada: ${parsed.corrections.length} corrección(es)`);
+        return {
+            applied: true,
+            answer: parsed.answer,
+            corrections: parsed.corrections,
+            usage,
+            error: null
+        };
+    } catch (error) {
+        console.error('[NormativeVerification] Error en la segunda pasada:', error.message);
+        return { ...base, error: error.message };
+    }
+}
+
+module.exports = {
+    isVerificationEnabled,
+    buildVerificationPrompt,
+    parseVerificationOutput,
+    mergeUsage,
+    runVerificationPass
+};
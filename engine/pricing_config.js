@@ -36,6 +36,12 @@ const MODEL_PRICING = {
   }
 };
 
+// Modelos locales (Ollama vía local_llm.js): sin costo de API
+const LOCAL_MODEL_PRICING = {
+  input: 0,
+  output: 0
+};
+
 // ============================================================================
 // CONFIGURACIÓN DE CRÉDITOS
 // ============================================================================
@@ -124,6 +130,20 @@ function calculateRealCost(model, inputTokens, outputTokens) {
   return inputCost + outputCost;
 }
 
+/**
+ * Precio del backend que produjo una respuesta (ver llm_failover.js)
+ * @param {Object|string} backend - { model, local } o nombre del modelo
+ * @returns {Object|null} { model, input, output } o null si el modelo no tiene precio configurado
+ */
+function getModelPricing(backend) {
+  const model = typeof backend === 'string' ? backend : backend && backend.model;
+  if (backend && backend.local) {
+    return { model: model || 'local', ...LOCAL_MODEL_PRICING };
+  }
+  const pricing = MODEL_PRICING[model];
+  return pricing ? { model, ...pricing } : null;
+}
+
 /**
  * Calcula cuántos créditos debe consumir una consulta
  * @param {string} model - Nombre del modelo
@@ -232,6 +252,7 @@ module.exports = {
   CREDIT_PLANS,
   
   // Funciones
+  getModelPricing,
   calculateRealCost,
   calculateCreditsFromTokens,
   estimateQueriesFromCredits,
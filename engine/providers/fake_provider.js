@@ -0,0 +1,92 @@
+// engine/providers/fake_provider.js — Proveedor determinista para pruebas (sin red)
+// Permite ejecutar todo el pipeline answer()/answerStream() sin llamar a ningún modelo:
+//   "llm_provider": { "type": "fake", "responses": [{ "match": "1545", "content": "Según CCCH.Art1545..." }] }
+// o bien LLM_PROVIDER=fake en el entorno.
+const crypto = require('crypto');
+
+const DEFAULT_DIMENSIONS = 256;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function messagesText(messages) {
+  return (messages || []).map(m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content))).join('\n');
+}
+
+class FakeProvider {
+  /**
+   * @param {object} options - Entrada llm_provider de config.json
+   *   - responses {Array} [{ match: 'regex', content: 'respuesta' }] evaluadas sobre el último mensaje del usuario
+   *   - default_response {string} Respuesta si ninguna coincide (por defecto eco del mensaje)
+   *   - dimensions {number} Dimensiones de los embeddings (por defecto 256)
+   *   - transcription {string} Texto devuelto por transcribe()
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'fake';
+    this.responses = Array.isArray(options.responses) ? options.responses : [];
+    this.defaultResponse = options.default_response || null;
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+    this.transcription = options.transcription || 'Transcripción simulada.';
+    this.supports = { responses: false, stream: true, embed: true, transcribe: true };
+    this.calls = []; // Registro de llamadas para las aserciones de las pruebas
+  }
+
+  reply(messages) {
+    const lastUser = [...(messages || [])].reverse().find(m => m.role === 'user');
+    const question = lastUser ? messagesText([lastUser]) : messagesText(messages);
+
+    const rule = this.responses.find(r => new RegExp(r.match, 'i').test(question));
+    if (rule) return rule.content;
+    if (this.defaultResponse) return this.defaultResponse;
+    return `Respuesta simulada: ${question.replace(/\s+/g, ' ').trim().slice(-200)}`;
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push({ method: 'chat', messages, options });
+    const content = this.reply(messages);
+    const prompt = estimateTokens(messagesText(messages));
+    const completion = estimateTokens(content);
+    return {
+      content,
+      usage: { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion },
+      model: options.model || 'fake'
+    };
+  }
+
+  async *stream(messages, options = {}) {
+    const result = await this.chat(messages, options);
+    for (const piece of result.content.match(/\S+\s*/g) || []) {
+      yield { type: 'delta', text: piece };
+    }
+    yield { type: 'done', content: result.content, usage: result.usage, model: result.model };
+  }
+
+  /**
+   * Embeddings deterministas por hashing de palabras (normalizados a norma 1):
+   * textos con palabras en común quedan cerca por similitud coseno.
+   */
+  async embed(input, options = {}) {
+    this.calls.push({ method: 'embed', input, options });
+    const inputs = Array.isArray(input) ? input : [input];
+    const embeddings = inputs.map(text => {
+      const vector = new Array(this.dimensions).fill(0);
+      const words = String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || [];
+      for (const word of words) {
+        const hash = crypto.createHash('md5').update(word).digest();
+        vector[hash.readUInt32BE(0) % this.dimensions] += hash[4] & 1 ? 1 : -1;
+      }
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+      return vector.map(v => v / norm);
+    });
+    const tokens = inputs.reduce((sum, text) => sum + estimateTokens(text), 0);
+    return { embeddings, usage: { prompt_tokens: tokens, total_tokens: tokens }, model: options.model || 'fake-embedding' };
+  }
+
+  async transcribe(params = {}) {
+    this.calls.push({ method: 'transcribe', params });
+    return { text: this.transcription, duration: 0, model: params.model || 'fake-transcribe' };
+  }
+}
+
+module.exports = { FakeProvider };
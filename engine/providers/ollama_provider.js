@@ -0,0 +1,98 @@
+// engine/providers/ollama_provider.js — Proveedor Ollama (API nativa /api/chat, /api/embed)
+const axios = require('axios');
+
+const DEFAULT_OLLAMA_HOST = 'http://localhost:11434';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Uso de tokens de Ollama (prompt_eval_count / eval_count) en formato Chat Completions
+ */
+function usageFromOllama(data) {
+  const prompt = data.prompt_eval_count || 0;
+  const completion = data.eval_count || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+class OllamaProvider {
+  /**
+   * @param {object} options - Entrada llm_provider de config.json
+   *   - base_url {string} Host de Ollama (por defecto http://localhost:11434)
+   *   - timeout_ms {number}
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'ollama';
+    this.host = (options.base_url || DEFAULT_OLLAMA_HOST).replace(/\/+$/, '');
+    this.timeout = options.timeout_ms || DEFAULT_TIMEOUT_MS;
+    this.supports = { responses: false, stream: true, embed: true, transcribe: false };
+    this.http = axios.create({ baseURL: this.host, timeout: this.timeout });
+    // Mismo campo status que los errores del SDK de OpenAI (429, 401...)
+    this.http.interceptors.response.use(r => r, error => {
+      error.status = error.response?.status;
+      return Promise.reject(error);
+    });
+  }
+
+  buildChatPayload(messages, { model, maxTokens, temperature, stop }, stream) {
+    return {
+      model,
+      messages,
+      stream,
+      options: {
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens ? { num_predict: maxTokens } : {}),
+        ...(stop ? { stop } : {})
+      }
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.http.post('/api/chat', this.buildChatPayload(messages, options, false));
+    return {
+      content: response.data?.message?.content || '',
+      usage: usageFromOllama(response.data || {}),
+      model: options.model
+    };
+  }
+
+  async *stream(messages, options = {}) {
+    const response = await this.http.post('/api/chat', this.buildChatPayload(messages, options, true), {
+      responseType: 'stream'
+    });
+
+    // Ollama emite un objeto JSON por línea
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+        const delta = data.message?.content || '';
+        if (delta) {
+          content += delta;
+          yield { type: 'delta', text: delta };
+        }
+        if (data.done) usage = usageFromOllama(data);
+      }
+    }
+    yield { type: 'done', content, usage, model: options.model };
+  }
+
+  async embed(input, { model } = {}) {
+    const response = await this.http.post('/api/embed', { model, input });
+    return {
+      embeddings: response.data?.embeddings || [],
+      usage: null,
+      model
+    };
+  }
+
+  async transcribe() {
+    throw new Error('El proveedor ollama no soporta transcripción de audio');
+  }
+}
+
+module.exports = { OllamaProvider };
@@ -0,0 +1,32 @@
+// engine/providers/openai_compatible_provider.js — Servidores locales con API compatible con OpenAI
+// (vLLM, LM Studio, llama.cpp server, LocalAI...). Solo Chat Completions y embeddings:
+// la Responses API, file_search y web_search son exclusivos de OpenAI.
+const { OpenAIProvider } = require('./openai_provider');
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {object} options - Entrada llm_provider de config.json
+   *   - base_url {string} URL base del servidor (ej: http://localhost:8000/v1) — requerida
+   *   - api_key_env {string} Variable de entorno con la API key, si el servidor la exige
+   *   - supports_transcribe {boolean} El servidor expone /audio/transcriptions
+   */
+  constructor(options = {}) {
+    if (!options.base_url) {
+      throw new Error('llm_provider.base_url es requerido para el proveedor openai_compatible');
+    }
+    // El SDK exige una API key aunque el servidor local no la valide
+    super({
+      ...options,
+      api_key: options.api_key_env ? undefined : 'not-needed',
+      name: options.name || 'openai_compatible'
+    });
+    this.supports = {
+      responses: false,
+      stream: true,
+      embed: true,
+      transcribe: options.supports_transcribe === true
+    };
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,99 @@
+// engine/providers/openai_provider.js — Proveedor OpenAI (API oficial)
+const fs = require('fs');
+const OpenAI = require('openai');
+
+const DEFAULT_TIMEOUT_MS = 100000;
+
+/**
+ * Normaliza el uso de tokens al formato de Chat Completions
+ * (prompt_tokens / completion_tokens / total_tokens)
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  const prompt = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+  const completion = usage.completion_tokens ?? usage.output_tokens ?? 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: usage.total_tokens ?? prompt + completion
+  };
+}
+
+class OpenAIProvider {
+  /**
+   * @param {object} options - Entrada llm_provider de config.json
+   *   - api_key_env {string} Variable de entorno con la API key (por defecto OPENAI_API_KEY)
+   *   - base_url {string} URL base (solo para servidores compatibles)
+   *   - timeout_ms {number}, max_retries {number}
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.supports = { responses: true, stream: true, embed: true, transcribe: true };
+    this.client = new OpenAI({
+      apiKey: process.env[options.api_key_env || 'OPENAI_API_KEY'] || options.api_key || undefined,
+      baseURL: options.base_url || undefined,
+      timeout: options.timeout_ms || DEFAULT_TIMEOUT_MS,
+      maxRetries: options.max_retries !== undefined ? options.max_retries : 2
+    });
+  }
+
+  async chat(messages, { model, maxTokens, temperature, stop } = {}) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(stop ? { stop } : {})
+    });
+    return {
+      content: response.choices[0].message.content,
+      usage: normalizeUsage(response.usage),
+      model: response.model || model
+    };
+  }
+
+  async *stream(messages, { model, maxTokens, temperature, stop } = {}) {
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      stream_options: { include_usage: true },
+      ...(stop ? { stop } : {})
+    });
+
+    let content = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content || '';
+      if (delta) {
+        content += delta;
+        yield { type: 'delta', text: delta };
+      }
+      if (chunk.usage) usage = chunk.usage;
+    }
+    yield { type: 'done', content, usage: normalizeUsage(usage), model };
+  }
+
+  async embed(input, { model } = {}) {
+    const response = await this.client.embeddings.create({ model, input });
+    return {
+      embeddings: response.data.map(d => d.embedding),
+      usage: response.usage || null,
+      model
+    };
+  }
+
+  async transcribe({ filePath, file, model = 'whisper-1', language, responseFormat = 'json' } = {}) {
+    const response = await this.client.audio.transcriptions.create({
+      file: file || fs.createReadStream(filePath),
+      model,
+      ...(language ? { language } : {}),
+      response_format: responseFormat
+    });
+    return { text: response.text, duration: response.duration ?? null, model };
+  }
+}
+
+module.exports = { OpenAIProvider, normalizeUsage };
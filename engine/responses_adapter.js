@@ -1,51 +1,128 @@
 // engine/responses_adapter.js — Responses API adapter (Step 2: web_search + file_search toggles + STREAMING)
 // ACTUALIZADO: Integración de validación de URLs BCN para blindar citas normativas
-const OpenAI = require("openai");
 const { cleanMarkdown } = require('./markdown_cleaner');
 const { processResponseWithUrlValidation } = require('./url_validator');
+const gateway = require('./llm_gateway');
 
+// Cliente del SDK compartido por el gateway (timeout según openai_timeout_ms de la instancia)
 function getOpenAIClient(config) {
-  return new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-    timeout: config.openai_timeout_ms || 100000, // Nuevo timeout configurable, 100s por defecto
-  });
+  return gateway.getOpenAIClient(config);
+}
+
+/**
+ * Uso de tokens del gateway (Chat Completions) en formato Responses API
+ */
+function toResponsesUsage(usage) {
+  if (!usage) return null;
+  return {
+    input_tokens: usage.prompt_tokens || 0,
+    output_tokens: usage.completion_tokens || 0,
+    total_tokens: usage.total_tokens || 0
+  };
+}
+
+/**
+ * Proveedores sin Responses API (openai_compatible, ollama, fake): el texto ya construido
+ * se envía como un único mensaje de usuario. file_search / web_search no están disponibles.
+ */
+function warnToolsUnavailable(config) {
+  if (config && (config.enable_web_search || config.enable_file_search)) {
+    console.warn(`[Responses API] El proveedor ${gateway.getProvider(config).name} no soporta file_search/web_search; se omiten`);
+  }
 }
 
 /** Local function executors registry */
 const navigateWebExec = require('./tools/navigate_web');
+const calculateDeadlineExec = require('./tools/calculate_deadline');
+const monetaryCalculators = require('./tools/monetary_calculators');
+const calculateSeveranceExec = require('./tools/calculate_severance');
 // const { literal_search } = require('./tools/literal_search'); // DESACTIVADO: No compatible con Responses API
 
-async function executeToolCalls(resp, config){
-  // Supports Responses API required_action .
-  // Finds tool calls and executes locally, then submits tool outputs until completion.
-  if (!resp) return resp;
-  if (!resp.required_action || !resp.required_action.submit_tool_outputs) return resp;
+// Máximo de rondas de function tools por respuesta (evita ciclos si el modelo sigue pidiendo herramientas)
+const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * Ejecuta localmente una function tool pedida por el modelo
+ */
+async function runFunctionTool(name, rawArgs, config) {
+  let args = {};
+  try { args = JSON.parse(rawArgs || '{}'); } catch {}
+  try {
+    if (name === 'navigate_web') return await navigateWebExec(args, config);
+    if (name === 'calculate_deadline') return await calculateDeadlineExec(args);
+    if (monetaryCalculators[name]) return await monetaryCalculators[name].run(args);
+    if (name === 'calculate_severance') return await calculateSeveranceExec(args);
+    // if (name === 'literal_search') return await literal_search(args, config);
+  } catch (e) {
+    return { error: String(e.message || e) };
+  }
+  return { error: `Unknown tool: ${name}` };
+}
+
+/**
+ * Llamadas a function tools de una respuesta (items "function_call" de output)
+ */
+function getFunctionCalls(resp) {
+  return (resp && Array.isArray(resp.output) ? resp.output : []).filter(item => item.type === 'function_call');
+}
 
-  // Collect outputs
-  const calls = resp.required_action.submit_tool_outputs.tool_calls || [];
+/**
+ * Ejecuta las llamadas y arma el input de la ronda siguiente (items "function_call_output")
+ */
+async function runToolCalls(calls, config) {
   const outputs = [];
   for (const call of calls) {
-    const name = call.function?.name;
-    let args = {};
-    try { args = JSON.parse(call.function?.arguments || '{}'); } catch {}
-    let result = { error: `Unknown tool: ${name}` };
-    if (name === 'navigate_web') {
-      try { result = await navigateWebExec(args, config); } catch(e){ result = { error: String(e.message || e) }; }
-    }
-    // if (name === 'literal_search') {
-    //   try { result = await literal_search(args, config); } catch(e){ result = { error: String(e.message || e) }; }
-    // }
-    outputs.push({ tool_call_id: call.id, output: JSON.stringify(result) });
+    console.log(`[Responses API] Ejecutando function tool ${call.name}`);
+    const result = await runFunctionTool(call.name, call.arguments, config);
+    outputs.push({ type: 'function_call_output', call_id: call.call_id, output: JSON.stringify(result) });
   }
+  return outputs;
+}
 
+/**
+ * Suma el uso de tokens de las rondas de una misma respuesta
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return usage;
+  return {
+    input_tokens: (total.input_tokens || 0) + (usage.input_tokens || 0),
+    output_tokens: (total.output_tokens || 0) + (usage.output_tokens || 0),
+    total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+  };
+}
+
+/**
+ * Ejecuta las function tools que pide el modelo y continúa la respuesta con sus resultados
+ * (responses.create con previous_response_id) hasta que ya no pida herramientas.
+ * @param {object} resp - Primera respuesta de responses.create
+ * @param {object} config - Config de la instancia
+ * @param {object} payload - Payload original (modelo, tools, include) que se repite en cada ronda
+ * @returns {Promise<{ resp: object, output: Array, usage: object }>} respuesta final,
+ *   items de output de todas las rondas y uso de tokens acumulado
+ */
+async function executeToolCalls(resp, config, payload) {
   const client = getOpenAIClient(config);
-  const next = await client.responses.submitToolOutputs({
-    response_id: resp.id,
-    tool_outputs: outputs
-  });
+  const output = [...((resp && resp.output) || [])];
+  let usage = (resp && resp.usage) || null;
+  let current = resp;
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const calls = getFunctionCalls(current);
+    if (calls.length === 0) break;
+    current = await client.responses.create({
+      ...payload,
+      previous_response_id: current.id,
+      input: await runToolCalls(calls, config)
+    });
+    output.push(...(current.output || []));
+    usage = addUsage(usage, current.usage);
+  }
+  if (getFunctionCalls(current).length > 0) {
+    console.warn(`[Responses API] Se alcanzó el máximo de ${MAX_TOOL_ROUNDS} rondas de function tools`);
+  }
 
-  // Recurse if more actions needed
-  return await executeToolCalls(next, config);
+  return { resp: current, output, usage };
 }
 
 
@@ -71,19 +148,12 @@ function buildPolicyPrefix(config = {}) {
 }
 
 /**
- * Derive tools from config flags (web_search, file_search).
+ * Function tools locales habilitadas en la config (navigate_web, calculate_deadline,
+ * calculadoras monetarias, calculate_severance)
  */
-function deriveToolsFromConfig(config = {}) {
+function deriveFunctionTools(config = {}) {
   const tools = [];
-  if (config.enable_web_search) { 
-    tools.push({ type: 'web_search' }); 
-    console.log('[deriveToolsFromConfig] ✅ web_search HABILITADO (NO preview)');
-  }
-  if (config.enable_file_search) {
-    const vs = Array.isArray(config.vector_store_ids) ? config.vector_store_ids : [];
-    if (vs.length > 0) tools.push({ type: 'file_search', vector_store_ids: vs });
-    else tools.push({ type: 'file_search' });
-  }
+
   if (config.web_navigation && config.web_navigation.enabled) {
     tools.push({
       type: 'function',
@@ -96,6 +166,57 @@ function deriveToolsFromConfig(config = {}) {
       }
     });
   }
+  if (config.deadline_calculator && config.deadline_calculator.enabled) {
+    tools.push({
+      type: 'function',
+      name: 'calculate_deadline',
+      description: calculateDeadlineExec.description,
+      parameters: calculateDeadlineExec.parameters
+    });
+  }
+  if (config.monetary_calculators && config.monetary_calculators.enabled) {
+    // monetary_calculators.tools: lista opcional de herramientas a ofrecer (por defecto todas)
+    const chosen = Array.isArray(config.monetary_calculators.tools) ? config.monetary_calculators.tools : null;
+    for (const [name, tool] of Object.entries(monetaryCalculators)) {
+      if (chosen && !chosen.includes(name)) continue;
+      tools.push({ type: 'function', name, description: tool.description, parameters: tool.parameters });
+    }
+  }
+  if (config.severance_calculator && config.severance_calculator.enabled) {
+    tools.push({
+      type: 'function',
+      name: 'calculate_severance',
+      description: calculateSeveranceExec.description,
+      parameters: calculateSeveranceExec.parameters
+    });
+  }
+  return tools;
+}
+
+/**
+ * Indica si una function tool se ofrece al modelo: solo en api_mode "responses",
+ * con un proveedor que soporte Responses API y la herramienta habilitada en la config
+ */
+function offersFunctionTool(config = {}, name) {
+  if ((config.api_mode || '').toLowerCase() !== 'responses' || !gateway.supportsResponses(config)) return false;
+  return deriveFunctionTools(config).some(tool => tool.name === name);
+}
+
+/**
+ * Derive tools from config flags (web_search, file_search) and local function tools.
+ */
+function deriveToolsFromConfig(config = {}) {
+  const tools = [];
+  if (config.enable_web_search) { 
+    tools.push({ type: 'web_search' }); 
+    console.log('[deriveToolsFromConfig] ✅ web_search HABILITADO (NO preview)');
+  }
+  if (config.enable_file_search) {
+    const vs = Array.isArray(config.vector_store_ids) ? config.vector_store_ids : [];
+    if (vs.length > 0) tools.push({ type: 'file_search', vector_store_ids: vs });
+    else tools.push({ type: 'file_search' });
+  }
+  tools.push(...deriveFunctionTools(config));
   // DESACTIVADO: literal_search no es compatible con Responses API
   // if (config.enable_literal_search) {
   //   tools.push({ ... });
@@ -113,6 +234,20 @@ function deriveToolsFromConfig(config = {}) {
  * @returns {Promise<{ text: string, raw: any, meta: object }>}
  */
 async function askWithResponses({ inputText = '', config = {}, tools = [] }) {
+  if (!gateway.supportsResponses(config)) {
+    warnToolsUnavailable(config);
+    const result = await gateway.chat(config, [{ role: 'user', content: inputText }], {
+      model: (config && config.model) || 'gpt-4.1'
+    });
+    return {
+      text: cleanMarkdown(result.content || ''),
+      raw: result,
+      usage: toResponsesUsage(result.usage),
+      urlValidation: null,
+      meta: { provider: result.provider, tools: [], markdown_cleaned: true, url_validation_enabled: false }
+    };
+  }
+
   // 1) Policy prefix (citations / allowlist) — only if web_search enabled
   let finalInput = inputText;
   if (config && (config.enable_web_search || config.enable_file_search)) {
@@ -149,11 +284,11 @@ async function askWithResponses({ inputText = '', config = {}, tools = [] }) {
 
   // 4) Call Responses API
   const client = getOpenAIClient(config);
-  let resp = await client.responses.create(payload);
-  resp = await executeToolCalls(resp, config);
+  const firstResp = await client.responses.create(payload);
+  // Function tools: se ejecutan localmente y la respuesta continúa con sus resultados
+  const { resp, output, usage } = await executeToolCalls(firstResp, config, payload);
 
-  // 5) Extract usage information (Responses API structure)
-  const usage = resp.usage || null;
+  // 5) Extract usage information (Responses API structure, sumado entre rondas de function tools)
   
   // Log para debugging
   if (usage) {
@@ -171,7 +306,8 @@ async function askWithResponses({ inputText = '', config = {}, tools = [] }) {
   
   if (config.enable_file_search && enableUrlValidation) {
     try {
-      urlValidationResult = processResponseWithUrlValidation(resp, rawText);
+      // Resultados de file_search de todas las rondas (pueden venir antes de una function tool)
+      urlValidationResult = processResponseWithUrlValidation({ ...resp, output }, rawText);
       finalText = urlValidationResult.text;
       
       if (urlValidationResult.urlValidation.performed) {
@@ -222,6 +358,37 @@ async function askWithResponsesStream({
   onComplete = () => {},
   onError = () => {}
 }) {
+  if (!gateway.supportsResponses(config)) {
+    warnToolsUnavailable(config);
+    try {
+      let fullText = '';
+      let usage = null;
+      for await (const event of gateway.stream(config, [{ role: 'user', content: inputText }], {
+        model: (config && config.model) || 'gpt-4.1'
+      })) {
+        if (event.type === 'delta') {
+          fullText += event.text;
+          onDelta(event.text);
+        } else if (event.type === 'done') {
+          usage = toResponsesUsage(event.usage);
+        }
+      }
+      const cleanedText = cleanMarkdown(fullText);
+      onComplete({ text: cleanedText, usage, responseId: null, urlValidation: null });
+      return {
+        text: cleanedText,
+        usage,
+        responseId: null,
+        urlValidation: null,
+        meta: { provider: gateway.getProvider(config).name, tools: [], url_validation_enabled: false }
+      };
+    } catch (error) {
+      console.error('[Responses API Stream] Error:', error);
+      onError(error);
+      throw error;
+    }
+  }
+
   // 1) Policy prefix (citations / allowlist) — only if web_search enabled
   let finalInput = inputText;
   if (config && (config.enable_web_search || config.enable_file_search)) {
@@ -265,60 +432,74 @@ async function askWithResponsesStream({
   try {
     console.log('[Responses API Stream] Iniciando streaming...');
     
-    // 4) Crear stream
-    const stream = await client.responses.create(payload);
-
-    // 5) Procesar eventos del stream
-    for await (const event of stream) {
-      // Guardar el ID de la respuesta
-      if (event.response?.id) {
-        responseId = event.response.id;
-      }
-
-      // Evento: fragmento de texto (delta)
-      if (event.type === 'response.output_text.delta') {
-        const delta = event.delta || '';
-        fullText += delta;
-        onDelta(delta);
-      }
+    // 4) Crear stream; si el modelo pide function tools, se ejecutan y la respuesta
+    //    continúa en un nuevo stream con sus resultados (previous_response_id)
+    let request = payload;
+    for (let round = 0; ; round++) {
+      const stream = await client.responses.create(request);
+      let calls = [];
+
+      // 5) Procesar eventos del stream
+      for await (const event of stream) {
+        // Guardar el ID de la respuesta
+        if (event.response?.id) {
+          responseId = event.response.id;
+        }
 
-      // Evento: respuesta completada
-      if (event.type === 'response.completed') {
-        usage = event.response?.usage || null;
-        if (usage) {
-          console.log('[Responses API Stream] Token usage:', JSON.stringify(usage));
+        // Evento: fragmento de texto (delta)
+        if (event.type === 'response.output_text.delta') {
+          const delta = event.delta || '';
+          fullText += delta;
+          onDelta(delta);
         }
+
+        // Evento: respuesta completada
+        if (event.type === 'response.completed') {
+          const roundUsage = event.response?.usage || null;
+          if (roundUsage) {
+            console.log('[Responses API Stream] Token usage:', JSON.stringify(roundUsage));
+          }
+          usage = addUsage(usage, roundUsage);
+          calls = getFunctionCalls(event.response);
         
-        // NUEVO: Extraer resultados de file_search del evento completed
-        if (event.response?.output && Array.isArray(event.response.output)) {
-          for (const item of event.response.output) {
-            if (item.type === 'file_search_call' && item.search_results) {
-              fileSearchResults = fileSearchResults.concat(item.search_results);
+          // NUEVO: Extraer resultados de file_search del evento completed
+          if (event.response?.output && Array.isArray(event.response.output)) {
+            for (const item of event.response.output) {
+              if (item.type === 'file_search_call' && item.search_results) {
+                fileSearchResults = fileSearchResults.concat(item.search_results);
+              }
             }
           }
         }
-      }
       
-      // NUEVO: Capturar resultados de file_search cuando llegan
-      if (event.type === 'response.file_search_call.results') {
-        if (event.results && Array.isArray(event.results)) {
-          fileSearchResults = fileSearchResults.concat(event.results);
+        // NUEVO: Capturar resultados de file_search cuando llegan
+        if (event.type === 'response.file_search_call.results') {
+          if (event.results && Array.isArray(event.results)) {
+            fileSearchResults = fileSearchResults.concat(event.results);
+          }
         }
-      }
 
-      // Evento: error
-      if (event.type === 'error') {
-        console.error('[Responses API Stream] Error event:', event);
-        onError(event);
-      }
+        // Evento: error
+        if (event.type === 'error') {
+          console.error('[Responses API Stream] Error event:', event);
+          onError(event);
+        }
 
-      // Eventos de herramientas (file_search, web_search) - informativo
-      if (event.type === 'response.file_search_call.searching') {
-        onDelta('\n🔍 Buscando en documentos...\n');
+        // Eventos de herramientas (file_search, web_search) - informativo
+        if (event.type === 'response.file_search_call.searching') {
+          onDelta('\n🔍 Buscando en documentos...\n');
+        }
+        if (event.type === 'response.web_search_call.searching') {
+          onDelta('\n🌐 Buscando en la web...\n');
+        }
       }
-      if (event.type === 'response.web_search_call.searching') {
-        onDelta('\n🌐 Buscando en la web...\n');
+
+      if (calls.length === 0) break;
+      if (round >= MAX_TOOL_ROUNDS) {
+        console.warn(`[Responses API Stream] Se alcanzó el máximo de ${MAX_TOOL_ROUNDS} rondas de function tools`);
+        break;
       }
+      request = { ...payload, previous_response_id: responseId, input: await runToolCalls(calls, config) };
     }
 
     // 6) NUEVO: Validar URLs antes de limpiar Markdown
@@ -383,6 +564,20 @@ async function askWithResponsesStream({
  * ACTUALIZADO: Incluye validación de URLs al final
  */
 async function* createResponseStream({ inputText = '', config = {}, tools = [] }) {
+  if (!gateway.supportsResponses(config)) {
+    warnToolsUnavailable(config);
+    for await (const event of gateway.stream(config, [{ role: 'user', content: inputText }], {
+      model: (config && config.model) || 'gpt-4.1'
+    })) {
+      if (event.type === 'delta') {
+        yield { type: 'delta', delta: event.text };
+      } else if (event.type === 'done') {
+        yield { type: 'done', text: cleanMarkdown(event.content), usage: toResponsesUsage(event.usage), urlValidation: null };
+      }
+    }
+    return;
+  }
+
   let finalInput = inputText;
   if (config && (config.enable_web_search || config.enable_file_search)) {
     const policy = buildPolicyPrefix(config);
@@ -408,49 +603,66 @@ async function* createResponseStream({ inputText = '', config = {}, tools = [] }
   }
 
   const client = getOpenAIClient(config);
-  const stream = await client.responses.create(payload);
 
   let fullText = '';
   let usage = null;
   let fileSearchResults = [];
+  let responseId = null;
 
-  for await (const event of stream) {
-    if (event.type === 'response.output_text.delta') {
-      const delta = event.delta || '';
-      fullText += delta;
-      yield { type: 'delta', delta: delta };
-    }
+  // Si el modelo pide function tools, se ejecutan y la respuesta continúa en un nuevo stream
+  let request = payload;
+  for (let round = 0; ; round++) {
+    const stream = await client.responses.create(request);
+    let calls = [];
 
-    if (event.type === 'response.completed') {
-      usage = event.response?.usage || null;
+    for await (const event of stream) {
+      if (event.type === 'response.output_text.delta') {
+        const delta = event.delta || '';
+        fullText += delta;
+        yield { type: 'delta', delta: delta };
+      }
+
+      if (event.type === 'response.completed') {
+        usage = addUsage(usage, event.response?.usage || null);
+        calls = getFunctionCalls(event.response);
+        responseId = event.response?.id || responseId;
       
-      // Extraer resultados de file_search
-      if (event.response?.output && Array.isArray(event.response.output)) {
-        for (const item of event.response.output) {
-          if (item.type === 'file_search_call' && item.search_results) {
-            fileSearchResults = fileSearchResults.concat(item.search_results);
+        // Extraer resultados de file_search
+        if (event.response?.output && Array.isArray(event.response.output)) {
+          for (const item of event.response.output) {
+            if (item.type === 'file_search_call' && item.search_results) {
+              fileSearchResults = fileSearchResults.concat(item.search_results);
+            }
           }
         }
       }
-    }
     
-    if (event.type === 'response.file_search_call.results') {
-      if (event.results && Array.isArray(event.results)) {
-        fileSearchResults = fileSearchResults.concat(event.results);
+      if (event.type === 'response.file_search_call.results') {
+        if (event.results && Array.isArray(event.results)) {
+          fileSearchResults = fileSearchResults.concat(event.results);
+        }
       }
-    }
 
-    if (event.type === 'response.file_search_call.searching') {
-      yield { type: 'status', message: 'Buscando en documentos...' };
-    }
+      if (event.type === 'response.file_search_call.searching') {
+        yield { type: 'status', message: 'Buscando en documentos...' };
+      }
 
-    if (event.type === 'response.web_search_call.searching') {
-      yield { type: 'status', message: 'Buscando en la web...' };
+      if (event.type === 'response.web_search_call.searching') {
+        yield { type: 'status', message: 'Buscando en la web...' };
+      }
+
+      if (event.type === 'error') {
+        yield { type: 'error', error: event };
+      }
     }
 
-    if (event.type === 'error') {
-      yield { type: 'error', error: event };
+    if (calls.length === 0) break;
+    if (round >= MAX_TOOL_ROUNDS) {
+      console.warn(`[createResponseStream] Se alcanzó el máximo de ${MAX_TOOL_ROUNDS} rondas de function tools`);
+      break;
     }
+    yield { type: 'status', message: 'Ejecutando herramientas...' };
+    request = { ...payload, previous_response_id: responseId, input: await runToolCalls(calls, config) };
   }
 
   // NUEVO: Validar URLs antes de emitir resultado final
@@ -488,5 +700,6 @@ module.exports = {
   askWithResponsesStream,
   createResponseStream,
   deriveToolsFromConfig, 
+  offersFunctionTool,
   buildPolicyPrefix 
 };
@@ -0,0 +1,222 @@
+// engine/responses_adapter.test.js — Pruebas del ciclo de function tools de la Responses API (sin red)
+// Ejecutar con: node engine/responses_adapter.test.js
+//
+// Un proveedor de prueba con soporte de Responses entrega un cliente falso que responde
+// con respuestas guionadas y registra cada llamada a responses.create.
+// Las calculadoras monetarias usan una tabla de indicadores temporal (INDICATORS_PATH).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'responses-adapter-test-'));
+process.env.INDICATORS_PATH = path.join(dir, 'indicadores_chile.json');
+fs.writeFileSync(process.env.INDICATORS_PATH, JSON.stringify({
+  series: { uf: { '2025-01-01': 38419.17 }, ipc: { '2025-01': 1.1, '2025-02': 0.4 } }
+}));
+
+const gateway = require('./llm_gateway');
+const { FakeProvider } = require('./providers/fake_provider');
+const { askWithResponses, askWithResponsesStream, createResponseStream } = require('./responses_adapter');
+const { buildContextBlock } = require('./context_injector');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+/**
+ * Cliente falso: cada llamada a responses.create consume la siguiente respuesta del guion
+ * (como stream de eventos si el payload trae stream: true)
+ */
+const fakeClient = {
+  script: [],
+  calls: [],
+  responses: {
+    async create(payload) {
+      fakeClient.calls.push(payload);
+      const resp = fakeClient.script.shift();
+      if (!payload.stream) return resp;
+      return (async function* () {
+        if (resp.output_text) yield { type: 'response.output_text.delta', delta: resp.output_text };
+        yield { type: 'response.completed', response: resp };
+      })();
+    }
+  }
+};
+
+class FakeResponsesProvider extends FakeProvider {
+  constructor(options) {
+    super(options);
+    this.supports = { ...this.supports, responses: true };
+    this.client = fakeClient;
+  }
+}
+gateway.registerProvider('fake_responses', FakeResponsesProvider);
+
+const config = {
+  api_mode: 'responses',
+  model: 'gpt-4.1',
+  llm_provider: { type: 'fake_responses' },
+  deadline_calculator: { enabled: true },
+  monetary_calculators: { enabled: true }
+};
+
+const functionCall = (callId, name, args) => ({ type: 'function_call', call_id: callId, name, arguments: JSON.stringify(args) });
+const usage = (input, output) => ({ input_tokens: input, output_tokens: output, total_tokens: input + output });
+
+// Guion: el modelo pide calculate_deadline y luego responde con el resultado
+function deadlineScript() {
+  fakeClient.calls = [];
+  fakeClient.script = [
+    { id: 'resp_1', output: [functionCall('call_1', 'calculate_deadline', { start_date: '2025-09-15', amount: 5 })], usage: usage(100, 10) },
+    { id: 'resp_2', output: [{ type: 'message' }], output_text: 'El plazo vence el 2025-09-23.', usage: usage(150, 20) }
+  ];
+}
+
+const toolOutput = (payload) => JSON.parse(payload.input[0].output);
+
+(async () => {
+  try {
+    // ============ askWithResponses ============
+
+    await test('askWithResponses: ejecuta calculate_deadline y continúa con previous_response_id', async () => {
+      deadlineScript();
+      const result = await askWithResponses({ inputText: '¿Cuándo vence el plazo?', config });
+      assertEqual(result.text, 'El plazo vence el 2025-09-23.');
+      assertEqual(fakeClient.calls.length, 2, 'Llamadas a responses.create');
+
+      const followUp = fakeClient.calls[1];
+      assertEqual([followUp.previous_response_id, followUp.input[0].type, followUp.input[0].call_id], ['resp_1', 'function_call_output', 'call_1']);
+      assertEqual(toolOutput(followUp).due_date, '2025-09-23');
+      assertEqual(followUp.tools.map(t => t.name), ['calculate_deadline', 'convert_currency', 'readjust_ipc', 'calculate_interest'], 'Las tools se repiten en cada ronda');
+    });
+
+    await test('askWithResponses: suma el uso de tokens de todas las rondas', async () => {
+      deadlineScript();
+      const result = await askWithResponses({ inputText: '¿Cuándo vence el plazo?', config });
+      assertEqual(result.usage, usage(250, 30));
+    });
+
+    await test('askWithResponses: herramienta desconocida y argumentos inválidos vuelven como error al modelo', async () => {
+      fakeClient.calls = [];
+      fakeClient.script = [
+        { id: 'resp_1', output: [functionCall('call_1', 'borrar_todo', {}), functionCall('call_2', 'calculate_deadline', { start_date: '2025-02-30', amount: 5 })] },
+        { id: 'resp_2', output: [], output_text: 'No pude calcularlo.' }
+      ];
+      await askWithResponses({ inputText: 'Plazo', config });
+      const outputs = fakeClient.calls[1].input.map(item => JSON.parse(item.output));
+      assertEqual([outputs[0].error, outputs[1].error], ['Unknown tool: borrar_todo', 'invalid_start_date']);
+    });
+
+    await test('askWithResponses: sin function calls hace una sola llamada', async () => {
+      fakeClient.calls = [];
+      fakeClient.script = [{ id: 'resp_1', output: [], output_text: 'Hola.', usage: usage(10, 2) }];
+      const result = await askWithResponses({ inputText: 'Hola', config });
+      assertEqual([result.text, fakeClient.calls.length], ['Hola.', 1]);
+    });
+
+    await test('askWithResponses: calculadoras monetarias con la tabla de indicadores', async () => {
+      fakeClient.calls = [];
+      fakeClient.script = [
+        {
+          id: 'resp_1',
+          output: [
+            functionCall('call_1', 'convert_currency', { amount: 10, from: 'UF', to: 'CLP', date: '2025-01-01' }),
+            functionCall('call_2', 'readjust_ipc', { amount: 100000, from_month: '2025-01', to_month: '2025-03' })
+          ]
+        },
+        { id: 'resp_2', output: [{ type: 'message' }], output_text: 'Son $384.192.' }
+      ];
+      const result = await askWithResponses({ inputText: '¿Cuánto son 10 UF?', config });
+      const [conversion, readjustment] = fakeClient.calls[1].input.map(item => JSON.parse(item.output));
+      assertEqual([result.text, conversion.result], ['Son $384.192.', 384192]);
+      assertEqual(readjustment.error, 'indicator_not_available', 'Un indicador faltante vuelve como error estructurado');
+    });
+
+    await test('askWithResponses: calculate_severance sin UF en la tabla pide uf_value al modelo', async () => {
+      fakeClient.calls = [];
+      fakeClient.script = [
+        { id: 'resp_1', output: [functionCall('call_1', 'calculate_severance', { start_date: '2020-03-01', end_date: '2024-12-31', monthly_salary: 1000000 })] },
+        { id: 'resp_2', output: [], output_text: '¿Cuál era el valor de la UF al 31 de diciembre de 2024?' }
+      ];
+      await askWithResponses({ inputText: 'Calcula mi indemnización', config: { ...config, severance_calculator: { enabled: true } } });
+      const output = toolOutput(fakeClient.calls[1]);
+      assertEqual([output.error, output.required_parameter, output.date], ['uf_value_required', 'uf_value', '2024-12-31']);
+    });
+
+    // ============ Streaming ============
+
+    await test('askWithResponsesStream: ejecuta la herramienta y sigue en un nuevo stream', async () => {
+      deadlineScript();
+      let streamed = '';
+      const result = await askWithResponsesStream({ inputText: '¿Cuándo vence el plazo?', config, onDelta: (delta) => { streamed += delta; } });
+      assertEqual([result.text, streamed], ['El plazo vence el 2025-09-23.', 'El plazo vence el 2025-09-23.']);
+      assertEqual([fakeClient.calls[1].stream, fakeClient.calls[1].previous_response_id], [true, 'resp_1']);
+      assertEqual(toolOutput(fakeClient.calls[1]).due_date, '2025-09-23');
+      assertEqual(result.usage, usage(250, 30));
+    });
+
+    await test('askWithResponsesStream: las calculadoras monetarias también continúan el stream', async () => {
+      fakeClient.calls = [];
+      fakeClient.script = [
+        { id: 'resp_1', output: [functionCall('call_1', 'convert_currency', { amount: 1, from: 'UF', to: 'CLP', date: '2025-01-01' })] },
+        { id: 'resp_2', output: [], output_text: 'Una UF son $38.419.' }
+      ];
+      const result = await askWithResponsesStream({ inputText: '¿Cuánto es una UF?', config });
+      assertEqual([result.text, JSON.parse(fakeClient.calls[1].input[0].output).result], ['Una UF son $38.419.', 38419]);
+    });
+
+    await test('createResponseStream: mismo ciclo de function tools', async () => {
+      deadlineScript();
+      const events = [];
+      for await (const event of createResponseStream({ inputText: '¿Cuándo vence el plazo?', config })) events.push(event);
+      assertEqual(events.map(e => e.type), ['status', 'delta', 'done']);
+      assertEqual(fakeClient.calls[1].previous_response_id, 'resp_1');
+    });
+
+    // ============ Contexto ============
+
+    await test('buildContextBlock: instrucción de calculate_deadline solo si la herramienta se ofrece', async () => {
+      const base = { context_defaults: { inject_date_time: true }, deadline_calculator: { enabled: true } };
+      const mentions = (cfg) => buildContextBlock(cfg).includes('calculate_deadline');
+      assertEqual(mentions({ ...base, api_mode: 'responses', llm_provider: { type: 'fake_responses' } }), true);
+      assertEqual(mentions({ ...base, api_mode: 'chat', llm_provider: { type: 'fake_responses' } }), false, 'Chat');
+      assertEqual(mentions({ ...base, api_mode: 'assistants', llm_provider: { type: 'fake_responses' } }), false, 'Assistants');
+      assertEqual(mentions({ ...base, api_mode: 'responses', llm_provider: { type: 'fake' } }), false, 'Proveedor sin Responses API');
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // ============ Resumen ============
+  console.log('\n' + '='.repeat(50));
+  console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+  console.log(`${RED}Fallidas: ${failed}${RESET}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,291 @@
+/**
+ * SEVERANCE CALCULATOR - LEGITIMUS PRO
+ * ====================================
+ *
+ * Cálculo de indemnizaciones por término de contrato (Código del Trabajo):
+ *   - Años de servicio (art. 163): 30 días de la última remuneración por año y fracción superior a seis meses,
+ *     con tope de 330 días (11 años) salvo contratos anteriores al 14 de agosto de 1981
+ *   - Sustitutiva del aviso previo (art. 161 y 162): una remuneración mensual si no se avisó con 30 días
+ *   - Tope de 90 UF de la remuneración base (art. 172), con la UF del día de término (economic_indicators.js)
+ *   - Recargos del art. 168 cuando el despido se declara injustificado, indebido o improcedente
+ *
+ * El resultado es un desglose por concepto y un documento de texto plano listo para
+ * /api/documents/pdf (document.title, document.content).
+ */
+
+const { convertCurrency, getSeries } = require('./economic_indicators');
+
+const DAY_MS = 86400000;
+const MAX_YEARS = 11;
+const CAP_UF = 90;
+// Holgura sobre la última UF conocida para omitir el tope sin la UF del día
+const CAP_MARGIN = 0.9;
+// Contratos iniciados antes de esta fecha no tienen tope de años (art. 7 transitorio)
+const NO_YEAR_CAP_BEFORE = '1981-08-14';
+
+const CAUSALES = {
+    art_161: {
+        nombre: 'Necesidades de la empresa o desahucio (art. 161)',
+        indemniza: true,
+        recargo_injustificado: 30
+    },
+    art_159: {
+        nombre: 'Causales del art. 159',
+        indemniza: false,
+        recargo_injustificado: 50
+    },
+    art_160: {
+        nombre: 'Causales disciplinarias del art. 160',
+        indemniza: false,
+        recargo_injustificado: 80
+    },
+    sin_causal: {
+        nombre: 'Despido sin invocar causal legal',
+        indemniza: false,
+        recargo_injustificado: 50
+    }
+};
+
+function severanceError(code, message, details = null) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+function parseDate(value, field) {
+    const text = String(value || '').trim();
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+    if (!date || date.toISOString().slice(0, 10) !== text) {
+        throw severanceError('invalid_date', `${field} inválida: "${value}" (formato YYYY-MM-DD)`);
+    }
+    return date;
+}
+
+function formatCLP(value) {
+    return `$${Math.round(value).toLocaleString('es-CL')}`;
+}
+
+/**
+ * Tiempo servido entre dos fechas: años, meses y días completos
+ */
+function serviceTime(start, end) {
+    let years = end.getUTCFullYear() - start.getUTCFullYear();
+    let months = end.getUTCMonth() - start.getUTCMonth();
+    let days = end.getUTCDate() - start.getUTCDate();
+    if (days < 0) {
+        months--;
+        days += new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 0)).getUTCDate();
+    }
+    if (months < 0) {
+        years--;
+        months += 12;
+    }
+    return { years, months, days, total_days: Math.round((end - start) / DAY_MS) };
+}
+
+/**
+ * UF del día de término para el tope de 90 UF
+ * Sin valor para ese día, la última UF anterior de la tabla sirve de referencia: la UF sigue al IPC
+ * y no alcanza a variar lo suficiente para que una remuneración bastante menor al tope lo supere.
+ * Sólo cuando la remuneración queda cerca o sobre el tope se exige la UF exacta
+ * (también si la tabla no tiene ninguna UF anterior, por ejemplo si está vacía).
+ * @returns {Object|null} { uf, ufSource } (uf null si el tope no se aplica);
+ *   null si hace falta la UF exacta y la tabla no la tiene (se debe pedir uf_value)
+ */
+function lookupUF(endDay, salary, warnings) {
+    try {
+        const uf = convertCurrency({ amount: 1, from: 'UF', to: 'CLP', date: endDay }).values.UF.value;
+        return { uf, ufSource: `tabla de indicadores, ${endDay}` };
+    } catch (error) {
+        if (error.code !== 'indicator_not_available') throw error;
+        const previous = Object.entries(getSeries('uf', { to: endDay })).pop();
+        if (!previous || salary > CAP_UF * previous[1] * CAP_MARGIN) {
+            return null;
+        }
+        warnings.push(`Sin UF del ${endDay} en la tabla de indicadores: la remuneración es inferior al tope de 90 UF (UF del ${previous[0]}: ${formatCLP(previous[1])}), por lo que no se aplica.`);
+        return { uf: null, ufSource: 'no disponible' };
+    }
+}
+
+/**
+ * Calcula las indemnizaciones por término de contrato
+ * @param {Object} params
+ *   - start_date {string} Inicio de la relación laboral YYYY-MM-DD
+ *   - end_date {string} Fecha de término YYYY-MM-DD
+ *   - monthly_salary {number} Última remuneración mensual en pesos (art. 172; promedio de los últimos 3 meses si es variable)
+ *   - causal {string} art_161 | art_159 | art_160 | sin_causal
+ *   - declared_unjustified {boolean} El tribunal declaró el despido injustificado, indebido o improcedente (art. 168)
+ *   - no_plausible_motive {boolean} Art. 160 N° 1, 5 o 6 declarado carente de motivo plausible (recargo de 100%)
+ *   - notice_given {boolean} Se dio aviso con 30 días de anticipación (no procede la sustitutiva)
+ *   - uf_value {number} Valor de la UF al término; por defecto el de la tabla de indicadores
+ *     (sólo se exige si la remuneración puede superar el tope de 90 UF)
+ * @returns {Object} { service, base, items, total, warnings, legal_basis, document }
+ * @throws {Error} error.code: invalid_date | invalid_salary | invalid_causal
+ *   | uf_value_required (error.details: { required_parameter: 'uf_value', date })
+ */
+function calculateSeverance({
+    start_date,
+    end_date,
+    monthly_salary,
+    causal = 'art_161',
+    declared_unjustified = false,
+    no_plausible_motive = false,
+    notice_given = false,
+    uf_value = null
+} = {}) {
+    const start = parseDate(start_date, 'Fecha de inicio');
+    const end = parseDate(end_date, 'Fecha de término');
+    if (end <= start) throw severanceError('invalid_date', 'La fecha de término debe ser posterior a la de inicio');
+
+    const salary = Number(monthly_salary);
+    if (!Number.isFinite(salary) || salary <= 0) {
+        throw severanceError('invalid_salary', `Remuneración mensual inválida: "${monthly_salary}"`);
+    }
+    const rule = CAUSALES[causal];
+    if (!rule) throw severanceError('invalid_causal', `Causal inválida: "${causal}" (${Object.keys(CAUSALES).join(', ')})`);
+
+    const endDay = end.toISOString().slice(0, 10);
+    const warnings = [];
+    const legalBasis = ['Código del Trabajo, art. 172 (remuneración base y tope de 90 UF)'];
+
+    // Tope de 90 UF (art. 172): la UF sólo se busca si el tope puede limitar la remuneración
+    let uf = Number(uf_value);
+    let ufSource = 'parámetro';
+    if (!Number.isFinite(uf) || uf <= 0) {
+        const found = lookupUF(endDay, salary, warnings);
+        if (!found) {
+            throw severanceError(
+                'uf_value_required',
+                `No hay UF para ${endDay} en la tabla de indicadores. Indique uf_value (valor de la UF al ${endDay}) para aplicar el tope de 90 UF`,
+                { required_parameter: 'uf_value', date: endDay }
+            );
+        }
+        ({ uf, ufSource } = found);
+    }
+    const capCLP = uf ? CAP_UF * uf : Infinity;
+    const base = Math.min(salary, capCLP);
+
+    // Años de servicio (art. 163): fracción superior a seis meses cuenta como año
+    const service = serviceTime(start, end);
+    const roundsUp = service.months > 6 || (service.months === 6 && service.days > 0);
+    let computedYears = service.years + (roundsUp ? 1 : 0);
+    const yearCapApplies = start.toISOString().slice(0, 10) >= NO_YEAR_CAP_BEFORE;
+    const yearsCapped = yearCapApplies && computedYears > MAX_YEARS;
+    if (yearsCapped) computedYears = MAX_YEARS;
+    if (!yearCapApplies) {
+        warnings.push('Contrato iniciado antes del 14 de agosto de 1981: no se aplica el tope de 11 años.');
+    }
+
+    const unjustified = declared_unjustified === true || causal === 'sin_causal';
+    const paysSeverance = rule.indemniza || unjustified;
+    const items = [];
+
+    if (paysSeverance && service.years >= 1) {
+        const amount = base * computedYears;
+        items.push({
+            concept: 'Indemnización por años de servicio',
+            legal_basis: 'Código del Trabajo, art. 163',
+            calculation: `${formatCLP(base)} × ${computedYears} año(s)${yearsCapped ? ` (tope de ${MAX_YEARS} años)` : ''}`,
+            amount: Math.round(amount)
+        });
+        legalBasis.push('Código del Trabajo, art. 163 (indemnización por años de servicio)');
+
+        if (unjustified) {
+            let surcharge = rule.recargo_injustificado;
+            if (causal === 'art_160' && no_plausible_motive === true) surcharge = 100;
+            items.push({
+                concept: `Recargo del ${surcharge}% por despido ${causal === 'art_161' ? 'improcedente' : 'injustificado o indebido'}`,
+                legal_basis: 'Código del Trabajo, art. 168',
+                calculation: `${formatCLP(amount)} × ${surcharge}%`,
+                amount: Math.round(amount * surcharge / 100)
+            });
+            legalBasis.push('Código del Trabajo, art. 168 (recargos)');
+        }
+    } else if (paysSeverance) {
+        warnings.push('La relación laboral duró menos de un año: no procede indemnización por años de servicio (art. 163).');
+    } else {
+        warnings.push(`${rule.nombre}: no da derecho a indemnización salvo que el tribunal declare el despido injustificado o indebido (art. 168).`);
+    }
+
+    // Sustitutiva del aviso previo: art. 161 sin aviso, o despido declarado injustificado (art. 168 → art. 162 inc. 4)
+    if (paysSeverance && notice_given !== true) {
+        items.push({
+            concept: 'Indemnización sustitutiva del aviso previo',
+            legal_basis: 'Código del Trabajo, arts. 161 y 162',
+            calculation: `1 × ${formatCLP(base)}`,
+            amount: Math.round(base)
+        });
+        legalBasis.push('Código del Trabajo, arts. 161 y 162 (aviso previo)');
+    }
+
+    const total = items.reduce((sum, item) => sum + item.amount, 0);
+    const result = {
+        service: {
+            start_date: start.toISOString().slice(0, 10),
+            end_date: endDay,
+            years: service.years,
+            months: service.months,
+            days: service.days,
+            computed_years: paysSeverance && service.years >= 1 ? computedYears : 0,
+            year_cap_applied: yearsCapped
+        },
+        base: {
+            monthly_salary: salary,
+            uf_value: uf,
+            uf_source: ufSource,
+            cap_uf: CAP_UF,
+            cap_clp: uf ? Math.round(capCLP) : null,
+            capped: salary > capCLP,
+            base_salary: Math.round(base)
+        },
+        causal: { code: causal, name: rule.nombre, declared_unjustified: unjustified },
+        items,
+        total,
+        warnings,
+        legal_basis: legalBasis
+    };
+    result.document = buildDocument(result);
+    return result;
+}
+
+/**
+ * Documento de texto plano (sin markdown) para /api/documents/pdf
+ */
+function buildDocument(result) {
+    const { service, base, causal, items, total, warnings } = result;
+    const lines = [
+        `Causal: ${causal.name}${causal.declared_unjustified ? ' — declarado injustificado/indebido' : ''}`,
+        `Período trabajado: ${service.start_date} a ${service.end_date} (${service.years} años, ${service.months} meses, ${service.days} días)`,
+        `Años computables: ${service.computed_years}${service.year_cap_applied ? ' (tope de 11 años)' : ''}`,
+        '',
+        `Última remuneración mensual: ${formatCLP(base.monthly_salary)}`,
+        base.uf_value
+            ? `Tope 90 UF: 90 × ${formatCLP(base.uf_value)} = ${formatCLP(base.cap_clp)} (UF: ${base.uf_source})`
+            : 'Tope 90 UF: no aplicado (remuneración inferior al tope, UF del día no disponible)',
+        `Remuneración base de cálculo: ${formatCLP(base.base_salary)}${base.capped ? ' (limitada al tope)' : ''}`,
+        '',
+        'DESGLOSE'
+    ];
+    if (items.length === 0) {
+        lines.push('Sin indemnizaciones procedentes.');
+    }
+    items.forEach((item, index) => {
+        lines.push(`${index + 1}. ${item.concept}: ${formatCLP(item.amount)}`);
+        lines.push(`   Cálculo: ${item.calculation}`);
+        lines.push(`   Fundamento: ${item.legal_basis}`);
+    });
+    lines.push('', `TOTAL: ${formatCLP(total)}`);
+    if (warnings.length > 0) {
+        lines.push('', 'OBSERVACIONES', ...warnings.map(w => `- ${w}`));
+    }
+    lines.push('', 'Cálculo referencial. No incluye feriado proporcional, remuneraciones pendientes, reajustes ni intereses (arts. 63 y 173).');
+
+    return { title: 'Cálculo de indemnización por término de contrato', content: lines.join('\n') };
+}
+
+module.exports = {
+    CAUSALES,
+    calculateSeverance
+};
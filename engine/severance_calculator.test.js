@@ -0,0 +1,186 @@
+// engine/severance_calculator.test.js — Pruebas de indemnizaciones por término de contrato
+// Ejecutar con: node engine/severance_calculator.test.js
+//
+// Usa una tabla de indicadores temporal (INDICATORS_PATH); data/indicadores_chile.json no se modifica.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'severance-test-'));
+process.env.INDICATORS_PATH = path.join(dir, 'indicadores_chile.json');
+fs.writeFileSync(process.env.INDICATORS_PATH, JSON.stringify({
+  series: { uf: { '2025-01-01': 38000 }, utm: {}, ipc: {}, interes_corriente: {} }
+}));
+
+const { calculateSeverance } = require('./severance_calculator');
+
+// Colores para output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`${GREEN}✓${RESET} ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`${RED}✗${RESET} ${name}`);
+    console.log(`  ${RED}Error: ${e.message}${RESET}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n  Esperado: ${JSON.stringify(expected)}\n  Obtenido: ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertThrowsCode(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    assertEqual(e.code, code, 'Código de error');
+    return;
+  }
+  throw new Error(`Se esperaba un error ${code}`);
+}
+
+// Monto de cada concepto del desglose
+function amounts(result) {
+  return result.items.map(item => [item.legal_basis, item.amount]);
+}
+
+try {
+  // ============ Art. 161 y años de servicio ============
+
+  test('art. 161 sin aviso: años de servicio más sustitutiva del aviso previo', () => {
+    const result = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 1000000, uf_value: 38000 });
+    assertEqual(result.service.computed_years, 5, 'Fracción superior a seis meses cuenta como año');
+    assertEqual(amounts(result), [
+      ['Código del Trabajo, art. 163', 5000000],
+      ['Código del Trabajo, arts. 161 y 162', 1000000]
+    ]);
+    assertEqual(result.total, 6000000);
+  });
+
+  test('art. 161 con aviso: no procede la sustitutiva', () => {
+    const result = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 1000000, notice_given: true, uf_value: 38000 });
+    assertEqual(result.total, 5000000);
+  });
+
+  test('fracción de exactamente seis meses no suma un año', () => {
+    const result = calculateSeverance({ start_date: '2022-07-01', end_date: '2025-01-01', monthly_salary: 1000000, notice_given: true, uf_value: 38000 });
+    assertEqual(result.service.computed_years, 2);
+  });
+
+  test('menos de un año: sólo sustitutiva del aviso previo', () => {
+    const result = calculateSeverance({ start_date: '2024-06-01', end_date: '2025-01-01', monthly_salary: 1000000, uf_value: 38000 });
+    assertEqual(amounts(result), [['Código del Trabajo, arts. 161 y 162', 1000000]]);
+    assertEqual(result.warnings.length, 1);
+  });
+
+  // ============ Topes ============
+
+  test('tope de 11 años', () => {
+    const result = calculateSeverance({ start_date: '2005-01-01', end_date: '2025-01-01', monthly_salary: 1000000, notice_given: true, uf_value: 38000 });
+    assertEqual(result.service.computed_years, 11);
+    assertEqual(result.service.year_cap_applied, true);
+    assertEqual(result.total, 11000000);
+  });
+
+  test('contrato anterior al 14 de agosto de 1981 no tiene tope de años', () => {
+    const result = calculateSeverance({ start_date: '1980-01-01', end_date: '2025-01-01', monthly_salary: 1000000, notice_given: true, uf_value: 38000 });
+    assertEqual(result.service.computed_years, 45);
+    assertEqual(result.service.year_cap_applied, false);
+  });
+
+  test('tope de 90 UF con la UF indicada', () => {
+    const result = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 5000000, uf_value: 38000 });
+    assertEqual(result.base.capped, true);
+    assertEqual(result.base.base_salary, 3420000);
+    assertEqual(result.total, 3420000 * 6);
+  });
+
+  test('tope de 90 UF con la UF de la tabla del día de término', () => {
+    const result = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 5000000 });
+    assertEqual(result.base.uf_source, 'tabla de indicadores, 2025-01-01');
+    assertEqual(result.base.base_salary, 3420000);
+  });
+
+  test('sin UF del día: una remuneración lejos del tope se calcula sin él', () => {
+    const result = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-03-10', monthly_salary: 1000000 });
+    assertEqual(result.base.uf_value, null);
+    assertEqual(result.base.capped, false);
+    assertEqual(result.total, 6000000);
+    assertEqual(result.warnings.length, 1);
+  });
+
+  test('sin UF del día: una remuneración cercana al tope exige uf_value', () => {
+    assertThrowsCode(() => calculateSeverance({ start_date: '2020-03-01', end_date: '2025-03-10', monthly_salary: 3300000 }), 'uf_value_required');
+    assertThrowsCode(() => calculateSeverance({ start_date: '2020-03-01', end_date: '2024-12-31', monthly_salary: 1000000 }), 'uf_value_required');
+  });
+
+  // ============ Art. 160 y recargos del art. 168 ============
+
+  test('art. 160 no declarado injustificado: sin indemnización', () => {
+    const result = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 1000000, causal: 'art_160', uf_value: 38000 });
+    assertEqual(result.items, []);
+    assertEqual(result.total, 0);
+  });
+
+  test('art. 160 injustificado: recargo de 80%', () => {
+    const result = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 1000000, causal: 'art_160', declared_unjustified: true, uf_value: 38000 });
+    assertEqual(result.items.map(item => item.amount), [5000000, 4000000, 1000000]);
+    assertEqual(result.total, 10000000);
+  });
+
+  test('art. 160 sin motivo plausible: recargo de 100%', () => {
+    const result = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 1000000, causal: 'art_160', declared_unjustified: true, no_plausible_motive: true, uf_value: 38000 });
+    assertEqual(result.items[1].amount, 5000000);
+  });
+
+  test('art. 161 improcedente: recargo de 30%', () => {
+    const result = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 1000000, declared_unjustified: true, notice_given: true, uf_value: 38000 });
+    assertEqual(result.items.map(item => item.amount), [5000000, 1500000]);
+  });
+
+  test('art. 159 injustificado y despido sin causal: recargo de 50%', () => {
+    const art159 = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 1000000, causal: 'art_159', declared_unjustified: true, notice_given: true, uf_value: 38000 });
+    const sinCausal = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 1000000, causal: 'sin_causal', notice_given: true, uf_value: 38000 });
+    assertEqual(art159.items[1].amount, 2500000);
+    assertEqual(sinCausal.items[1].amount, 2500000);
+  });
+
+  // ============ Validaciones ============
+
+  test('rechaza fechas, remuneración y causal inválidas', () => {
+    assertThrowsCode(() => calculateSeverance({ start_date: '2025-02-30', end_date: '2025-03-01', monthly_salary: 1 }), 'invalid_date');
+    assertThrowsCode(() => calculateSeverance({ start_date: '2025-03-01', end_date: '2025-01-01', monthly_salary: 1 }), 'invalid_date');
+    assertThrowsCode(() => calculateSeverance({ start_date: '2020-01-01', end_date: '2025-01-01', monthly_salary: -5 }), 'invalid_salary');
+    assertThrowsCode(() => calculateSeverance({ start_date: '2020-01-01', end_date: '2025-01-01', monthly_salary: 1, causal: 'art_999' }), 'invalid_causal');
+  });
+
+  test('document: texto plano con el total', () => {
+    const { document } = calculateSeverance({ start_date: '2020-03-01', end_date: '2025-01-01', monthly_salary: 1000000, uf_value: 38000 });
+    assertEqual(document.title, 'Cálculo de indemnización por término de contrato');
+    assertEqual(document.content.includes(`TOTAL: $${(6000000).toLocaleString('es-CL')}`), true);
+  });
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ============ Resumen ============
+console.log('\n' + '='.repeat(50));
+console.log(`${GREEN}Pasadas: ${passed}${RESET}`);
+console.log(`${RED}Fallidas: ${failed}${RESET}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,46 @@
+// engine/tools/calculate_deadline.js
+const { calculateDeadline } = require('../legal_deadlines');
+
+const description = 'Calcula la fecha de vencimiento de un plazo legal chileno (días corridos o hábiles, meses o años) con feriados y una traza del cómputo que puede citarse en la respuesta.';
+
+const parameters = {
+  type: 'object',
+  properties: {
+    start_date: { type: 'string', description: 'Fecha de inicio YYYY-MM-DD (notificación, publicación); el cómputo parte al día siguiente' },
+    amount: { type: 'number', description: 'Cantidad de días, meses o años' },
+    unit: { type: 'string', enum: ['dias', 'meses', 'anos'], description: 'Unidad del plazo (por defecto dias)' },
+    regime: { type: 'string', enum: ['civil', 'procesal_civil', 'administrativo'], description: 'civil (CC art. 50), procesal_civil (CPC art. 66) o administrativo (Ley 19.880 art. 25). Por defecto procesal_civil' },
+    day_type: { type: 'string', enum: ['corridos', 'habiles'], description: 'Reemplaza el tipo de días del régimen cuando la norma lo indica expresamente' },
+    suspend_judicial_vacation: { type: 'boolean', description: 'No contar los días de febrero (feriado judicial) cuando el tribunal o una ley especial lo dispone' }
+  },
+  required: ['start_date', 'amount']
+};
+
+/**
+ * Ejecuta el cálculo para el modelo (function tool de Responses y acción calculate_deadline)
+ * @param {Object} args - Ver parameters
+ * @returns {Promise<Object>} Vencimiento con traza y fundamentos, o { error, message } si los datos son inválidos
+ */
+module.exports = async function calculateDeadlineTool(args = {}){
+  try {
+    const result = calculateDeadline(args);
+    return {
+      start_date: result.fecha_inicio,
+      amount: result.cantidad,
+      unit: result.unidad,
+      regime: result.regimen,
+      day_type: result.tipo_dias,
+      due_date: result.fecha_vencimiento,
+      due_weekday: result.dia_vencimiento,
+      excluded_days: result.dias_excluidos,
+      trace: result.traza,
+      legal_basis: result.fundamentos,
+      warnings: result.advertencias
+    };
+  } catch (err) {
+    return { error: err.code || 'deadline_error', message: err.message };
+  }
+};
+
+module.exports.description = description;
+module.exports.parameters = parameters;
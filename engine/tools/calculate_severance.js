@@ -0,0 +1,37 @@
+// engine/tools/calculate_severance.js
+const { calculateSeverance, CAUSALES } = require('../severance_calculator');
+
+const description = 'Calcula las indemnizaciones por término de contrato laboral en Chile (años de servicio, aviso previo, topes de 11 años y 90 UF, recargos del art. 168) con un desglose por concepto y un documento exportable.';
+
+const parameters = {
+  type: 'object',
+  properties: {
+    start_date: { type: 'string', description: 'Inicio de la relación laboral YYYY-MM-DD' },
+    end_date: { type: 'string', description: 'Fecha de término YYYY-MM-DD' },
+    monthly_salary: { type: 'number', description: 'Última remuneración mensual en pesos (art. 172; promedio de los últimos 3 meses si es variable)' },
+    causal: { type: 'string', enum: Object.keys(CAUSALES), description: 'art_161 (necesidades de la empresa o desahucio), art_159, art_160 o sin_causal. Por defecto art_161' },
+    declared_unjustified: { type: 'boolean', description: 'El tribunal declaró el despido injustificado, indebido o improcedente' },
+    no_plausible_motive: { type: 'boolean', description: 'Art. 160 N° 1, 5 o 6 declarado carente de motivo plausible (recargo de 100%)' },
+    notice_given: { type: 'boolean', description: 'Se dio aviso con 30 días de anticipación' },
+    uf_value: { type: 'number', description: 'Valor de la UF al término (por defecto el de la tabla de indicadores; necesario si la remuneración se acerca o supera 90 UF y la tabla no tiene la UF del día)' }
+  },
+  required: ['start_date', 'end_date', 'monthly_salary']
+};
+
+/**
+ * Ejecuta el cálculo para el modelo (function tool de Responses y acción calculate_severance)
+ * @param {Object} args - Ver parameters
+ * @returns {Promise<Object>} Desglose con total y document { title, content } para /api/documents/pdf,
+ *   o { error, message } si los datos son inválidos. Sin UF en la tabla de indicadores:
+ *   { error: 'uf_value_required', message, required_parameter: 'uf_value', date } para pedirla al usuario
+ */
+module.exports = async function calculateSeveranceTool(args = {}){
+  try {
+    return calculateSeverance(args);
+  } catch (err) {
+    return { error: err.code || 'severance_error', message: err.message, ...(err.details || {}) };
+  }
+};
+
+module.exports.description = description;
+module.exports.parameters = parameters;
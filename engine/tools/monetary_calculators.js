@@ -0,0 +1,64 @@
+// engine/tools/monetary_calculators.js
+const { convertCurrency, readjustByIPC, calculateInterest } = require('../economic_indicators');
+
+/**
+ * Envuelve un cálculo para el modelo: errores de datos como { error, message } en vez de excepción
+ */
+function toolRunner(calculate) {
+  return async function run(args = {}) {
+    try {
+      return calculate(args);
+    } catch (err) {
+      return { error: err.code || 'calculation_error', message: err.message };
+    }
+  };
+}
+
+/**
+ * Herramientas de cálculo monetario (function tools de Responses y acciones)
+ * Cada resultado trae el número calculado y la fórmula con los valores usados.
+ */
+module.exports = {
+  convert_currency: {
+    description: 'Convierte montos entre UF, UTM y pesos chilenos (CLP) a una fecha, con los valores de la tabla local de indicadores. Devuelve el resultado y la fórmula usada.',
+    parameters: {
+      type: 'object',
+      properties: {
+        amount: { type: 'number', description: 'Monto a convertir' },
+        from: { type: 'string', enum: ['UF', 'UTM', 'CLP'], description: 'Unidad de origen' },
+        to: { type: 'string', enum: ['UF', 'UTM', 'CLP'], description: 'Unidad de destino' },
+        date: { type: 'string', description: 'Fecha YYYY-MM-DD (UF del día; UTM del mes)' }
+      },
+      required: ['amount', 'from', 'to', 'date']
+    },
+    run: toolRunner(convertCurrency)
+  },
+  readjust_ipc: {
+    description: 'Reajusta un monto en pesos según la variación del IPC entre dos meses (ej. art. 63 del Código del Trabajo: desde el mes anterior a aquel en que debió pagarse hasta el mes anterior al pago). Devuelve el resultado y la fórmula usada.',
+    parameters: {
+      type: 'object',
+      properties: {
+        amount: { type: 'number', description: 'Monto en pesos' },
+        from_month: { type: 'string', description: 'Mes inicial YYYY-MM' },
+        to_month: { type: 'string', description: 'Mes final YYYY-MM' }
+      },
+      required: ['amount', 'from_month', 'to_month']
+    },
+    run: toolRunner(readjustByIPC)
+  },
+  calculate_interest: {
+    description: 'Calcula interés simple sobre un capital en pesos entre dos fechas, con la tasa de interés corriente de cada mes o con una tasa anual fija. Devuelve el resultado y la fórmula usada.',
+    parameters: {
+      type: 'object',
+      properties: {
+        capital: { type: 'number', description: 'Capital en pesos' },
+        start_date: { type: 'string', description: 'Fecha inicial YYYY-MM-DD (el interés corre desde el día siguiente)' },
+        end_date: { type: 'string', description: 'Fecha final YYYY-MM-DD (inclusive)' },
+        rate_type: { type: 'string', enum: ['corriente', 'fija'], description: 'corriente (tabla de indicadores, por defecto) o fija' },
+        annual_rate: { type: 'number', description: 'Tasa anual en porcentaje, solo para rate_type fija' }
+      },
+      required: ['capital', 'start_date', 'end_date']
+    },
+    run: toolRunner(calculateInterest)
+  }
+};
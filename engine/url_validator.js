@@ -36,44 +36,8 @@ const BLOCK_URL_REGEX = />>>ulr_start<<<\s*(https?:\/\/[^\n]+?)\s*>>>ulr_end<<</
  */
 const CHUNK_HEADER_REGEX = /^##\s+(.+?)(?:\s+articulo\s+(\d+))?(?:\s+con\s+doble\s+articulado\s+articulo\s+(\d+))?$/im;
 
-/**
- * Patrones para detectar citas de artículos en la respuesta del modelo
- */
-const ARTICLE_CITATION_PATTERNS = [
-  // "artículo 12 del Código Civil"
-  /art[ií]culo\s+(\d+)\s+(?:del\s+)?(?:c[oó]digo\s+)?(civil|penal|comercio|trabajo|procesal|aguas|miner[ií]a|tributario|sanitario)/gi,
-  // "Art. 12 CC" o "Art. 12 CP"
-  /art\.?\s*(\d+)\s+(cc|cp|ct|cpc|cpp|ccom)/gi,
-  // "artículo 12 de la Ley 19.300"
-  /art[ií]culo\s+(\d+)\s+(?:de\s+la\s+)?ley\s+(?:n[°º]?\s*)?(\d+[\.\d]*)/gi,
-  // "artículo 12 del DFL 1"
-  /art[ií]culo\s+(\d+)\s+(?:del\s+)?dfl\s+(\d+)/gi,
-  // "artículo 12 del DL 3.500"
-  /art[ií]culo\s+(\d+)\s+(?:del\s+)?d\.?l\.?\s+(\d+[\.\d]*)/gi,
-  // Referencias simples: "el artículo 12" cerca de una URL
-  /(?:el\s+)?art[ií]culo\s+(\d+)/gi
-];
-
-/**
- * Mapeo de abreviaturas a nombres de códigos
- */
-const CODE_ABBREVIATIONS = {
-  'cc': 'codigo civil',
-  'cp': 'codigo penal',
-  'ct': 'codigo del trabajo',
-  'cpc': 'codigo de procedimiento civil',
-  'cpp': 'codigo procesal penal',
-  'ccom': 'codigo de comercio',
-  'civil': 'codigo civil',
-  'penal': 'codigo penal',
-  'trabajo': 'codigo del trabajo',
-  'comercio': 'codigo de comercio',
-  'procesal': 'codigo procesal',
-  'aguas': 'codigo de aguas',
-  'mineria': 'codigo de mineria',
-  'tributario': 'codigo tributario',
-  'sanitario': 'codigo sanitario'
-};
+// Las citas de artículos en lenguaje natural ("artículo 12 del Código Civil", "Art. 12 CC")
+// se normalizan a CLAVE.ArtN en citation_normalizer.js
 
 /**
  * Extrae todas las URLs BCN de un texto
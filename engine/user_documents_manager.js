@@ -3,12 +3,19 @@
  * Maneja documentos temporales y persistentes con búsqueda semántica
  */
 
-const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const gateway = require('./llm_gateway');
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Vector stores y archivos son exclusivos de OpenAI: se usa el cliente del proveedor de la instancia activa
+function getClient() {
+  const client = gateway.getOpenAIClient(global.bot_config);
+  if (!client) {
+    throw new Error('Los documentos de usuario requieren un proveedor OpenAI (vector stores)');
+  }
+  return client;
+}
 
 class UserDocumentsManager {
   constructor() {
@@ -70,7 +77,7 @@ class UserDocumentsManager {
     try {
       console.log(`📄 Creando vector store temporal para sesión: ${sessionId}`);
       
-      const vectorStore = await client.beta.vectorStores.create({
+      const vectorStore = await getClient().beta.vectorStores.create({
         name: `temp_docs_${sessionId}_${userId}`,
         expires_after: {
           anchor: 'last_active_at',
@@ -95,7 +102,7 @@ class UserDocumentsManager {
     try {
       console.log(`📚 Creando vector store persistente para usuario: ${userId}`);
       
-      const vectorStore = await client.beta.vectorStores.create({
+      const vectorStore = await getClient().beta.vectorStores.create({
         name: `user_docs_${userId}`,
         expires_after: {
           anchor: 'last_active_at',
@@ -178,13 +185,13 @@ class UserDocumentsManager {
 
       // Subir al vector store de OpenAI
       const fileStream = fs.createReadStream(documentPath);
-      const uploadedFile = await client.files.create({
+      const uploadedFile = await getClient().files.create({
         file: fileStream,
         purpose: 'assistants'
       });
 
       // Agregar archivo al vector store
-      await client.beta.vectorStores.files.create(storeId, {
+      await getClient().beta.vectorStores.files.create(storeId, {
         file_id: uploadedFile.id
       });
 
@@ -266,7 +273,7 @@ class UserDocumentsManager {
       for (const store of storeIds) {
         try {
           // Usar la API de búsqueda de vector stores
-          const searchResponse = await client.beta.vectorStores.files.list(store.id, {
+          const searchResponse = await getClient().beta.vectorStores.files.list(store.id, {
             limit: maxResults
           });
 
@@ -351,12 +358,12 @@ class UserDocumentsManager {
 
       // Subir al nuevo vector store
       const fileStream = fs.createReadStream(newPath);
-      const uploadedFile = await client.files.create({
+      const uploadedFile = await getClient().files.create({
         file: fileStream,
         purpose: 'assistants'
       });
 
-      await client.beta.vectorStores.files.create(persistentStoreId, {
+      await getClient().beta.vectorStores.files.create(persistentStoreId, {
         file_id: uploadedFile.id
       });
 
@@ -466,7 +473,7 @@ class UserDocumentsManager {
 
       // Eliminar de OpenAI (opcional, se puede dejar que expire)
       try {
-        await client.files.del(metadata.openaiFileId);
+        await getClient().files.del(metadata.openaiFileId);
       } catch (error) {
         console.warn('⚠️ No se pudo eliminar archivo de OpenAI:', error.message);
       }
@@ -165,6 +165,17 @@ function validateInstance(instanceId) {
   }
 }
 
+/**
+ * Configuración (bot_config) de la instancia que hace la petición.
+ * Sin instanceId usa la configuración global del servidor (global.bot_config).
+ * @returns {Object|null} bot_config, o null si la instancia no existe o el id no es válido
+ */
+function resolveInstanceConfig(instanceId) {
+  if (!instanceId) return global.bot_config || {};
+  if (!/^[\w-]+$/.test(String(instanceId)) || !validateInstance(instanceId)) return null;
+  return loadInstance(instanceId).bot_config;
+}
+
 /**
  * Obtiene la instancia por defecto (general)
  */
@@ -251,6 +262,7 @@ module.exports = {
   getAvailableInstances,
   loadInstance,
   validateInstance,
+  resolveInstanceConfig,
   getDefaultInstance,
   createInstance
 };
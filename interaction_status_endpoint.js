@@ -1,19 +1,24 @@
 // interaction_status_endpoint.js
 const { getInteractionStatus } = require('./engine/interaction_manager');
+const { resolveInstanceConfig } = require('./instance_manager');
 
 /**
  * Agregar endpoint para obtener el estado de interacciones de un chat específico
  */
 function addInteractionStatusEndpoint(app, authRequired) {
   
-  // Obtener estado de interacciones de un chat específico
+  // Obtener estado de interacciones de un chat específico (?instanceId= para los chats de una instancia)
   app.get('/api/chats/:chatId/interaction-status', authRequired, async (req, res) => {
     try {
       const { chatId } = req.params;
       const userId = req.userId;
+      const cfg = resolveInstanceConfig(req.query.instanceId);
+      if (!cfg) {
+        return res.status(404).json({ ok: false, error: 'instance_not_found' });
+      }
       
-      // Obtener el estado de interacciones del chat
-      const interactionStatus = getInteractionStatus(userId, chatId);
+      // Obtener el estado de interacciones del chat con los límites y el backend de su instancia
+      const interactionStatus = await getInteractionStatus(cfg, userId, chatId);
       
       res.json({ 
         ok: true, 
@@ -0,0 +1,71 @@
+// memory_endpoints.js
+const { listMemories, deleteMemory, clearMemories } = require('./engine/memory');
+const { resolveInstanceConfig } = require('./instance_manager');
+
+/**
+ * Configuración de la instancia de la petición (?instanceId=, por defecto la del servidor)
+ * con la memoria de largo plazo activa. Responde el error HTTP y retorna null si no aplica.
+ */
+function memoryConfigOrFail(req, res) {
+  const cfg = resolveInstanceConfig(req.query.instanceId);
+  if (!cfg) {
+    res.status(404).json({ ok: false, error: 'instance_not_found' });
+    return null;
+  }
+  if (!cfg.enable_longterm_memory) {
+    res.status(404).json({ ok: false, error: 'longterm_memory_disabled', detail: 'La memoria de largo plazo no está activada en esta instancia' });
+    return null;
+  }
+  return cfg;
+}
+
+/**
+ * Memoria de largo plazo: "¿qué recuerdas de mí?" (engine/memory_store.js)
+ * Los recuerdos de cada instancia viven en su propia base (memory_store.memoryDbPath).
+ */
+function addMemoryEndpoints(app, authRequired) {
+
+  // Recuerdos del usuario (?chatId= para los de un chat)
+  app.get('/api/memories', authRequired, async (req, res) => {
+    const cfg = memoryConfigOrFail(req, res);
+    if (!cfg) return;
+    try {
+      const chatId = req.query.chatId ? String(req.query.chatId) : null;
+      const memories = listMemories(cfg, req.userId, chatId);
+      res.json({ ok: true, count: memories.length, memories });
+    } catch (e) {
+      console.error('Error listando recuerdos:', e);
+      res.status(500).json({ ok: false, error: 'list_memories_failed', detail: e.message });
+    }
+  });
+
+  app.delete('/api/memories/:id', authRequired, async (req, res) => {
+    const cfg = memoryConfigOrFail(req, res);
+    if (!cfg) return;
+    try {
+      if (!deleteMemory(cfg, req.userId, req.params.id)) {
+        return res.status(404).json({ ok: false, error: 'memory_not_found' });
+      }
+      res.json({ ok: true, id: req.params.id });
+    } catch (e) {
+      console.error('Error eliminando recuerdo:', e);
+      res.status(500).json({ ok: false, error: 'delete_memory_failed', detail: e.message });
+    }
+  });
+
+  // Olvidar todo (o solo lo de un chat con ?chatId=)
+  app.delete('/api/memories', authRequired, async (req, res) => {
+    const cfg = memoryConfigOrFail(req, res);
+    if (!cfg) return;
+    try {
+      const chatId = req.query.chatId ? String(req.query.chatId) : null;
+      const deleted = clearMemories(cfg, req.userId, chatId);
+      res.json({ ok: true, deleted });
+    } catch (e) {
+      console.error('Error olvidando recuerdos:', e);
+      res.status(500).json({ ok: false, error: 'clear_memories_failed', detail: e.message });
+    }
+  });
+}
+
+module.exports = { addMemoryEndpoints };
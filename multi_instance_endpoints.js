@@ -1,6 +1,7 @@
 // multi_instance_endpoints.js
 const { getAvailableInstances, loadInstance, validateInstance, getDefaultInstance } = require('./instance_manager');
 const { answer } = require('./engine');
+const { normalizeAsOfDate } = require('./engine/normative_citation_processor');
 
 /**
  * Agregar endpoints para gestión de instancias MultiLexCode
@@ -65,6 +66,7 @@ function addMultiInstanceEndpoints(app, authRequired) {
       let attachments = [];
       let chatId = 'default';
       let isInitialization = false;
+      const asOf = req.body?.asOf ? req.body.asOf.toString() : null;
 
       if (req.is('application/json')) {
         question = (req.body?.question || '').toString();
@@ -100,11 +102,15 @@ function addMultiInstanceEndpoints(app, authRequired) {
         return res.status(400).json({ ok: false, error: 'question_or_files_required' });
       }
 
+      if (asOf && !normalizeAsOfDate(asOf)) {
+        return res.status(400).json({ ok: false, error: 'invalid_as_of', detail: 'Formato esperado: YYYY-MM-DD' });
+      }
+
       // Cargar configuración de la instancia
       const instanceConfig = loadInstance(instanceId);
       
       // Llamar a answer con la configuracion de la instancia
-      const out = await answer(question, req.userId, attachments, chatId, instanceConfig);
+      const out = await answer(question, req.userId, attachments, chatId, instanceConfig, { asOf });
       
       // Si es un mensaje de inicializacion, no mostrar respuesta al usuario
       if (isInitialization) {
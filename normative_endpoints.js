@@ -0,0 +1,165 @@
+// normative_endpoints.js
+const { findArticle, normalizeAsOfDate } = require('./engine/normative_citation_processor');
+const { parseCitation, resolveNormName } = require('./engine/citation_normalizer');
+const { getArticleReferences } = require('./engine/normative_references');
+const { searchNorms } = require('./engine/normative_search');
+const { getNormaTableOfContents, getArticleRange } = require('./engine/normative_browser');
+
+/**
+ * Resuelve una cita (CLAVE.ArtN o lenguaje natural) contra normas.sqlite.
+ * Responde el error HTTP correspondiente y retorna null si no se puede resolver.
+ */
+function resolveCitationOrFail(res, cita, asOf = null) {
+  const parsed = parseCitation(cita);
+  if (!parsed) {
+    res.status(400).json({ ok: false, error: 'invalid_citation', detail: 'Formato esperado: CLAVE.ArtN (ej: CCCH.Art1545)' });
+    return null;
+  }
+
+  const result = findArticle(parsed.clave, parsed.articulo, { asOf });
+  if (result && result.reason === 'ambiguous') {
+    res.status(409).json({ ok: false, error: 'ambiguous_citation', candidates: result.candidates });
+    return null;
+  }
+  if (!result || !result.found) {
+    res.status(404).json({ ok: false, error: 'article_not_found', cita });
+    return null;
+  }
+
+  return { ...parsed, result };
+}
+
+/**
+ * Lee ?as_of=YYYY-MM-DD. Responde 400 si viene con otro formato (igual que /api/ask).
+ * @returns {Object|null} { asOf } (asOf null = versión actual) o null si ya se respondió el error
+ */
+function readAsOfOrFail(req, res) {
+  const asOf = normalizeAsOfDate(req.query.as_of);
+  if (req.query.as_of && !asOf) {
+    res.status(400).json({ ok: false, error: 'invalid_as_of', detail: 'Formato esperado: YYYY-MM-DD' });
+    return null;
+  }
+  return { asOf };
+}
+
+/**
+ * Agregar endpoints de consulta de la base normativa
+ */
+function addNormativeEndpoints(app, authRequired) {
+
+  // Búsqueda de texto completo sobre artículos (texto, nombre de la norma y materias)
+  app.get('/api/normative/search', authRequired, async (req, res) => {
+    try {
+      const query = String(req.query.q || '').trim();
+      if (!query) {
+        return res.status(400).json({ ok: false, error: 'missing_query', detail: 'Parámetro q requerido' });
+      }
+
+      const version = readAsOfOrFail(req, res);
+      if (!version) return;
+
+      const search = searchNorms(query, {
+        clave: req.query.clave || null,
+        asOf: version.asOf,
+        limit: req.query.limit
+      });
+      if (!search.available) {
+        return res.status(503).json({
+          ok: false,
+          error: 'search_index_unavailable',
+          detail: 'Ejecuta node scripts/build_normative_search_index.js para construir el índice'
+        });
+      }
+
+      res.json({ ok: true, query: search.query, total: search.total, resultados: search.resultados });
+    } catch (e) {
+      console.error('Error buscando en la base normativa:', e);
+      res.status(500).json({ ok: false, error: 'normative_search_failed' });
+    }
+  });
+
+  // Índice jerárquico de una norma (libros, títulos, párrafos y artículos con enlace a LeyChile)
+  app.get('/api/normative/normas/:clave/toc', authRequired, async (req, res) => {
+    try {
+      const version = readAsOfOrFail(req, res);
+      if (!version) return;
+
+      const clave = resolveNormName(req.params.clave) || req.params.clave.toUpperCase();
+      const toc = getNormaTableOfContents(clave, { asOf: version.asOf });
+      if (!toc) {
+        return res.status(404).json({ ok: false, error: 'norma_not_found', clave });
+      }
+      res.json({ ok: true, ...toc });
+    } catch (e) {
+      console.error('Error obteniendo índice de la norma:', e);
+      res.status(500).json({ ok: false, error: 'get_toc_failed' });
+    }
+  });
+
+  // Rango de artículos consecutivos de una norma (?from=1545&to=1550)
+  app.get('/api/normative/normas/:clave/articles', authRequired, async (req, res) => {
+    try {
+      const clave = resolveNormName(req.params.clave) || req.params.clave.toUpperCase();
+      const from = String(req.query.from || '').toLowerCase().replace(/\s+/g, '');
+      const to = String(req.query.to || '').toLowerCase().replace(/\s+/g, '') || null;
+      if (!from) {
+        return res.status(400).json({ ok: false, error: 'missing_from', detail: 'Parámetro from requerido (ej: ?from=1545&to=1550)' });
+      }
+      const version = readAsOfOrFail(req, res);
+      if (!version) return;
+
+      const range = getArticleRange(clave, from, to, {
+        asOf: version.asOf,
+        limit: req.query.limit
+      });
+      if (!range.found) {
+        const status = range.reason === 'invalid_range' ? 400 : (range.reason === 'database_unavailable' ? 503 : 404);
+        return res.status(status).json({ ok: false, error: range.reason, clave, articulo: range.articulo });
+      }
+
+      const { found, ...body } = range;
+      res.json({ ok: true, ...body });
+    } catch (e) {
+      console.error('Error obteniendo rango de artículos:', e);
+      res.status(500).json({ ok: false, error: 'get_articles_failed' });
+    }
+  });
+
+  // Referencias cruzadas de un artículo: artículos que refiere y artículos que lo refieren
+  // ?as_of=YYYY-MM-DD usa la versión del artículo vigente a esa fecha
+  app.get('/api/normative/references/:cita', authRequired, async (req, res) => {
+    try {
+      const version = readAsOfOrFail(req, res);
+      if (!version) return;
+
+      const asOf = version.asOf;
+      const resolved = resolveCitationOrFail(res, req.params.cita, asOf);
+      if (!resolved) return;
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const references = getArticleReferences(resolved.result.clave, resolved.articulo, { limit, asOf });
+      if (!references.available) {
+        return res.status(503).json({
+          ok: false,
+          error: 'references_index_unavailable',
+          detail: 'Ejecuta node scripts/build_normative_references.js para construir el índice'
+        });
+      }
+
+      res.json({
+        ok: true,
+        cita: references.cita,
+        as_of: asOf,
+        norma: resolved.result.norma,
+        articulo: resolved.result.nombreparte,
+        referencias: references.referencias,
+        referido_por: references.referido_por
+      });
+    } catch (e) {
+      console.error('Error obteniendo referencias normativas:', e);
+      res.status(500).json({ ok: false, error: 'get_references_failed' });
+    }
+  });
+}
+
+module.exports = { addNormativeEndpoints, resolveCitationOrFail };
@@ -0,0 +1,14 @@
+-- Store de conversaciones (engine/conversation_store.js): ajustes, resumen del caso, chat de origen,
+-- contadores de interacciones y de turnos y entrevista de redacción por chat; metadatos por turno.
+-- IF NOT EXISTS: las bases creadas con "prisma db push" pueden tener ya parte de estas columnas.
+
+-- AlterTable
+ALTER TABLE "Chat" ADD COLUMN IF NOT EXISTS "interactionCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS "interview" JSONB,
+ADD COLUMN IF NOT EXISTS "parentChatId" TEXT,
+ADD COLUMN IF NOT EXISTS "settings" JSONB,
+ADD COLUMN IF NOT EXISTS "summary" JSONB,
+ADD COLUMN IF NOT EXISTS "turnCount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Turn" ADD COLUMN IF NOT EXISTS "metadata" JSONB;
@@ -3,11 +3,13 @@ const path = require('path');
 const bcrypt = require('bcrypt');
 const { nanoid } = require('nanoid');
 const prompt = require('prompt-sync')();
+const { updateJsonFile } = require('../engine/atomic_file');
 
 const DATA = path.join(__dirname, '../auth/users.store.json');
 
 function readStore(){ try { return JSON.parse(fs.readFileSync(DATA,'utf8')); } catch { return { users: [] }; } }
-function writeStore(s){ fs.writeFileSync(DATA, JSON.stringify(s,null,2)); }
+// Leer → modificar → guardar bajo el bloqueo del almacén (el servidor puede estar cobrando créditos)
+function updateStore(mutate){ let r; updateJsonFile(DATA, { users: [] }, s=>{ r = mutate(s); }); return r; }
 
 function listUsers(){
   const s = readStore();
@@ -21,20 +23,20 @@ async function createUser(){
   const password = prompt('Password: ', {echo: '*'});
   const credits = parseInt(prompt('Créditos iniciales: '),10) || 0;
   const pass_hash = await bcrypt.hash(password, 10);
-  const s = readStore();
-  s.users.push({ id:nanoid(), username, email, pass_hash, credits, createdAt:new Date().toISOString() });
-  writeStore(s);
+  updateStore(s=>{ s.users.push({ id:nanoid(), username, email, pass_hash, credits, createdAt:new Date().toISOString() }); });
   console.log("Usuario creado con éxito.");
 }
 
 function setCredits(){
   const email = prompt('Email del usuario: ');
   const credits = parseInt(prompt('Nuevos créditos: '),10);
-  const s = readStore();
-  const u = s.users.find(x=>x.email===email);
-  if(!u){ console.log("Usuario no encontrado"); return; }
-  u.credits = credits;
-  writeStore(s);
+  const found = updateStore(s=>{
+    const u = s.users.find(x=>x.email===email);
+    if(!u) return false;
+    u.credits = credits;
+    return true;
+  });
+  if(!found){ console.log("Usuario no encontrado"); return; }
   console.log("Créditos actualizados.");
 }
 
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Script para construir el grafo de referencias cruzadas entre artículos
+ *
+ * Recorre engine/normative_db/normas.sqlite, extrae las referencias internas de cada
+ * artículo ("en conformidad al artículo 1698") y las guarda en la tabla referencias_articulos.
+ * Debe ejecutarse nuevamente cada vez que se recarga la base de normas.
+ *
+ * Uso: node scripts/build_normative_references.js [--db ruta/a/normas.sqlite]
+ */
+
+const path = require('path');
+const { buildReferenceIndex } = require('../engine/normative_references');
+
+const DEFAULT_DB = path.join(__dirname, '../engine/normative_db/normas.sqlite');
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Uso:
+  node scripts/build_normative_references.js [--db ruta/a/normas.sqlite]
+
+Opciones:
+  --db <ruta>   Base de datos a indexar (por defecto engine/normative_db/normas.sqlite)
+  --help, -h    Mostrar esta ayuda
+`);
+    process.exit(0);
+  }
+
+  const dbIndex = args.indexOf('--db');
+  const dbPath = dbIndex !== -1 && args[dbIndex + 1] ? path.resolve(args[dbIndex + 1]) : DEFAULT_DB;
+
+  try {
+    console.log(`🔗 Construyendo referencias cruzadas en ${dbPath}...`);
+    const started = Date.now();
+    const stats = buildReferenceIndex({ dbPath });
+    console.log(`✅ Artículos analizados: ${stats.articulos}`);
+    console.log(`✅ Referencias extraídas: ${stats.referencias} (${stats.referencias_resueltas} apuntan a artículos presentes en la BD)`);
+    console.log(`⏱️  Tiempo: ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  } catch (error) {
+    console.error('❌ Error construyendo referencias:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Script para construir el índice de búsqueda de texto completo (FTS5) de la base normativa
+ *
+ * Crea la tabla virtual articulos_fts sobre engine/normative_db/normas.sqlite (texto, norma y
+ * materias, sin distinguir tildes). Debe ejecutarse nuevamente cada vez que se recarga la base de normas.
+ *
+ * Uso: node scripts/build_normative_search_index.js [--db ruta/a/normas.sqlite]
+ */
+
+const path = require('path');
+const { buildSearchIndex } = require('../engine/normative_search');
+
+const DEFAULT_DB = path.join(__dirname, '../engine/normative_db/normas.sqlite');
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Uso:
+  node scripts/build_normative_search_index.js [--db ruta/a/normas.sqlite]
+
+Opciones:
+  --db <ruta>   Base de datos a indexar (por defecto engine/normative_db/normas.sqlite)
+  --help, -h    Mostrar esta ayuda
+`);
+    process.exit(0);
+  }
+
+  const dbIndex = args.indexOf('--db');
+  const dbPath = dbIndex !== -1 && args[dbIndex + 1] ? path.resolve(args[dbIndex + 1]) : DEFAULT_DB;
+
+  try {
+    console.log(`🔎 Construyendo índice de búsqueda en ${dbPath}...`);
+    const started = Date.now();
+    const stats = buildSearchIndex({ dbPath });
+    console.log(`✅ Artículos indexados: ${stats.articulos}`);
+    console.log(`⏱️  Tiempo: ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  } catch (error) {
+    console.error('❌ Error construyendo índice de búsqueda:', error.message);
+    process.exit(1);
+  }
+}
@@ -52,7 +52,9 @@ function generateConfig(instanceId) {
       "max_history": 30,
       "rolling_max_turns": 8,
       "semantic_top_k": 4,
+      "semantic_min_score": 0.35,
       "summary_every_n_turns": 5,
+      "rolling_summary": { "enabled": true, "model": "gpt-4.1-mini" },
       "max_chat_interactions": 30,
       "warning_threshold": 5
     },
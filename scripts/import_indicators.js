@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Importa UF, UTM e IPC desde la API de la CMF a data/indicadores_chile.json
+ *
+ * Fuente oficial: Comisión para el Mercado Financiero (api.cmfchile.cl, recursos_api/<serie>/<año>).
+ * La API requiere una clave gratuita (https://api.cmfchile.cl/api_cmf/contactanos.jsp) en CMF_API_KEY.
+ * Los valores existentes del mismo período se reemplazan, así que se puede volver a ejecutar.
+ * La tasa de interés corriente se carga aparte con PUT /api/admin/indicators/interes_corriente.
+ *
+ * Uso: node scripts/import_indicators.js [--years 2024,2025] [--series uf,utm,ipc] [--dry-run]
+ */
+
+require('dotenv').config();
+
+const axios = require('axios');
+const { CMF_RESOURCES, INDICATORS_PATH, parseCmfSeries, updateSeries } = require('../engine/economic_indicators');
+
+const CMF_BASE_URL = process.env.CMF_API_URL || 'https://api.cmfchile.cl/api-sbifv3/recursos_api';
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : null;
+}
+
+async function fetchSeries(name, year, apiKey) {
+  const url = `${CMF_BASE_URL}/${CMF_RESOURCES[name].resource}/${year}`;
+  const { data } = await axios.get(url, { params: { apikey: apiKey, formato: 'json' }, timeout: 30000 });
+  return parseCmfSeries(name, data);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Uso:
+  node scripts/import_indicators.js [opciones]
+
+Opciones:
+  --years <lista>   Años a importar separados por coma (por defecto el año anterior y el actual)
+  --series <lista>  Series a importar: ${Object.keys(CMF_RESOURCES).join(', ')} (por defecto todas)
+  --dry-run         Descargar y contar valores sin escribir la tabla
+  --help, -h        Mostrar esta ayuda
+
+Variables de entorno:
+  CMF_API_KEY       Clave de la API de la CMF (obligatoria)
+`);
+    process.exit(0);
+  }
+
+  const apiKey = process.env.CMF_API_KEY;
+  if (!apiKey) {
+    console.error('❌ Falta CMF_API_KEY (clave de la API de la CMF)');
+    process.exit(1);
+  }
+
+  const currentYear = new Date().getFullYear();
+  const years = (getOption(args, '--years') || `${currentYear - 1},${currentYear}`).split(',').map(y => y.trim()).filter(Boolean);
+  const series = (getOption(args, '--series') || Object.keys(CMF_RESOURCES).join(',')).split(',').map(s => s.trim()).filter(Boolean);
+  const dryRun = args.includes('--dry-run');
+
+  (async () => {
+    console.log(`📈 Importando ${series.join(', ')} (${years.join(', ')}) desde la CMF${dryRun ? ' (simulación)' : ''} → ${INDICATORS_PATH}`);
+    let failed = 0;
+    for (const name of series) {
+      for (const year of years) {
+        try {
+          const values = await fetchSeries(name, year, apiKey);
+          const count = Object.keys(values).length;
+          if (!dryRun && count > 0) updateSeries(name, values);
+          console.log(`  ✓ ${name} ${year}: ${count} valores`);
+        } catch (error) {
+          failed++;
+          const detail = error.response ? `HTTP ${error.response.status}` : error.message;
+          console.log(`  ✗ ${name} ${year}: ${detail}`);
+        }
+      }
+    }
+    if (failed > 0) process.exitCode = 1;
+  })();
+}
+
+module.exports = { fetchSeries };
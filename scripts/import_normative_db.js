@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Script para importar exportaciones Excel/CSV de normas a normas.sqlite
+ *
+ * Reemplaza al conversor en Python (engine/normative_db/convert_excel_to_sqlite_final_fixed (4).py):
+ * genera las claves con las reglas que esperan CITATION_PATTERNS, rechaza las filas cuya
+ * cita CLAVE.ArtN no sería reconocible y deja un reporte JSON con las filas rechazadas.
+ *
+ * Por defecto la carga es incremental (upsert por clave, artículo y fecha de versión).
+ * Los CSV (separados por coma o punto y coma) se leen sin dependencias; para Excel hay que instalar
+ * SheetJS desde su CDN: npm install https://cdn.sheetjs.com/xlsx-0.20.3/xlsx-0.20.3.tgz
+ *
+ * Uso: node scripts/import_normative_db.js <archivo.xlsx|csv> [--db ruta] [--replace] [--report ruta]
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { importNormativeSource } = require('../engine/normative_importer');
+
+const DEFAULT_DB = path.join(__dirname, '../engine/normative_db/normas.sqlite');
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : null;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Uso:
+  node scripts/import_normative_db.js <archivo.xlsx|csv> [opciones]
+
+Opciones:
+  --db <ruta>       Base de datos destino (por defecto engine/normative_db/normas.sqlite)
+  --sheet <nombre>  Hoja de la planilla a importar (por defecto la primera)
+  --replace         Reemplazar la tabla articulos en vez de hacer una carga incremental
+  --dry-run         Validar las filas y generar el reporte sin escribir en la BD
+  --report <ruta>   Ruta del reporte de carga (por defecto normas_load_report.json junto a la BD)
+  --help, -h        Mostrar esta ayuda
+`);
+    process.exit(0);
+  }
+
+  const valueOptions = ['--db', '--sheet', '--report'];
+  const sourcePath = args.find((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+  const dbPath = getOption(args, '--db') ? path.resolve(getOption(args, '--db')) : DEFAULT_DB;
+  const reportPath = getOption(args, '--report')
+    ? path.resolve(getOption(args, '--report'))
+    : path.join(path.dirname(dbPath), 'normas_load_report.json');
+
+  try {
+    console.log(`📥 Importando ${sourcePath} en ${dbPath}...`);
+    const started = Date.now();
+    const report = importNormativeSource({
+      sourcePath: path.resolve(sourcePath || ''),
+      dbPath,
+      sheet: getOption(args, '--sheet'),
+      replace: args.includes('--replace'),
+      dryRun: args.includes('--dry-run')
+    });
+
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+
+    console.log(`✅ Filas leídas: ${report.total_rows}`);
+    console.log(`✅ Insertadas: ${report.inserted} | Actualizadas: ${report.updated}`);
+    if (report.rejected > 0) {
+      console.log(`⚠️  Rechazadas: ${report.rejected}`);
+      for (const [reason, count] of Object.entries(report.rejected_by_reason)) {
+        console.log(`   - ${reason}: ${count}`);
+      }
+    }
+    console.log(`📝 Reporte de carga: ${reportPath}`);
+    console.log(`⏱️  Tiempo: ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    if (!report.mode.startsWith('dry')) {
+      console.log('💡 Recuerda reconstruir las referencias: node scripts/build_normative_references.js');
+      console.log('💡 Y el índice de búsqueda: node scripts/build_normative_search_index.js');
+    }
+  } catch (error) {
+    console.error('❌ Error importando normas:', error.message);
+    process.exit(1);
+  }
+}
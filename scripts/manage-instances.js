@@ -18,7 +18,9 @@ function generateConfigTemplate(instanceId, instanceName) {
       "max_history": 40,
       "rolling_max_turns": 8,
       "semantic_top_k": 4,
-      "summary_every_n_turns": 5
+      "semantic_min_score": 0.35,
+      "summary_every_n_turns": 5,
+      "rolling_summary": { "enabled": true, "model": "gpt-4.1-mini" }
     },
     "knowledge": {
       "paths": [`lexcode_instances/${instanceId}/conocimiento`],
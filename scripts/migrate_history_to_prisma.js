@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Migración única del historial en archivos JSON a Postgres (Prisma)
+ *
+ * Copia auth/users.store.json (con el saldo de créditos), los chats de historial/<userId>/
+ * (con _chat_metadata.json, la entrevista de redacción y el contador de users/<userId>/)
+ * y auth/transactions.store.json a los modelos User/Chat/Turn/Transaction de prisma/schema.prisma.
+ * Los chats ya migrados se omiten (salvo --replace), así que se puede volver a ejecutar.
+ *
+ * Requisitos: DATABASE_URL, el esquema aplicado (npx prisma migrate deploy) y el cliente generado
+ * (npx prisma generate). Una base creada antes con "prisma db push" se marca primero con
+ * npx prisma migrate resolve --applied 0_init.
+ * Después de migrar, activar el backend con "storage": { "backend": "prisma" } en config.json.
+ *
+ * Uso: node scripts/migrate_history_to_prisma.js [--config ruta] [--history ruta] [--replace] [--dry-run]
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+const fs = require('fs');
+const { migrateFileHistory } = require('../engine/conversation_store');
+
+const DEFAULT_CONFIG = path.join(process.cwd(), 'lexcode_instances', 'general', 'config.json');
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : null;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Uso:
+  node scripts/migrate_history_to_prisma.js [opciones]
+
+Opciones:
+  --config <ruta>   config.json de la instancia (memory.path, storage.database_url); por defecto lexcode_instances/general/config.json
+  --history <ruta>  Carpeta historial a migrar (por defecto la de config.memory.path)
+  --replace         Reemplazar los chats que ya existen en la base
+  --dry-run         Contar usuarios, chats, turnos y transacciones sin escribir
+  --help, -h        Mostrar esta ayuda
+`);
+    process.exit(0);
+  }
+
+  const configPath = getOption(args, '--config') ? path.resolve(getOption(args, '--config')) : DEFAULT_CONFIG;
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf-8')) : {};
+  const historyDir = getOption(args, '--history') ? path.resolve(getOption(args, '--history')) : null;
+  const dryRun = args.includes('--dry-run');
+
+  (async () => {
+    console.log(`📦 Migrando historial a Postgres${dryRun ? ' (simulación)' : ''}...`);
+    const started = Date.now();
+    const report = await migrateFileHistory({ config, historyDir, replace: args.includes('--replace'), dryRun });
+
+    console.log(`\n✅ Migración terminada en ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    console.log(`   Usuarios: ${report.users}`);
+    console.log(`   Chats: ${report.chats} (omitidos por existir: ${report.skipped_chats})`);
+    console.log(`   Turnos: ${report.turns} (mensajes sin par pregunta/respuesta: ${report.skipped_messages})`);
+    console.log(`   Transacciones: ${report.transactions}`);
+    if (report.errors.length > 0) {
+      console.log(`\n⚠️  ${report.errors.length} chat(s) con errores:`);
+      report.errors.forEach(e => console.log(`   - ${e.chat}: ${e.error}`));
+      process.exitCode = 1;
+    }
+  })().catch(error => {
+    console.error('❌ Error migrando el historial:', error.message);
+    process.exit(1);
+  });
+}
@@ -19,9 +19,10 @@ const pino = require('pino')();
 // Imports para generación de documentos
 const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
 const { markdownToWordParagraphs, renderMarkdownToPdf, markdownToPlainText } = require('./engine/markdown_parser');
+const { annexToWordParagraphs, renderAnnexToPdf } = require('./engine/annex_document_renderer');
 const PDFDocument = require('pdfkit');
 
-// Configurar OpenAI para audio
+// Configurar OpenAI para síntesis de voz (la transcripción pasa por el gateway LLM)
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
@@ -29,8 +30,10 @@ const openai = new OpenAI({
 const { buildPromptFromConfig, legacyBuildPrompt } = require('./engine/loader');
 const { answer, answerStream, reload } = require('./engine/index');
 const creditManager = require('./engine/credit_manager');
+const llmGateway = require('./engine/llm_gateway');
 const actionsMod = require('./actions');
 const { loadContext } = require('./engine/memory');
+const { normalizeAsOfDate } = require('./engine/normative_citation_processor');
 
 // === helpers ===
 function sha256(str){ return crypto.createHash('sha256').update(str, 'utf8').digest('hex'); }
@@ -106,6 +109,8 @@ app.post('/api/auth/login', async (req,res)=>{
   try{
     const {email,password} = req.body || {};
     const result = await auth.login(email,password);
+    const balance = await creditManager.getCreditBalance(global.bot_config, result.user.id).catch(() => null);
+    if (balance) Object.assign(result.user, balance);
     console.log('✅ Login successful for:', email);
     return res.json({ok:true,...result});
   }catch(e){
@@ -114,9 +119,17 @@ app.post('/api/auth/login', async (req,res)=>{
   }
 });
 
-app.get('/api/auth/me', auth.authRequired, (req,res)=>{
+app.get('/api/auth/me', auth.authRequired, async (req,res)=>{
   const user = auth.getUser(req.userId);
   if(!user) return res.status(404).json({ok:false});
+
+  // El saldo vive en el backend configurado (users.store.json o Prisma)
+  try {
+    const balance = await creditManager.getCreditBalance(global.bot_config, req.userId);
+    if (balance) Object.assign(user, balance);
+  } catch (e) {
+    pino.error('Error al obtener el saldo de créditos:', e.message);
+  }
   
   // Verificar si es admin según pricing_config.json
   const creditManagerV2 = require('./engine/credit_manager_v2');
@@ -285,6 +298,7 @@ app.post('/api/ask', async (req,res)=>{
     let attachments = [];
     let chatId = 'default';
     let isInitialization = false;
+    const asOf = req.body?.asOf ? req.body.asOf.toString() : null;
 
     if (req.is('application/json')) {
       question = (req.body?.question || '').toString();
@@ -323,9 +337,13 @@ app.post('/api/ask', async (req,res)=>{
       return res.status(400).json({ ok:false, error:'question_or_files_required' });
     }
 
+    if (asOf && !normalizeAsOfDate(asOf)) {
+      return res.status(400).json({ ok:false, error:'invalid_as_of', detail: 'Formato esperado: YYYY-MM-DD' });
+    }
+
     // --- VERIFICACIÓN DE CRÉDITOS ANTES DE PROCESAR ---
     const costPerRequest = global.bot_config?.credits?.cost_per_request || 1;
-    const availableCredits = creditManager.getAvailableCredits(req.userId);
+    const availableCredits = await creditManager.getAvailableCredits(global.bot_config, req.userId);
     
     if (availableCredits < costPerRequest) {
       pino.warn(`[Chat] Usuario ${req.userId} sin créditos suficientes. Disponibles: ${availableCredits}, Requeridos: ${costPerRequest}`);
@@ -340,7 +358,7 @@ app.post('/api/ask', async (req,res)=>{
     // --- FIN VERIFICACIÓN PREVIA ---
 
     // Procesar la consulta
-    const out = await answer(question, req.userId, attachments, chatId);
+    const out = await answer(question, req.userId, attachments, chatId, null, { asOf });
     
     // Si es un mensaje de inicializacion, no mostrar respuesta al usuario
     if (isInitialization) {
@@ -356,6 +374,7 @@ app.post('/api/ask', async (req,res)=>{
     
     try {
       await creditManager.checkAndDecrementCredits(
+        global.bot_config,
         req.userId, 
         costPerRequest, 
         chatId, 
@@ -406,6 +425,7 @@ app.post('/api/ask-stream', async (req, res) => {
     let question = '';
     let attachments = [];
     let chatId = 'default';
+    const asOf = req.body?.asOf ? req.body.asOf.toString() : null;
 
     if (req.is('application/json')) {
       question = (req.body?.question || '').toString();
@@ -434,9 +454,13 @@ app.post('/api/ask-stream', async (req, res) => {
       return res.status(400).json({ ok: false, error: 'question_or_files_required' });
     }
 
+    if (asOf && !normalizeAsOfDate(asOf)) {
+      return res.status(400).json({ ok: false, error: 'invalid_as_of', detail: 'Formato esperado: YYYY-MM-DD' });
+    }
+
     // Verificación de créditos antes de procesar
     const costPerRequest = global.bot_config?.credits?.cost_per_request || 1;
-    const availableCredits = creditManager.getAvailableCredits(req.userId);
+    const availableCredits = await creditManager.getAvailableCredits(global.bot_config, req.userId);
     
     if (availableCredits < costPerRequest) {
       pino.warn(`[Chat Stream] Usuario ${req.userId} sin créditos suficientes`);
@@ -464,6 +488,7 @@ app.post('/api/ask-stream', async (req, res) => {
       userId: req.userId,
       attachments,
       chatId,
+      asOf,
       onDelta: (delta) => {
         // Enviar cada fragmento como evento SSE
         if (delta) {
@@ -477,7 +502,13 @@ app.post('/api/ask-stream', async (req, res) => {
           usage: completionData.usage,
           interactionStatus: completionData.interactionStatus,
           creditConsumption: completionData.creditConsumption,
-          normativeAnnex: completionData.normativeAnnex
+          normativeAnnex: completionData.normativeAnnex,
+          normativeAsOf: completionData.normativeAsOf,
+          citationAudit: completionData.citationAudit,
+          normativeVerification: completionData.normativeVerification,
+          urlValidation: completionData.urlValidation,
+          backend: completionData.backend,
+          routing: completionData.routing
         })}\n\n`);
         res.write('data: [DONE]\n\n');
         res.end();
@@ -502,14 +533,14 @@ app.post('/api/ask-stream', async (req, res) => {
 });
 
 // --- Chat Management endpoints ---
-const { getUserChats, createUserChat, deleteUserChat, renameUserChat } = require('./chat_management');
+const { getUserChats, createUserChat, continueUserChat, deleteUserChat, renameUserChat, getChatSettings, updateChatSettings } = require('./chat_management');
 const { addChatHistoryEndpoint } = require('./chat_history_endpoint');
 const { addInteractionStatusEndpoint } = require('./interaction_status_endpoint');
 
 // Obtener lista de chats del usuario
 app.get('/api/chats', auth.authRequired, async (req, res) => {
   try {
-    const chats = getUserChats(global.bot_config, req.userId);
+    const chats = await getUserChats(global.bot_config, req.userId);
     res.json({ ok: true, chats });
   } catch (e) {
     pino.error(e);
@@ -526,7 +557,7 @@ app.post('/api/chats', auth.authRequired, async (req, res) => {
       return res.status(400).json({ ok: false, error: 'chatId_required' });
     }
     
-    const success = createUserChat(global.bot_config, req.userId, chatId, name || '', instanceId || 'general');
+    const success = await createUserChat(global.bot_config, req.userId, chatId, name || '', instanceId || 'general');
     
     if (success) {
       res.json({ ok: true, message: 'Chat creado correctamente', chatId });
@@ -543,7 +574,7 @@ app.post('/api/chats', auth.authRequired, async (req, res) => {
 app.delete('/api/chats/:chatId', auth.authRequired, async (req, res) => {
   try {
     const { chatId } = req.params;
-    const success = deleteUserChat(global.bot_config, req.userId, chatId);
+    const success = await deleteUserChat(global.bot_config, req.userId, chatId);
     
     if (success) {
       res.json({ ok: true, message: 'Chat eliminado correctamente' });
@@ -556,6 +587,27 @@ app.delete('/api/chats/:chatId', auth.authRequired, async (req, res) => {
   }
 });
 
+// Continuar un chat en uno nuevo con el resumen del anterior: { chatId (opcional, el del chat nuevo), name }
+app.post('/api/chats/:chatId/continue', auth.authRequired, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const newChatId = (body.chatId || `chat_${Date.now()}`).toString();
+    if (newChatId === req.params.chatId) {
+      return res.status(400).json({ ok: false, error: 'invalid_chat_id', detail: 'El chat nuevo debe tener otro chatId' });
+    }
+
+    const result = await continueUserChat(global.bot_config, req.userId, req.params.chatId, {
+      newChatId,
+      name: body.name ? body.name.toString() : ''
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    pino.error(e);
+    const status = e.code === 'chat_not_found' ? 404 : (['chat_empty', 'chat_exists'].includes(e.code) ? 409 : (e.code === 'carry_over_failed' ? 502 : 500));
+    res.status(status).json({ ok: false, error: e.code || 'continue_chat_failed', detail: e.message });
+  }
+});
+
 // Renombrar un chat
 app.put('/api/chats/:chatId/rename', auth.authRequired, async (req, res) => {
   try {
@@ -566,7 +618,7 @@ app.put('/api/chats/:chatId/rename', auth.authRequired, async (req, res) => {
       return res.status(400).json({ ok: false, error: 'name_required' });
     }
     
-    const success = renameUserChat(global.bot_config, req.userId, chatId, name);
+    const success = await renameUserChat(global.bot_config, req.userId, chatId, name);
     
     if (success) {
       res.json({ ok: true, message: 'Chat renombrado correctamente' });
@@ -579,12 +631,131 @@ app.put('/api/chats/:chatId/rename', auth.authRequired, async (req, res) => {
   }
 });
 
+// Obtener ajustes de un chat (ej: fecha de consulta normativa)
+app.get('/api/chats/:chatId/settings', auth.authRequired, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const settings = await getChatSettings(global.bot_config, req.userId, chatId);
+    res.json({ ok: true, chatId, settings });
+  } catch (e) {
+    pino.error(e);
+    res.status(500).json({ ok: false, error: 'get_chat_settings_failed' });
+  }
+});
+
+// Actualizar ajustes de un chat
+// normative_as_of: 'YYYY-MM-DD' para citar normas en su versión vigente a esa fecha (null = versión actual)
+app.put('/api/chats/:chatId/settings', auth.authRequired, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const body = req.body || {};
+    const patch = {};
+    
+    if ('normative_as_of' in body) {
+      if (body.normative_as_of === null || body.normative_as_of === '') {
+        patch.normative_as_of = null;
+      } else {
+        const asOf = normalizeAsOfDate(body.normative_as_of);
+        if (!asOf) {
+          return res.status(400).json({ ok: false, error: 'invalid_as_of', detail: 'Formato esperado: YYYY-MM-DD' });
+        }
+        patch.normative_as_of = asOf;
+      }
+    }
+    
+    const settings = await updateChatSettings(global.bot_config, req.userId, chatId, patch);
+    
+    if (settings) {
+      res.json({ ok: true, chatId, settings });
+    } else {
+      res.status(500).json({ ok: false, error: 'update_chat_settings_failed' });
+    }
+  } catch (e) {
+    pino.error(e);
+    res.status(500).json({ ok: false, error: 'update_chat_settings_failed' });
+  }
+});
+
+// === ENTREVISTA DE REDACCIÓN GUIADA (engine/drafting_interview.js) ===
+const draftingInterview = require('./engine/drafting_interview');
+
+function interviewResponse(result) {
+  const { state, progress } = result;
+  return { ok: true, interview: state, progress };
+}
+
+function interviewErrorStatus(error) {
+  if (error.code === 'template_not_found' || error.code === 'interview_not_found') return 404;
+  if (error.code === 'interview_closed' || error.code === 'invalid_variables') return 409;
+  return 500;
+}
+
+app.get('/api/chats/:chatId/interview', auth.authRequired, async (req, res) => {
+  try {
+    const result = await draftingInterview.getInterview(global.bot_config, { userId: req.userId, chatId: req.params.chatId });
+    if (!result) return res.status(404).json({ ok: false, error: 'interview_not_found' });
+    res.json(interviewResponse(result));
+  } catch (e) {
+    pino.error(e);
+    res.status(interviewErrorStatus(e)).json({ ok: false, error: e.code || 'get_interview_failed', detail: e.message });
+  }
+});
+
+// Inicia (o reinicia) la entrevista del chat con una plantilla: { templateId, instanceId, values }
+app.post('/api/chats/:chatId/interview', auth.authRequired, async (req, res) => {
+  try {
+    const { templateId, instanceId = 'general', values = {} } = req.body || {};
+    if (!templateId) return res.status(400).json({ ok: false, error: 'template_id_required' });
+    const result = await draftingInterview.startInterview(global.bot_config, {
+      userId: req.userId,
+      chatId: req.params.chatId,
+      instanceId: String(instanceId),
+      templateId: String(templateId),
+      values
+    });
+    res.json(interviewResponse(result));
+  } catch (e) {
+    pino.error(e);
+    res.status(interviewErrorStatus(e)).json({ ok: false, error: e.code || 'start_interview_failed', detail: e.message });
+  }
+});
+
+// Completa campos desde el formulario del frontend: { values } (null borra un campo)
+app.patch('/api/chats/:chatId/interview', auth.authRequired, async (req, res) => {
+  try {
+    const result = await draftingInterview.updateInterview(global.bot_config, {
+      userId: req.userId,
+      chatId: req.params.chatId,
+      values: (req.body && req.body.values) || {}
+    });
+    res.json(interviewResponse(result));
+  } catch (e) {
+    pino.error(e);
+    res.status(interviewErrorStatus(e)).json({ ok: false, error: e.code || 'update_interview_failed', detail: e.message });
+  }
+});
+
+app.delete('/api/chats/:chatId/interview', auth.authRequired, async (req, res) => {
+  try {
+    const state = await draftingInterview.cancelInterview(global.bot_config, { userId: req.userId, chatId: req.params.chatId });
+    if (!state) return res.status(404).json({ ok: false, error: 'interview_not_found' });
+    res.json({ ok: true, interview: state });
+  } catch (e) {
+    pino.error(e);
+    res.status(500).json({ ok: false, error: 'cancel_interview_failed', detail: e.message });
+  }
+});
+
 // Agregar endpoint de historial de chat
 addChatHistoryEndpoint(app, auth.authRequired);
 
 // Agregar endpoint de estado de interacciones
 addInteractionStatusEndpoint(app, auth.authRequired);
 
+// --- Base normativa (referencias cruzadas, etc.) ---
+const { addNormativeEndpoints } = require('./normative_endpoints');
+addNormativeEndpoints(app, auth.authRequired);
+
 // --- Multi-Instance endpoints ---
 const { addMultiInstanceEndpoints } = require('./multi_instance_endpoints');
 addMultiInstanceEndpoints(app, auth.authRequired);
@@ -670,13 +841,17 @@ app.get('/api/memory', async (req, res) => {
     const current = req.userId || 'anon';
     const qUid = (req.query && req.query.uid) ? String(req.query.uid) : current;
     const userId = (qUid === current) ? current : current; // solo permite su propia memoria
-    const mem = loadContext(global.bot_config || {}, userId) || [];
+    const mem = (await loadContext(global.bot_config || {}, userId)) || [];
     res.json({ ok:true, userId, memory: mem });
   } catch(e){
     res.status(500).json({ ok:false, error:'memory_read_failed', detail: String(e && e.message || e) });
   }
 });
 
+// --- Memoria de largo plazo: "¿qué recuerdas de mí?" (?instanceId= para los recuerdos de una instancia) ---
+const { addMemoryEndpoints } = require('./memory_endpoints');
+addMemoryEndpoints(app, auth.authRequired);
+
 // --- public config endpoint (safe) ---
 app.get('/public-config', (req, res) => {
   const ccfg = (global.bot_config || {});
@@ -699,12 +874,12 @@ app.post('/api/audio/transcribe', async (req, res) => {
     const tempPath = nodePath.join(__dirname, 'temp', `${Date.now()}_${audioFile.name}`);
     await audioFile.mv(tempPath);
 
-    // Transcribir usando OpenAI Whisper
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(tempPath),
+    // Transcribir con el proveedor configurado (Whisper en OpenAI)
+    const transcription = await llmGateway.transcribe(null, {
+      filePath: tempPath,
       model: 'whisper-1',
       language: 'es', // Español
-      response_format: 'json'
+      responseFormat: 'json'
     });
 
     // Limpiar archivo temporal
@@ -723,6 +898,7 @@ app.post('/api/audio/transcribe', async (req, res) => {
     const userId = req.userId || 'anon';
     try {
       creditManager.recordTransaction(
+        global.bot_config,
         userId,
         'audio_usage',
         0, // No se cobran créditos por transcripción (puedes ajustar esto)
@@ -798,6 +974,7 @@ app.post('/api/audio/synthesize', async (req, res) => {
     const userId = req.userId || 'anon';
     try {
       creditManager.recordTransaction(
+        global.bot_config,
         userId,
         'audio_usage',
         0, // No se cobran créditos por TTS (puedes ajustar esto)
@@ -869,6 +1046,66 @@ app.post('/api/documents/generate', async (req, res) => {
   }
 });
 
+// === PLANTILLAS DE DOCUMENTOS (lexcode_instances/<id>/templates + engine/document_templates) ===
+const documentTemplates = require('./engine/document_templates');
+
+app.get('/api/templates', (req, res) => {
+  try {
+    const instanceId = String(req.query.instanceId || 'general');
+    res.json({ ok: true, instanceId, templates: documentTemplates.listTemplates(instanceId) });
+  } catch (error) {
+    pino.error('Error listando plantillas:', error);
+    res.status(500).json({ ok: false, error: 'list_templates_failed', detail: error.message });
+  }
+});
+
+app.get('/api/templates/:templateId', (req, res) => {
+  try {
+    const template = documentTemplates.getTemplate(String(req.query.instanceId || 'general'), req.params.templateId);
+    if (!template) return res.status(404).json({ ok: false, error: 'template_not_found' });
+    res.json({ ok: true, template: documentTemplates.describeTemplate(template) });
+  } catch (error) {
+    pino.error('Error obteniendo plantilla:', error);
+    res.status(500).json({ ok: false, error: 'get_template_failed', detail: error.message });
+  }
+});
+
+// Genera el documento: format markdown (JSON) o txt/word/pdf con el pipeline de markdown_parser.js
+app.post('/api/templates/:templateId/generate', async (req, res) => {
+  try {
+    const { instanceId = 'general', values = {}, format = 'markdown' } = req.body || {};
+    if (!['markdown', 'txt', 'word', 'pdf'].includes(format)) {
+      return res.status(400).json({ ok: false, error: 'invalid_format' });
+    }
+    const template = documentTemplates.getTemplate(String(instanceId), req.params.templateId);
+    if (!template) return res.status(404).json({ ok: false, error: 'template_not_found' });
+
+    let rendered;
+    try {
+      rendered = documentTemplates.renderTemplate(template, values);
+    } catch (error) {
+      if (error.code === 'invalid_variables' || error.code === 'invalid_template') {
+        return res.status(400).json({ ok: false, error: error.code, detail: error.message, errors: error.details || [] });
+      }
+      throw error;
+    }
+
+    switch (format) {
+      case 'txt':
+        return generateTxtDocument(res, rendered.markdown, rendered.title);
+      case 'word':
+        return generateWordDocument(res, rendered.markdown, rendered.title);
+      case 'pdf':
+        return generatePdfDocument(res, rendered.markdown, rendered.title);
+      default:
+        return res.json({ ok: true, ...rendered });
+    }
+  } catch (error) {
+    pino.error('Error generando documento desde plantilla:', error);
+    res.status(500).json({ ok: false, error: 'template_generation_failed', detail: error.message });
+  }
+});
+
 // Función para generar documento TXT (con conversión de Markdown a texto limpio)
 function generateTxtDocument(res, content, title) {
   // Convertir Markdown a texto plano limpio
@@ -978,9 +1215,10 @@ function generatePdfDocument(res, content, title) {
 // Endpoint para generar documento Word
 app.post('/api/documents/word', async (req, res) => {
   try {
-    const { content, title = 'Documento LEGITIMUS' } = req.body;
+    const { content = '', title = 'Documento LEGITIMUS', normativeAnnex } = req.body;
+    const annexParagraphs = annexToWordParagraphs(normativeAnnex);
     
-    if (!content) {
+    if (!content && annexParagraphs.length === 0) {
       return res.status(400).json({ ok: false, error: 'no_content' });
     }
 
@@ -1001,11 +1239,13 @@ app.post('/api/documents/word', async (req, res) => {
           new Paragraph({
             children: [new TextRun({ text: "" })] // Línea en blanco
           }),
-          ...content.split('\n').map(line => 
+          ...(content ? content.split('\n') : []).map(line => 
             new Paragraph({
               children: [new TextRun({ text: line })]
             })
-          )
+          ),
+          // Anexo Normativo (con diff entre versiones si corresponde)
+          ...annexParagraphs
         ]
       }]
     });
@@ -1030,9 +1270,10 @@ app.post('/api/documents/word', async (req, res) => {
 // Endpoint para generar documento PDF
 app.post('/api/documents/pdf', async (req, res) => {
   try {
-    const { content, title = 'Documento LEGITIMUS' } = req.body;
+    const { content = '', title = 'Documento LEGITIMUS', normativeAnnex } = req.body;
+    const hasAnnex = Array.isArray(normativeAnnex) && normativeAnnex.length > 0;
     
-    if (!content) {
+    if (!content && !hasAnnex) {
       return res.status(400).json({ ok: false, error: 'no_content' });
     }
 
@@ -1055,7 +1296,14 @@ app.post('/api/documents/pdf', async (req, res) => {
     // Agregar contenido
     doc.fontSize(18).text(title, { align: 'center' });
     doc.moveDown();
-    doc.fontSize(12).text(content, { align: 'left' });
+    if (content) {
+      doc.fontSize(12).text(content, { align: 'left' });
+    }
+
+    // Anexo Normativo (con diff entre versiones si corresponde)
+    if (hasAnnex) {
+      renderAnnexToPdf(doc, normativeAnnex);
+    }
 
     doc.end();
 
@@ -1098,7 +1346,7 @@ app.post("/api/admin/credits/assign", requireAdmin, async (req, res) => {
     if (!userId || !amount || typeof amount !== "number" || amount <= 0) {
       return res.status(400).json({ ok: false, error: "invalid_parameters" });
     }
-    await creditManager.addCredits(userId, amount, description);
+    await creditManager.addCredits(global.bot_config, userId, amount, description);
     res.json({ ok: true, message: `Créditos asignados a ${userId}` });
   } catch (e) {
     pino.error("Error al asignar créditos:", e);
@@ -1109,7 +1357,7 @@ app.post("/api/admin/credits/assign", requireAdmin, async (req, res) => {
 app.get("/api/admin/credits/user/:userId", requireAdmin, async (req, res) => {
   try {
     const { userId } = req.params;
-    const credits = creditManager.getAvailableCredits(userId);
+    const credits = await creditManager.getAvailableCredits(global.bot_config, userId);
     res.json({ ok: true, userId, credits });
   } catch (e) {
     pino.error("Error al obtener créditos de usuario:", e);
@@ -1119,14 +1367,102 @@ app.get("/api/admin/credits/user/:userId", requireAdmin, async (req, res) => {
 
 app.get("/api/admin/credits/transactions", requireAdmin, async (req, res) => {
   try {
-    const transactionsStore = creditManager.readTransactionsStore();
-    res.json({ ok: true, transactions: transactionsStore.transactions });
+    const transactions = await creditManager.listTransactions(global.bot_config);
+    res.json({ ok: true, transactions });
   } catch (e) {
     pino.error("Error al obtener transacciones:", e);
     res.status(500).json({ ok: false, error: "get_transactions_failed", detail: e.message });
   }
 });
 
+// --- Auditoría de citas normativas (ADMIN) ---
+const { getCitationAuditStats, listAuditedInstances } = require('./engine/citation_audit_log');
+
+app.get("/api/admin/citation-audit", requireAdmin, (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    const instances = listAuditedInstances().map(instanceId => {
+      const stats = getCitationAuditStats(instanceId, { from, to });
+      return { instanceId, totals: stats.totals };
+    });
+    res.json({ ok: true, instances });
+  } catch (e) {
+    pino.error("Error al obtener auditoría de citas:", e);
+    res.status(500).json({ ok: false, error: "get_citation_audit_failed", detail: e.message });
+  }
+});
+
+app.get("/api/admin/citation-audit/:instanceId", requireAdmin, (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    const top = parseInt(req.query.top, 10) || 10;
+    const stats = getCitationAuditStats(req.params.instanceId, { from, to, top });
+    res.json({ ok: true, ...stats });
+  } catch (e) {
+    pino.error("Error al obtener auditoría de citas:", e);
+    res.status(500).json({ ok: false, error: "get_citation_audit_failed", detail: e.message });
+  }
+});
+
+// --- Router de modelos: decisiones y ahorro ---
+const { getRouterStats, listRoutedInstances } = require('./engine/model_router');
+
+app.get("/api/admin/router-stats", requireAdmin, (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    const instances = listRoutedInstances().map(instanceId => getRouterStats(instanceId, { from, to }));
+    res.json({ ok: true, instances });
+  } catch (e) {
+    pino.error("Error al obtener estadísticas del router:", e);
+    res.status(500).json({ ok: false, error: "get_router_stats_failed", detail: e.message });
+  }
+});
+
+app.get("/api/admin/router-stats/:instanceId", requireAdmin, (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    res.json({ ok: true, ...getRouterStats(req.params.instanceId, { from, to }) });
+  } catch (e) {
+    pino.error("Error al obtener estadísticas del router:", e);
+    res.status(500).json({ ok: false, error: "get_router_stats_failed", detail: e.message });
+  }
+});
+
+// --- Tabla de indicadores económicos (UF, UTM, IPC, interés corriente) ---
+const economicIndicators = require('./engine/economic_indicators');
+
+app.get("/api/admin/indicators", requireAdmin, (req, res) => {
+  try {
+    res.json({ ok: true, ...economicIndicators.getIndicatorsSummary() });
+  } catch (e) {
+    pino.error("Error al obtener indicadores:", e);
+    res.status(500).json({ ok: false, error: "get_indicators_failed", detail: e.message });
+  }
+});
+
+app.get("/api/admin/indicators/:series", requireAdmin, (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    const values = economicIndicators.getSeries(req.params.series, { from, to });
+    res.json({ ok: true, series: req.params.series, values });
+  } catch (e) {
+    if (e.code === 'invalid_series') return res.status(400).json({ ok: false, error: e.code, detail: e.message });
+    pino.error("Error al obtener indicadores:", e);
+    res.status(500).json({ ok: false, error: "get_indicators_failed", detail: e.message });
+  }
+});
+
+app.put("/api/admin/indicators/:series", requireAdmin, (req, res) => {
+  try {
+    const result = economicIndicators.updateSeries(req.params.series, req.body && req.body.values);
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    if (e.code && e.code.startsWith('invalid_')) return res.status(400).json({ ok: false, error: e.code, detail: e.message });
+    pino.error("Error al actualizar indicadores:", e);
+    res.status(500).json({ ok: false, error: "update_indicators_failed", detail: e.message });
+  }
+});
+
 // --- Contexto General del Usuario ---
 const generalContextManager = require('./auth/general_context_manager');
 